@@ -0,0 +1,303 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+/*
+ * RISC-V Instruction Encoder/Decoder
+ *
+ * Copyright (c) 2021-2022 LupLab @ UC Davis
+ */
+
+import { ISA, OPCODE } from './Constants.js';
+import { resolveConfig } from './Config.js';
+import { Instruction } from './Instruction.js';
+import { findPseudoForm, expandPseudo } from './Pseudo.js';
+import { evaluateOperands, splitOperands } from './Expression.js';
+import { EncodeError, InvalidMnemonicError, InvalidOperandError } from './Errors.js';
+
+// C instructions taking a PC-relative offset
+const C_PCREL = ['c.j', 'c.jal', 'c.beqz', 'c.bnez'];
+
+// Label reference, either a name or a numeric local label (e.g. '1b')
+const LABEL_REF = /^(?:[A-Za-z_.$][\w.$]*|\d+[bf])$/;
+
+// Directives accepted, but without effect on the listing
+const IGNORED_DIRECTIVES = ['.text', '.globl', '.global', '.local', '.type',
+  '.size', '.section', '.option', '.file', '.ident'];
+
+/**
+ * Assembles a multi-line snippet of instructions
+ *
+ * Each line holds any number of `label:` definitions, an optional instruction,
+ * and an optional `#` or `//` comment. Labels (including numeric local labels,
+ * referenced as `1b` or `1f`) can be used as the target of branches, jumps and
+ * PC-relative pseudo-instructions, and within operand expressions (e.g.
+ * `%hi(sym)`). As each instruction is encoded with its own address as PC, such
+ * targets (labels or numbers) are absolute addresses, which get converted into
+ * PC-relative offsets.
+ *
+ * The lower part `%pcrel_lo` of a PC-relative value is relative to the PC of
+ * the auipc instruction loading its upper part `%pcrel_hi`, referenced either
+ * by label as with the GNU assembler (e.g. `1: auipc a0, %pcrel_hi(0x2000)`
+ * then `addi a0, a0, %pcrel_lo(1b)`), or by repeating the same value (e.g.
+ * `%pcrel_lo(0x2000)`, matching the nearest preceding `%pcrel_hi(0x2000)`).
+ *
+ * @param {String} source
+ * @param {Object} config
+ * @param {Number} address Address of the first instruction
+ * @returns {Object[]} Listing with one record per encoded instruction (all
+ *   base instructions of a pseudo-instruction), each with `address`, `line`
+ *   number, `source` text, `labels` defined at that address, and either `hex`,
+ *   `asm` and the full `inst`, or `error` if the line could not be assembled
+ */
+export function assemble(source, config = {}, address = 0) {
+  config = resolveConfig(config);
+
+  // First pass: parse statements, and assign addresses to statements and labels
+  let labels = {};
+  let localLabels = [];
+  let stmts = [];
+  let pendingLabels = [];
+  let pc = address;
+  source.split(/\r?\n/).forEach((text, idx) => {
+    let stmt = { line: idx + 1, source: text, labels: pendingLabels };
+    let rest = text.replace(/(?:#|\/\/).*$/, '').trim();
+
+    // Label definitions
+    let match;
+    while ((match = /^([A-Za-z_.$][\w.$]*|\d+)\s*:/.exec(rest)) !== null) {
+      const label = match[1];
+      if (/^\d+$/.test(label)) {
+        localLabels.push({ label: label, stmt: stmts.length, address: pc });
+      } else if (label in labels) {
+        stmt.error = new EncodeError(`Duplicate label: '${label}'`);
+      } else {
+        labels[label] = pc;
+      }
+      stmt.labels.push(label);
+      rest = rest.substring(match[0].length).trim();
+    }
+
+    // Labels only, attach them to next instruction
+    if (rest === '' && stmt.error === undefined) {
+      return;
+    }
+    pendingLabels = [];
+    stmt.address = pc;
+    stmts.push(stmt);
+
+    // Directives
+    if (rest.startsWith('.')) {
+      const directive = rest.split(/\s/)[0].toLowerCase();
+      if (!IGNORED_DIRECTIVES.includes(directive)) {
+        stmt.error = stmt.error ?? new EncodeError(`Unsupported directive: '${directive}'`);
+      }
+      stmt.size = 0;
+      return;
+    }
+
+    stmt.asm = rest;
+    stmt.size = statementSize(rest, config);
+    pc += stmt.size;
+  });
+
+  // Labels at end of source
+  if (pendingLabels.length > 0) {
+    stmts.push({ labels: pendingLabels, address: pc, size: 0 });
+  }
+
+  // Resolve label reference from given statement into its address
+  const resolve = (ref, stmtIdx) => {
+    const local = /^(\d+)([bf])$/.exec(ref);
+    if (local === null) {
+      return labels[ref];
+    }
+    const candidates = localLabels.filter(l => l.label === local[1]);
+    return (local[2] === 'b')
+      ? candidates.filter(l => l.stmt <= stmtIdx).pop()?.address
+      : candidates.find(l => l.stmt > stmtIdx)?.address;
+  };
+
+  // Second pass: resolve labels and encode instructions
+  let records = [];
+  stmts.forEach((stmt, stmtIdx) => {
+    let record = { address: stmt.address, line: stmt.line, source: stmt.source,
+      labels: stmt.labels };
+
+    // Nothing to encode
+    if (stmt.asm === undefined) {
+      if (stmt.error !== undefined || stmt.labels.length > 0) {
+        records.push(Object.assign(record, stmt.error && { error: stmt.error }));
+      }
+      return;
+    }
+
+    try {
+      if (stmt.error !== undefined) {
+        throw stmt.error;
+      }
+
+      // Replace label in PC-relative operand with its address
+      const { asm, auipc } = pairPcrelLo(stmts, stmtIdx, resolve);
+      const { mne, oprs, pcrelIdx } = parseStatement(
+        resolveLabels(asm, ref => resolve(ref, stmtIdx)));
+      if (pcrelIdx >= 0 && LABEL_REF.test(oprs[pcrelIdx])) {
+        const target = resolve(oprs[pcrelIdx], stmtIdx);
+        if (target === undefined) {
+          throw new InvalidOperandError(`Undefined label: '${oprs[pcrelIdx]}'`);
+        }
+        oprs[pcrelIdx] = '0x' + target.toString(16);
+      }
+      const inst = new Instruction(mne + ' ' + oprs.join(', '),
+        Object.assign({}, config, { PC: stmt.address, AUIPC: auipc }));
+
+      // One record per base instruction
+      let addr = stmt.address;
+      (inst.expansion ?? [inst]).forEach((baseInst, i) => {
+        records.push({ address: addr, line: stmt.line,
+          source: (i === 0) ? stmt.source : undefined,
+          labels: (i === 0) ? stmt.labels : [],
+          hex: baseInst.hex, asm: baseInst.asm, inst: baseInst });
+        addr += baseInst.hex.length / 2;
+      });
+
+    } catch (error) {
+      record.error = error;
+      records.push(record);
+    }
+  });
+
+  return records;
+}
+
+/**
+ * Renders an assembled listing as text, one instruction per line preceded by
+ * its labels
+ * @param {Object[]} records
+ * @returns {String}
+ */
+export function renderListing(records) {
+  let lines = [];
+  for (const record of records) {
+    for (const label of record.labels) {
+      lines.push(label + ':');
+    }
+    if (record.error !== undefined) {
+      lines.push(`  line ${record.line}: error: ${record.error}`);
+    } else if (record.hex !== undefined) {
+      const addr = record.address.toString(16).padStart(8, '0');
+      lines.push(`  ${addr}:  ${record.hex.padEnd(8)}  ${record.asm}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+// Split assembly instruction into mnemonic and comma-separated operands, and
+// find which operand (if any) is PC-relative. Operand expressions are left for
+// the Instruction to evaluate.
+function parseStatement(asm) {
+  const match = /^(\S+)\s*(.*)$/s.exec(asm);
+  const mne = match[1].toLowerCase();
+  const oprs = (match[2] === '') ? [] : splitOperands(match[2]);
+
+  // Pseudo-instruction forms not matching (e.g. due to an expression operand)
+  // are left for the Instruction to report
+  let form;
+  try {
+    form = findPseudoForm(asm);
+  } catch {
+    return { mne, oprs, pcrelIdx: -1 };
+  }
+
+  let pcrelIdx = -1;
+  if (form !== undefined) {
+    // Pseudo-instruction targets are named in their operands
+    const names = form.oprs.split(', ');
+    pcrelIdx = names.findIndex(name => name === 'offset' || name === 'symbol');
+  } else if (ISA[mne] === undefined) {
+    throw new InvalidMnemonicError(`Invalid mnemonic: ${mne}`);
+  } else if (ISA[mne].opcode === OPCODE.BRANCH || ISA[mne].opcode === OPCODE.JAL
+      || C_PCREL.includes(mne)) {
+    // Branches and jumps take their target last
+    pcrelIdx = oprs.length - 1;
+  }
+
+  return { mne, oprs, pcrelIdx };
+}
+
+// Replace references to defined labels in the operands of assembly instruction
+// with their addresses, leaving other names (registers, CSRs, etc.) as they are
+function resolveLabels(asm, resolve) {
+  const match = /^(\S+)(.*)$/s.exec(asm);
+  return match[1] + match[2].replace(/(?<![\w.$%'\\])(?:[A-Za-z_.$][\w.$]*|\d+[bf])(?![\w.$])/g,
+    ref => {
+      const target = resolve(ref);
+      return (target === undefined) ? ref : '0x' + target.toString(16);
+    });
+}
+
+// Find argument of relocation operator in assembly instruction, with its
+// position in the instruction
+function findRelocation(asm, op) {
+  const match = new RegExp(`%${op}\\s*\\(`, 'i').exec(asm ?? '');
+  if (match === null) {
+    return undefined;
+  }
+  const start = match.index + match[0].length;
+  let depth = 1, end = start;
+  for (; end < asm.length && depth > 0; end++) {
+    depth += (asm[end] === '(') ? 1 : (asm[end] === ')') ? -1 : 0;
+  }
+  return { arg: asm.substring(start, end - 1).trim(), start: match.index, end };
+}
+
+// Pair %pcrel_lo operand of statement with its %pcrel_hi, returning the
+// statement with the value of the latter, and the address of the `auipc`
+// instruction to evaluate it against
+function pairPcrelLo(stmts, stmtIdx, resolve) {
+  const stmt = stmts[stmtIdx];
+  const lo = findRelocation(stmt.asm, 'pcrel_lo');
+  if (lo === undefined) {
+    return { asm: stmt.asm };
+  }
+
+  let hiStmt;
+  if (LABEL_REF.test(lo.arg)) {
+    const target = resolve(lo.arg, stmtIdx);
+    if (target === undefined) {
+      throw new InvalidOperandError(`Undefined label: '${lo.arg}'`);
+    }
+    hiStmt = stmts.find(s => s.address === target && findRelocation(s.asm, 'pcrel_hi'));
+    if (hiStmt === undefined) {
+      throw new InvalidOperandError(`No %pcrel_hi at label '${lo.arg}' of %pcrel_lo`);
+    }
+  } else {
+    hiStmt = stmts.slice(0, stmtIdx).reverse()
+      .find(s => findRelocation(s.asm, 'pcrel_hi')?.arg === lo.arg);
+    if (hiStmt === undefined) {
+      throw new InvalidOperandError(`No %pcrel_hi(${lo.arg}) preceding %pcrel_lo(${lo.arg})`);
+    }
+  }
+
+  const hi = findRelocation(hiStmt.asm, 'pcrel_hi');
+  const asm = stmt.asm.substring(0, lo.start) + `%pcrel_lo(${hi.arg})` +
+    stmt.asm.substring(lo.end);
+  return { asm, auipc: hiStmt.address };
+}
+
+// Size in bytes of statement, with labels standing in as zero offsets
+function statementSize(asm, config) {
+  config = Object.assign({}, config, { PC: undefined });
+  let count = 1;
+  let compressed = false;
+  try {
+    // Operand expressions evaluated for value-dependent pseudo-instructions
+    const { mne, oprs, pcrelIdx } = parseStatement(evaluateOperands(asm).asm);
+    if (pcrelIdx >= 0) {
+      oprs[pcrelIdx] = '0';
+    }
+    count = expandPseudo(mne + ' ' + oprs.join(', '), config)?.length ?? 1;
+    compressed = /^cm?\./.test(mne);
+  } catch {
+    // Errors are reported when encoding the statement
+  }
+  return count * (compressed ? 2 : 4);
+}
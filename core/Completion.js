@@ -7,14 +7,17 @@
  */
 
 import { Trie } from "./Trie.js";
-import { ISA, OPCODE, XLEN_MASK } from "./Constants.js";
+import { ISA, OPCODE, XLEN_MASK, REGISTER, FLOAT_REGISTER, CSR } from "./Constants.js";
+import { COPTS_ISA, resolveConfig, missingExtensions } from "./Config.js";
+import { PSEUDO } from "./Pseudo.js";
 
 // Construct ISA Prefix Tries
 export const ISA_TRIE = new Trie();
 export const ISA_TRIE_RV32 = new Trie();
 export const ISA_TRIE_RV64 = new Trie();
 export const ISA_TRIE_RV128 = new Trie();
-Object.entries(ISA).forEach(([k,v]) => {
+// Insert mnemonic into the full Trie and the Tries of each supported XLEN
+function insertIsaTries(k, v) {
   ISA_TRIE.insertString(k);
   // Conditionally add to ISA-specific tries
   if (v.xlens !== undefined) {
@@ -46,7 +49,146 @@ Object.entries(ISA).forEach(([k,v]) => {
         ISA_TRIE_RV32.insertString(k);
     }
   }
+}
+
+// Tell if pseudo-instruction form always expands into a single instruction,
+// unlike forms with value-dependent expansions (e.g. 'li' into lui/addi)
+function singleInstruction(form) {
+  return form.expansion.length === 1 && form.expand === undefined;
+}
+
+// Tell if pseudo-instruction form is offered for completion: single-instruction
+// forms, and value-dependent ones (i.e. 'li'), only expanding into base
+// integer instructions available on every XLEN
+function completedPseudo(form) {
+  return singleInstruction(form) || form.expand !== undefined;
+}
+
+// Mnemonics mapped to their (base) instruction, including pseudo-instructions,
+// supported by the same XLENs and extensions as their base instruction (for
+// value-dependent expansions, the base integer instruction they default to)
+const MNEMONICS = Object.assign({}, ISA);
+Object.entries(PSEUDO).forEach(([k,forms]) => {
+  if (completedPseudo(forms[0]) && !(k in MNEMONICS)) {
+    MNEMONICS[k] = ISA[forms[0].expansion[0].split(' ')[0]];
+  }
 });
+Object.entries(MNEMONICS).forEach(([k,v]) => insertIsaTries(k, v));
+
+// Tries for sets of enabled extensions, built on demand
+const ISA_STRING_TRIES = {};
+
+/**
+ * Gets the Trie of mnemonics available with an ISA configuration
+ * @param {Symbol|String} isa COPTS_ISA value or ISA naming string
+ * @returns {Trie}
+ */
+export function getIsaTrie(isa) {
+  return getConfigIsaTrie(resolveConfig({ ISA: isa }));
+}
+
+/**
+ * Gets the Trie of mnemonics available with a resolved configuration, as
+ * used by the Encoder and Decoder
+ * @param {Object} config
+ * @returns {Trie}
+ */
+export function getConfigIsaTrie(config) {
+  // Trie of all mnemonics of XLEN
+  let xlenTrie;
+  switch (config.ISA) {
+    case COPTS_ISA.RV32I:
+      xlenTrie = ISA_TRIE_RV32;
+      break;
+    case COPTS_ISA.RV64I:
+      xlenTrie = ISA_TRIE_RV64;
+      break;
+    case COPTS_ISA.RV128I:
+      xlenTrie = ISA_TRIE_RV128;
+      break;
+    default:
+      xlenTrie = ISA_TRIE;
+  }
+  if (config.EXTENSIONS === undefined) {
+    return xlenTrie;
+  }
+
+  // Only keep mnemonics of enabled extensions
+  const key = [config.ISA.description, ...[...config.EXTENSIONS].sort()].join('_');
+  if (ISA_STRING_TRIES[key] === undefined) {
+    let trie = new Trie();
+    for (const [k,v] of Object.entries(MNEMONICS)) {
+      if (xlenTrie.contains(k) && missingExtensions(config, v.isa, k).length === 0) {
+        trie.insertString(k);
+      }
+    }
+    ISA_STRING_TRIES[key] = trie;
+  }
+  return ISA_STRING_TRIES[key];
+}
+
+// Construct Tries of register names, both ABI and x<num>/f<num>, and CSR names
+export const REGISTER_TRIE = new Trie();
+export const EMBEDDED_REGISTER_TRIE = new Trie();
+export const FLOAT_REGISTER_TRIE = new Trie();
+export const CSR_TRIE = new Trie();
+Object.entries(REGISTER).flat().forEach(name => REGISTER_TRIE.insertString(name));
+Object.entries(REGISTER).filter(([, reg]) => Number(reg.substring(1)) < 16).flat()
+  .forEach(name => EMBEDDED_REGISTER_TRIE.insertString(name));
+Object.entries(FLOAT_REGISTER).flat().forEach(name => FLOAT_REGISTER_TRIE.insertString(name));
+Object.keys(CSR).forEach(name => CSR_TRIE.insertString(name));
+
+/**
+ * Gets the Trie of integer register names available with a resolved
+ * configuration, embedded bases (RV32E/RV64E) only having x0 to x15
+ * @param {Object} config
+ * @returns {Trie}
+ */
+export function getConfigRegisterTrie(config) {
+  return config.EMBEDDED ? EMBEDDED_REGISTER_TRIE : REGISTER_TRIE;
+}
+
+// Maximum number of suggestions for a misspelled name
+const MAX_SUGGESTIONS = 4;
+
+/**
+ * Suggests names of a Trie close to a misspelled name: first the name
+ * completed with a missing suffix (e.g., 'fadd' into 'fadd.s'), then names
+ * within a small edit distance (e.g., 'mstatsu' into 'mstatus')
+ * @param {Trie} trie
+ * @param {String} name
+ * @returns {String[]}
+ */
+export function suggestNames(trie, name) {
+  name = name.toLowerCase();
+
+  // Names only missing a suffix
+  let completions = [];
+  for (let it = trie.iteratorAt(name + '.'); it.valid(); ) {
+    if (!it.get().substring(name.length + 1).includes('.')) {
+      completions.push(it.get());
+    }
+    if (!it.next()) {
+      break;
+    }
+  }
+
+  // Nearest names, preferring longer common prefixes and similar lengths
+  const commonPrefix = str => {
+    const mismatch = [...str].findIndex((c, i) => c !== name[i]);
+    return (mismatch === -1) ? str.length : mismatch;
+  };
+  const nearest = trie.lookupNearest(name, (name.length <= 3) ? 1 : 2)
+    .filter(({ str }) => str !== name && !completions.includes(str))
+    .sort((a, b) => (a.distance - b.distance)
+      || (commonPrefix(b.str) - commonPrefix(a.str))
+      || (Math.abs(a.str.length - name.length) - Math.abs(b.str.length - name.length))
+      || a.str.localeCompare(b.str))
+    .map(({ str }) => str);
+
+  // Keep all completions, as equally likely
+  return completions.concat(nearest).slice(0, Math.max(completions.length, MAX_SUGGESTIONS));
+}
 
 // Default Operand Placeholder String by Opcode
 export const CANONICAL_OPERANDS_BY_OPCODE = {
@@ -82,13 +224,41 @@ const CANONICAL_OPERANDS_EXCEPTIONS_REGEX = [
   [/^csr.*i/,                'rd, csr, uimm'],
   [/^csr/,                   'rd, csr, rs1'],
   [/^fence\.i/,              ''],
+  [/^cbo\./,                 '(rs1)'],
+  [/^prefetch\./,            'offset(rs1)'],
+  [/^lpad/,                  'label'],
+  [/^sspush/,                'rs2'],
+  [/^sspopchk/,              'rs1'],
+  [/^ssrdp/,                 'rd'],
+  [/^(?:sfence|sinval|hfence|hinval)\.[vg]+ma/, 'rs1, rs2'],
+  [/^hlvx?\./,               'rd, (rs1)'],
+  [/^hsv\./,                 'rs2, (rs1)'],
   [/^fsqrt\./,               'frd, frs1'],
   [/^fclass\./,              'rd, frs1'],
   [/^fmv\.x/,                'rd, frs1'],
-  [/^fmv\.[wdq]/,            'frd, rs1'],
+  [/^fmv\.[wdqh]/,           'frd, rs1'],
   [/^fcvt\.[wlt]/,           'rd, frs1'],
-  [/^fcvt\.[sdq]\.[wlt]/,    'frd, rs1'],
-  [/^fcvt\.[sdq]\.[sdq]/,    'frd, frs1'],
+  [/^fcvt\.[sdqh]\.[wlt]/,   'frd, rs1'],
+  [/^fcvt\.[sdqh]\.[sdqh]/,  'frd, frs1'],
+  [/^fcvtmod\./,             'rd, frs1, rtz'],
+  [/^fround/,                'frd, frs1'],
+  [/^fmvh\.x/,               'rd, frs1'],
+  [/^f(?:leq|ltq)\./,        'rd, frs1, frs2'],
+  [/^(?:clz|ctz|cpop|sext\.[bh]|zext\.h|orc\.b|rev8)/, 'rd, rs1'],
+  [/^(?:brev8|zip|unzip|aes64im|sha256s|sha512s(?:ig|um)[01]$|sm3p)/, 'rd, rs1'],
+  [/^(?:aes32|sm4)/,         'rd, rs1, rs2, bs'],
+  [/^aes64ks1i/,             'rd, rs1, rnum'],
+  [/^vsetvli/,               'rd, rs1, vtype'],
+  [/^vsetivli/,              'rd, uimm, vtype'],
+  [/^vsetvl/,                'rd, rs1, rs2'],
+  [/^vl(?:\dr|m\.)/,          'vd, (rs1)'],
+  [/^vls(?:e\d|seg)/,        'vd, (rs1), rs2, vm'],
+  [/^vl[uo]x/,               'vd, (rs1), vs2, vm'],
+  [/^vl/,                    'vd, (rs1), vm'],
+  [/^vs(?:\dr|m\.)/,          'vs3, (rs1)'],
+  [/^vss(?:e\d|seg)/,        'vs3, (rs1), rs2, vm'],
+  [/^vs[uo]x/,               'vs3, (rs1), vs2, vm'],
+  [/^vs/,                    'vs3, (rs1), vm'],
 ];
 
 // C Instruction mnemonics mapped to canonical operand strings
@@ -142,14 +312,42 @@ const CANONICAL_OPERANDS_C_INSTRUCTIONS = {
   'c.addw':     'rd\'/rs1\', rs2\'',
   'c.nop':      '',
   'c.ebreak':   '',
+  'c.lbu':      'rd\', uimm(rs1\')',
+  'c.lhu':      'rd\', uimm(rs1\')',
+  'c.lh':       'rd\', uimm(rs1\')',
+  'c.sb':       'rs2\', uimm(rs1\')',
+  'c.sh':       'rs2\', uimm(rs1\')',
+  'c.zext.b':   'rd\'/rs1\'',
+  'c.sext.b':   'rd\'/rs1\'',
+  'c.zext.h':   'rd\'/rs1\'',
+  'c.sext.h':   'rd\'/rs1\'',
+  'c.zext.w':   'rd\'/rs1\'',
+  'c.not':      'rd\'/rs1\'',
+  'c.mul':      'rd\'/rs1\', rs2\'',
+  'cm.push':    '{reg_list}, -stack_adj',
+  'cm.pop':     '{reg_list}, stack_adj',
+  'cm.popretz': '{reg_list}, stack_adj',
+  'cm.popret':  '{reg_list}, stack_adj',
+  'cm.mvsa01':  'r1s\', r2s\'',
+  'cm.mva01s':  'r1s\', r2s\'',
+  'cm.jt':      'index',
+  'cm.jalt':    'index',
+  'c.sspush':   'x1',
+  'c.sspopchk': 'x5',
 }
 
 // Construct final mapping from mnemonics to canonical operands
 export const CANONICAL_OPERANDS = (() => {
   let canonOprs = {};
 
-  const cRegex = /^c\./;
+  const cRegex = /^cm?\./;
   for (const [mne, inst] of Object.entries(ISA)) {
+    // Instruction defining its own operands
+    if (inst.oprs !== undefined) {
+      canonOprs[mne] = inst.oprs;
+      continue;
+    }
+
     if (cRegex.test(mne)) {
       // C Instruction, skip and then just combine with dedicated object
       continue;
@@ -174,6 +372,13 @@ export const CANONICAL_OPERANDS = (() => {
   // Finally, combin with C instructions
   Object.assign(canonOprs, CANONICAL_OPERANDS_C_INSTRUCTIONS);
 
+  // Pseudo-instructions offered for completion, unless sharing a base mnemonic
+  for (const [mne, forms] of Object.entries(PSEUDO)) {
+    if (completedPseudo(forms[0]) && !(mne in canonOprs)) {
+      canonOprs[mne] = forms[0].oprs;
+    }
+  }
+
   // Return result
   return canonOprs;
 })();
\ No newline at end of file
@@ -6,6 +6,8 @@
  * Copyright (c) 2021-2022 LupLab @ UC Davis
  */
 
+import { InvalidConfigError } from './Errors.js';
+
 // creates an enum object from an array of string names
 function makeEnum(names) {
   return Object.freeze(
@@ -20,27 +22,54 @@ function makeEnum(names) {
  * Configuration field types
  */
 export const CONFIG_TYPE = makeEnum(
-  ['BOOL', 'CHOOSE_ONE']
+  ['BOOL', 'CHOOSE_ONE', 'NUMBER']
 );
 
 /*
  * Configuration options enums
  */
 export const COPTS_ISA = makeEnum(
-  ['AUTO', 'RV32I', 'RV64I', 'RV128I']
+  ['AUTO', 'RV32I', 'RV64I', 'RV128I', 'RV32E', 'RV64E']
 );
 
+/*
+ * Standard extensions that can be enabled in an ISA naming string, in
+ * canonical order
+ */
+export const COPTS_EXTENSIONS = [
+  'M', 'A', 'F', 'D', 'Q', 'C', 'V', 'H',
+  'Zicsr', 'Zifencei', 'Zawrs', 'Zicbom', 'Zicboz', 'Zicbop', 'Zicfilp', 'Zicfiss',
+  'Zicond', 'Zimop', 'Zcmop',
+  'Zacas', 'Zabha',
+  'Zfh', 'Zfhmin', 'Zfa',
+  'Zfinx', 'Zdinx', 'Zhinx', 'Zhinxmin',
+  'Zcb', 'Zcmp', 'Zcmt',
+  'Zba', 'Zbb', 'Zbs',
+  'Zbkb', 'Zbkc', 'Zbkx', 'Zknd', 'Zkne', 'Zknh', 'Zksed', 'Zksh',
+  'Svinval', 'Smrnmi', 'Sdext',
+];
+
+/*
+ * Extensions holding floating-point values in integer registers, which exclude
+ * the floating-point extensions and are thus not enabled by default
+ */
+export const COPTS_EXTENSIONS_INX = ['Zfinx', 'Zdinx', 'Zhinx', 'Zhinxmin'];
+
 /**
  * Configuration options
  * - maps config field name to:
  *   - type: type of the configuration field (see CONFIG_TYPE)
  *   - opts: list of the possible values for the field
- *     - ignored for 'CONFIG_TYPE.BOOL'
+ *     - ignored for 'CONFIG_TYPE.BOOL' and 'CONFIG_TYPE.NUMBER'
+ *     - 'ISA' also accepts an ISA naming string (see `parseIsaString`)
  *   - default: default value, inferred as first value in 'opts'
  */
 export const configFields = {
-  ISA: { name: 'ISA', type: CONFIG_TYPE.CHOOSE_ONE, opts: Object.values(COPTS_ISA) },
-  ABI: { name: 'ABI', type: CONFIG_TYPE.BOOL,       default: false },
+  ISA:   { name: 'ISA',   type: CONFIG_TYPE.CHOOSE_ONE, opts: Object.values(COPTS_ISA) },
+  ABI:   { name: 'ABI',   type: CONFIG_TYPE.BOOL,       default: false },
+  ALIAS: { name: 'Alias', type: CONFIG_TYPE.BOOL,       default: false },
+  PC:    { name: 'PC',    type: CONFIG_TYPE.NUMBER,     default: undefined },
+  AUIPC: { name: 'AUIPC', type: CONFIG_TYPE.NUMBER,     default: undefined },
 }
 
 /**
@@ -51,5 +80,243 @@ export const configFields = {
 export const configDefault = Object.freeze(
   Object.fromEntries(
     Object.entries(configFields).map(
-      ([k,v]) => [k, (v.default ?? v.opts[0])]
+      ([k,v]) => [k, ('default' in v) ? v.default : v.opts[0]]
 )));
+
+/**
+ * Resolves a configuration by filling in default values, and by splitting an
+ * ISA naming string into its base `ISA` and the Set of enabled `EXTENSIONS`
+ * (left undefined when all extensions are enabled)
+ *
+ * Embedded bases (RV32E, RV64E) resolve into their integer base of same XLEN,
+ * with `EMBEDDED` set to restrict the integer registers to x0-x15.
+ * Addresses (`PC`, `AUIPC`) must be non-negative integers.
+ * @param {Object} config
+ * @returns {Object}
+ */
+export function resolveConfig(config) {
+  let resolved = Object.assign({}, configDefault, config);
+  for (const [key, field] of Object.entries(configFields)) {
+    const value = resolved[key];
+    if (field.type === CONFIG_TYPE.NUMBER && value !== undefined &&
+        !(Number.isSafeInteger(value) && value >= 0)) {
+      throw new InvalidConfigError(`Invalid ${key} "${value}", expected non-negative integer address`);
+    }
+  }
+  if (typeof resolved.ISA === 'string') {
+    const { base, extensions } = parseIsaString(resolved.ISA);
+    resolved.ISA = base;
+    resolved.EXTENSIONS = extensions;
+  }
+  if (resolved.ISA === COPTS_ISA.RV32E || resolved.ISA === COPTS_ISA.RV64E) {
+    resolved.ISA = COPTS_ISA[resolved.ISA.description.replace(/E$/, 'I')];
+    resolved.EMBEDDED = true;
+  }
+  return resolved;
+}
+
+/**
+ * Gets the name of the base of a resolved configuration, such as 'RV32E'
+ * @param {Object} config
+ * @returns {String}
+ */
+export function baseName(config) {
+  return config.EMBEDDED ? config.ISA.description.replace(/I$/, 'E') : config.ISA.description;
+}
+
+// Canonical order of single-letter extensions, following the base
+const ISA_STRING_ORDER = 'MAFDQLCBKJTPVH';
+
+// Canonical order of multi-letter extension prefixes
+const ISA_STRING_PREFIX_ORDER = 'ZSX';
+
+// Extensions abbreviated by G
+const ISA_STRING_G = ['M', 'A', 'F', 'D', 'Zicsr', 'Zifencei'];
+
+// Extensions implied by other extensions
+const ISA_STRING_IMPLIED = {
+  F: ['Zicsr'],
+  D: ['F'],
+  Q: ['D'],
+  B: ['Zba', 'Zbb', 'Zbs'],
+  V: ['D'],  // through Zve64d
+  Zfh: ['Zfhmin'],
+  Zfhmin: ['F'],
+  Zfa: ['F'],
+  Zfinx: ['Zicsr'],
+  Zdinx: ['Zfinx'],
+  Zhinx: ['Zhinxmin'],
+  Zhinxmin: ['Zfinx'],
+  Zcmt: ['Zicsr'],
+  Zicfilp: ['Zicsr'],
+  Zicfiss: ['Zicsr', 'Zimop'],
+  H: ['Zicsr'],
+  Zk: ['Zkn', 'Zkr', 'Zkt'],
+  Zkn: ['Zbkb', 'Zbkc', 'Zbkx', 'Zkne', 'Zknd', 'Zknh'],
+  Zks: ['Zbkb', 'Zbkc', 'Zbkx', 'Zksed', 'Zksh'],
+};
+
+// Z extensions accepted without instructions of their own, besides those
+// enabling or implying others
+const ISA_STRING_Z_NO_INSTRUCTIONS = ['Zicntr', 'Zihpm', 'Zihintpause', 'Zihintntl',
+  'Ztso', 'Zkr', 'Zkt'];
+
+// Z extensions known in an ISA naming string, unknown ones being rejected (S
+// and X extensions, which mostly have no instructions of their own, are
+// accepted as is)
+const ISA_STRING_Z_KNOWN = new Set([...COPTS_EXTENSIONS,
+  ...Object.entries(ISA_STRING_IMPLIED).flat(2), ...ISA_STRING_Z_NO_INSTRUCTIONS]
+  .filter(ext => ext[0] === 'Z'));
+
+// Floating-point extensions, replaced by their counterparts holding values in
+// integer registers
+const ISA_STRING_INX = {
+  F: 'Zfinx',
+  D: 'Zdinx',
+  Zfh: 'Zhinx',
+  Zfhmin: 'Zhinxmin',
+};
+
+// Floating-point loads, stores and moves between register files, which have no
+// counterparts when values are held in integer registers
+const ISA_INX_EXCLUDED_REGEX = /^(?:c\.)?f[ls][hwdq](?:sp)?$|^fmv\.(?:x\.[hwdq]|[hwdq]\.x)$/;
+
+/**
+ * Parses an ISA naming string, such as 'rv64imafdc_zicsr_zifencei' or
+ * 'rv32gc', following the naming rules of the unprivileged specification
+ * - base 'rv32', 'rv64' or 'rv128', followed by 'i' or 'g', or base 'rv32' or
+ *   'rv64' followed by 'e' for the embedded bases
+ * - single-letter extensions in canonical order
+ * - multi-letter 'z', 's' then 'x' extensions, separated by underscores, with
+ *   unknown 'z' extensions rejected
+ * - optional version numbers (e.g. '2p0'), which are ignored
+ * @param {String} str
+ * @returns {Object} `base` as a COPTS_ISA value, and Set of `extensions`
+ */
+export function parseIsaString(str) {
+  const match = /^rv(32|64|128)([ige])(.*)$/i.exec(str.trim());
+  if (match === null || (match[1] === '128' && match[2].toUpperCase() === 'E')) {
+    throw new InvalidConfigError(`Invalid ISA string '${str}': expecting base RV32I, RV64I, RV128I, RV32E, RV64E or G`);
+  }
+  const embedded = match[2].toUpperCase() === 'E';
+  const base = COPTS_ISA[`RV${match[1]}${embedded ? 'E' : 'I'}`];
+  // Embedded bases provide the same instructions as their integer counterparts
+  let extensions = new Set(['I']);
+  if (match[2].toUpperCase() === 'G') {
+    ISA_STRING_G.forEach(ext => extensions.add(ext));
+  }
+
+  // Single-letter extensions, optionally separated by underscores
+  let rest = match[3].replace(/^\d+(?:p\d+)?/i, '');
+  let order = -1;
+  while (rest.length > 0 && !/^[zsx]/i.test(rest)) {
+    if (rest[0] === '_') {
+      rest = rest.substring(1);
+      continue;
+    }
+    const ext = rest[0].toUpperCase();
+    const extOrder = ISA_STRING_ORDER.indexOf(ext);
+    if (extOrder === -1) {
+      throw new InvalidConfigError(`Invalid ISA string '${str}': unknown extension '${ext}'`);
+    } else if (extOrder <= order || extensions.has(ext)) {
+      throw new InvalidConfigError(`Invalid ISA string '${str}': extension '${ext}' out of canonical order ` +
+        `(${ISA_STRING_ORDER})`);
+    }
+    order = extOrder;
+    extensions.add(ext);
+    rest = rest.substring(1).replace(/^\d+(?:p\d+)?/i, '');
+  }
+
+  // Multi-letter extensions, separated by underscores
+  let prefixOrder = -1;
+  for (const token of rest.split('_').filter(token => token !== '')) {
+    const extMatch = /^([zsx][a-z0-9]*?[a-z])(?:\d+(?:p\d+)?)?$/i.exec(token);
+    if (extMatch === null) {
+      throw new InvalidConfigError(`Invalid ISA string '${str}': malformed extension '${token}'`);
+    }
+    const ext = extMatch[1][0].toUpperCase() + extMatch[1].substring(1).toLowerCase();
+    const extPrefixOrder = ISA_STRING_PREFIX_ORDER.indexOf(ext[0]);
+    if (ext[0] === 'Z' && !ISA_STRING_Z_KNOWN.has(ext)) {
+      throw new InvalidConfigError(`Invalid ISA string '${str}': unknown extension '${ext}'`);
+    } else if (extPrefixOrder < prefixOrder) {
+      throw new InvalidConfigError(`Invalid ISA string '${str}': extension '${ext}' out of canonical order ` +
+        `(Z, S then X extensions)`);
+    } else if (extensions.has(ext)) {
+      throw new InvalidConfigError(`Invalid ISA string '${str}': duplicate extension '${ext}'`);
+    }
+    prefixOrder = extPrefixOrder;
+    extensions.add(ext);
+  }
+
+  // Add implied extensions, until none left
+  let implied;
+  do {
+    implied = [...extensions].flatMap(ext => ISA_STRING_IMPLIED[ext] ?? [])
+      .filter(ext => !extensions.has(ext));
+    implied.forEach(ext => extensions.add(ext));
+  } while (implied.length > 0);
+
+  // Floating-point values are held in either floating-point or integer registers
+  if (extensions.has('Zfinx') && extensions.has('F')) {
+    throw new InvalidConfigError(`Invalid ISA string '${str}': extension 'Zfinx' incompatible with F`);
+  }
+
+  // Zcmp and Zcmt reuse the encodings of compressed double-precision stores
+  for (const ext of ['Zcmp', 'Zcmt']) {
+    if (extensions.has(ext) && extensions.has('C') && extensions.has('D')) {
+      throw new InvalidConfigError(`Invalid ISA string '${str}': extension '${ext}' incompatible with C and D`);
+    }
+  }
+
+  return { base, extensions };
+}
+
+/**
+ * Builds an ISA naming string from a base and a list of enabled extensions
+ * @param {Symbol} base COPTS_ISA value other than AUTO
+ * @param {String[]} extensions
+ * @returns {String}
+ */
+export function isaString(base, extensions) {
+  const single = [...ISA_STRING_ORDER].filter(ext => extensions.includes(ext));
+  const multi = extensions.filter(ext => ext.length > 1).sort((a, b) =>
+    ISA_STRING_PREFIX_ORDER.indexOf(a[0]) - ISA_STRING_PREFIX_ORDER.indexOf(b[0]));
+  return [base.description.toLowerCase() + single.join('').toLowerCase(),
+    ...multi.map(ext => ext.toLowerCase())].join('_');
+}
+
+/**
+ * Lists the extensions required by an instruction, from its ISA (e.g. 'RV64D',
+ * 'FC', 'Zicsr', 'RV32D_Zfhmin' when requiring several of them, or
+ * 'RV64Zknd/Zkne' when requiring either of them), but not enabled in the
+ * resolved configuration
+ *
+ * Floating-point extensions are also provided by their counterparts holding
+ * values in integer registers (e.g. Zfinx for F), except for the loads, stores
+ * and moves between register files, identified by the instruction mnemonic.
+ * @param {Object} config
+ * @param {String} isa
+ * @param {String} [mne]
+ * @returns {String[]}
+ */
+export function missingExtensions(config, isa, mne = undefined) {
+  if (config.EXTENSIONS === undefined) {
+    return [];
+  }
+  const required = isa.replace(/^RV\d+/, '').split('_').flatMap(ext =>
+    (ext === 'Priv') ? [] : /^[A-Z]+$/.test(ext) ? [...ext] : [ext]);
+  const inx = mne !== undefined && !ISA_INX_EXCLUDED_REGEX.test(mne);
+  return required.filter(ext => !ext.split('/').some(alt => config.EXTENSIONS.has(alt) ||
+    (inx && config.EXTENSIONS.has(ISA_STRING_INX[alt]))));
+}
+
+/**
+ * Tells if the resolved configuration holds floating-point values in integer
+ * registers (Zfinx), double-precision values using even-odd register pairs on
+ * RV32 (Zdinx)
+ * @param {Object} config
+ * @returns {Boolean}
+ */
+export function floatInIntRegs(config) {
+  return config.EXTENSIONS?.has('Zfinx') ?? false;
+}
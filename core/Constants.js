@@ -35,6 +35,7 @@ export const XLEN_MASK = {
 
 // Encoding for floating-point register width
 export const FP_WIDTH = {
+  H: '001',
   S: '010',
   D: '011',
   Q: '100',
@@ -44,7 +45,7 @@ export const FP_WIDTH = {
 export const FP_FMT = {
   S: '00',  //  32-bit
   D: '01',  //  64-bit
-/*H: '10',  //  16-bit */ // Unused in G extension
+  H: '10',  //  16-bit
   Q: '11',  // 128-bit
 }
 
@@ -73,6 +74,10 @@ export const FIELDS = {
   r_fp_fmt: { pos: [26, 2], name: 'fmt' },
   r_fp_rm:  { pos: [14, 3], name: 'rm' },
 
+  // R-type: scalar crypto byte select
+  r_bs:        { pos: [31, 2], name: 'bs' },
+  r_bs_funct5: { pos: [29, 5], name: 'funct5' },
+
   // I-type
   i_imm_11_0: { pos: [31, 12], name: 'imm[11:0]' },
 
@@ -90,6 +95,10 @@ export const FIELDS = {
   // I-type: trap instructions
   i_funct12: { pos: [31, 12], name: 'funct12' },
 
+  // I-type: scalar crypto round number
+  i_funct8: { pos: [31, 8], name: 'funct8' },
+  i_rnum:   { pos: [23, 4], name: 'rnum' },
+
   // I-type: CSR instructions
   i_csr:     { pos: [31, 12], name: 'csr' },
   i_imm_4_0: { pos: [19, 5],  name: 'imm[4:0]' },
@@ -119,12 +128,15 @@ export const FIELDS = {
   j_imm_19_12:  { pos: [19, 8],  name: 'imm[19:12]' },
 
   // ISA_C: general
-  c_opcode:     { pos: [1, 2],   name: 'opcode' },
-  c_funct6:     { pos: [15, 6],  name: 'funct6' },
-  c_funct4:     { pos: [15, 4],  name: 'funct4' },
-  c_funct3:     { pos: [15, 3],  name: 'funct3' },
-  c_funct2:     { pos: [6, 2],   name: 'funct2' },
-  c_funct2_cb:  { pos: [11, 2],  name: 'funct2' },
+  c_opcode:      { pos: [1, 2],   name: 'opcode' },
+  c_funct6:      { pos: [15, 6],  name: 'funct6' },
+  c_funct4:      { pos: [15, 4],  name: 'funct4' },
+  c_funct3:      { pos: [15, 3],  name: 'funct3' },
+  c_funct2:      { pos: [6, 2],   name: 'funct2' },
+  c_funct2_cb:   { pos: [11, 2],  name: 'funct2' },
+  c_funct2_cmpp: { pos: [9, 2],   name: 'funct2' },
+  c_funct5_cu:   { pos: [6, 5],   name: 'funct5' },
+  c_funct1:      { pos: [6, 1],   name: 'funct1' },
 
   // ISA_C: registers
   c_rd:             { pos: [11, 5],  name: 'rd' },
@@ -135,6 +147,9 @@ export const FIELDS = {
   c_rs2_prime:      { pos: [4, 3],   name: 'rs2\'' },
   c_rs1_prime:      { pos: [9, 3],   name: 'rs1\'' },
   c_rd_rs1_prime:   { pos: [9, 3],   name: 'rd\'/rs1\'' },
+  c_r1s_prime:      { pos: [9, 3],   name: 'r1s\'' },
+  c_r2s_prime:      { pos: [4, 3],   name: 'r2s\'' },
+  c_rlist:          { pos: [7, 4],   name: 'rlist' },
 
   // ISA_C: immediates
   // - referenced by inst format type and index starting from MSB
@@ -151,6 +166,34 @@ export const FIELDS = {
   c_imm_cj:     { pos: [12, 11], name: 'imm' },
   c_shamt_0:    { pos: [12, 1],  name: 'shamt' },
   c_shamt_1:    { pos: [6, 5],   name: 'shamt' },
+  c_imm_clb:    { pos: [6, 2],   name: 'imm' },
+  c_imm_clh:    { pos: [5, 1],   name: 'imm' },
+  c_spimm:      { pos: [3, 2],   name: 'spimm' },
+  c_index:      { pos: [9, 8],   name: 'index' },
+
+  // V: registers
+  v_vd:         { pos: [11, 5],  name: 'vd' },
+  v_vs3:        { pos: [11, 5],  name: 'vs3' },
+  v_vs2:        { pos: [24, 5],  name: 'vs2' },
+  v_vs1:        { pos: [19, 5],  name: 'vs1' },
+  v_vm:         { pos: [25, 1],  name: 'vm' },
+  v_funct6:     { pos: [31, 6],  name: 'funct6' },
+
+  // V: memory instructions
+  v_nf:         { pos: [31, 3],  name: 'nf' },
+  v_mew:        { pos: [28, 1],  name: 'mew' },
+  v_mop:        { pos: [27, 2],  name: 'mop' },
+  v_lumop:      { pos: [24, 5],  name: 'lumop' },
+  v_sumop:      { pos: [24, 5],  name: 'sumop' },
+  v_width:      { pos: [14, 3],  name: 'width' },
+
+  // V: configuration instructions
+  v_vset_31:    { pos: [31, 1],  name: 'vset' },
+  v_vset_31_30: { pos: [31, 2],  name: 'vset' },
+  v_vset_31_25: { pos: [31, 7],  name: 'vset' },
+  v_zimm_10_0:  { pos: [30, 11], name: 'zimm[10:0]' },
+  v_zimm_9_0:   { pos: [29, 10], name: 'zimm[9:0]' },
+  v_uimm:       { pos: [19, 5],  name: 'uimm[4:0]' },
 }
 
 
@@ -177,6 +220,7 @@ export const OPCODE = {
   NMSUB:    '1001011',
   NMADD:    '1001111',
   OP_FP:    '1010011',
+  OP_V:     '1010111',
   OP_IMM_64:'1011011',
   BRANCH:   '1100011',
   JALR:     '1100111',
@@ -185,6 +229,10 @@ export const OPCODE = {
   OP_64:    '1111011',
 }
 
+// Opcodes of base computational instructions, which are HINTs when writing x0
+export const HINT_OPCODES = [OPCODE.LUI, OPCODE.AUIPC, OPCODE.OP_IMM, OPCODE.OP,
+  OPCODE.OP_IMM_32, OPCODE.OP_32, OPCODE.OP_IMM_64, OPCODE.OP_64];
+
 // RVC base opcode map (assuming inst[1:0] =/= '11')
 export const C_OPCODE = {
   C0:   '00',
@@ -296,6 +344,29 @@ export const ISA_Zifencei = {
   'fence.i':  { isa: 'Zifencei', fmt: 'I-type', funct3: '001', opcode: OPCODE.MISC_MEM },
 }
 
+// Zicbom, Zicboz and Zicbop instruction sets
+//   Cache-block operations share funct3 with lq, prefetch hints overload ori
+//   with rd=x0, and are distinguished by imm[4:0] (i.e., rs2 field)
+export const ISA_Zicbom = {
+  'cbo.inval': { isa: 'Zicbom', fmt: 'I-type', funct12: '000000000000', funct3: '010', opcode: OPCODE.MISC_MEM },
+  'cbo.clean': { isa: 'Zicbom', fmt: 'I-type', funct12: '000000000001', funct3: '010', opcode: OPCODE.MISC_MEM },
+  'cbo.flush': { isa: 'Zicbom', fmt: 'I-type', funct12: '000000000010', funct3: '010', opcode: OPCODE.MISC_MEM },
+}
+export const ISA_Zicboz = {
+  'cbo.zero':  { isa: 'Zicboz', fmt: 'I-type', funct12: '000000000100', funct3: '010', opcode: OPCODE.MISC_MEM },
+}
+export const ISA_Zicbop = {
+  'prefetch.i': { isa: 'Zicbop', fmt: 'I-type', rs2: '00000', funct3: '110', opcode: OPCODE.OP_IMM },
+  'prefetch.r': { isa: 'Zicbop', fmt: 'I-type', rs2: '00001', funct3: '110', opcode: OPCODE.OP_IMM },
+  'prefetch.w': { isa: 'Zicbop', fmt: 'I-type', rs2: '00011', funct3: '110', opcode: OPCODE.OP_IMM },
+}
+
+// Zawrs instruction set
+export const ISA_Zawrs = {
+  'wrs.nto': { isa: 'Zawrs', fmt: 'I-type', funct12: '000000001101', funct3: '000', opcode: OPCODE.SYSTEM },
+  'wrs.sto': { isa: 'Zawrs', fmt: 'I-type', funct12: '000000011101', funct3: '000', opcode: OPCODE.SYSTEM },
+}
+
 // Zicsr instruction set
 export const ISA_Zicsr = {
   csrrw:  { isa: 'Zicsr', fmt: 'I-type', funct3: '001', opcode: OPCODE.SYSTEM },
@@ -369,6 +440,134 @@ export const ISA_A = {
   'amomaxu.q': { isa: 'RV128A', fmt: 'R-type', funct5: '11100', funct3: '100', opcode: OPCODE.AMO },
 }
 
+// A instruction memory ordering suffixes, with their aq and rl bits
+export const AMO_ORDERING = {
+  '':      { aq: '0', rl: '0' },
+  '.aq':   { aq: '1', rl: '0' },
+  '.rl':   { aq: '0', rl: '1' },
+  '.aqrl': { aq: '1', rl: '1' },
+}
+
+// ISA_A memory ordering variant generator
+function amoOrderingGen(insts) {
+  let variants = {};
+  for (const [name, inst] of Object.entries(insts)) {
+    for (const [suffix, bits] of Object.entries(AMO_ORDERING)) {
+      variants[name + suffix] = Object.assign({}, inst, bits);
+    }
+  }
+  return variants;
+}
+
+// A instruction set, including memory ordering variants
+export const ISA_A_ORDERED = amoOrderingGen(ISA_A);
+
+// Zacas instruction set, including memory ordering variants
+//   regPairs: xlens for which rd and rs2 hold even-odd register pairs
+export const ISA_Zacas = amoOrderingGen({
+  'amocas.w': { isa: 'Zacas',     fmt: 'R-type', funct5: '00101', funct3: '010', opcode: OPCODE.AMO },
+  'amocas.d': { isa: 'Zacas',     fmt: 'R-type', funct5: '00101', funct3: '011', regPairs: XLEN_MASK.rv32, opcode: OPCODE.AMO },
+  'amocas.q': { isa: 'RV64Zacas', fmt: 'R-type', funct5: '00101', funct3: '100', regPairs: XLEN_MASK.rv64, xlens: XLEN_MASK.rv64, opcode: OPCODE.AMO },
+});
+
+// Zabha instruction set, including memory ordering variants
+export const ISA_Zabha = amoOrderingGen({
+  'amoswap.b': { isa: 'Zabha',       fmt: 'R-type', funct5: '00001', funct3: '000', opcode: OPCODE.AMO },
+  'amoadd.b':  { isa: 'Zabha',       fmt: 'R-type', funct5: '00000', funct3: '000', opcode: OPCODE.AMO },
+  'amoxor.b':  { isa: 'Zabha',       fmt: 'R-type', funct5: '00100', funct3: '000', opcode: OPCODE.AMO },
+  'amoand.b':  { isa: 'Zabha',       fmt: 'R-type', funct5: '01100', funct3: '000', opcode: OPCODE.AMO },
+  'amoor.b':   { isa: 'Zabha',       fmt: 'R-type', funct5: '01000', funct3: '000', opcode: OPCODE.AMO },
+  'amomin.b':  { isa: 'Zabha',       fmt: 'R-type', funct5: '10000', funct3: '000', opcode: OPCODE.AMO },
+  'amomax.b':  { isa: 'Zabha',       fmt: 'R-type', funct5: '10100', funct3: '000', opcode: OPCODE.AMO },
+  'amominu.b': { isa: 'Zabha',       fmt: 'R-type', funct5: '11000', funct3: '000', opcode: OPCODE.AMO },
+  'amomaxu.b': { isa: 'Zabha',       fmt: 'R-type', funct5: '11100', funct3: '000', opcode: OPCODE.AMO },
+  'amocas.b':  { isa: 'Zabha_Zacas', fmt: 'R-type', funct5: '00101', funct3: '000', opcode: OPCODE.AMO },
+
+  'amoswap.h': { isa: 'Zabha',       fmt: 'R-type', funct5: '00001', funct3: '001', opcode: OPCODE.AMO },
+  'amoadd.h':  { isa: 'Zabha',       fmt: 'R-type', funct5: '00000', funct3: '001', opcode: OPCODE.AMO },
+  'amoxor.h':  { isa: 'Zabha',       fmt: 'R-type', funct5: '00100', funct3: '001', opcode: OPCODE.AMO },
+  'amoand.h':  { isa: 'Zabha',       fmt: 'R-type', funct5: '01100', funct3: '001', opcode: OPCODE.AMO },
+  'amoor.h':   { isa: 'Zabha',       fmt: 'R-type', funct5: '01000', funct3: '001', opcode: OPCODE.AMO },
+  'amomin.h':  { isa: 'Zabha',       fmt: 'R-type', funct5: '10000', funct3: '001', opcode: OPCODE.AMO },
+  'amomax.h':  { isa: 'Zabha',       fmt: 'R-type', funct5: '10100', funct3: '001', opcode: OPCODE.AMO },
+  'amominu.h': { isa: 'Zabha',       fmt: 'R-type', funct5: '11000', funct3: '001', opcode: OPCODE.AMO },
+  'amomaxu.h': { isa: 'Zabha',       fmt: 'R-type', funct5: '11100', funct3: '001', opcode: OPCODE.AMO },
+  'amocas.h':  { isa: 'Zabha_Zacas', fmt: 'R-type', funct5: '00101', funct3: '001', opcode: OPCODE.AMO },
+});
+
+// Numbered instruction family generator (e.g., 'mop.r.0' to 'mop.r.31'),
+// where number n is scattered over the bits of a field following a pattern,
+// whose 'n' characters are the bits of n from MSB to LSB
+// - each member records its number `n`, and the pattern as `nPattern`
+function numberedGen(name, inst, field, pattern, ns) {
+  const width = pattern.split('n').length - 1;
+  let family = {};
+  for (const n of ns) {
+    const nBits = n.toString(2).padStart(width, '0');
+    let i = 0;
+    family[name + n] = Object.assign({}, inst, {
+      [field]: pattern.replace(/n/g, () => nBits[i++]), n: n, nPattern: pattern,
+    });
+  }
+  return family;
+}
+
+// Lookup of numbered instruction family members having the given field, by its
+// bits (optionally split into two nested levels at the given index)
+function numberedLookupGen(family, field, split = undefined) {
+  let lookup = {};
+  for (const [name, inst] of Object.entries(family)) {
+    if (inst[field] === undefined) {
+      continue;
+    } else if (split === undefined) {
+      lookup[inst[field]] = name;
+    } else {
+      const key = inst[field].substring(0, split);
+      lookup[key] = Object.assign(lookup[key] ?? {}, { [inst[field].substring(split)]: name });
+    }
+  }
+  return lookup;
+}
+
+// Zimop instruction set
+//   May-be-operations are reserved for future extensions, and write 0 to rd
+export const ISA_Zimop = Object.assign(
+  numberedGen('mop.r.', { isa: 'Zimop', fmt: 'I-type', funct3: '100', oprs: 'rd, rs1', opcode: OPCODE.SYSTEM },
+    'funct12', '1n00nn0111nn', [...Array(32).keys()]),
+  numberedGen('mop.rr.', { isa: 'Zimop', fmt: 'R-type', funct3: '100', oprs: 'rd, rs1, rs2', opcode: OPCODE.SYSTEM },
+    'funct7', '1n00nn1', [...Array(8).keys()]),
+);
+
+// Zcmop instruction set
+//   Compressed may-be-operations take reserved c.lui encodings, with n odd
+export const ISA_Zcmop = numberedGen('c.mop.',
+  { isa: 'Zcmop', xlens: 0b111, fmt: 'CMOP-type', funct3: '011', oprs: '', opcode: C_OPCODE.C1 },
+  'rdRs1', 'nnnnn', [1, 3, 5, 7, 9, 11, 13, 15]);
+
+// Zicfilp instruction set
+//   Landing pads take the encoding of auipc with rd=x0
+export const ISA_Zicfilp = {
+  'lpad': { isa: 'Zicfilp', fmt: 'U-type', rd: '00000', opcode: OPCODE.AUIPC },
+}
+
+// Zicfiss instruction set, including memory ordering variants of ssamoswap
+//   Shadow-stack instructions take the encodings of may-be-operations, with
+//   sspopchk and ssrdp distinguished by rd=x0
+export const ISA_Zicfiss = Object.assign({
+  'sspush':     { isa: 'Zicfiss', fmt: 'R-type', funct7: '1100111', funct3: '100', opcode: OPCODE.SYSTEM },
+  'sspopchk':   { isa: 'Zicfiss', fmt: 'I-type', funct12: '110011011100', funct3: '100', opcode: OPCODE.SYSTEM },
+  'ssrdp':      { isa: 'Zicfiss', fmt: 'I-type', funct12: '110011011100', funct3: '100', opcode: OPCODE.SYSTEM },
+  'c.sspush':   { isa: 'Zicfiss', xlens: 0b111, fmt: 'CMOP-type', funct3: '011', rdRs1: '00001', opcode: C_OPCODE.C1 },
+  'c.sspopchk': { isa: 'Zicfiss', xlens: 0b111, fmt: 'CMOP-type', funct3: '011', rdRs1: '00101', opcode: C_OPCODE.C1 },
+}, amoOrderingGen({
+  'ssamoswap.w': { isa: 'Zicfiss',     fmt: 'R-type', funct5: '01001', funct3: '010', opcode: OPCODE.AMO },
+  'ssamoswap.d': { isa: 'RV64Zicfiss', fmt: 'R-type', funct5: '01001', funct3: '011', opcode: OPCODE.AMO },
+}));
+
+// Shadow-stack link registers (x1 and x5), the only ones valid in Zicfiss
+// instructions
+export const ZICFISS_LINK_REGS = ['00001', '00101'];
+
 // F instruction set
 export const ISA_F = {
   'flw':       { isa: 'RV32F', fmt: 'I-type', funct3: FP_WIDTH.S, opcode: OPCODE.LOAD_FP },
@@ -521,7 +720,120 @@ export const ISA_Q = {
   'fcvt.q.tu': { isa: 'RV128Q', fmt: 'R-type', funct5: '11010', fp_fmt: FP_FMT.Q, rs2: '00101', opcode: OPCODE.OP_FP },
 }
 
+// Zfh/Zfhmin instruction set
+// - Zfhmin only provides loads, stores, moves and conversions to/from other
+//   floating-point formats, which also need D or Q for their format
+export const ISA_Zfh = {
+  'flh':       { isa: 'RV32Zfhmin', fmt: 'I-type', funct3: FP_WIDTH.H, opcode: OPCODE.LOAD_FP },
+  'fsh':       { isa: 'RV32Zfhmin', fmt: 'S-type', funct3: FP_WIDTH.H, opcode: OPCODE.STORE_FP },
+
+  'fmadd.h':   { isa: 'RV32Zfh', fmt: 'R4-type', fp_fmt: FP_FMT.H, opcode: OPCODE.MADD },
+  'fmsub.h':   { isa: 'RV32Zfh', fmt: 'R4-type', fp_fmt: FP_FMT.H, opcode: OPCODE.MSUB },
+  'fnmadd.h':  { isa: 'RV32Zfh', fmt: 'R4-type', fp_fmt: FP_FMT.H, opcode: OPCODE.NMADD },
+  'fnmsub.h':  { isa: 'RV32Zfh', fmt: 'R4-type', fp_fmt: FP_FMT.H, opcode: OPCODE.NMSUB },
+
+  'fadd.h':    { isa: 'RV32Zfh', fmt: 'R-type', funct5: '00000', fp_fmt: FP_FMT.H, opcode: OPCODE.OP_FP },
+  'fsub.h':    { isa: 'RV32Zfh', fmt: 'R-type', funct5: '00001', fp_fmt: FP_FMT.H, opcode: OPCODE.OP_FP },
+  'fmul.h':    { isa: 'RV32Zfh', fmt: 'R-type', funct5: '00010', fp_fmt: FP_FMT.H, opcode: OPCODE.OP_FP },
+  'fdiv.h':    { isa: 'RV32Zfh', fmt: 'R-type', funct5: '00011', fp_fmt: FP_FMT.H, opcode: OPCODE.OP_FP },
+
+  'fsqrt.h':   { isa: 'RV32Zfh', fmt: 'R-type', funct5: '01011', fp_fmt: FP_FMT.H, rs2: '00000', opcode: OPCODE.OP_FP },
+
+  'fsgnj.h':   { isa: 'RV32Zfh', fmt: 'R-type', funct5: '00100', fp_fmt: FP_FMT.H, funct3: '000', opcode: OPCODE.OP_FP },
+  'fsgnjn.h':  { isa: 'RV32Zfh', fmt: 'R-type', funct5: '00100', fp_fmt: FP_FMT.H, funct3: '001', opcode: OPCODE.OP_FP },
+  'fsgnjx.h':  { isa: 'RV32Zfh', fmt: 'R-type', funct5: '00100', fp_fmt: FP_FMT.H, funct3: '010', opcode: OPCODE.OP_FP },
+  'fmin.h':    { isa: 'RV32Zfh', fmt: 'R-type', funct5: '00101', fp_fmt: FP_FMT.H, funct3: '000', opcode: OPCODE.OP_FP },
+  'fmax.h':    { isa: 'RV32Zfh', fmt: 'R-type', funct5: '00101', fp_fmt: FP_FMT.H, funct3: '001', opcode: OPCODE.OP_FP },
+
+  'feq.h':     { isa: 'RV32Zfh', fmt: 'R-type', funct5: '10100', fp_fmt: FP_FMT.H, funct3: '010', opcode: OPCODE.OP_FP },
+  'flt.h':     { isa: 'RV32Zfh', fmt: 'R-type', funct5: '10100', fp_fmt: FP_FMT.H, funct3: '001', opcode: OPCODE.OP_FP },
+  'fle.h':     { isa: 'RV32Zfh', fmt: 'R-type', funct5: '10100', fp_fmt: FP_FMT.H, funct3: '000', opcode: OPCODE.OP_FP },
+
+  'fcvt.w.h':  { isa: 'RV32Zfh', fmt: 'R-type', funct5: '11000', fp_fmt: FP_FMT.H, rs2: '00000', opcode: OPCODE.OP_FP },
+  'fcvt.wu.h': { isa: 'RV32Zfh', fmt: 'R-type', funct5: '11000', fp_fmt: FP_FMT.H, rs2: '00001', opcode: OPCODE.OP_FP },
+  'fcvt.h.w':  { isa: 'RV32Zfh', fmt: 'R-type', funct5: '11010', fp_fmt: FP_FMT.H, rs2: '00000', opcode: OPCODE.OP_FP },
+  'fcvt.h.wu': { isa: 'RV32Zfh', fmt: 'R-type', funct5: '11010', fp_fmt: FP_FMT.H, rs2: '00001', opcode: OPCODE.OP_FP },
+
+  'fcvt.s.h':  { isa: 'RV32Zfhmin', fmt: 'R-type', funct5: '01000', fp_fmt: FP_FMT.S, rs2: '000'+FP_FMT.H, opcode: OPCODE.OP_FP },
+  'fcvt.h.s':  { isa: 'RV32Zfhmin', fmt: 'R-type', funct5: '01000', fp_fmt: FP_FMT.H, rs2: '000'+FP_FMT.S, opcode: OPCODE.OP_FP },
+  'fcvt.d.h':  { isa: 'RV32D_Zfhmin', fmt: 'R-type', funct5: '01000', fp_fmt: FP_FMT.D, rs2: '000'+FP_FMT.H, opcode: OPCODE.OP_FP },
+  'fcvt.h.d':  { isa: 'RV32D_Zfhmin', fmt: 'R-type', funct5: '01000', fp_fmt: FP_FMT.H, rs2: '000'+FP_FMT.D, opcode: OPCODE.OP_FP },
+  'fcvt.q.h':  { isa: 'RV32Q_Zfhmin', fmt: 'R-type', funct5: '01000', fp_fmt: FP_FMT.Q, rs2: '000'+FP_FMT.H, opcode: OPCODE.OP_FP },
+  'fcvt.h.q':  { isa: 'RV32Q_Zfhmin', fmt: 'R-type', funct5: '01000', fp_fmt: FP_FMT.H, rs2: '000'+FP_FMT.Q, opcode: OPCODE.OP_FP },
+
+  'fclass.h':  { isa: 'RV32Zfh', fmt: 'R-type', funct5: '11100', fp_fmt: FP_FMT.H, rs2: '00000', funct3: '001', opcode: OPCODE.OP_FP },
+
+  'fmv.x.h':   { isa: 'RV32Zfhmin', fmt: 'R-type', funct5: '11100', fp_fmt: FP_FMT.H, rs2: '00000', funct3: '000', opcode: OPCODE.OP_FP },
+  'fmv.h.x':   { isa: 'RV32Zfhmin', fmt: 'R-type', funct5: '11110', fp_fmt: FP_FMT.H, rs2: '00000', funct3: '000', opcode: OPCODE.OP_FP },
+
+  'fcvt.l.h':  { isa: 'RV64Zfh', fmt: 'R-type', funct5: '11000', fp_fmt: FP_FMT.H, rs2: '00010', opcode: OPCODE.OP_FP },
+  'fcvt.lu.h': { isa: 'RV64Zfh', fmt: 'R-type', funct5: '11000', fp_fmt: FP_FMT.H, rs2: '00011', opcode: OPCODE.OP_FP },
+  'fcvt.h.l':  { isa: 'RV64Zfh', fmt: 'R-type', funct5: '11010', fp_fmt: FP_FMT.H, rs2: '00010', opcode: OPCODE.OP_FP },
+  'fcvt.h.lu': { isa: 'RV64Zfh', fmt: 'R-type', funct5: '11010', fp_fmt: FP_FMT.H, rs2: '00011', opcode: OPCODE.OP_FP },
+
+  'fcvt.t.h':  { isa: 'RV128Zfh', fmt: 'R-type', funct5: '11000', fp_fmt: FP_FMT.H, rs2: '00100', opcode: OPCODE.OP_FP },
+  'fcvt.tu.h': { isa: 'RV128Zfh', fmt: 'R-type', funct5: '11000', fp_fmt: FP_FMT.H, rs2: '00101', opcode: OPCODE.OP_FP },
+  'fcvt.h.t':  { isa: 'RV128Zfh', fmt: 'R-type', funct5: '11010', fp_fmt: FP_FMT.H, rs2: '00100', opcode: OPCODE.OP_FP },
+  'fcvt.h.tu': { isa: 'RV128Zfh', fmt: 'R-type', funct5: '11010', fp_fmt: FP_FMT.H, rs2: '00101', opcode: OPCODE.OP_FP },
+}
+
+// Zfa instruction set
+// - fmvh/fmvp move the upper half or pair of registers of a value twice XLEN
+//   wide, so they only exist for a single XLEN
+export const ISA_Zfa = {
+  'fli.s':        { isa: 'RV32Zfa', fmt: 'R-type', funct5: '11110', fp_fmt: FP_FMT.S, rs2: '00001', funct3: '000', oprs: 'frd, const', opcode: OPCODE.OP_FP },
+  'fminm.s':      { isa: 'RV32Zfa', fmt: 'R-type', funct5: '00101', fp_fmt: FP_FMT.S, funct3: '010', opcode: OPCODE.OP_FP },
+  'fmaxm.s':      { isa: 'RV32Zfa', fmt: 'R-type', funct5: '00101', fp_fmt: FP_FMT.S, funct3: '011', opcode: OPCODE.OP_FP },
+  'fround.s':     { isa: 'RV32Zfa', fmt: 'R-type', funct5: '01000', fp_fmt: FP_FMT.S, rs2: '00100', opcode: OPCODE.OP_FP },
+  'froundnx.s':   { isa: 'RV32Zfa', fmt: 'R-type', funct5: '01000', fp_fmt: FP_FMT.S, rs2: '00101', opcode: OPCODE.OP_FP },
+  'fleq.s':       { isa: 'RV32Zfa', fmt: 'R-type', funct5: '10100', fp_fmt: FP_FMT.S, funct3: '100', opcode: OPCODE.OP_FP },
+  'fltq.s':       { isa: 'RV32Zfa', fmt: 'R-type', funct5: '10100', fp_fmt: FP_FMT.S, funct3: '101', opcode: OPCODE.OP_FP },
+
+  'fli.d':        { isa: 'RV32D_Zfa', fmt: 'R-type', funct5: '11110', fp_fmt: FP_FMT.D, rs2: '00001', funct3: '000', oprs: 'frd, const', opcode: OPCODE.OP_FP },
+  'fminm.d':      { isa: 'RV32D_Zfa', fmt: 'R-type', funct5: '00101', fp_fmt: FP_FMT.D, funct3: '010', opcode: OPCODE.OP_FP },
+  'fmaxm.d':      { isa: 'RV32D_Zfa', fmt: 'R-type', funct5: '00101', fp_fmt: FP_FMT.D, funct3: '011', opcode: OPCODE.OP_FP },
+  'fround.d':     { isa: 'RV32D_Zfa', fmt: 'R-type', funct5: '01000', fp_fmt: FP_FMT.D, rs2: '00100', opcode: OPCODE.OP_FP },
+  'froundnx.d':   { isa: 'RV32D_Zfa', fmt: 'R-type', funct5: '01000', fp_fmt: FP_FMT.D, rs2: '00101', opcode: OPCODE.OP_FP },
+  'fleq.d':       { isa: 'RV32D_Zfa', fmt: 'R-type', funct5: '10100', fp_fmt: FP_FMT.D, funct3: '100', opcode: OPCODE.OP_FP },
+  'fltq.d':       { isa: 'RV32D_Zfa', fmt: 'R-type', funct5: '10100', fp_fmt: FP_FMT.D, funct3: '101', opcode: OPCODE.OP_FP },
+
+  'fli.q':        { isa: 'RV32Q_Zfa', fmt: 'R-type', funct5: '11110', fp_fmt: FP_FMT.Q, rs2: '00001', funct3: '000', oprs: 'frd, const', opcode: OPCODE.OP_FP },
+  'fminm.q':      { isa: 'RV32Q_Zfa', fmt: 'R-type', funct5: '00101', fp_fmt: FP_FMT.Q, funct3: '010', opcode: OPCODE.OP_FP },
+  'fmaxm.q':      { isa: 'RV32Q_Zfa', fmt: 'R-type', funct5: '00101', fp_fmt: FP_FMT.Q, funct3: '011', opcode: OPCODE.OP_FP },
+  'fround.q':     { isa: 'RV32Q_Zfa', fmt: 'R-type', funct5: '01000', fp_fmt: FP_FMT.Q, rs2: '00100', opcode: OPCODE.OP_FP },
+  'froundnx.q':   { isa: 'RV32Q_Zfa', fmt: 'R-type', funct5: '01000', fp_fmt: FP_FMT.Q, rs2: '00101', opcode: OPCODE.OP_FP },
+  'fleq.q':       { isa: 'RV32Q_Zfa', fmt: 'R-type', funct5: '10100', fp_fmt: FP_FMT.Q, funct3: '100', opcode: OPCODE.OP_FP },
+  'fltq.q':       { isa: 'RV32Q_Zfa', fmt: 'R-type', funct5: '10100', fp_fmt: FP_FMT.Q, funct3: '101', opcode: OPCODE.OP_FP },
+
+  'fli.h':        { isa: 'RV32Zfh_Zfa', fmt: 'R-type', funct5: '11110', fp_fmt: FP_FMT.H, rs2: '00001', funct3: '000', oprs: 'frd, const', opcode: OPCODE.OP_FP },
+  'fminm.h':      { isa: 'RV32Zfh_Zfa', fmt: 'R-type', funct5: '00101', fp_fmt: FP_FMT.H, funct3: '010', opcode: OPCODE.OP_FP },
+  'fmaxm.h':      { isa: 'RV32Zfh_Zfa', fmt: 'R-type', funct5: '00101', fp_fmt: FP_FMT.H, funct3: '011', opcode: OPCODE.OP_FP },
+  'fround.h':     { isa: 'RV32Zfh_Zfa', fmt: 'R-type', funct5: '01000', fp_fmt: FP_FMT.H, rs2: '00100', opcode: OPCODE.OP_FP },
+  'froundnx.h':   { isa: 'RV32Zfh_Zfa', fmt: 'R-type', funct5: '01000', fp_fmt: FP_FMT.H, rs2: '00101', opcode: OPCODE.OP_FP },
+  'fleq.h':       { isa: 'RV32Zfh_Zfa', fmt: 'R-type', funct5: '10100', fp_fmt: FP_FMT.H, funct3: '100', opcode: OPCODE.OP_FP },
+  'fltq.h':       { isa: 'RV32Zfh_Zfa', fmt: 'R-type', funct5: '10100', fp_fmt: FP_FMT.H, funct3: '101', opcode: OPCODE.OP_FP },
+
+  'fcvtmod.w.d':  { isa: 'RV32D_Zfa', fmt: 'R-type', funct5: '11000', fp_fmt: FP_FMT.D, rs2: '01000', rm: 'rtz', opcode: OPCODE.OP_FP },
+
+  'fmvh.x.d':     { isa: 'RV32D_Zfa', fmt: 'R-type', funct5: '11100', fp_fmt: FP_FMT.D, rs2: '00001', funct3: '000', xlens: XLEN_MASK.rv32, opcode: OPCODE.OP_FP },
+  'fmvp.d.x':     { isa: 'RV32D_Zfa', fmt: 'R-type', funct5: '10110', fp_fmt: FP_FMT.D, funct3: '000', oprs: 'frd, rs1, rs2', xlens: XLEN_MASK.rv32, opcode: OPCODE.OP_FP },
+  'fmvh.x.q':     { isa: 'RV64Q_Zfa', fmt: 'R-type', funct5: '11100', fp_fmt: FP_FMT.Q, rs2: '00001', funct3: '000', xlens: XLEN_MASK.rv64, opcode: OPCODE.OP_FP },
+  'fmvp.q.x':     { isa: 'RV64Q_Zfa', fmt: 'R-type', funct5: '10110', fp_fmt: FP_FMT.Q, funct3: '000', oprs: 'frd, rs1, rs2', xlens: XLEN_MASK.rv64, opcode: OPCODE.OP_FP },
+}
+
+// Constants loaded by fli, indexed by rs1 ('min' being the smallest positive
+// normal value of the format)
+export const FLI_CONSTANT = [
+  -1, 'min', 2**-16, 2**-15, 2**-8, 2**-7, 0.0625, 0.125,
+  0.25, 0.3125, 0.375, 0.4375, 0.5, 0.625, 0.75, 0.875,
+  1, 1.25, 1.5, 1.75, 2, 2.5, 3, 4,
+  8, 16, 128, 256, 2**15, 2**16, 'inf', 'nan',
+]
+
 // C instruction set
+//   rdRs1Hint: excluded rd/rs1 value encoding a HINT rather than being illegal
+//   immHint:   immediate breaking its nzimm/immVal constraint encodes a HINT
+//              (for shifts, only on RV32 and RV64, as RV128 shifts by 64)
 export const ISA_C = {
 // Load and Store Instructions
   // Stack-Pointer Based Loads and Stores
@@ -562,27 +874,27 @@ export const ISA_C = {
 
 // Integer Computational Instructions
   // Integer Constant-Generator Instructions
-  'c.li':       { isa: 'C', xlens: 0b111, fmt: 'CI-type', funct3: '010', rdRs1Mask: 0b10, rdRs1Excl: [0],                immBits: [[5], [[4,0]]],                                   opcode: C_OPCODE.C1 },
-  'c.lui':      { isa: 'C', xlens: 0b111, fmt: 'CI-type', funct3: '011', rdRs1Mask: 0b10, rdRs1Excl: [0,2], nzimm: true, immBits: [[5], [[4,0]]], immBitsLabels: [[17], [[16,12]]], opcode: C_OPCODE.C1 },
+  'c.li':       { isa: 'C', xlens: 0b111, fmt: 'CI-type', funct3: '010', rdRs1Mask: 0b10, rdRs1Excl: [0],                immBits: [[5], [[4,0]]],                                   rdRs1Hint: 0, opcode: C_OPCODE.C1 },
+  'c.lui':      { isa: 'C', xlens: 0b111, fmt: 'CI-type', funct3: '011', rdRs1Mask: 0b10, rdRs1Excl: [0,2], nzimm: true, immBits: [[5], [[4,0]]], immBitsLabels: [[17], [[16,12]]], rdRs1Hint: 0, opcode: C_OPCODE.C1 },
 
   // Integer Register-Immediate Operations
-  'c.addi':     { isa: 'C', xlens: 0b111, fmt: 'CI-type', funct3: '000', rdRs1Mask: 0b11, rdRs1Excl: [0], nzimm: true,             immBits: [[5], [[4,0]]],       opcode: C_OPCODE.C1 },
+  'c.addi':     { isa: 'C', xlens: 0b111, fmt: 'CI-type', funct3: '000', rdRs1Mask: 0b11, rdRs1Excl: [0], nzimm: true,             immBits: [[5], [[4,0]]],       immHint: true, opcode: C_OPCODE.C1 },
   'c.addiw':    { isa: 'C', xlens: 0b110, fmt: 'CI-type', funct3: '001', rdRs1Mask: 0b11, rdRs1Excl: [0],                          immBits: [[5], [[4,0]]],       opcode: C_OPCODE.C1 },
   'c.addi16sp': { isa: 'C', xlens: 0b111, fmt: 'CI-type', funct3: '011', rdRs1Mask: 0b00, rdRs1Val: 2,    nzimm: true,             immBits: [[9], [4,6,[8,7],5]], opcode: C_OPCODE.C1 },
-  'c.slli':     { isa: 'C', xlens: 0b111, fmt: 'CI-type', funct3: '000', rdRs1Mask: 0b11, rdRs1Excl: [0], nzimm: true, uimm: true, immBits: [[5], [[4,0]]],       opcode: C_OPCODE.C2 },
-  'c.slli64':   { isa: 'C', xlens: 0b100, fmt: 'CI-type', funct3: '000', rdRs1Mask: 0b11, rdRs1Excl: [0], immVal: 0,               immBits: [[5], [[4,0]]],       opcode: C_OPCODE.C2 },
+  'c.slli':     { isa: 'C', xlens: 0b111, fmt: 'CI-type', funct3: '000', rdRs1Mask: 0b11, rdRs1Excl: [0], nzimm: true, uimm: true, immBits: [[5], [[4,0]]],       rdRs1Hint: 0, immHint: true, opcode: C_OPCODE.C2 },
+  'c.slli64':   { isa: 'C', xlens: 0b100, fmt: 'CI-type', funct3: '000', rdRs1Mask: 0b11, rdRs1Excl: [0], immVal: 0,               immBits: [[5], [[4,0]]],       rdRs1Hint: 0, opcode: C_OPCODE.C2 },
 
   'c.addi4spn': { isa: 'C', xlens: 0b111, fmt: 'CIW-type', funct3: '000', uimm: true, nzimm: true, immBits: [[5,4],[9,6],2,3], opcode: C_OPCODE.C0 },
 
-  'c.srli':     { isa: 'C', xlens: 0b111, fmt: 'CB-type', funct3: '100', funct2: '00', nzimm: true, uimm: true, immBits: [[5], [[4,0]]], opcode: C_OPCODE.C1 },
+  'c.srli':     { isa: 'C', xlens: 0b111, fmt: 'CB-type', funct3: '100', funct2: '00', nzimm: true, uimm: true, immBits: [[5], [[4,0]]], immHint: true, opcode: C_OPCODE.C1 },
   'c.srli64':   { isa: 'C', xlens: 0b100, fmt: 'CB-type', funct3: '100', funct2: '00', immVal: 0,               immBits: [[5], [[4,0]]], opcode: C_OPCODE.C1 },
-  'c.srai':     { isa: 'C', xlens: 0b111, fmt: 'CB-type', funct3: '100', funct2: '01', nzimm: true, uimm: true, immBits: [[5], [[4,0]]], opcode: C_OPCODE.C1 },
+  'c.srai':     { isa: 'C', xlens: 0b111, fmt: 'CB-type', funct3: '100', funct2: '01', nzimm: true, uimm: true, immBits: [[5], [[4,0]]], immHint: true, opcode: C_OPCODE.C1 },
   'c.srai64':   { isa: 'C', xlens: 0b100, fmt: 'CB-type', funct3: '100', funct2: '01', immVal: 0,               immBits: [[5], [[4,0]]], opcode: C_OPCODE.C1 },
   'c.andi':     { isa: 'C', xlens: 0b111, fmt: 'CB-type', funct3: '100', funct2: '10',                          immBits: [[5], [[4,0]]], opcode: C_OPCODE.C1 },
 
   // Integer Register-Register Operations
-  'c.mv':     { isa: 'C', xlens: 0b111, fmt: 'CR-type', funct4: '1000', rdRs1Mask: 0b10, rdRs1Excl: [0], rs2Excl: [0], opcode: C_OPCODE.C2 },
-  'c.add':    { isa: 'C', xlens: 0b111, fmt: 'CR-type', funct4: '1001', rdRs1Mask: 0b11, rdRs1Excl: [0], rs2Excl: [0], opcode: C_OPCODE.C2 },
+  'c.mv':     { isa: 'C', xlens: 0b111, fmt: 'CR-type', funct4: '1000', rdRs1Mask: 0b10, rdRs1Excl: [0], rs2Excl: [0], rdRs1Hint: 0, opcode: C_OPCODE.C2 },
+  'c.add':    { isa: 'C', xlens: 0b111, fmt: 'CR-type', funct4: '1001', rdRs1Mask: 0b11, rdRs1Excl: [0], rs2Excl: [0], rdRs1Hint: 0, opcode: C_OPCODE.C2 },
 
   'c.and':    { isa: 'C', xlens: 0b111, fmt: 'CA-type', funct6: '100011', funct2: '11', opcode: C_OPCODE.C1 },
   'c.or':     { isa: 'C', xlens: 0b111, fmt: 'CA-type', funct6: '100011', funct2: '10', opcode: C_OPCODE.C1 },
@@ -592,19 +904,655 @@ export const ISA_C = {
   'c.addw':   { isa: 'C', xlens: 0b110, fmt: 'CA-type', funct6: '100111', funct2: '01', opcode: C_OPCODE.C1 },
 
 // Other Instructions
-  'c.nop':    { isa: 'C', xlens: 0b111, fmt: 'CI-type', funct3: '000', rdRs1Mask: 0b00, rdRs1Val: 0, immVal: 0, immBits: [[5], [[4,0]]], opcode: C_OPCODE.C1 },
+  'c.nop':    { isa: 'C', xlens: 0b111, fmt: 'CI-type', funct3: '000', rdRs1Mask: 0b00, rdRs1Val: 0, immVal: 0, immBits: [[5], [[4,0]]], immHint: true, opcode: C_OPCODE.C1 },
 
   'c.ebreak': { isa: 'C', xlens: 0b111, fmt: 'CR-type', funct4: '1001', rdRs1Mask: 0b00, rdRs1Val: 0, rs2Val: 0, opcode: C_OPCODE.C2 },
 }
 
+// Zcb instruction set
+export const ISA_Zcb = {
+  'c.lbu':    { isa: 'Zcb', xlens: 0b111, fmt: 'CLB-type', funct6: '100000',              uimm: true, immBits: [0,1], opcode: C_OPCODE.C0 },
+  'c.lhu':    { isa: 'Zcb', xlens: 0b111, fmt: 'CLH-type', funct6: '100001', funct1: '0', uimm: true, immBits: [1],   opcode: C_OPCODE.C0 },
+  'c.lh':     { isa: 'Zcb', xlens: 0b111, fmt: 'CLH-type', funct6: '100001', funct1: '1', uimm: true, immBits: [1],   opcode: C_OPCODE.C0 },
+  'c.sb':     { isa: 'Zcb', xlens: 0b111, fmt: 'CSB-type', funct6: '100010',              uimm: true, immBits: [0,1], opcode: C_OPCODE.C0 },
+  'c.sh':     { isa: 'Zcb', xlens: 0b111, fmt: 'CSH-type', funct6: '100011', funct1: '0', uimm: true, immBits: [1],   opcode: C_OPCODE.C0 },
+
+  'c.zext.b': { isa: 'Zcb',     xlens: 0b111, fmt: 'CU-type', funct6: '100111', funct5: '11000', opcode: C_OPCODE.C1 },
+  'c.sext.b': { isa: 'Zbb_Zcb', xlens: 0b111, fmt: 'CU-type', funct6: '100111', funct5: '11001', opcode: C_OPCODE.C1 },
+  'c.zext.h': { isa: 'Zbb_Zcb', xlens: 0b111, fmt: 'CU-type', funct6: '100111', funct5: '11010', opcode: C_OPCODE.C1 },
+  'c.sext.h': { isa: 'Zbb_Zcb', xlens: 0b111, fmt: 'CU-type', funct6: '100111', funct5: '11011', opcode: C_OPCODE.C1 },
+  'c.zext.w': { isa: 'Zba_Zcb', xlens: 0b110, fmt: 'CU-type', funct6: '100111', funct5: '11100', opcode: C_OPCODE.C1 },
+  'c.not':    { isa: 'Zcb',     xlens: 0b111, fmt: 'CU-type', funct6: '100111', funct5: '11101', opcode: C_OPCODE.C1 },
+
+  'c.mul':    { isa: 'M_Zcb',   xlens: 0b111, fmt: 'CA-type', funct6: '100111', funct2: '10',    opcode: C_OPCODE.C1 },
+}
+
+// Zcmp instruction set
+// - Encoded in place of c.fsdsp, hence incompatible with the D extension
+export const ISA_Zcmp = {
+  'cm.push':    { isa: 'Zcmp', xlens: 0b011, fmt: 'CMPP-type', funct6: '101110', funct2: '00', opcode: C_OPCODE.C2 },
+  'cm.pop':     { isa: 'Zcmp', xlens: 0b011, fmt: 'CMPP-type', funct6: '101110', funct2: '10', opcode: C_OPCODE.C2 },
+  'cm.popretz': { isa: 'Zcmp', xlens: 0b011, fmt: 'CMPP-type', funct6: '101111', funct2: '00', opcode: C_OPCODE.C2 },
+  'cm.popret':  { isa: 'Zcmp', xlens: 0b011, fmt: 'CMPP-type', funct6: '101111', funct2: '10', opcode: C_OPCODE.C2 },
+
+  'cm.mvsa01':  { isa: 'Zcmp', xlens: 0b011, fmt: 'CMMV-type', funct6: '101011', funct2: '01', opcode: C_OPCODE.C2 },
+  'cm.mva01s':  { isa: 'Zcmp', xlens: 0b011, fmt: 'CMMV-type', funct6: '101011', funct2: '11', opcode: C_OPCODE.C2 },
+}
+
+// Zcmt instruction set
+// - Encoded in place of c.fsdsp, hence incompatible with the D extension
+// - Both instructions share their encoding, and are told apart by index
+export const ISA_Zcmt = {
+  'cm.jt':   { isa: 'Zcmt', xlens: 0b011, fmt: 'CMJT-type', funct6: '101000', indexMin: 0,  indexMax: 31,  opcode: C_OPCODE.C2 },
+  'cm.jalt': { isa: 'Zcmt', xlens: 0b011, fmt: 'CMJT-type', funct6: '101000', indexMin: 32, indexMax: 255, opcode: C_OPCODE.C2 },
+}
+
+/*
+ * Zcmp register lists
+ * - `rlist` encoding mapped to the number of saved registers (s0-s11)
+ * - Stack adjustment base, in bytes, is the size of all registers including ra
+ *   aligned to 16 bytes
+ */
+export const ZCMP_RLIST_SREGS = {
+  4: 0, 5: 1, 6: 2, 7: 3, 8: 4, 9: 5, 10: 6, 11: 7, 12: 8, 13: 9, 14: 10, 15: 12,
+}
+
+// Zba instruction set
+export const ISA_Zba = {
+  'sh1add':    { isa: 'RV32Zba', fmt: 'R-type', funct7: '0010000', funct3: '010', opcode: OPCODE.OP },
+  'sh2add':    { isa: 'RV32Zba', fmt: 'R-type', funct7: '0010000', funct3: '100', opcode: OPCODE.OP },
+  'sh3add':    { isa: 'RV32Zba', fmt: 'R-type', funct7: '0010000', funct3: '110', opcode: OPCODE.OP },
+
+  'add.uw':    { isa: 'RV64Zba', fmt: 'R-type', funct7: '0000100', funct3: '000', opcode: OPCODE.OP_32 },
+  'sh1add.uw': { isa: 'RV64Zba', fmt: 'R-type', funct7: '0010000', funct3: '010', opcode: OPCODE.OP_32 },
+  'sh2add.uw': { isa: 'RV64Zba', fmt: 'R-type', funct7: '0010000', funct3: '100', opcode: OPCODE.OP_32 },
+  'sh3add.uw': { isa: 'RV64Zba', fmt: 'R-type', funct7: '0010000', funct3: '110', opcode: OPCODE.OP_32 },
+
+  'slli.uw':   { isa: 'RV64Zba', fmt: 'I-type', funct5: '00001', funct3: '001', opcode: OPCODE.OP_IMM_32 },
+}
+
+// Zbb instruction set
+// - Instructions encoded differently on RV64 hold their differing fields in `rv64`
+export const ISA_Zbb = {
+  andn:     { isa: 'RV32Zbb/Zbkb', fmt: 'R-type', funct7: '0100000', funct3: '111', opcode: OPCODE.OP },
+  orn:      { isa: 'RV32Zbb/Zbkb', fmt: 'R-type', funct7: '0100000', funct3: '110', opcode: OPCODE.OP },
+  xnor:     { isa: 'RV32Zbb/Zbkb', fmt: 'R-type', funct7: '0100000', funct3: '100', opcode: OPCODE.OP },
+
+  clz:      { isa: 'RV32Zbb', fmt: 'I-type', funct12: '011000000000', funct3: '001', opcode: OPCODE.OP_IMM },
+  ctz:      { isa: 'RV32Zbb', fmt: 'I-type', funct12: '011000000001', funct3: '001', opcode: OPCODE.OP_IMM },
+  cpop:     { isa: 'RV32Zbb', fmt: 'I-type', funct12: '011000000010', funct3: '001', opcode: OPCODE.OP_IMM },
+  clzw:     { isa: 'RV64Zbb', fmt: 'I-type', funct12: '011000000000', funct3: '001', opcode: OPCODE.OP_IMM_32 },
+  ctzw:     { isa: 'RV64Zbb', fmt: 'I-type', funct12: '011000000001', funct3: '001', opcode: OPCODE.OP_IMM_32 },
+  cpopw:    { isa: 'RV64Zbb', fmt: 'I-type', funct12: '011000000010', funct3: '001', opcode: OPCODE.OP_IMM_32 },
+
+  max:      { isa: 'RV32Zbb', fmt: 'R-type', funct7: '0000101', funct3: '110', opcode: OPCODE.OP },
+  maxu:     { isa: 'RV32Zbb', fmt: 'R-type', funct7: '0000101', funct3: '111', opcode: OPCODE.OP },
+  min:      { isa: 'RV32Zbb', fmt: 'R-type', funct7: '0000101', funct3: '100', opcode: OPCODE.OP },
+  minu:     { isa: 'RV32Zbb', fmt: 'R-type', funct7: '0000101', funct3: '101', opcode: OPCODE.OP },
+
+  'sext.b': { isa: 'RV32Zbb', fmt: 'I-type', funct12: '011000000100', funct3: '001', opcode: OPCODE.OP_IMM },
+  'sext.h': { isa: 'RV32Zbb', fmt: 'I-type', funct12: '011000000101', funct3: '001', opcode: OPCODE.OP_IMM },
+  'zext.h': { isa: 'RV32Zbb', fmt: 'R-type', funct7: '0000100', rs2: '00000', funct3: '100', opcode: OPCODE.OP,
+              rv64: { isa: 'RV64Zbb', opcode: OPCODE.OP_32 } },
+
+  rol:      { isa: 'RV32Zbb/Zbkb', fmt: 'R-type', funct7: '0110000', funct3: '001', opcode: OPCODE.OP },
+  ror:      { isa: 'RV32Zbb/Zbkb', fmt: 'R-type', funct7: '0110000', funct3: '101', opcode: OPCODE.OP },
+  rori:     { isa: 'RV32Zbb/Zbkb', fmt: 'I-type', funct5: '01100', funct3: '101', opcode: OPCODE.OP_IMM },
+  rolw:     { isa: 'RV64Zbb/Zbkb', fmt: 'R-type', funct7: '0110000', funct3: '001', opcode: OPCODE.OP_32 },
+  rorw:     { isa: 'RV64Zbb/Zbkb', fmt: 'R-type', funct7: '0110000', funct3: '101', opcode: OPCODE.OP_32 },
+  roriw:    { isa: 'RV64Zbb/Zbkb', fmt: 'I-type', funct5: '01100', funct3: '101', opcode: OPCODE.OP_IMM_32 },
+
+  'orc.b':  { isa: 'RV32Zbb', fmt: 'I-type', funct12: '001010000111', funct3: '101', opcode: OPCODE.OP_IMM },
+  rev8:     { isa: 'RV32Zbb/Zbkb', fmt: 'I-type', funct12: '011010011000', funct3: '101', opcode: OPCODE.OP_IMM,
+              rv64: { isa: 'RV64Zbb/Zbkb', funct12: '011010111000' } },
+}
+
+// Zbs instruction set
+export const ISA_Zbs = {
+  bclr:     { isa: 'RV32Zbs', fmt: 'R-type', funct7: '0100100', funct3: '001', opcode: OPCODE.OP },
+  bext:     { isa: 'RV32Zbs', fmt: 'R-type', funct7: '0100100', funct3: '101', opcode: OPCODE.OP },
+  binv:     { isa: 'RV32Zbs', fmt: 'R-type', funct7: '0110100', funct3: '001', opcode: OPCODE.OP },
+  bset:     { isa: 'RV32Zbs', fmt: 'R-type', funct7: '0010100', funct3: '001', opcode: OPCODE.OP },
+
+  bclri:    { isa: 'RV32Zbs', fmt: 'I-type', funct5: '01001', funct3: '001', opcode: OPCODE.OP_IMM },
+  bexti:    { isa: 'RV32Zbs', fmt: 'I-type', funct5: '01001', funct3: '101', opcode: OPCODE.OP_IMM },
+  binvi:    { isa: 'RV32Zbs', fmt: 'I-type', funct5: '01101', funct3: '001', opcode: OPCODE.OP_IMM },
+  bseti:    { isa: 'RV32Zbs', fmt: 'I-type', funct5: '00101', funct3: '001', opcode: OPCODE.OP_IMM },
+}
+
+// Zbkb instruction set
+// - Also includes rol, ror, rori, andn, orn, xnor and rev8 of Zbb
+export const ISA_Zbkb = {
+  pack:     { isa: 'RV32Zbkb', fmt: 'R-type', funct7: '0000100', funct3: '100', opcode: OPCODE.OP },
+  packh:    { isa: 'RV32Zbkb', fmt: 'R-type', funct7: '0000100', funct3: '111', opcode: OPCODE.OP },
+  packw:    { isa: 'RV64Zbkb', fmt: 'R-type', funct7: '0000100', funct3: '100', opcode: OPCODE.OP_32 },
+
+  brev8:    { isa: 'RV32Zbkb', fmt: 'I-type', funct12: '011010000111', funct3: '101', opcode: OPCODE.OP_IMM },
+  zip:      { isa: 'RV32Zbkb', fmt: 'I-type', funct12: '000010001111', funct3: '001', opcode: OPCODE.OP_IMM, xlens: XLEN_MASK.rv32 },
+  unzip:    { isa: 'RV32Zbkb', fmt: 'I-type', funct12: '000010001111', funct3: '101', opcode: OPCODE.OP_IMM, xlens: XLEN_MASK.rv32 },
+}
+
+// Zbkc instruction set
+export const ISA_Zbkc = {
+  clmul:    { isa: 'RV32Zbkc', fmt: 'R-type', funct7: '0000101', funct3: '001', opcode: OPCODE.OP },
+  clmulh:   { isa: 'RV32Zbkc', fmt: 'R-type', funct7: '0000101', funct3: '011', opcode: OPCODE.OP },
+}
+
+// Zbkx instruction set
+export const ISA_Zbkx = {
+  xperm8:   { isa: 'RV32Zbkx', fmt: 'R-type', funct7: '0010100', funct3: '100', opcode: OPCODE.OP },
+  xperm4:   { isa: 'RV32Zbkx', fmt: 'R-type', funct7: '0010100', funct3: '010', opcode: OPCODE.OP },
+}
+
+// Zknd instruction set
+// - Instructions with a byte select `bs` in funct7[6:5] only hold funct7[4:0]
+//   as their `funct5`
+// - Instructions with a round number `rnum` in imm[3:0] only hold imm[11:4] as
+//   their `funct8`
+// - Key-schedule instructions are shared with Zkne, so either one is required
+export const ISA_Zknd = {
+  aes32dsi:   { isa: 'RV32Zknd', fmt: 'R-type', funct5: '10101', funct3: '000', opcode: OPCODE.OP, xlens: XLEN_MASK.rv32 },
+  aes32dsmi:  { isa: 'RV32Zknd', fmt: 'R-type', funct5: '10111', funct3: '000', opcode: OPCODE.OP, xlens: XLEN_MASK.rv32 },
+
+  aes64ds:    { isa: 'RV64Zknd', fmt: 'R-type', funct7: '0011101', funct3: '000', opcode: OPCODE.OP },
+  aes64dsm:   { isa: 'RV64Zknd', fmt: 'R-type', funct7: '0011111', funct3: '000', opcode: OPCODE.OP },
+  aes64im:    { isa: 'RV64Zknd', fmt: 'I-type', funct12: '001100000000', funct3: '001', opcode: OPCODE.OP_IMM },
+  aes64ks1i:  { isa: 'RV64Zknd/Zkne', fmt: 'I-type', funct8: '00110001', funct3: '001', opcode: OPCODE.OP_IMM },
+  aes64ks2:   { isa: 'RV64Zknd/Zkne', fmt: 'R-type', funct7: '0111111', funct3: '000', opcode: OPCODE.OP },
+}
+
+// Zkne instruction set
+export const ISA_Zkne = {
+  aes32esi:   { isa: 'RV32Zkne', fmt: 'R-type', funct5: '10001', funct3: '000', opcode: OPCODE.OP, xlens: XLEN_MASK.rv32 },
+  aes32esmi:  { isa: 'RV32Zkne', fmt: 'R-type', funct5: '10011', funct3: '000', opcode: OPCODE.OP, xlens: XLEN_MASK.rv32 },
+
+  aes64es:    { isa: 'RV64Zkne', fmt: 'R-type', funct7: '0011001', funct3: '000', opcode: OPCODE.OP },
+  aes64esm:   { isa: 'RV64Zkne', fmt: 'R-type', funct7: '0011011', funct3: '000', opcode: OPCODE.OP },
+}
+
+// Zknh instruction set
+export const ISA_Zknh = {
+  sha256sig0:   { isa: 'RV32Zknh', fmt: 'I-type', funct12: '000100000010', funct3: '001', opcode: OPCODE.OP_IMM },
+  sha256sig1:   { isa: 'RV32Zknh', fmt: 'I-type', funct12: '000100000011', funct3: '001', opcode: OPCODE.OP_IMM },
+  sha256sum0:   { isa: 'RV32Zknh', fmt: 'I-type', funct12: '000100000000', funct3: '001', opcode: OPCODE.OP_IMM },
+  sha256sum1:   { isa: 'RV32Zknh', fmt: 'I-type', funct12: '000100000001', funct3: '001', opcode: OPCODE.OP_IMM },
+
+  sha512sig0h:  { isa: 'RV32Zknh', fmt: 'R-type', funct7: '0101110', funct3: '000', opcode: OPCODE.OP, xlens: XLEN_MASK.rv32 },
+  sha512sig0l:  { isa: 'RV32Zknh', fmt: 'R-type', funct7: '0101010', funct3: '000', opcode: OPCODE.OP, xlens: XLEN_MASK.rv32 },
+  sha512sig1h:  { isa: 'RV32Zknh', fmt: 'R-type', funct7: '0101111', funct3: '000', opcode: OPCODE.OP, xlens: XLEN_MASK.rv32 },
+  sha512sig1l:  { isa: 'RV32Zknh', fmt: 'R-type', funct7: '0101011', funct3: '000', opcode: OPCODE.OP, xlens: XLEN_MASK.rv32 },
+  sha512sum0r:  { isa: 'RV32Zknh', fmt: 'R-type', funct7: '0101000', funct3: '000', opcode: OPCODE.OP, xlens: XLEN_MASK.rv32 },
+  sha512sum1r:  { isa: 'RV32Zknh', fmt: 'R-type', funct7: '0101001', funct3: '000', opcode: OPCODE.OP, xlens: XLEN_MASK.rv32 },
+
+  sha512sig0:   { isa: 'RV64Zknh', fmt: 'I-type', funct12: '000100000110', funct3: '001', opcode: OPCODE.OP_IMM },
+  sha512sig1:   { isa: 'RV64Zknh', fmt: 'I-type', funct12: '000100000111', funct3: '001', opcode: OPCODE.OP_IMM },
+  sha512sum0:   { isa: 'RV64Zknh', fmt: 'I-type', funct12: '000100000100', funct3: '001', opcode: OPCODE.OP_IMM },
+  sha512sum1:   { isa: 'RV64Zknh', fmt: 'I-type', funct12: '000100000101', funct3: '001', opcode: OPCODE.OP_IMM },
+}
+
+// Zksed instruction set
+export const ISA_Zksed = {
+  sm4ed:    { isa: 'RV32Zksed', fmt: 'R-type', funct5: '11000', funct3: '000', opcode: OPCODE.OP },
+  sm4ks:    { isa: 'RV32Zksed', fmt: 'R-type', funct5: '11010', funct3: '000', opcode: OPCODE.OP },
+}
+
+// Zksh instruction set
+export const ISA_Zksh = {
+  sm3p0:    { isa: 'RV32Zksh', fmt: 'I-type', funct12: '000100001000', funct3: '001', opcode: OPCODE.OP_IMM },
+  sm3p1:    { isa: 'RV32Zksh', fmt: 'I-type', funct12: '000100001001', funct3: '001', opcode: OPCODE.OP_IMM },
+}
+
+// Zicond instruction set
+export const ISA_Zicond = {
+  'czero.eqz': { isa: 'Zicond', fmt: 'R-type', funct7: '0000111', funct3: '101', opcode: OPCODE.OP },
+  'czero.nez': { isa: 'Zicond', fmt: 'R-type', funct7: '0000111', funct3: '111', opcode: OPCODE.OP },
+}
+
+// Vector operand categories, encoded in funct3 of OP-V instructions
+export const V_FUNCT3 = {
+  OPIVV:  '000',
+  OPFVV:  '001',
+  OPMVV:  '010',
+  OPIVI:  '011',
+  OPIVX:  '100',
+  OPFVF:  '101',
+  OPMVX:  '110',
+  OPCFG:  '111',
+}
+
+// Vector element width (SEW) encodings of vtype
+export const VSEW = {
+  e8:   '000',
+  e16:  '001',
+  e32:  '010',
+  e64:  '011',
+}
+
+// Vector register group multiplier (LMUL) encodings of vtype
+export const VLMUL = {
+  mf8:  '101',
+  mf4:  '110',
+  mf2:  '111',
+  m1:   '000',
+  m2:   '001',
+  m4:   '010',
+  m8:   '011',
+}
+
+// Vector memory element widths (EEW) mapped to width field
+export const V_WIDTH = {
+  8:    '000',
+  16:   '101',
+  32:   '110',
+  64:   '111',
+}
+
+// Vector memory addressing modes (mop field)
+const V_MOP = {
+  unit:     '00',
+  indexed:  '01', // unordered
+  strided:  '10',
+  ordered:  '11', // indexed-ordered
+}
+
+// Vector unit-stride variants (lumop/sumop field)
+const V_UMOP = {
+  normal:   '00000',
+  whole:    '01000',
+  mask:     '01011',
+  ff:       '10000',
+}
+
+// Vector load/store instruction generator
+// - nf: number of fields minus one (segment), or of registers minus one (whole register)
+// - umop: unit-stride variant, only for unit-stride instructions
+// - vm: fixed mask bit, for instructions that cannot be masked
+function vectorMemGen() {
+  let insts = {};
+  const mem = (mne, fmt, opcode, nf, mop, width, umop, vm) => {
+    insts[mne] = { isa: 'V', fmt: fmt, nf: nf.toString(2).padStart(3, '0'), mop: mop,
+      umop: umop, vm: vm, width: width, opcode: opcode };
+  };
+
+  for (const [eew, width] of Object.entries(V_WIDTH)) {
+    for (let nf = 0; nf < 8; nf++) {
+      const seg = (nf > 0) ? `seg${nf + 1}` : '';
+      mem(`vl${seg}e${eew}.v`,     'VL-type',  OPCODE.LOAD_FP,  nf, V_MOP.unit, width, V_UMOP.normal);
+      mem(`vl${seg}e${eew}ff.v`,   'VL-type',  OPCODE.LOAD_FP,  nf, V_MOP.unit, width, V_UMOP.ff);
+      mem(`vls${seg}e${eew}.v`,    'VLS-type', OPCODE.LOAD_FP,  nf, V_MOP.strided, width);
+      mem(`vlux${seg}ei${eew}.v`,  'VLX-type', OPCODE.LOAD_FP,  nf, V_MOP.indexed, width);
+      mem(`vlox${seg}ei${eew}.v`,  'VLX-type', OPCODE.LOAD_FP,  nf, V_MOP.ordered, width);
+      mem(`vs${seg}e${eew}.v`,     'VS-type',  OPCODE.STORE_FP, nf, V_MOP.unit, width, V_UMOP.normal);
+      mem(`vss${seg}e${eew}.v`,    'VSS-type', OPCODE.STORE_FP, nf, V_MOP.strided, width);
+      mem(`vsux${seg}ei${eew}.v`,  'VSX-type', OPCODE.STORE_FP, nf, V_MOP.indexed, width);
+      mem(`vsox${seg}ei${eew}.v`,  'VSX-type', OPCODE.STORE_FP, nf, V_MOP.ordered, width);
+    }
+
+    // Whole register loads, stores only exist for 8-bit elements
+    for (const nreg of [1, 2, 4, 8]) {
+      mem(`vl${nreg}re${eew}.v`, 'VL-type', OPCODE.LOAD_FP, nreg - 1, V_MOP.unit, width, V_UMOP.whole, '1');
+      if (eew === '8') {
+        mem(`vs${nreg}r.v`, 'VS-type', OPCODE.STORE_FP, nreg - 1, V_MOP.unit, width, V_UMOP.whole, '1');
+      }
+    }
+  }
+
+  // Mask loads and stores
+  mem('vlm.v', 'VL-type', OPCODE.LOAD_FP,  0, V_MOP.unit, V_WIDTH[8], V_UMOP.mask, '1');
+  mem('vsm.v', 'VS-type', OPCODE.STORE_FP, 0, V_MOP.unit, V_WIDTH[8], V_UMOP.mask, '1');
+
+  return insts;
+}
+
+// Vector arithmetic instructions, as [funct6, name, suffixes, flags]
+// - suffixes: operand kinds appended to the name, where the second letter
+//   selects the category within the group (v/s/m: vector-vector, x: scalar,
+//   i: immediate, f: float scalar), and a trailing 'm' uses v0 as carry-in or
+//   merge mask
+// - flags: 'u' for unsigned immediates, 'a' for multiply-add operand order
+//   (vd, vs1/rs1, vs2), 'c' for carry-out instructions whose forms without
+//   trailing 'm' cannot be masked
+const V_OPI = [
+  ['000000', 'vadd',          'vv vx vi'],
+  ['000010', 'vsub',          'vv vx'],
+  ['000011', 'vrsub',         'vx vi'],
+  ['000100', 'vminu',         'vv vx'],
+  ['000101', 'vmin',          'vv vx'],
+  ['000110', 'vmaxu',         'vv vx'],
+  ['000111', 'vmax',          'vv vx'],
+  ['001001', 'vand',          'vv vx vi'],
+  ['001010', 'vor',           'vv vx vi'],
+  ['001011', 'vxor',          'vv vx vi'],
+  ['001100', 'vrgather',      'vv vx vi', 'u'],
+  ['001110', 'vrgatherei16',  'vv'],
+  ['001110', 'vslideup',      'vx vi', 'u'],
+  ['001111', 'vslidedown',    'vx vi', 'u'],
+  ['010000', 'vadc',          'vvm vxm vim'],
+  ['010001', 'vmadc',         'vvm vxm vim vv vx vi', 'c'],
+  ['010010', 'vsbc',          'vvm vxm'],
+  ['010011', 'vmsbc',         'vvm vxm vv vx', 'c'],
+  ['010111', 'vmerge',        'vvm vxm vim'],
+  ['011000', 'vmseq',         'vv vx vi'],
+  ['011001', 'vmsne',         'vv vx vi'],
+  ['011010', 'vmsltu',        'vv vx'],
+  ['011011', 'vmslt',         'vv vx'],
+  ['011100', 'vmsleu',        'vv vx vi'],
+  ['011101', 'vmsle',         'vv vx vi'],
+  ['011110', 'vmsgtu',        'vx vi'],
+  ['011111', 'vmsgt',         'vx vi'],
+  ['100000', 'vsaddu',        'vv vx vi'],
+  ['100001', 'vsadd',         'vv vx vi'],
+  ['100010', 'vssubu',        'vv vx'],
+  ['100011', 'vssub',         'vv vx'],
+  ['100101', 'vsll',          'vv vx vi', 'u'],
+  ['100111', 'vsmul',         'vv vx'],
+  ['101000', 'vsrl',          'vv vx vi', 'u'],
+  ['101001', 'vsra',          'vv vx vi', 'u'],
+  ['101010', 'vssrl',         'vv vx vi', 'u'],
+  ['101011', 'vssra',         'vv vx vi', 'u'],
+  ['101100', 'vnsrl',         'wv wx wi', 'u'],
+  ['101101', 'vnsra',         'wv wx wi', 'u'],
+  ['101110', 'vnclipu',       'wv wx wi', 'u'],
+  ['101111', 'vnclip',        'wv wx wi', 'u'],
+  ['110000', 'vwredsumu',     'vs'],
+  ['110001', 'vwredsum',      'vs'],
+]
+
+const V_OPM = [
+  ['000000', 'vredsum',       'vs'],
+  ['000001', 'vredand',       'vs'],
+  ['000010', 'vredor',        'vs'],
+  ['000011', 'vredxor',       'vs'],
+  ['000100', 'vredminu',      'vs'],
+  ['000101', 'vredmin',       'vs'],
+  ['000110', 'vredmaxu',      'vs'],
+  ['000111', 'vredmax',       'vs'],
+  ['001000', 'vaaddu',        'vv vx'],
+  ['001001', 'vaadd',         'vv vx'],
+  ['001010', 'vasubu',        'vv vx'],
+  ['001011', 'vasub',         'vv vx'],
+  ['001110', 'vslide1up',     'vx'],
+  ['001111', 'vslide1down',   'vx'],
+  ['010111', 'vcompress',     'vm'],
+  ['011000', 'vmandn',        'mm'],
+  ['011001', 'vmand',         'mm'],
+  ['011010', 'vmor',          'mm'],
+  ['011011', 'vmxor',         'mm'],
+  ['011100', 'vmorn',         'mm'],
+  ['011101', 'vmnand',        'mm'],
+  ['011110', 'vmnor',         'mm'],
+  ['011111', 'vmxnor',        'mm'],
+  ['100000', 'vdivu',         'vv vx'],
+  ['100001', 'vdiv',          'vv vx'],
+  ['100010', 'vremu',         'vv vx'],
+  ['100011', 'vrem',          'vv vx'],
+  ['100100', 'vmulhu',        'vv vx'],
+  ['100101', 'vmul',          'vv vx'],
+  ['100110', 'vmulhsu',       'vv vx'],
+  ['100111', 'vmulh',         'vv vx'],
+  ['101001', 'vmadd',         'vv vx', 'a'],
+  ['101011', 'vnmsub',        'vv vx', 'a'],
+  ['101101', 'vmacc',         'vv vx', 'a'],
+  ['101111', 'vnmsac',        'vv vx', 'a'],
+  ['110000', 'vwaddu',        'vv vx'],
+  ['110001', 'vwadd',         'vv vx'],
+  ['110010', 'vwsubu',        'vv vx'],
+  ['110011', 'vwsub',         'vv vx'],
+  ['110100', 'vwaddu',        'wv wx'],
+  ['110101', 'vwadd',         'wv wx'],
+  ['110110', 'vwsubu',        'wv wx'],
+  ['110111', 'vwsub',         'wv wx'],
+  ['111000', 'vwmulu',        'vv vx'],
+  ['111010', 'vwmulsu',       'vv vx'],
+  ['111011', 'vwmul',         'vv vx'],
+  ['111100', 'vwmaccu',       'vv vx', 'a'],
+  ['111101', 'vwmacc',        'vv vx', 'a'],
+  ['111110', 'vwmaccus',      'vx', 'a'],
+  ['111111', 'vwmaccsu',      'vv vx', 'a'],
+]
+
+const V_OPF = [
+  ['000000', 'vfadd',         'vv vf'],
+  ['000001', 'vfredusum',     'vs'],
+  ['000010', 'vfsub',         'vv vf'],
+  ['000011', 'vfredosum',     'vs'],
+  ['000100', 'vfmin',         'vv vf'],
+  ['000101', 'vfredmin',      'vs'],
+  ['000110', 'vfmax',         'vv vf'],
+  ['000111', 'vfredmax',      'vs'],
+  ['001000', 'vfsgnj',        'vv vf'],
+  ['001001', 'vfsgnjn',       'vv vf'],
+  ['001010', 'vfsgnjx',       'vv vf'],
+  ['001110', 'vfslide1up',    'vf'],
+  ['001111', 'vfslide1down',  'vf'],
+  ['010111', 'vfmerge',       'vfm'],
+  ['011000', 'vmfeq',         'vv vf'],
+  ['011001', 'vmfle',         'vv vf'],
+  ['011011', 'vmflt',         'vv vf'],
+  ['011100', 'vmfne',         'vv vf'],
+  ['011101', 'vmfgt',         'vf'],
+  ['011111', 'vmfge',         'vf'],
+  ['100000', 'vfdiv',         'vv vf'],
+  ['100001', 'vfrdiv',        'vf'],
+  ['100100', 'vfmul',         'vv vf'],
+  ['100111', 'vfrsub',        'vf'],
+  ['101000', 'vfmadd',        'vv vf', 'a'],
+  ['101001', 'vfnmadd',       'vv vf', 'a'],
+  ['101010', 'vfmsub',        'vv vf', 'a'],
+  ['101011', 'vfnmsub',       'vv vf', 'a'],
+  ['101100', 'vfmacc',        'vv vf', 'a'],
+  ['101101', 'vfnmacc',       'vv vf', 'a'],
+  ['101110', 'vfmsac',        'vv vf', 'a'],
+  ['101111', 'vfnmsac',       'vv vf', 'a'],
+  ['110000', 'vfwadd',        'vv vf'],
+  ['110001', 'vfwredusum',    'vs'],
+  ['110010', 'vfwsub',        'vv vf'],
+  ['110011', 'vfwredosum',    'vs'],
+  ['110100', 'vfwadd',        'wv wf'],
+  ['110110', 'vfwsub',        'wv wf'],
+  ['111000', 'vfwmul',        'vv vf'],
+  ['111100', 'vfwmacc',       'vv vf', 'a'],
+  ['111101', 'vfwnmacc',      'vv vf', 'a'],
+  ['111110', 'vfwmsac',       'vv vf', 'a'],
+  ['111111', 'vfwnmsac',      'vv vf', 'a'],
+]
+
+// Vector unary instructions, selected by vs1 field, as [funct6, vs1, name, oprs]
+const V_UNARY = {
+  [V_FUNCT3.OPMVV]: [
+    ['010000', '00000', 'vmv.x.s',            'rd, vs2'],
+    ['010000', '10000', 'vcpop.m',            'rd, vs2, vm'],
+    ['010000', '10001', 'vfirst.m',           'rd, vs2, vm'],
+    ['010010', '00010', 'vzext.vf8',          'vd, vs2, vm'],
+    ['010010', '00011', 'vsext.vf8',          'vd, vs2, vm'],
+    ['010010', '00100', 'vzext.vf4',          'vd, vs2, vm'],
+    ['010010', '00101', 'vsext.vf4',          'vd, vs2, vm'],
+    ['010010', '00110', 'vzext.vf2',          'vd, vs2, vm'],
+    ['010010', '00111', 'vsext.vf2',          'vd, vs2, vm'],
+    ['010100', '00001', 'vmsbf.m',            'vd, vs2, vm'],
+    ['010100', '00010', 'vmsof.m',            'vd, vs2, vm'],
+    ['010100', '00011', 'vmsif.m',            'vd, vs2, vm'],
+    ['010100', '10000', 'viota.m',            'vd, vs2, vm'],
+    ['010100', '10001', 'vid.v',              'vd, vm'],
+  ],
+  [V_FUNCT3.OPFVV]: [
+    ['010000', '00000', 'vfmv.f.s',           'frd, vs2'],
+    ['010010', '00000', 'vfcvt.xu.f.v',       'vd, vs2, vm'],
+    ['010010', '00001', 'vfcvt.x.f.v',        'vd, vs2, vm'],
+    ['010010', '00010', 'vfcvt.f.xu.v',       'vd, vs2, vm'],
+    ['010010', '00011', 'vfcvt.f.x.v',        'vd, vs2, vm'],
+    ['010010', '00110', 'vfcvt.rtz.xu.f.v',   'vd, vs2, vm'],
+    ['010010', '00111', 'vfcvt.rtz.x.f.v',    'vd, vs2, vm'],
+    ['010010', '01000', 'vfwcvt.xu.f.v',      'vd, vs2, vm'],
+    ['010010', '01001', 'vfwcvt.x.f.v',       'vd, vs2, vm'],
+    ['010010', '01010', 'vfwcvt.f.xu.v',      'vd, vs2, vm'],
+    ['010010', '01011', 'vfwcvt.f.x.v',       'vd, vs2, vm'],
+    ['010010', '01100', 'vfwcvt.f.f.v',       'vd, vs2, vm'],
+    ['010010', '01110', 'vfwcvt.rtz.xu.f.v',  'vd, vs2, vm'],
+    ['010010', '01111', 'vfwcvt.rtz.x.f.v',   'vd, vs2, vm'],
+    ['010010', '10000', 'vfncvt.xu.f.w',      'vd, vs2, vm'],
+    ['010010', '10001', 'vfncvt.x.f.w',       'vd, vs2, vm'],
+    ['010010', '10010', 'vfncvt.f.xu.w',      'vd, vs2, vm'],
+    ['010010', '10011', 'vfncvt.f.x.w',       'vd, vs2, vm'],
+    ['010010', '10100', 'vfncvt.f.f.w',       'vd, vs2, vm'],
+    ['010010', '10101', 'vfncvt.rod.f.f.w',   'vd, vs2, vm'],
+    ['010010', '10110', 'vfncvt.rtz.xu.f.w',  'vd, vs2, vm'],
+    ['010010', '10111', 'vfncvt.rtz.x.f.w',   'vd, vs2, vm'],
+    ['010011', '00000', 'vfsqrt.v',           'vd, vs2, vm'],
+    ['010011', '00100', 'vfrsqrt7.v',         'vd, vs2, vm'],
+    ['010011', '00101', 'vfrec7.v',           'vd, vs2, vm'],
+    ['010011', '10000', 'vfclass.v',          'vd, vs2, vm'],
+  ],
+  [V_FUNCT3.OPIVI]: [
+    ['100111', '00000', 'vmv1r.v',            'vd, vs2'],
+    ['100111', '00001', 'vmv2r.v',            'vd, vs2'],
+    ['100111', '00011', 'vmv4r.v',            'vd, vs2'],
+    ['100111', '00111', 'vmv8r.v',            'vd, vs2'],
+  ],
+}
+
+// Vector arithmetic instruction generator
+// - oprs: operands in order of assembly, where 'vm' is the optional v0.t mask
+//   and 'v0' the mandatory carry-in or merge mask
+// - vm, vs1, vs2: fixed fields, for instructions not using them as operands
+function vectorArithGen() {
+  let insts = {};
+  const arith = (mne, funct3, funct6, oprs, fixed = {}) => {
+    const fmt = Object.keys(V_FUNCT3).find(key => V_FUNCT3[key] === funct3) + '-type';
+    insts[mne] = Object.assign({ isa: 'V', fmt: fmt, funct6: funct6 }, fixed,
+      { oprs: oprs, funct3: funct3, opcode: OPCODE.OP_V });
+  };
+
+  const groups = [
+    [V_OPI, { v: V_FUNCT3.OPIVV, x: V_FUNCT3.OPIVX, i: V_FUNCT3.OPIVI }],
+    [V_OPM, { v: V_FUNCT3.OPMVV, x: V_FUNCT3.OPMVX }],
+    [V_OPF, { v: V_FUNCT3.OPFVV, f: V_FUNCT3.OPFVF }],
+  ];
+  for (const [table, categories] of groups) {
+    for (const [funct6, name, suffixes, flags = ''] of table) {
+      for (const suffix of suffixes.split(' ')) {
+        const kind = /[sm]/.test(suffix[1]) ? 'v' : suffix[1];
+        const src1 = { v: 'vs1', x: 'rs1', i: flags.includes('u') ? 'uimm' : 'imm', f: 'frs1' }[kind];
+        const mne = `${name}.${suffix}`;
+        if (suffix.length === 3) {
+          // Carry-in or merge mask
+          arith(mne, categories[kind], funct6, `vd, vs2, ${src1}, v0`, { vm: '0' });
+        } else if (flags.includes('c') || suffix[1] === 'm') {
+          // Carry-out without carry-in, mask logical, and compress
+          arith(mne, categories[kind], funct6, `vd, vs2, ${src1}`, { vm: '1' });
+        } else if (flags.includes('a')) {
+          arith(mne, categories[kind], funct6, `vd, ${src1}, vs2, vm`);
+        } else {
+          arith(mne, categories[kind], funct6, `vd, vs2, ${src1}, vm`);
+        }
+      }
+    }
+  }
+
+  // Moves sharing merge encodings, without mask and vs2
+  arith('vmv.v.v',  V_FUNCT3.OPIVV, '010111', 'vd, vs1',  { vm: '1', vs2: '00000' });
+  arith('vmv.v.x',  V_FUNCT3.OPIVX, '010111', 'vd, rs1',  { vm: '1', vs2: '00000' });
+  arith('vmv.v.i',  V_FUNCT3.OPIVI, '010111', 'vd, imm',  { vm: '1', vs2: '00000' });
+  arith('vfmv.v.f', V_FUNCT3.OPFVF, '010111', 'vd, frs1', { vm: '1', vs2: '00000' });
+
+  // Scalar moves into element 0
+  arith('vmv.s.x',  V_FUNCT3.OPMVX, '010000', 'vd, rs1',  { vm: '1', vs2: '00000' });
+  arith('vfmv.s.f', V_FUNCT3.OPFVF, '010000', 'vd, frs1', { vm: '1', vs2: '00000' });
+
+  // Unary instructions
+  for (const [funct3, table] of Object.entries(V_UNARY)) {
+    for (const [funct6, vs1, mne, oprs] of table) {
+      let fixed = { vs1: vs1 };
+      if (!oprs.includes('vm')) {
+        fixed.vm = '1';
+      }
+      if (!oprs.includes('vs2')) {
+        fixed.vs2 = '00000';
+      }
+      arith(mne, funct3, funct6, oprs, fixed);
+    }
+  }
+
+  return insts;
+}
+
+// V instruction set
+export const ISA_V = {
+  // Configuration-Setting Instructions
+  vsetvli:  { isa: 'V', fmt: 'VSETVLI-type',  vset: '0',       funct3: V_FUNCT3.OPCFG, opcode: OPCODE.OP_V },
+  vsetivli: { isa: 'V', fmt: 'VSETIVLI-type', vset: '11',      funct3: V_FUNCT3.OPCFG, opcode: OPCODE.OP_V },
+  vsetvl:   { isa: 'V', fmt: 'VSETVL-type',   vset: '1000000', funct3: V_FUNCT3.OPCFG, opcode: OPCODE.OP_V },
+
+  // Loads and Stores
+  ...vectorMemGen(),
+
+  // Arithmetic
+  ...vectorArithGen(),
+}
+
 // Privileged instruction set
 export const ISA_Priv = {
   // Trap-Return Instructions
-  sret: { isa: 'Priv', fmt: 'I-type', funct12: '000100000010', funct3: '000', opcode: OPCODE.SYSTEM },
-  mret: { isa: 'Priv', fmt: 'I-type', funct12: '001100000010', funct3: '000', opcode: OPCODE.SYSTEM },
+  sret:  { isa: 'Priv',   fmt: 'I-type', funct12: '000100000010', funct3: '000', opcode: OPCODE.SYSTEM },
+  mret:  { isa: 'Priv',   fmt: 'I-type', funct12: '001100000010', funct3: '000', opcode: OPCODE.SYSTEM },
+  mnret: { isa: 'Smrnmi', fmt: 'I-type', funct12: '011100000010', funct3: '000', opcode: OPCODE.SYSTEM },
+  dret:  { isa: 'Sdext',  fmt: 'I-type', funct12: '011110110010', funct3: '000', opcode: OPCODE.SYSTEM },
 
   // Interrupt-Management Instructions
   wfi: { isa: 'Priv', fmt: 'I-type', funct12: '000100000101', funct3: '000', opcode: OPCODE.SYSTEM },
+
+  // Supervisor Memory-Management Instructions
+  'sfence.vma':      { isa: 'Priv',    fmt: 'R-type', funct7: '0001001',       funct3: '000', opcode: OPCODE.SYSTEM },
+  'sinval.vma':      { isa: 'Svinval', fmt: 'R-type', funct7: '0001011',       funct3: '000', opcode: OPCODE.SYSTEM },
+  'sfence.w.inval':  { isa: 'Svinval', fmt: 'I-type', funct12: '000110000000', funct3: '000', opcode: OPCODE.SYSTEM },
+  'sfence.inval.ir': { isa: 'Svinval', fmt: 'I-type', funct12: '000110000001', funct3: '000', opcode: OPCODE.SYSTEM },
+}
+
+// Hypervisor instruction set
+// - Hypervisor loads hold a fixed rs2 field
+export const ISA_H = {
+  // Hypervisor Memory-Management Instructions
+  'hfence.vvma': { isa: 'H',         fmt: 'R-type', funct7: '0010001', funct3: '000', opcode: OPCODE.SYSTEM },
+  'hfence.gvma': { isa: 'H',         fmt: 'R-type', funct7: '0110001', funct3: '000', opcode: OPCODE.SYSTEM },
+  'hinval.vvma': { isa: 'H_Svinval', fmt: 'R-type', funct7: '0010011', funct3: '000', opcode: OPCODE.SYSTEM },
+  'hinval.gvma': { isa: 'H_Svinval', fmt: 'R-type', funct7: '0110011', funct3: '000', opcode: OPCODE.SYSTEM },
+
+  // Hypervisor Virtual-Machine Load and Store Instructions
+  'hlv.b':   { isa: 'H',     fmt: 'R-type', funct7: '0110000', rs2: '00000', funct3: '100', opcode: OPCODE.SYSTEM },
+  'hlv.bu':  { isa: 'H',     fmt: 'R-type', funct7: '0110000', rs2: '00001', funct3: '100', opcode: OPCODE.SYSTEM },
+  'hlv.h':   { isa: 'H',     fmt: 'R-type', funct7: '0110010', rs2: '00000', funct3: '100', opcode: OPCODE.SYSTEM },
+  'hlv.hu':  { isa: 'H',     fmt: 'R-type', funct7: '0110010', rs2: '00001', funct3: '100', opcode: OPCODE.SYSTEM },
+  'hlvx.hu': { isa: 'H',     fmt: 'R-type', funct7: '0110010', rs2: '00011', funct3: '100', opcode: OPCODE.SYSTEM },
+  'hlv.w':   { isa: 'H',     fmt: 'R-type', funct7: '0110100', rs2: '00000', funct3: '100', opcode: OPCODE.SYSTEM },
+  'hlvx.wu': { isa: 'H',     fmt: 'R-type', funct7: '0110100', rs2: '00011', funct3: '100', opcode: OPCODE.SYSTEM },
+  'hlv.wu':  { isa: 'RV64H', fmt: 'R-type', funct7: '0110100', rs2: '00001', funct3: '100', opcode: OPCODE.SYSTEM },
+  'hlv.d':   { isa: 'RV64H', fmt: 'R-type', funct7: '0110110', rs2: '00000', funct3: '100', opcode: OPCODE.SYSTEM },
+
+  'hsv.b':   { isa: 'H',     fmt: 'R-type', funct7: '0110001', funct3: '100', opcode: OPCODE.SYSTEM },
+  'hsv.h':   { isa: 'H',     fmt: 'R-type', funct7: '0110011', funct3: '100', opcode: OPCODE.SYSTEM },
+  'hsv.w':   { isa: 'H',     fmt: 'R-type', funct7: '0110101', funct3: '100', opcode: OPCODE.SYSTEM },
+  'hsv.d':   { isa: 'RV64H', fmt: 'R-type', funct7: '0110111', funct3: '100', opcode: OPCODE.SYSTEM },
+}
+
+// Lookup of byte-select instructions, by funct7 and funct3 for each value of bs
+function byteSelectLookupGen(isa, ...instNames) {
+  let lookup = {};
+  for (const name of instNames) {
+    const inst = isa[name];
+    for (let bs = 0; bs < 4; bs++) {
+      lookup[bs.toString(2).padStart(2, '0') + inst.funct5 + inst.funct3] = name;
+    }
+  }
+  return lookup;
+}
+
+// Lookup of round-number instructions, by imm[11:0] for each valid value of rnum
+function roundNumberLookupGen(isa, name, maxRnum) {
+  let lookup = {};
+  for (let rnum = 0; rnum <= maxRnum; rnum++) {
+    lookup[isa[name].funct8 + rnum.toString(2).padStart(4, '0')] = name;
+  }
+  return lookup;
 }
 
 // ISA per opcode
@@ -629,6 +1577,56 @@ export const ISA_OP = {
   [ISA_M['divu'].funct7   + ISA_M['divu'].funct3]:    'divu',
   [ISA_M['rem'].funct7    + ISA_M['rem'].funct3]:     'rem',
   [ISA_M['remu'].funct7   + ISA_M['remu'].funct3]:    'remu',
+  // RV32Zba
+  [ISA_Zba['sh1add'].funct7 + ISA_Zba['sh1add'].funct3]:  'sh1add',
+  [ISA_Zba['sh2add'].funct7 + ISA_Zba['sh2add'].funct3]:  'sh2add',
+  [ISA_Zba['sh3add'].funct7 + ISA_Zba['sh3add'].funct3]:  'sh3add',
+  // RV32Zbb
+  [ISA_Zbb['andn'].funct7 + ISA_Zbb['andn'].funct3]:  'andn',
+  [ISA_Zbb['orn'].funct7  + ISA_Zbb['orn'].funct3]:   'orn',
+  [ISA_Zbb['xnor'].funct7 + ISA_Zbb['xnor'].funct3]:  'xnor',
+  [ISA_Zbb['max'].funct7  + ISA_Zbb['max'].funct3]:   'max',
+  [ISA_Zbb['maxu'].funct7 + ISA_Zbb['maxu'].funct3]:  'maxu',
+  [ISA_Zbb['min'].funct7  + ISA_Zbb['min'].funct3]:   'min',
+  [ISA_Zbb['minu'].funct7 + ISA_Zbb['minu'].funct3]:  'minu',
+  [ISA_Zbb['rol'].funct7  + ISA_Zbb['rol'].funct3]:   'rol',
+  [ISA_Zbb['ror'].funct7  + ISA_Zbb['ror'].funct3]:   'ror',
+  // RV32Zbb, RV32Zbkb (zext.h is pack with rs2 = x0)
+  [ISA_Zbb['zext.h'].funct7 + ISA_Zbb['zext.h'].funct3]: {
+    [ISA_Zbb['zext.h'].rs2]:  'zext.h',
+    'default':                'pack',
+  },
+  // RV32Zbs
+  [ISA_Zbs['bclr'].funct7 + ISA_Zbs['bclr'].funct3]:  'bclr',
+  [ISA_Zbs['bext'].funct7 + ISA_Zbs['bext'].funct3]:  'bext',
+  [ISA_Zbs['binv'].funct7 + ISA_Zbs['binv'].funct3]:  'binv',
+  [ISA_Zbs['bset'].funct7 + ISA_Zbs['bset'].funct3]:  'bset',
+  // RV32Zbkb, RV32Zbkc, RV32Zbkx
+  [ISA_Zbkb['packh'].funct7  + ISA_Zbkb['packh'].funct3]:   'packh',
+  [ISA_Zbkc['clmul'].funct7  + ISA_Zbkc['clmul'].funct3]:   'clmul',
+  [ISA_Zbkc['clmulh'].funct7 + ISA_Zbkc['clmulh'].funct3]:  'clmulh',
+  [ISA_Zbkx['xperm8'].funct7 + ISA_Zbkx['xperm8'].funct3]:  'xperm8',
+  [ISA_Zbkx['xperm4'].funct7 + ISA_Zbkx['xperm4'].funct3]:  'xperm4',
+  // RV32Zknd, RV32Zkne, RV32Zksed
+  ...byteSelectLookupGen(ISA_Zknd, 'aes32dsi', 'aes32dsmi'),
+  ...byteSelectLookupGen(ISA_Zkne, 'aes32esi', 'aes32esmi'),
+  ...byteSelectLookupGen(ISA_Zksed, 'sm4ed', 'sm4ks'),
+  // RV64Zknd, RV64Zkne
+  [ISA_Zknd['aes64ds'].funct7  + ISA_Zknd['aes64ds'].funct3]:   'aes64ds',
+  [ISA_Zknd['aes64dsm'].funct7 + ISA_Zknd['aes64dsm'].funct3]:  'aes64dsm',
+  [ISA_Zknd['aes64ks2'].funct7 + ISA_Zknd['aes64ks2'].funct3]:  'aes64ks2',
+  [ISA_Zkne['aes64es'].funct7  + ISA_Zkne['aes64es'].funct3]:   'aes64es',
+  [ISA_Zkne['aes64esm'].funct7 + ISA_Zkne['aes64esm'].funct3]:  'aes64esm',
+  // RV32Zknh
+  [ISA_Zknh['sha512sig0h'].funct7 + ISA_Zknh['sha512sig0h'].funct3]:  'sha512sig0h',
+  [ISA_Zknh['sha512sig0l'].funct7 + ISA_Zknh['sha512sig0l'].funct3]:  'sha512sig0l',
+  [ISA_Zknh['sha512sig1h'].funct7 + ISA_Zknh['sha512sig1h'].funct3]:  'sha512sig1h',
+  [ISA_Zknh['sha512sig1l'].funct7 + ISA_Zknh['sha512sig1l'].funct3]:  'sha512sig1l',
+  [ISA_Zknh['sha512sum0r'].funct7 + ISA_Zknh['sha512sum0r'].funct3]:  'sha512sum0r',
+  [ISA_Zknh['sha512sum1r'].funct7 + ISA_Zknh['sha512sum1r'].funct3]:  'sha512sum1r',
+  // Zicond
+  [ISA_Zicond['czero.eqz'].funct7 + ISA_Zicond['czero.eqz'].funct3]:  'czero.eqz',
+  [ISA_Zicond['czero.nez'].funct7 + ISA_Zicond['czero.nez'].funct3]:  'czero.nez',
 }
 
 export const ISA_OP_32 = {
@@ -644,6 +1642,19 @@ export const ISA_OP_32 = {
   [ISA_M['divuw'].funct7 + ISA_M['divuw'].funct3]:  'divuw',
   [ISA_M['remw'].funct7  + ISA_M['remw'].funct3]:   'remw',
   [ISA_M['remuw'].funct7 + ISA_M['remuw'].funct3]:  'remuw',
+  // RV64Zba
+  [ISA_Zba['add.uw'].funct7    + ISA_Zba['add.uw'].funct3]:     'add.uw',
+  [ISA_Zba['sh1add.uw'].funct7 + ISA_Zba['sh1add.uw'].funct3]:  'sh1add.uw',
+  [ISA_Zba['sh2add.uw'].funct7 + ISA_Zba['sh2add.uw'].funct3]:  'sh2add.uw',
+  [ISA_Zba['sh3add.uw'].funct7 + ISA_Zba['sh3add.uw'].funct3]:  'sh3add.uw',
+  // RV64Zbb
+  [ISA_Zbb['rolw'].funct7 + ISA_Zbb['rolw'].funct3]:  'rolw',
+  [ISA_Zbb['rorw'].funct7 + ISA_Zbb['rorw'].funct3]:  'rorw',
+  // RV64Zbb, RV64Zbkb (zext.h is packw with rs2 = x0)
+  [ISA_Zbb['zext.h'].funct7 + ISA_Zbb['zext.h'].funct3]: {
+    [ISA_Zbb['zext.h'].rs2]:  'zext.h',
+    'default':                'packw',
+  },
 }
 
 export const ISA_OP_64 = {
@@ -680,6 +1691,15 @@ export const ISA_STORE = {
   [ISA_RV128I['sq'].funct3]:  'sq',
 }
 
+// Upper immediate bits imm[11:7] of shift instructions, given their shift type
+function shtypFunct5(inst) {
+  return '0' + inst.shtyp + '000';
+}
+
+// OP-IMM instruction order of lookup
+// - funct3
+// - imm[11:7] for shift and unary instructions
+// - imm[11:0] for unary instructions
 export const ISA_OP_IMM = {
   [ISA_RV32I['addi'].funct3]:   'addi',
   [ISA_RV32I['slti'].funct3]:   'slti',
@@ -688,31 +1708,86 @@ export const ISA_OP_IMM = {
   [ISA_RV32I['ori'].funct3]:    'ori',
   [ISA_RV32I['andi'].funct3]:   'andi',
 
-  [ISA_RV32I['slli'].funct3]:   'slli',
+  [ISA_RV32I['slli'].funct3]: {
+    [shtypFunct5(ISA_RV32I['slli'])]: 'slli',
+    [ISA_Zbs['bclri'].funct5]:        'bclri',
+    [ISA_Zbs['binvi'].funct5]:        'binvi',
+    [ISA_Zbs['bseti'].funct5]:        'bseti',
+    [ISA_Zbb['clz'].funct12.substring(0, 5)]: {
+      [ISA_Zbb['clz'].funct12]:     'clz',
+      [ISA_Zbb['ctz'].funct12]:     'ctz',
+      [ISA_Zbb['cpop'].funct12]:    'cpop',
+      [ISA_Zbb['sext.b'].funct12]:  'sext.b',
+      [ISA_Zbb['sext.h'].funct12]:  'sext.h',
+    },
+    [ISA_Zbkb['zip'].funct12.substring(0, 5)]: {
+      [ISA_Zbkb['zip'].funct12]:    'zip',
+    },
+    [ISA_Zknh['sha256sig0'].funct12.substring(0, 5)]: {
+      [ISA_Zknh['sha256sig0'].funct12]:  'sha256sig0',
+      [ISA_Zknh['sha256sig1'].funct12]:  'sha256sig1',
+      [ISA_Zknh['sha256sum0'].funct12]:  'sha256sum0',
+      [ISA_Zknh['sha256sum1'].funct12]:  'sha256sum1',
+      [ISA_Zknh['sha512sig0'].funct12]:  'sha512sig0',
+      [ISA_Zknh['sha512sig1'].funct12]:  'sha512sig1',
+      [ISA_Zknh['sha512sum0'].funct12]:  'sha512sum0',
+      [ISA_Zknh['sha512sum1'].funct12]:  'sha512sum1',
+      [ISA_Zksh['sm3p0'].funct12]:       'sm3p0',
+      [ISA_Zksh['sm3p1'].funct12]:       'sm3p1',
+    },
+    [ISA_Zknd['aes64im'].funct12.substring(0, 5)]: {
+      [ISA_Zknd['aes64im'].funct12]:     'aes64im',
+      ...roundNumberLookupGen(ISA_Zknd, 'aes64ks1i', 0xA),
+    },
+  },
   [ISA_RV32I['srli'].funct3]: {
-    [ISA_RV32I['srli'].shtyp]:  'srli',
-    [ISA_RV32I['srai'].shtyp]:  'srai',
-  }
+    [shtypFunct5(ISA_RV32I['srli'])]: 'srli',
+    [shtypFunct5(ISA_RV32I['srai'])]: 'srai',
+    [ISA_Zbb['rori'].funct5]:         'rori',
+    [ISA_Zbs['bexti'].funct5]:        'bexti',
+    [ISA_Zbb['orc.b'].funct12.substring(0, 5)]: {
+      [ISA_Zbb['orc.b'].funct12]:     'orc.b',
+    },
+    [ISA_Zbb['rev8'].funct12.substring(0, 5)]: {
+      [ISA_Zbb['rev8'].funct12]:      'rev8',
+      [ISA_Zbb['rev8'].rv64.funct12]: 'rev8',
+      [ISA_Zbkb['brev8'].funct12]:    'brev8',
+    },
+    [ISA_Zbkb['unzip'].funct12.substring(0, 5)]: {
+      [ISA_Zbkb['unzip'].funct12]:    'unzip',
+    },
+  },
 }
 
 export const ISA_OP_IMM_32 = {
   [ISA_RV64I['addiw'].funct3]:  'addiw',
 
-  [ISA_RV64I['slliw'].funct3]:  'slliw',
+  [ISA_RV64I['slliw'].funct3]: {
+    [shtypFunct5(ISA_RV64I['slliw'])]:  'slliw',
+    [ISA_Zba['slli.uw'].funct5]:        'slli.uw',
+    [ISA_Zbb['clzw'].funct12.substring(0, 5)]: {
+      [ISA_Zbb['clzw'].funct12]:  'clzw',
+      [ISA_Zbb['ctzw'].funct12]:  'ctzw',
+      [ISA_Zbb['cpopw'].funct12]: 'cpopw',
+    },
+  },
   [ISA_RV64I['srliw'].funct3]: {
-    [ISA_RV64I['srliw'].shtyp]: 'srliw',
-    [ISA_RV64I['sraiw'].shtyp]: 'sraiw',
-  }
+    [shtypFunct5(ISA_RV64I['srliw'])]:  'srliw',
+    [shtypFunct5(ISA_RV64I['sraiw'])]:  'sraiw',
+    [ISA_Zbb['roriw'].funct5]:          'roriw',
+  },
 }
 
 export const ISA_OP_IMM_64 = {
   [ISA_RV128I['addid'].funct3]:   'addid',
 
-  [ISA_RV128I['sllid'].funct3]:   'sllid',
+  [ISA_RV128I['sllid'].funct3]: {
+    [shtypFunct5(ISA_RV128I['sllid'])]: 'sllid',
+  },
   [ISA_RV128I['srlid'].funct3]: {
-    [ISA_RV128I['srlid'].shtyp]:  'srlid',
-    [ISA_RV128I['sraid'].shtyp]:  'sraid',
-  }
+    [shtypFunct5(ISA_RV128I['srlid'])]: 'srlid',
+    [shtypFunct5(ISA_RV128I['sraid'])]: 'sraid',
+  },
 }
 
 export const ISA_BRANCH = {
@@ -730,13 +1805,69 @@ export const ISA_MISC_MEM = {
   [ISA_RV128I['lq'].funct3]:        'lq',
 }
 
+// Cache-block operations, by imm[11:0] (when rd=x0 and not decoding lq)
+export const ISA_MISC_MEM_CBO = {
+  [ISA_Zicbom['cbo.inval'].funct12]: 'cbo.inval',
+  [ISA_Zicbom['cbo.clean'].funct12]: 'cbo.clean',
+  [ISA_Zicbom['cbo.flush'].funct12]: 'cbo.flush',
+  [ISA_Zicboz['cbo.zero'].funct12]:  'cbo.zero',
+}
+
+// Prefetch hints, by imm[4:0] (when ori has rd=x0 and Zicbop is enabled)
+export const ISA_OP_IMM_PREFETCH = {
+  [ISA_Zicbop['prefetch.i'].rs2]: 'prefetch.i',
+  [ISA_Zicbop['prefetch.r'].rs2]: 'prefetch.r',
+  [ISA_Zicbop['prefetch.w'].rs2]: 'prefetch.w',
+}
+
+// SYSTEM Instruction order of lookup
+// - funct3
+// - funct12, or funct7 for instructions with register operands
+// - rs2
 export const ISA_SYSTEM = {
   [ISA_RV32I['ecall'].funct3]: {
-    [ISA_RV32I['ecall'].funct12]:   'ecall',
-    [ISA_RV32I['ebreak'].funct12]:  'ebreak',
-    [ISA_Priv['sret'].funct12]:     'sret',
-    [ISA_Priv['mret'].funct12]:     'mret',
-    [ISA_Priv['wfi'].funct12]:      'wfi',
+    [ISA_RV32I['ecall'].funct12]:          'ecall',
+    [ISA_RV32I['ebreak'].funct12]:         'ebreak',
+    [ISA_Priv['sret'].funct12]:            'sret',
+    [ISA_Priv['mret'].funct12]:            'mret',
+    [ISA_Priv['mnret'].funct12]:           'mnret',
+    [ISA_Priv['dret'].funct12]:            'dret',
+    [ISA_Priv['wfi'].funct12]:             'wfi',
+    [ISA_Priv['sfence.w.inval'].funct12]:  'sfence.w.inval',
+    [ISA_Priv['sfence.inval.ir'].funct12]: 'sfence.inval.ir',
+    [ISA_Zawrs['wrs.nto'].funct12]:        'wrs.nto',
+    [ISA_Zawrs['wrs.sto'].funct12]:        'wrs.sto',
+    [ISA_Priv['sfence.vma'].funct7]:       'sfence.vma',
+    [ISA_Priv['sinval.vma'].funct7]:       'sinval.vma',
+    [ISA_H['hfence.vvma'].funct7]:         'hfence.vvma',
+    [ISA_H['hfence.gvma'].funct7]:         'hfence.gvma',
+    [ISA_H['hinval.vvma'].funct7]:         'hinval.vvma',
+    [ISA_H['hinval.gvma'].funct7]:         'hinval.gvma',
+  },
+  [ISA_H['hlv.b'].funct3]: {
+    [ISA_H['hlv.b'].funct7]: {
+      [ISA_H['hlv.b'].rs2]:   'hlv.b',
+      [ISA_H['hlv.bu'].rs2]:  'hlv.bu',
+    },
+    [ISA_H['hlv.h'].funct7]: {
+      [ISA_H['hlv.h'].rs2]:   'hlv.h',
+      [ISA_H['hlv.hu'].rs2]:  'hlv.hu',
+      [ISA_H['hlvx.hu'].rs2]: 'hlvx.hu',
+    },
+    [ISA_H['hlv.w'].funct7]: {
+      [ISA_H['hlv.w'].rs2]:   'hlv.w',
+      [ISA_H['hlv.wu'].rs2]:  'hlv.wu',
+      [ISA_H['hlvx.wu'].rs2]: 'hlvx.wu',
+    },
+    [ISA_H['hlv.d'].funct7]: {
+      [ISA_H['hlv.d'].rs2]:   'hlv.d',
+    },
+    [ISA_H['hsv.b'].funct7]:  'hsv.b',
+    [ISA_H['hsv.h'].funct7]:  'hsv.h',
+    [ISA_H['hsv.w'].funct7]:  'hsv.w',
+    [ISA_H['hsv.d'].funct7]:  'hsv.d',
+    ...numberedLookupGen(ISA_Zimop, 'funct12', FIELDS.r_funct7.pos[1]),
+    ...numberedLookupGen(ISA_Zimop, 'funct7'),
   },
   [ISA_Zicsr['csrrw'].funct3]:  'csrrw',
   [ISA_Zicsr['csrrs'].funct3]:  'csrrs',
@@ -746,6 +1877,15 @@ export const ISA_SYSTEM = {
   [ISA_Zicsr['csrrci'].funct3]: 'csrrci',
 }
 
+// Zicfiss instructions, in place of SYSTEM may-be-operations with funct3=100,
+// by funct7, then rs2 for instructions without source register rs2
+export const ISA_SYSTEM_ZICFISS = {
+  [ISA_Zicfiss['sspush'].funct7]: 'sspush',
+  [ISA_Zicfiss['sspopchk'].funct12.substring(0, 7)]: {
+    [ISA_Zicfiss['sspopchk'].funct12.substring(7)]: 'sspopchk',
+  },
+}
+
 export const ISA_AMO = {
   [ISA_A['lr.w'].funct5        + ISA_A['lr.w'].funct3]:      'lr.w',
   [ISA_A['sc.w'].funct5        + ISA_A['sc.w'].funct3]:      'sc.w',
@@ -782,40 +1922,113 @@ export const ISA_AMO = {
   [ISA_A['amomax.q'].funct5    + ISA_A['amomax.q'].funct3]:  'amomax.q',
   [ISA_A['amominu.q'].funct5   + ISA_A['amominu.q'].funct3]: 'amominu.q',
   [ISA_A['amomaxu.q'].funct5   + ISA_A['amomaxu.q'].funct3]: 'amomaxu.q',
+
+  [ISA_Zacas['amocas.w'].funct5 + ISA_Zacas['amocas.w'].funct3]: 'amocas.w',
+  [ISA_Zacas['amocas.d'].funct5 + ISA_Zacas['amocas.d'].funct3]: 'amocas.d',
+  [ISA_Zacas['amocas.q'].funct5 + ISA_Zacas['amocas.q'].funct3]: 'amocas.q',
+
+  [ISA_Zabha['amoswap.b'].funct5 + ISA_Zabha['amoswap.b'].funct3]: 'amoswap.b',
+  [ISA_Zabha['amoadd.b'].funct5  + ISA_Zabha['amoadd.b'].funct3]:  'amoadd.b',
+  [ISA_Zabha['amoxor.b'].funct5  + ISA_Zabha['amoxor.b'].funct3]:  'amoxor.b',
+  [ISA_Zabha['amoand.b'].funct5  + ISA_Zabha['amoand.b'].funct3]:  'amoand.b',
+  [ISA_Zabha['amoor.b'].funct5   + ISA_Zabha['amoor.b'].funct3]:   'amoor.b',
+  [ISA_Zabha['amomin.b'].funct5  + ISA_Zabha['amomin.b'].funct3]:  'amomin.b',
+  [ISA_Zabha['amomax.b'].funct5  + ISA_Zabha['amomax.b'].funct3]:  'amomax.b',
+  [ISA_Zabha['amominu.b'].funct5 + ISA_Zabha['amominu.b'].funct3]: 'amominu.b',
+  [ISA_Zabha['amomaxu.b'].funct5 + ISA_Zabha['amomaxu.b'].funct3]: 'amomaxu.b',
+  [ISA_Zabha['amocas.b'].funct5  + ISA_Zabha['amocas.b'].funct3]:  'amocas.b',
+
+  [ISA_Zabha['amoswap.h'].funct5 + ISA_Zabha['amoswap.h'].funct3]: 'amoswap.h',
+  [ISA_Zabha['amoadd.h'].funct5  + ISA_Zabha['amoadd.h'].funct3]:  'amoadd.h',
+  [ISA_Zabha['amoxor.h'].funct5  + ISA_Zabha['amoxor.h'].funct3]:  'amoxor.h',
+  [ISA_Zabha['amoand.h'].funct5  + ISA_Zabha['amoand.h'].funct3]:  'amoand.h',
+  [ISA_Zabha['amoor.h'].funct5   + ISA_Zabha['amoor.h'].funct3]:   'amoor.h',
+  [ISA_Zabha['amomin.h'].funct5  + ISA_Zabha['amomin.h'].funct3]:  'amomin.h',
+  [ISA_Zabha['amomax.h'].funct5  + ISA_Zabha['amomax.h'].funct3]:  'amomax.h',
+  [ISA_Zabha['amominu.h'].funct5 + ISA_Zabha['amominu.h'].funct3]: 'amominu.h',
+  [ISA_Zabha['amomaxu.h'].funct5 + ISA_Zabha['amomaxu.h'].funct3]: 'amomaxu.h',
+  [ISA_Zabha['amocas.h'].funct5  + ISA_Zabha['amocas.h'].funct3]:  'amocas.h',
+
+  [ISA_Zicfiss['ssamoswap.w'].funct5 + ISA_Zicfiss['ssamoswap.w'].funct3]: 'ssamoswap.w',
+  [ISA_Zicfiss['ssamoswap.d'].funct5 + ISA_Zicfiss['ssamoswap.d'].funct3]: 'ssamoswap.d',
 }
 
 export const ISA_LOAD_FP = {
+  [FP_WIDTH.H]: 'flh',
   [FP_WIDTH.S]: 'flw',
   [FP_WIDTH.D]: 'fld',
   [FP_WIDTH.Q]: 'flq',
 }
 
 export const ISA_STORE_FP = {
+  [FP_WIDTH.H]: 'fsh',
   [FP_WIDTH.S]: 'fsw',
   [FP_WIDTH.D]: 'fsd',
   [FP_WIDTH.Q]: 'fsq',
 }
 
+// Vector memory lookup, by nf + mop + lumop/sumop (unit-stride only) + width
+function vectorMemLookupGen(opcode) {
+  let lookup = {};
+  for (const [mne, inst] of Object.entries(ISA_V)) {
+    if (inst.opcode === opcode) {
+      lookup[inst.nf + inst.mop + (inst.umop ?? '') + inst.width] = mne;
+    }
+  }
+  return lookup;
+}
+
+export const ISA_VLOAD = vectorMemLookupGen(OPCODE.LOAD_FP);
+
+export const ISA_VSTORE = vectorMemLookupGen(OPCODE.STORE_FP);
+
+// Vector arithmetic lookup, by funct3 + funct6
+// - instructions sharing an encoding are nested by vs1 (unary instructions), or
+//   by vm (e.g. vmerge.vvm and vmv.v.v)
+export const ISA_OP_V = (() => {
+  let lookup = {};
+  for (const [mne, inst] of Object.entries(ISA_V)) {
+    if (inst.funct6 === undefined) {
+      continue;
+    }
+    const key = inst.funct3 + inst.funct6;
+    if (lookup[key] === undefined) {
+      lookup[key] = mne;
+      continue;
+    }
+    if (typeof lookup[key] === 'string') {
+      const other = ISA_V[lookup[key]];
+      lookup[key] = { [other.vs1 ?? other.vm]: lookup[key] };
+    }
+    lookup[key][inst.vs1 ?? inst.vm] = mne;
+  }
+  return lookup;
+})();
+
 export const ISA_MADD = {
   [FP_FMT.S]: 'fmadd.s',
+  [FP_FMT.H]: 'fmadd.h',
   [FP_FMT.D]: 'fmadd.d',
   [FP_FMT.Q]: 'fmadd.q',
 }
 
 export const ISA_MSUB = {
   [FP_FMT.S]: 'fmsub.s',
+  [FP_FMT.H]: 'fmsub.h',
   [FP_FMT.D]: 'fmsub.d',
   [FP_FMT.Q]: 'fmsub.q',
 }
 
 export const ISA_NMADD = {
   [FP_FMT.S]: 'fnmadd.s',
+  [FP_FMT.H]: 'fnmadd.h',
   [FP_FMT.D]: 'fnmadd.d',
   [FP_FMT.Q]: 'fnmadd.q',
 }
 
 export const ISA_NMSUB = {
   [FP_FMT.S]: 'fnmsub.s',
+  [FP_FMT.H]: 'fnmsub.h',
   [FP_FMT.D]: 'fnmsub.d',
   [FP_FMT.Q]: 'fnmsub.q',
 }
@@ -825,31 +2038,49 @@ export const ISA_OP_FP = {
     [FP_FMT.S]: 'fadd.s',
     [FP_FMT.D]: 'fadd.d',
     [FP_FMT.Q]: 'fadd.q',
+    [FP_FMT.H]: 'fadd.h',
   },
   [ISA_F['fsub.s'].funct5]: {
     [FP_FMT.S]: 'fsub.s',
     [FP_FMT.D]: 'fsub.d',
     [FP_FMT.Q]: 'fsub.q',
+    [FP_FMT.H]: 'fsub.h',
   },
   [ISA_F['fmul.s'].funct5]: {
     [FP_FMT.S]: 'fmul.s',
     [FP_FMT.D]: 'fmul.d',
     [FP_FMT.Q]: 'fmul.q',
+    [FP_FMT.H]: 'fmul.h',
   },
   [ISA_F['fdiv.s'].funct5]: {
     [FP_FMT.S]: 'fdiv.s',
     [FP_FMT.D]: 'fdiv.d',
     [FP_FMT.Q]: 'fdiv.q',
+    [FP_FMT.H]: 'fdiv.h',
   },
   [ISA_F['fsqrt.s'].funct5]: {
     [FP_FMT.S]: 'fsqrt.s',
     [FP_FMT.D]: 'fsqrt.d',
     [FP_FMT.Q]: 'fsqrt.q',
+    [FP_FMT.H]: 'fsqrt.h',
   },
   [ISA_F['fmv.w.x'].funct5]: {
-    [FP_FMT.S]: 'fmv.w.x',
-    [FP_FMT.D]: 'fmv.d.x',
-    [FP_FMT.Q]: 'fmv.q.x',
+    [FP_FMT.S]: {
+      [ISA_F['fmv.w.x'].rs2]:     'fmv.w.x',
+      [ISA_Zfa['fli.s'].rs2]:     'fli.s',
+    },
+    [FP_FMT.D]: {
+      [ISA_D['fmv.d.x'].rs2]:     'fmv.d.x',
+      [ISA_Zfa['fli.d'].rs2]:     'fli.d',
+    },
+    [FP_FMT.Q]: {
+      [ISA_Q['fmv.q.x'].rs2]:     'fmv.q.x',
+      [ISA_Zfa['fli.q'].rs2]:     'fli.q',
+    },
+    [FP_FMT.H]: {
+      [ISA_Zfh['fmv.h.x'].rs2]:   'fmv.h.x',
+      [ISA_Zfa['fli.h'].rs2]:     'fli.h',
+    },
   },
   [ISA_F['fclass.s'].funct5]: {
     [FP_FMT.S]: {
@@ -858,11 +2089,21 @@ export const ISA_OP_FP = {
     },
     [FP_FMT.D]: {
       [ISA_D['fclass.d'].funct3]:   'fclass.d',
-      [ISA_D['fmv.x.d'].funct3]:    'fmv.x.d',
+      [ISA_D['fmv.x.d'].funct3]: {
+        [ISA_D['fmv.x.d'].rs2]:    'fmv.x.d',
+        [ISA_Zfa['fmvh.x.d'].rs2]:  'fmvh.x.d',
+      },
     },
     [FP_FMT.Q]: {
       [ISA_Q['fclass.q'].funct3]:   'fclass.q',
-      [ISA_Q['fmv.x.q'].funct3]:    'fmv.x.q',
+      [ISA_Q['fmv.x.q'].funct3]: {
+        [ISA_Q['fmv.x.q'].rs2]:    'fmv.x.q',
+        [ISA_Zfa['fmvh.x.q'].rs2]:  'fmvh.x.q',
+      },
+    },
+    [FP_FMT.H]: {
+      [ISA_Zfh['fclass.h'].funct3]:   'fclass.h',
+      [ISA_Zfh['fmv.x.h'].funct3]:    'fmv.x.h',
     },
   },
   [ISA_F['fsgnj.s'].funct5]: {
@@ -881,19 +2122,36 @@ export const ISA_OP_FP = {
       [ISA_Q['fsgnjn.q'].funct3]:   'fsgnjn.q',
       [ISA_Q['fsgnjx.q'].funct3]:   'fsgnjx.q',
     },
+    [FP_FMT.H]: {
+      [ISA_Zfh['fsgnj.h'].funct3]:    'fsgnj.h',
+      [ISA_Zfh['fsgnjn.h'].funct3]:   'fsgnjn.h',
+      [ISA_Zfh['fsgnjx.h'].funct3]:   'fsgnjx.h',
+    },
   },
   [ISA_F['fmin.s'].funct5]: {
     [FP_FMT.S]: {
       [ISA_F['fmin.s'].funct3]:     'fmin.s',
       [ISA_F['fmax.s'].funct3]:     'fmax.s',
+      [ISA_Zfa['fminm.s'].funct3]:    'fminm.s',
+      [ISA_Zfa['fmaxm.s'].funct3]:    'fmaxm.s',
     },
     [FP_FMT.D]: {
       [ISA_D['fmin.d'].funct3]:     'fmin.d',
       [ISA_D['fmax.d'].funct3]:     'fmax.d',
+      [ISA_Zfa['fminm.d'].funct3]:    'fminm.d',
+      [ISA_Zfa['fmaxm.d'].funct3]:    'fmaxm.d',
     },
     [FP_FMT.Q]: {
       [ISA_Q['fmin.q'].funct3]:     'fmin.q',
       [ISA_Q['fmax.q'].funct3]:     'fmax.q',
+      [ISA_Zfa['fminm.q'].funct3]:    'fminm.q',
+      [ISA_Zfa['fmaxm.q'].funct3]:    'fmaxm.q',
+    },
+    [FP_FMT.H]: {
+      [ISA_Zfh['fmin.h'].funct3]:     'fmin.h',
+      [ISA_Zfh['fmax.h'].funct3]:     'fmax.h',
+      [ISA_Zfa['fminm.h'].funct3]:    'fminm.h',
+      [ISA_Zfa['fmaxm.h'].funct3]:    'fmaxm.h',
     },
   },
   [ISA_F['feq.s'].funct5]: {
@@ -901,16 +2159,29 @@ export const ISA_OP_FP = {
       [ISA_F['feq.s'].funct3]:     'feq.s',
       [ISA_F['flt.s'].funct3]:     'flt.s',
       [ISA_F['fle.s'].funct3]:     'fle.s',
+      [ISA_Zfa['fleq.s'].funct3]:    'fleq.s',
+      [ISA_Zfa['fltq.s'].funct3]:    'fltq.s',
     },
     [FP_FMT.D]: {
       [ISA_D['feq.d'].funct3]:     'feq.d',
       [ISA_D['flt.d'].funct3]:     'flt.d',
       [ISA_D['fle.d'].funct3]:     'fle.d',
+      [ISA_Zfa['fleq.d'].funct3]:    'fleq.d',
+      [ISA_Zfa['fltq.d'].funct3]:    'fltq.d',
     },
     [FP_FMT.Q]: {
       [ISA_Q['feq.q'].funct3]:     'feq.q',
       [ISA_Q['flt.q'].funct3]:     'flt.q',
       [ISA_Q['fle.q'].funct3]:     'fle.q',
+      [ISA_Zfa['fleq.q'].funct3]:    'fleq.q',
+      [ISA_Zfa['fltq.q'].funct3]:    'fltq.q',
+    },
+    [FP_FMT.H]: {
+      [ISA_Zfh['feq.h'].funct3]:     'feq.h',
+      [ISA_Zfh['flt.h'].funct3]:     'flt.h',
+      [ISA_Zfh['fle.h'].funct3]:     'fle.h',
+      [ISA_Zfa['fleq.h'].funct3]:    'fleq.h',
+      [ISA_Zfa['fltq.h'].funct3]:    'fltq.h',
     },
   },
   [ISA_F['fcvt.w.s'].funct5]: {
@@ -929,6 +2200,7 @@ export const ISA_OP_FP = {
       [ISA_D['fcvt.lu.d'].rs2]:  'fcvt.lu.d',
       [ISA_D['fcvt.t.d'].rs2]:   'fcvt.t.d',
       [ISA_D['fcvt.tu.d'].rs2]:  'fcvt.tu.d',
+      [ISA_Zfa['fcvtmod.w.d'].rs2]: 'fcvtmod.w.d',
     },
     [FP_FMT.Q]: {
       [ISA_Q['fcvt.w.q'].rs2]:   'fcvt.w.q',
@@ -938,6 +2210,14 @@ export const ISA_OP_FP = {
       [ISA_Q['fcvt.t.q'].rs2]:   'fcvt.t.q',
       [ISA_Q['fcvt.tu.q'].rs2]:  'fcvt.tu.q',
     },
+    [FP_FMT.H]: {
+      [ISA_Zfh['fcvt.w.h'].rs2]:   'fcvt.w.h',
+      [ISA_Zfh['fcvt.wu.h'].rs2]:  'fcvt.wu.h',
+      [ISA_Zfh['fcvt.l.h'].rs2]:   'fcvt.l.h',
+      [ISA_Zfh['fcvt.lu.h'].rs2]:  'fcvt.lu.h',
+      [ISA_Zfh['fcvt.t.h'].rs2]:   'fcvt.t.h',
+      [ISA_Zfh['fcvt.tu.h'].rs2]:  'fcvt.tu.h',
+    },
   },
   [ISA_F['fcvt.s.w'].funct5]: {
     [FP_FMT.S]: {
@@ -964,20 +2244,48 @@ export const ISA_OP_FP = {
       [ISA_Q['fcvt.q.t'].rs2]:   'fcvt.q.t',
       [ISA_Q['fcvt.q.tu'].rs2]:  'fcvt.q.tu',
     },
+    [FP_FMT.H]: {
+      [ISA_Zfh['fcvt.h.w'].rs2]:   'fcvt.h.w',
+      [ISA_Zfh['fcvt.h.wu'].rs2]:  'fcvt.h.wu',
+      [ISA_Zfh['fcvt.h.l'].rs2]:   'fcvt.h.l',
+      [ISA_Zfh['fcvt.h.lu'].rs2]:  'fcvt.h.lu',
+      [ISA_Zfh['fcvt.h.t'].rs2]:   'fcvt.h.t',
+      [ISA_Zfh['fcvt.h.tu'].rs2]:  'fcvt.h.tu',
+    },
   },
   [ISA_D['fcvt.s.d'].funct5]: {
     [FP_FMT.S]: {
       [ISA_D['fcvt.s.d'].rs2]:   'fcvt.s.d',
       [ISA_Q['fcvt.s.q'].rs2]:   'fcvt.s.q',
+      [ISA_Zfh['fcvt.s.h'].rs2]: 'fcvt.s.h',
+      [ISA_Zfa['fround.s'].rs2]:   'fround.s',
+      [ISA_Zfa['froundnx.s'].rs2]: 'froundnx.s',
     },
     [FP_FMT.D]: {
       [ISA_D['fcvt.d.s'].rs2]:   'fcvt.d.s',
       [ISA_Q['fcvt.d.q'].rs2]:   'fcvt.d.q',
+      [ISA_Zfh['fcvt.d.h'].rs2]: 'fcvt.d.h',
+      [ISA_Zfa['fround.d'].rs2]:   'fround.d',
+      [ISA_Zfa['froundnx.d'].rs2]: 'froundnx.d',
     },
     [FP_FMT.Q]: {
       [ISA_Q['fcvt.q.s'].rs2]:   'fcvt.q.s',
       [ISA_Q['fcvt.q.d'].rs2]:   'fcvt.q.d',
+      [ISA_Zfh['fcvt.q.h'].rs2]: 'fcvt.q.h',
+      [ISA_Zfa['fround.q'].rs2]:   'fround.q',
+      [ISA_Zfa['froundnx.q'].rs2]: 'froundnx.q',
     },
+    [FP_FMT.H]: {
+      [ISA_Zfh['fcvt.h.s'].rs2]: 'fcvt.h.s',
+      [ISA_Zfh['fcvt.h.d'].rs2]: 'fcvt.h.d',
+      [ISA_Zfh['fcvt.h.q'].rs2]: 'fcvt.h.q',
+      [ISA_Zfa['fround.h'].rs2]:   'fround.h',
+      [ISA_Zfa['froundnx.h'].rs2]: 'froundnx.h',
+    },
+  },
+  [ISA_Zfa['fmvp.d.x'].funct5]: {
+    [FP_FMT.D]: 'fmvp.d.x',
+    [FP_FMT.Q]: 'fmvp.q.x',
   },
 }
 
@@ -998,6 +2306,8 @@ function xlenLookupGen(...instNames) {
 // C0 Instruction order of lookup
 // - funct3
 // - xlen
+// - funct6[3:5]
+// - funct1
 export const ISA_C0 = {
   [ISA_C['c.addi4spn'].funct3]: 'c.addi4spn',
   [ISA_C['c.fld'].funct3]:  xlenLookupGen('c.fld', 'c.lq'),
@@ -1006,6 +2316,17 @@ export const ISA_C0 = {
   [ISA_C['c.fsd'].funct3]:  xlenLookupGen('c.fsd', 'c.sq'),
   [ISA_C['c.sw'].funct3]:   'c.sw',
   [ISA_C['c.fsw'].funct3]:  xlenLookupGen('c.fsw', 'c.sd'),
+  [ISA_Zcb['c.lbu'].funct6.substring(0,3)]: { [XLEN_MASK.all]: {
+    [ISA_Zcb['c.lbu'].funct6.substring(3)]: 'c.lbu',
+    [ISA_Zcb['c.lhu'].funct6.substring(3)]: {
+      [ISA_Zcb['c.lhu'].funct1]:  'c.lhu',
+      [ISA_Zcb['c.lh'].funct1]:   'c.lh',
+    },
+    [ISA_Zcb['c.sb'].funct6.substring(3)]:  'c.sb',
+    [ISA_Zcb['c.sh'].funct6.substring(3)]:  {
+      [ISA_Zcb['c.sh'].funct1]:   'c.sh',
+    },
+  }},
 }
 
 // C1 Instruction order of lookup
@@ -1014,6 +2335,7 @@ export const ISA_C0 = {
 // - rdRs1Val
 // - funct2_cb
 // - funct6[3]+funct2
+// - funct5[2:4]
 export const ISA_C1 = {
   [ISA_C['c.nop'].funct3]: { [XLEN_MASK.all]: {
     [ISA_C['c.nop'].rdRs1Val]:  'c.nop',
@@ -1036,6 +2358,15 @@ export const ISA_C1 = {
       [ISA_C['c.and'].funct6[3] +ISA_C['c.and'].funct2]:  'c.and',
       [ISA_C['c.subw'].funct6[3]+ISA_C['c.subw'].funct2]: 'c.subw',
       [ISA_C['c.addw'].funct6[3]+ISA_C['c.addw'].funct2]: 'c.addw',
+      [ISA_Zcb['c.mul'].funct6[3]+ISA_Zcb['c.mul'].funct2]: 'c.mul',
+      [ISA_Zcb['c.not'].funct6[3]+ISA_Zcb['c.not'].funct5.substring(0,2)]: {
+        [ISA_Zcb['c.zext.b'].funct5.substring(2)]: 'c.zext.b',
+        [ISA_Zcb['c.sext.b'].funct5.substring(2)]: 'c.sext.b',
+        [ISA_Zcb['c.zext.h'].funct5.substring(2)]: 'c.zext.h',
+        [ISA_Zcb['c.sext.h'].funct5.substring(2)]: 'c.sext.h',
+        [ISA_Zcb['c.zext.w'].funct5.substring(2)]: 'c.zext.w',
+        [ISA_Zcb['c.not'].funct5.substring(2)]:    'c.not',
+      },
     }
   }}},
   [ISA_C['c.j'].funct3]:        'c.j',
@@ -1043,6 +2374,17 @@ export const ISA_C1 = {
   [ISA_C['c.bnez'].funct3]:     'c.bnez',
 }
 
+// Compressed may-be-operations, in place of reserved c.lui encodings with zero
+// immediate, by rd
+export const ISA_C1_MOP = numberedLookupGen(ISA_Zcmop, 'rdRs1');
+
+// Compressed Zicfiss instructions, in place of some compressed may-be-operations,
+// by rd
+export const ISA_C1_ZICFISS = {
+  [ISA_Zicfiss['c.sspush'].rdRs1]:   'c.sspush',
+  [ISA_Zicfiss['c.sspopchk'].rdRs1]: 'c.sspopchk',
+}
+
 // C2 Instruction order of lookup
 // - funct3
 // - xlen
@@ -1072,6 +2414,25 @@ export const ISA_C2 = {
   [ISA_C['c.fswsp'].funct3]:  xlenLookupGen('c.fswsp', 'c.sdsp'),
 }
 
+// C2 Zcmp and Zcmt Instruction order of lookup, in place of c.fsdsp
+// - funct6
+// - funct2, of either CMPP-type or CMMV-type
+export const ISA_C2_ZCM = {
+  [ISA_Zcmt['cm.jt'].funct6]:     'cm.jt',
+  [ISA_Zcmp['cm.mvsa01'].funct6]: {
+    [ISA_Zcmp['cm.mvsa01'].funct2]: 'cm.mvsa01',
+    [ISA_Zcmp['cm.mva01s'].funct2]: 'cm.mva01s',
+  },
+  [ISA_Zcmp['cm.push'].funct6]: {
+    [ISA_Zcmp['cm.push'].funct2]: 'cm.push',
+    [ISA_Zcmp['cm.pop'].funct2]:  'cm.pop',
+  },
+  [ISA_Zcmp['cm.popretz'].funct6]: {
+    [ISA_Zcmp['cm.popretz'].funct2]: 'cm.popretz',
+    [ISA_Zcmp['cm.popret'].funct2]:  'cm.popret',
+  },
+}
+
 export const REGISTER = {
   zero: "x0",
   ra:   "x1",
@@ -1143,6 +2504,10 @@ export const FLOAT_REGISTER = {
   ft11: "f31",
 }
 
+// Vector registers have no ABI names
+export const VECTOR_REGISTER = Object.fromEntries(
+  [...Array(32).keys()].map(i => ['v' + i, 'v' + i]));
+
 export const FLOAT_ROUNDING_MODE = {
   "rne": 0b000,
   "rtz": 0b001,
@@ -1483,11 +2848,18 @@ export const FRAG = {
   RS3: 9,
   SUCC: 10,
   FRM: 11,
+  VTYPE: 12,
+  VM: 13,
 }
 
 // Entire ISA
 export const ISA = Object.assign({},
   ISA_RV32I, ISA_RV64I, ISA_RV128I,
-  ISA_Zifencei, ISA_Zicsr,
-  ISA_M, ISA_A, ISA_F, ISA_D, ISA_Q, ISA_C,
-  ISA_Priv);
+  ISA_Zifencei, ISA_Zicsr, ISA_Zawrs, ISA_Zicbom, ISA_Zicboz, ISA_Zicbop,
+  ISA_Zimop, ISA_Zcmop, ISA_Zicfilp, ISA_Zicfiss, ISA_Zicond,
+  ISA_M, ISA_A_ORDERED, ISA_Zacas, ISA_Zabha, ISA_F, ISA_D, ISA_Q, ISA_Zfh, ISA_Zfa, ISA_C,
+  ISA_Zcb, ISA_Zcmp, ISA_Zcmt,
+  ISA_Zba, ISA_Zbb, ISA_Zbs,
+  ISA_Zbkb, ISA_Zbkc, ISA_Zbkx, ISA_Zknd, ISA_Zkne, ISA_Zknh, ISA_Zksed, ISA_Zksh,
+  ISA_V,
+  ISA_Priv, ISA_H);
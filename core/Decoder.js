@@ -7,18 +7,25 @@
  */
 
 import { BASE, XLEN_MASK,
-  FIELDS, OPCODE, C_OPCODE, REGISTER, FLOAT_REGISTER, FLOAT_ROUNDING_MODE, CSR,
+  FIELDS, OPCODE, HINT_OPCODES, FP_FMT, C_OPCODE, REGISTER, FLOAT_REGISTER, FLOAT_ROUNDING_MODE, CSR,
   ISA_OP, ISA_OP_32, ISA_OP_64, ISA_OP_IMM, ISA_OP_IMM_32, ISA_OP_IMM_64,
-  ISA_LOAD, ISA_STORE, ISA_BRANCH, ISA_MISC_MEM, ISA_SYSTEM, ISA_AMO,
-  ISA_LOAD_FP, ISA_STORE_FP, ISA_OP_FP,
+  ISA_LOAD, ISA_STORE, ISA_BRANCH, ISA_MISC_MEM, ISA_MISC_MEM_CBO, ISA_OP_IMM_PREFETCH,
+  ISA_SYSTEM, ISA_SYSTEM_ZICFISS, ZICFISS_LINK_REGS, ISA_AMO, AMO_ORDERING,
+  ISA_LOAD_FP, ISA_STORE_FP, ISA_OP_FP, FLI_CONSTANT,
+  ISA_VLOAD, ISA_VSTORE, ISA_OP_V, V_FUNCT3, V_WIDTH, VSEW, VLMUL,
   ISA_MADD, ISA_MSUB, ISA_NMADD, ISA_NMSUB,
-  ISA_C0, ISA_C1, ISA_C2,
+  ISA_C0, ISA_C1, ISA_C1_MOP, ISA_C1_ZICFISS, ISA_C2, ISA_C2_ZCM, ZCMP_RLIST_SREGS,
   ISA, FRAG
 } from './Constants.js'
 
-import { COPTS_ISA } from './Config.js'
+import { ConversionError, InvalidFieldError, ReservedEncodingError, IllegalEncodingError,
+  IsaMismatchError, InternalError } from './Errors.js'
 
-import { Frag, convertRegToAbi } from './Instruction.js'
+import { COPTS_ISA, baseName, missingExtensions, floatInIntRegs } from './Config.js'
+
+import { Frag, convertRegToAbi, convertRlistToAbi, zcmpStackAdj } from './Instruction.js'
+
+import { PSEUDO } from './Pseudo.js'
 
 export class Decoder {
   /**
@@ -46,10 +53,17 @@ export class Decoder {
    * @type {Frag[]}
    */
   asmfrags;
+  /**
+   * Standard HINT name ('pause', 'ntl.all', 'c.ntl.p1', etc.) or 'HINT' if
+   * instruction is encoded in a HINT space, undefined otherwise
+   * @type String
+   */
+  hint;
 
   /* Private members */
   #bin;
   #config;
+  #encIsa;
   #mne;
   #opcode;
   #xlens;
@@ -58,18 +72,38 @@ export class Decoder {
   /**
    * Creates an Decoder to convert a binary instruction to assembly
    * @param {String} bin
+   * @param {Object} config
+   * @param {Number} [xlens] Expected xlens of C instruction, from Encoder
+   * @param {String} [isa] ISA of instruction, from Encoder
    */
-  constructor(bin, config, xlens = undefined) {
+  constructor(bin, config, xlens = undefined, isa = undefined) {
     this.#bin = bin;
     this.#config = config;
     this.#xlens = xlens;
+    this.#encIsa = isa;
 
     // Create an array of assembly fragments
     this.binFrags = [];
     this.asmFrags = [];
 
-    // Convert instruction to assembly
-    this.#convertBinToAsm();
+    // Convert instruction to assembly, locating errors in the instruction
+    try {
+      this.#convertBinToAsm();
+    } catch (error) {
+      if (error instanceof ConversionError) {
+        const compressed = this.#opcode?.length === 2;
+        error.group = error.group ?? this.#opcodeGroup();
+        error.bin = compressed ? this.#bin.substring(16) : this.#bin;
+      }
+      throw error;
+    }
+  }
+
+  // Name of opcode group ('OP-IMM', 'C1', etc.) of instruction being decoded
+  #opcodeGroup() {
+    const opcodes = (this.#opcode?.length === 2) ? C_OPCODE : OPCODE;
+    return Object.keys(opcodes).find(name => opcodes[name] === this.#opcode)
+      ?.replaceAll('_', '-');
   }
 
   // Convert binary instruction to assembly
@@ -88,6 +122,9 @@ export class Decoder {
         case OPCODE.OP_FP:
           this.#decodeOP_FP();
           break;
+        case OPCODE.OP_V:
+          this.#decodeOP_V();
+          break;
         case OPCODE.AMO:
           this.#decodeAMO();
           break;
@@ -98,7 +135,11 @@ export class Decoder {
           break;
         case OPCODE.LOAD:
         case OPCODE.LOAD_FP:
-          this.#decodeLOAD();
+          if (isVectorMem(this.#bin)) {
+            this.#decodeVMEM();
+          } else {
+            this.#decodeLOAD();
+          }
           break;
         case OPCODE.OP_IMM:
         case OPCODE.OP_IMM_32:
@@ -115,7 +156,11 @@ export class Decoder {
           // S-type
         case OPCODE.STORE:
         case OPCODE.STORE_FP:
-          this.#decodeSTORE();
+          if (isVectorMem(this.#bin)) {
+            this.#decodeVMEM();
+          } else {
+            this.#decodeSTORE();
+          }
           break;
 
           // B-type
@@ -144,7 +189,8 @@ export class Decoder {
 
           // Invalid opcode
         default:
-          throw "Invalid opcode: " + this.#opcode;
+          throw new InvalidFieldError("Invalid opcode: " + this.#opcode,
+            { fields: [FIELDS.opcode], expected: Object.values(OPCODE) });
       }
 
     } else {
@@ -176,6 +222,12 @@ export class Decoder {
       // Use opcode to determine C quadrant
       let inst, quadrant;
       this.#opcode = getBits(this.#bin, FIELDS.c_opcode.pos);
+
+      // All-zero encoding is defined as illegal, rather than reserved
+      if (/^0{16}$/.test(this.#bin.substring(16))) {
+        throw new IllegalEncodingError('Detected illegal instruction (all-zero encoding)');
+      }
+
       switch (this.#opcode) {
         case C_OPCODE.C0:
           inst = this.#mneLookupC0();
@@ -190,10 +242,10 @@ export class Decoder {
           quadrant = 'C2';
           break;
         default:
-          throw `Cannot decode binary instruction: ${this.bin}`;
+          throw new InternalError(`Cannot decode binary instruction: ${this.bin}`);
       }
       if (inst === undefined) {
-        throw `Detected quadrant ${quadrant} but could not determine instruction, potentially HINT or reserved`;
+        throw new ReservedEncodingError(`Detected quadrant ${quadrant} but could not determine instruction (encoding reserved)`);
       }
 
       // Build ISA string from found instruction
@@ -236,13 +288,36 @@ export class Decoder {
         case 'CJ':
           this.#decodeCJ(inst);
           break;
+        case 'CLB':
+        case 'CLH':
+          this.#decodeCLB(inst);
+          break;
+        case 'CSB':
+        case 'CSH':
+          this.#decodeCSB(inst);
+          break;
+        case 'CU':
+          this.#decodeCU();
+          break;
+        case 'CMPP':
+          this.#decodeCMPP();
+          break;
+        case 'CMMV':
+          this.#decodeCMMV();
+          break;
+        case 'CMJT':
+          this.#decodeCMJT();
+          break;
+        case 'CMOP':
+          this.#decodeCMOP();
+          break;
         default:
-          throw `Internal error: Detected ${this.#mne} in quadrant ${quadrant} but could not match instruction format`;
+          throw new InternalError(`Internal error: Detected ${this.#mne} in quadrant ${quadrant} but could not match instruction format`);
       }
     }
 
     if (typeof this.#mne === undefined) {
-        throw "Decoder internal error";
+        throw new InternalError("Decoder internal error");
     }
 
     // Set instruction's format and ISA
@@ -251,15 +326,124 @@ export class Decoder {
 
     // Detect mismatch between ISA and configuration
     if (this.#config.ISA === COPTS_ISA.RV32I && /^RV(?:64|128)/.test(this.isa)) {
-      throw `Detected ${this.isa} instruction but configuration ISA set to RV32I`;
+      throw new IsaMismatchError(`Detected ${this.isa} instruction but configuration ISA set to ${baseName(this.#config)}`);
     } else if ((this.#config.ISA === COPTS_ISA.RV64I && /^RV128/.test(this.isa))) {
-      throw `Detected ${this.isa} instruction but configuration ISA set to RV64I`;
+      throw new IsaMismatchError(`Detected ${this.isa} instruction but configuration ISA set to ${baseName(this.#config)}`);
+    } else if (this.#opcode.length !== 2 && ISA[this.#mne].xlens !== undefined) {
+      // Standard instructions only valid for some XLENs
+      const xlen = XLEN_MASK[this.#config.ISA.description.toLowerCase().replace(/i$/, '')];
+      if ((ISA[this.#mne].xlens & (xlen ?? XLEN_MASK.all)) === 0) {
+        throw new IsaMismatchError(`Detected ${this.isa} instruction but configuration ISA set to ` +
+          baseName(this.#config));
+      }
+    }
+
+    // Embedded bases only have integer registers x0 to x15
+    if (this.#config.EMBEDDED) {
+      // Walk binary fragments from MSB, to locate the field holding the register
+      let msb = this.binFrags.reduce((len, frag) => len + frag.bits.length, 0) - 1;
+      for (const frag of this.binFrags) {
+        const reg = /\bx(?:1[6-9]|2\d|3[01])\b/.exec(frag.asm)?.[0];
+        if (reg !== undefined) {
+          throw new IsaMismatchError(`Detected register ${reg} but configuration ISA set to ${baseName(this.#config)}`,
+            { fields: [{ name: frag.field, pos: [msb, frag.bits.length] }] });
+        }
+        msb -= frag.bits.length;
+      }
+    }
+    const missing = missingExtensions(this.#config, ISA[this.#mne].isa, this.#mne);
+    if (missing.length > 0) {
+      throw new IsaMismatchError(`Detected ${this.isa} instruction but configuration ISA lacks extension ${missing.join(', ')}`);
+    }
+
+    // Classify encodings from HINT spaces
+    this.#classifyHint();
+
+    // Substitute preferred pseudo-instruction alias, if any
+    if (this.#config.ALIAS) {
+      this.asmFrags = aliasAsmFrags(this.asmFrags) ?? this.asmFrags;
     }
 
     // Render ASM insturction string (mainly for testing)
     this.asm = renderAsm(this.asmFrags, this.#config.ABI);
   }
 
+  // Classify HINT encodings, i.e. instructions without architectural effect
+  // (writing x0, or ordering nothing), named after their standard
+  // pseudo-instruction if any
+  #classifyHint() {
+    const inst = ISA[this.#mne];
+    let hint = false;
+    if (this.#opcode.length === 2) {
+      // C instructions with rd/rs1 or immediate of HINT space
+      const rdRs1 = decImm(getBits(this.#bin, FIELDS.c_rd_rs1.pos), false);
+      const imm = decImm(getBits(this.#bin, FIELDS.c_imm_ci_0.pos)
+        + getBits(this.#bin, FIELDS.c_imm_ci_1.pos), false);
+      hint = inst.rdRs1Hint === rdRs1
+        || (inst.immHint === true && (inst.nzimm ? imm === 0 : imm !== inst.immVal));
+    } else if (/^RV\d+I$/.test(inst.isa) && HINT_OPCODES.includes(inst.opcode)) {
+      // Base computational instructions writing x0, except for nop (all of
+      // imm, rs1, funct3 and rd being 0)
+      const rd = decImm(getBits(this.#bin, FIELDS.rd.pos), false);
+      const nop = this.#mne === 'addi' && /^0+$/.test(this.#bin.substring(0, 25));
+      hint = rd === 0 && !nop;
+    } else if (this.#mne === 'fence') {
+      // Fences without predecessor or successor set
+      hint = getBits(this.#bin, FIELDS.i_pred.pos) === '0000'
+        || getBits(this.#bin, FIELDS.i_succ.pos) === '0000';
+    }
+
+    if (hint) {
+      const asm = renderAsm(this.asmFrags);
+      this.hint = Object.keys(PSEUDO).find(name => PSEUDO[name]
+        .some(form => form.hint && form.expansion[0] === asm)) ?? 'HINT';
+    }
+  }
+
+  // Whether a zero shift amount of a C shift encodes a HINT, as on RV32 and
+  // RV64, rather than the 64-bit shift of RV128 (assumed without configured
+  // XLEN, unless encoded from the HINT)
+  #shamtHint() {
+    if (this.#config.ISA === COPTS_ISA.AUTO) {
+      return this.#encIsa !== undefined && this.#xlens !== XLEN_MASK.rv128;
+    }
+    return this.#config.ISA !== COPTS_ISA.RV128I;
+  }
+
+  // Whether an encoding shared with other instructions is decoded as belonging
+  // to one of the given extensions: when encoded from such an instruction, or
+  // else when enabled by the configuration (if restricting extensions)
+  #prefersExtension(exts, byDefault = false) {
+    if (this.#encIsa !== undefined) {
+      const encExts = this.#encIsa.replace(/^RV\d+/, '').split('_');
+      return exts.some(ext => encExts.includes(ext));
+    }
+    if (this.#config.EXTENSIONS === undefined) {
+      return byDefault;
+    }
+    return exts.some(ext => this.#config.EXTENSIONS.has(ext));
+  }
+
+  // Check that double-precision values held in integer registers on RV32 use
+  // even-odd register pairs, given the register of each field holding one
+  #checkRegPairs(regs) {
+    if (!floatInIntRegs(this.#config) || this.#config.ISA !== COPTS_ISA.RV32I) {
+      return;
+    }
+    this.#checkEvenRegs(regs);
+  }
+
+  // Check that registers are the first of even-odd register pairs, given the
+  // register of each field holding one
+  #checkEvenRegs(regs) {
+    for (const [field, reg] of Object.entries(regs)) {
+      if (reg?.endsWith('1')) {
+        throw new ReservedEncodingError(`Detected ${this.#mne} instruction but odd register ${decReg(reg)} in ` +
+          `${field} field, expected even-numbered register of a register pair`, { fields: [FIELDS[field]] });
+      }
+    }
+  }
+
   /**
    * Decodes OP instructions
    */
@@ -287,8 +471,26 @@ export class Decoder {
       this.#mne = ISA_OP[funct7 + funct3];
       opcodeName = "OP";
     }
+    if (this.#mne !== undefined && typeof this.#mne !== 'string') {
+      // Instructions with fixed rs2 field, falling back to the instruction
+      // sharing their encoding if their extension is not preferred (e.g. pack
+      // with rs2 = x0 when Zbkb is enabled but not Zbb)
+      const nested = this.#mne;
+      const fixedExt = ISA[nested[rs2]]?.isa.replace(/^RV\d+/, '');
+      this.#mne = (nested['default'] !== undefined && fixedExt !== undefined
+          && !this.#prefersExtension([fixedExt], true))
+        ? nested['default']
+        : nested[rs2] ?? nested['default'];
+    }
     if (this.#mne === undefined) {
-      throw `Detected ${opcodeName} instruction but invalid funct7 and funct3 fields`;
+      throw new InvalidFieldError(`Detected ${opcodeName} instruction but invalid funct7 and funct3 fields`,
+        { fields: [FIELDS.r_funct7, FIELDS.funct3] });
+    }
+
+    // Instruction encoded differently on RV64
+    const inst = ISA[this.#mne];
+    if (inst.rv64 !== undefined && this.#opcode === inst.rv64.opcode) {
+      this.isa = inst.rv64.isa;
     }
 
     // Convert fields to string representations
@@ -307,7 +509,21 @@ export class Decoder {
     };
 
     // Assembly fragments in order of instruction
-    this.asmFrags.push(f['opcode'], f['rd'], f['rs1'], f['rs2']);
+    this.asmFrags.push(f['opcode'], f['rd'], f['rs1']);
+    if (inst.rs2 === undefined) {
+      this.asmFrags.push(f['rs2']);
+    } else {
+      f['rs2'] = new Frag(FRAG.OPC, this.#mne, rs2, FIELDS.rs2.name);
+    }
+
+    // Byte select held in upper bits of funct7
+    if (inst.funct5 !== undefined) {
+      const bs = getBits(this.#bin, FIELDS.r_bs.pos);
+      f['bs'] = new Frag(FRAG.IMM, parseInt(bs, BASE.bin), bs, FIELDS.r_bs.name);
+      f['funct7'] = new Frag(FRAG.OPC, this.#mne, inst.funct5, FIELDS.r_bs_funct5.name);
+      this.asmFrags.push(f['bs']);
+      this.binFrags.push(f['bs']);
+    }
 
     // Binary fragments from MSB to LSB
     this.binFrags.push(f['funct7'], f['rs2'], f['rs1'], f['funct3'], f['rd'],
@@ -330,25 +546,28 @@ export class Decoder {
     // Find instruction - check opcode for RV32I vs RV64I
     let opcodeName;
     this.#mne = ISA_OP_FP[funct5]?.[fmt];
-    if (this.#mne !== undefined && typeof this.#mne !== 'string') {
-      if (this.#mne[rs2] !== undefined) {
-        // fcvt instructions - use rs2 as lookup
-        this.#mne = this.#mne[rs2];
-      } else {
-        // others - use funct3 as lookup
-        this.#mne = this.#mne[funct3];
-      }
+    while (this.#mne !== undefined && typeof this.#mne !== 'string') {
+      // fcvt and move instructions use rs2 as lookup, others use funct3
+      this.#mne = this.#mne[rs2] ?? this.#mne[funct3];
     }
-    if (this.#mne === undefined) {
-      throw 'Detected OP-FP instruction but invalid funct and fmt fields';
+    const inst = ISA[this.#mne];
+    if (inst === undefined || (inst.rs2 ?? rs2) !== rs2 || (inst.funct3 ?? funct3) !== funct3) {
+      throw new InvalidFieldError('Detected OP-FP instruction but invalid funct and fmt fields',
+        { fields: [FIELDS.r_funct5, FIELDS.r_fp_fmt] });
     }
 
     // Convert fields to string representations
-    const inst = ISA[this.#mne];
     const useRs2 = inst.rs2 === undefined;
     let floatRd = true;
     let floatRs1 = true;
-    if (funct5[0] === '1') {
+    let floatRs2 = true;
+    if (inst.oprs !== undefined) {
+      // Operands given explicitly
+      const oprs = inst.oprs.split(', ');
+      floatRd = oprs[0] === 'frd';
+      floatRs1 = oprs[1] === 'frs1';
+      floatRs2 = oprs[2] === 'frs2';
+    } else if (funct5[0] === '1') {
       // Conditionally decode rd or rs1 as an int register, based on funct7
       if (funct5[3] === '1') {
         floatRs1 = false;
@@ -356,9 +575,21 @@ export class Decoder {
         floatRd = false;
       }
     }
-    const src1 = decReg(rs1, floatRs1),
-          src2 = decReg(rs2, true),
-          dest = decReg(rd, floatRd);
+
+    // Floating-point values held in integer registers, double-precision ones
+    // in register pairs on RV32
+    //   Conversions between floating-point formats read rs1 in format from rs2
+    const inx = floatInIntRegs(this.#config);
+    const srcFmt = (funct5 === ISA['fcvt.s.d'].funct5 && rs2.startsWith('000')) ? rs2.substring(3) : fmt;
+    this.#checkRegPairs({
+      [FIELDS.rd.name]:  floatRd && fmt === FP_FMT.D ? rd : undefined,
+      [FIELDS.rs1.name]: floatRs1 && srcFmt === FP_FMT.D ? rs1 : undefined,
+      [FIELDS.rs2.name]: floatRs2 && useRs2 && fmt === FP_FMT.D ? rs2 : undefined,
+    });
+
+    const src1 = inst.oprs?.endsWith('const') ? decFli(rs1) : decReg(rs1, floatRs1 && !inx),
+          src2 = decReg(rs2, floatRs2 && !inx),
+          dest = decReg(rd, floatRd && !inx);
 
     // Create fragments
     const useRm = inst.funct3 === undefined;
@@ -368,7 +599,8 @@ export class Decoder {
       funct5: new Frag(FRAG.OPC, this.#mne, funct5, FIELDS.r_funct5.name),
       fmt:    new Frag(FRAG.OPC, this.#mne, fmt, FIELDS.r_fp_fmt.name),
       rd:     new Frag(FRAG.RD, dest, rd, FIELDS.rd.name),
-      rs1:    new Frag(FRAG.RS1, src1, rs1, FIELDS.rs1.name),
+      rs1:    new Frag(inst.oprs?.endsWith('const') ? FRAG.IMM : FRAG.RS1, src1, rs1,
+        FIELDS.rs1.name),
       rs2:    new Frag(FRAG.OPC, src2, rs2, FIELDS.rs2.name),
     };
 
@@ -381,6 +613,10 @@ export class Decoder {
     if (useRm) {
       f['funct3'].field = FIELDS.r_fp_rm.name;
       const frm = decFrm(funct3);
+      if (inst.rm !== undefined && frm !== inst.rm) {
+        throw new InvalidFieldError(`Detected ${this.#mne} instruction but invalid rounding mode ${frm}, expected ${inst.rm}`,
+          { fields: [FIELDS.r_fp_rm], expected: [FLOAT_ROUNDING_MODE[inst.rm].toString(2).padStart(3, '0')] });
+      }
       // Push frm assembly operand unless using "dyn" dynamic mode
       if (frm !== 'dyn') {
         f['funct3'].id = FRAG.FRM;
@@ -443,8 +679,9 @@ export class Decoder {
     const floatInst = this.#opcode === OPCODE.LOAD_FP;
     this.#mne = floatInst ? ISA_LOAD_FP[funct3] : ISA_LOAD[funct3];
     if (this.#mne === undefined) {
-      throw `Detected LOAD${floatInst ? '-FP' : ''} `
-        + 'instruction but invalid funct3 field';
+      throw new InvalidFieldError(`Detected LOAD${floatInst ? '-FP' : ''} `
+        + 'instruction but invalid funct3 field',
+        { fields: [FIELDS.funct3], expected: Object.keys(floatInst ? ISA_LOAD_FP : ISA_LOAD) });
     }
 
     // Convert fields to string representations
@@ -483,32 +720,50 @@ export class Decoder {
     let opcodeName;
     const op_imm_32 = this.#opcode === OPCODE.OP_IMM_32;
     const op_imm_64 = this.#opcode === OPCODE.OP_IMM_64;
+    let isaTable;
     if(op_imm_64) {
       // RV128I double-word-sized instructions
-      this.#mne = ISA_OP_IMM_64[funct3];
+      isaTable = ISA_OP_IMM_64;
       opcodeName = "OP-IMM-64";
     } else if(op_imm_32) {
       // RV64I word-sized instructions
-      this.#mne = ISA_OP_IMM_32[funct3];
+      isaTable = ISA_OP_IMM_32;
       opcodeName = "OP-IMM-32";
     } else {
       // All other OP-IMM instructions
-      this.#mne = ISA_OP_IMM[funct3];
+      isaTable = ISA_OP_IMM;
       opcodeName = "OP-IMM";
     }
+    this.#mne = isaTable[funct3];
     if (this.#mne === undefined) {
-      throw `Detected ${opcodeName} instruction but invalid funct3 field`;
+      throw new InvalidFieldError(`Detected ${opcodeName} instruction but invalid funct3 field`,
+        { fields: [FIELDS.funct3], expected: Object.keys(isaTable) });
+    }
+
+    // Prefetch hints replace ori with rd=x0, unless the configuration lacks
+    // Zicbop (the encoding remaining valid as ori)
+    const prefetch = this.#prefersExtension(['Zicbop'], true);
+    const rs2 = getBits(this.#bin, FIELDS.rs2.pos);
+    if (prefetch && this.#mne === 'ori' && rd === '00000' && ISA_OP_IMM_PREFETCH[rs2] !== undefined) {
+      this.#mne = ISA_OP_IMM_PREFETCH[rs2];
+      this.#decodePREFETCH();
+      return;
     }
 
-    // Shift instructions
-    let shift;
+    // Shift and unary instructions, looked up by imm[11:7] then imm[11:0]
+    let shift = false, unary = false;
     if (typeof this.#mne !== 'string') {
-      // Right shift instructions
-      shift = true;
-      this.#mne = this.#mne[fields['shtyp']];
-    } else {
-      // Only other case of immediate shift
-      shift = (funct3 === ISA['slli'].funct3);
+      this.#mne = this.#mne[fields['funct5']];
+      if (this.#mne !== undefined && typeof this.#mne !== 'string') {
+        unary = true;
+        this.#mne = this.#mne[imm];
+      } else {
+        shift = true;
+      }
+      if (this.#mne === undefined) {
+        throw new InvalidFieldError(`Detected ${opcodeName} instruction but invalid immediate field for funct3 ${funct3}`,
+          { fields: [FIELDS.i_imm_11_0] });
+      }
     }
 
     // Convert fields to string representations
@@ -523,16 +778,46 @@ export class Decoder {
       rs1:    new Frag(FRAG.RS1, src, rs1, FIELDS.rs1.name),
     };
 
+    if (unary) {
+      // Instruction encoded differently on RV64
+      const inst = ISA[this.#mne];
+      if (inst.rv64 !== undefined && imm === inst.rv64.funct12) {
+        this.isa = inst.rv64.isa;
+      }
+
+      // Assembly fragments in order of instruction
+      this.asmFrags.push(f['opcode'], f['rd'], f['rs1']);
+
+      if (inst.funct8 !== undefined) {
+        // Round number held in lower bits of immediate
+        const rnum = getBits(this.#bin, FIELDS.i_rnum.pos);
+        f['funct8'] = new Frag(FRAG.OPC, this.#mne, inst.funct8, FIELDS.i_funct8.name);
+        f['rnum'] = new Frag(FRAG.IMM, parseInt(rnum, BASE.bin), rnum, FIELDS.i_rnum.name);
+        this.asmFrags.push(f['rnum']);
+
+        // Binary fragments from MSB to LSB
+        this.binFrags.push(f['funct8'], f['rnum'], f['rs1'], f['funct3'], f['rd'],
+          f['opcode']);
+        return;
+      }
+
+      f['funct12'] = new Frag(FRAG.OPC, this.#mne, imm, FIELDS.i_funct12.name);
+
+      // Binary fragments from MSB to LSB
+      this.binFrags.push(f['funct12'], f['rs1'], f['funct3'], f['rd'], f['opcode']);
+      return;
+    }
+
     if (shift) {
-      const shtyp = fields['shtyp'];
       const shamt_6 = fields['shamt_6'];
       const shamt_5 = fields['shamt_5'];
       const shamt_4_0 = fields['shamt'];
       const shamt_5_0 = shamt_5 + shamt_4_0;
       const shamt_6_0 = shamt_6 + shamt_5_0;
 
-
-      const imm_11_7 = '0' + shtyp + '000';
+      // Upper immediate bits, set by shift type or by bit-manipulation instruction
+      const inst = ISA[this.#mne];
+      const imm_11_7 = inst.funct5 ?? '0' + inst.shtyp + '000';
       const imm_11_6 = imm_11_7 + '0';
       const imm_11_5 = imm_11_6 + '0';
 
@@ -544,10 +829,11 @@ export class Decoder {
       // - Then, ISA and value based determination
       let shamtWidth;
       if (op_imm_32) {
-        shamtWidth = 5;
+        // Only slli.uw shifts by up to 63 among word-sized instructions
+        shamtWidth = (this.#mne === 'slli.uw') ? 6 : 5;
       } else if (op_imm_64) {
         shamtWidth = 6;
-        this.isa = 'RV128I';  // Set ISA here to avoid assumed ISA of RV64I below
+        this.isa = 'RV128I';  // Set ISA here to avoid assumed ISA of RV64 below
       } else if (this.#config.ISA === COPTS_ISA.RV32I ||
                 (this.#config.ISA === COPTS_ISA.AUTO && shamt_6 === '0' && shamt_5 === '0')) {
         shamtWidth = 5;
@@ -560,9 +846,11 @@ export class Decoder {
 
       // Detect shamt out of range
       if (shamt >= 32 && shamtWidth === 5) {
-        throw `Invalid shamt field: ${shamt} (out of range for opcode or ISA config)`;
+        throw new InvalidFieldError(`Invalid shamt field: ${shamt} (out of range for opcode or ISA config)`,
+          { fields: [FIELDS.i_shamt_6_0] });
       } else if (shamt >= 64 && shamtWidth === 6) {
-        throw `Invalid shamt field: ${shamt} (out of range for opcode or ISA config)`;
+        throw new InvalidFieldError(`Invalid shamt field: ${shamt} (out of range for opcode or ISA config)`,
+          { fields: [FIELDS.i_shamt_6_0] });
       }
 
       // Create frags for shamt and shtyp
@@ -574,8 +862,8 @@ export class Decoder {
         f['imm'] = new Frag(FRAG.IMM, shamt, shamt_6_0, FIELDS.i_shamt_6_0.name);
         f['shift'] = new Frag(FRAG.OPC, this.#mne, imm_11_7, FIELDS.i_shtyp_11_7.name);
 
-        // Set output ISA to RV64I
-        this.isa = 'RV128I';
+        // Set output ISA to RV128
+        this.isa = inst.isa.replace(/^RV\d+/, 'RV128');
 
       } else if (shamtWidth === 6) {
         // Create frags for 6bit shamt with shtyp
@@ -585,8 +873,8 @@ export class Decoder {
         f['imm'] = new Frag(FRAG.IMM, shamt, shamt_5_0, FIELDS.i_shamt_5_0.name);
         f['shift'] = new Frag(FRAG.OPC, this.#mne, imm_11_6, FIELDS.i_shtyp_11_6.name);
 
-        // Set output ISA to RV64I
-        this.isa = this.isa ?? 'RV64I';
+        // Set output ISA to RV64
+        this.isa = this.isa ?? inst.isa.replace(/^RV\d+/, 'RV64');
 
       } else {
         // Create frags for 5bit shamt with shtyp
@@ -599,7 +887,9 @@ export class Decoder {
       if((shamtWidth === 5 && imm_11_5 !== imm.substring(0,7))
           || (shamtWidth === 6 && imm_11_6 !== imm.substring(0,6))
           || (shamtWidth === 7 && imm_11_7 !== imm.substring(0,5))) {
-        throw `Detected ${this.isa} shift immediate instruction but invalid shtyp field`;
+        const shtyp = { 5: FIELDS.i_shtyp_11_5, 6: FIELDS.i_shtyp_11_6, 7: FIELDS.i_shtyp_11_7 }[shamtWidth];
+        throw new InvalidFieldError(`Detected ${this.isa} shift immediate instruction but invalid shtyp field`,
+          { fields: [shtyp], expected: [imm_11_7 + '00'.substring(0, 7 - shamtWidth)] });
       }
 
       // Binary fragments from MSB to LSB
@@ -620,6 +910,39 @@ export class Decoder {
     this.asmFrags.push(f['opcode'], f['rd'], f['rs1'], f['imm']);
   }
 
+  /**
+   * Decode prefetch hints
+   */
+  #decodePREFETCH() {
+    // Get fields
+    const imm_11_5 = getBits(this.#bin, FIELDS.s_imm_11_5.pos),
+      rs2 = getBits(this.#bin, FIELDS.rs2.pos),
+      rs1 = getBits(this.#bin, FIELDS.rs1.pos),
+      funct3 = getBits(this.#bin, FIELDS.funct3.pos),
+      rd = getBits(this.#bin, FIELDS.rd.pos);
+
+    // Convert fields to string representations, offset being a multiple of 32
+    const offset = decImm(imm_11_5 + '00000'),
+      base = decReg(rs1);
+
+    // Create fragments
+    const f = {
+      opcode: new Frag(FRAG.OPC, this.#mne, this.#opcode, FIELDS.opcode.name),
+      funct3: new Frag(FRAG.OPC, this.#mne, funct3, FIELDS.funct3.name),
+      rd:     new Frag(FRAG.OPC, this.#mne, rd, FIELDS.rd.name),
+      rs1:    new Frag(FRAG.RS1, base, rs1, FIELDS.rs1.name, true),
+      rs2:    new Frag(FRAG.OPC, this.#mne, rs2, FIELDS.rs2.name),
+      imm:    new Frag(FRAG.IMM, offset, imm_11_5, FIELDS.s_imm_11_5.name),
+    };
+
+    // Assembly fragments in order of instruction
+    this.asmFrags.push(f['opcode'], f['imm'], f['rs1']);
+
+    // Binary fragments from MSB to LSB
+    this.binFrags.push(f['imm'], f['rs2'], f['rs1'], f['funct3'], f['rd'],
+      f['opcode']);
+  }
+
   /**
    * Decode MISC_MEM instructions
    */
@@ -637,14 +960,27 @@ export class Decoder {
     // Find instruction
     this.#mne = ISA_MISC_MEM[funct3];
     if (this.#mne === undefined) {
-      throw "Detected MISC-MEM instruction but invalid funct3 field";
+      throw new InvalidFieldError("Detected MISC-MEM instruction but invalid funct3 field",
+        { fields: [FIELDS.funct3], expected: Object.keys(ISA_MISC_MEM) });
+    }
+
+    // Cache-block operations replace lq with rd=x0, unless encoded from it or
+    // configured for RV128
+    const cbo = (this.#encIsa !== undefined)
+      ? /^Zicbo/.test(this.#encIsa)
+      : this.#config.ISA !== COPTS_ISA.RV128I;
+    if (cbo && this.#mne === 'lq' && rd === '00000' && ISA_MISC_MEM_CBO[imm] !== undefined) {
+      this.#mne = ISA_MISC_MEM_CBO[imm];
     }
+    const cacheBlock = ISA[this.#mne].funct12 !== undefined;
+
     // Signals when MISC-MEM used as extended encoding space for load operations
     let loadExt = this.#mne === 'lq';
 
     // Check registers
-    if (!loadExt && (rd !== '00000' || rs1 !== '00000')) {
-      throw "Registers rd and rs1 should be 0";
+    if (!loadExt && !cacheBlock && (rd !== '00000' || rs1 !== '00000')) {
+      throw new InvalidFieldError("Registers rd and rs1 should be 0",
+        { fields: [FIELDS.rs1, FIELDS.rd], expected: ['00000'] });
     }
 
     // Create common fragments
@@ -693,6 +1029,19 @@ export class Decoder {
       this.binFrags.push(f['fm'], f['pred'], f['succ'], f['rs1'], f['funct3'],
         f['rd'], f['opcode']);
 
+    } else if (cacheBlock) {
+      // Cache-block operations
+
+      f['imm'] = new Frag(FRAG.OPC, this.#mne, imm, FIELDS.i_funct12.name);
+      f['rs1'] = new Frag(FRAG.RS1, decReg(rs1), rs1, FIELDS.rs1.name, true);
+      f['rd']  = new Frag(FRAG.OPC, this.#mne, rd, FIELDS.rd.name);
+
+      // Assembly fragments in order of instruction
+      this.asmFrags.push(f['opcode'], f['rs1']);
+
+      // Binary fragments from MSB to LSB
+      this.binFrags.push(f['imm'], f['rs1'], f['funct3'], f['rd'], f['opcode']);
+
     } else if (this.#mne === 'fence.i') {
       // FENCE.I instruction
 
@@ -718,23 +1067,55 @@ export class Decoder {
       rs1 = fields['rs1'],
       funct3 = fields['funct3'],
       rd = fields['rd'];
+    const funct7 = getBits(this.#bin, FIELDS.r_funct7.pos),
+      rs2 = getBits(this.#bin, FIELDS.rs2.pos);
+
+    // Zicfiss instructions replace some may-be-operations when preferred
+    this.#mne = this.#prefersExtension(['Zicfiss'])
+      ? this.#mneLookupZicfiss(funct3, funct7, rs2, rs1, rd)
+      : undefined;
+    if (this.#mne !== undefined) {
+      this.#decodeZicfiss(funct12, funct7, rs2, rs1, funct3, rd);
+      return;
+    }
 
     // Find instruction
     this.#mne = ISA_SYSTEM[funct3];
     if (this.#mne === undefined) {
-      throw "Detected SYSTEM instruction but invalid funct3 field";
+      throw new InvalidFieldError("Detected SYSTEM instruction but invalid funct3 field",
+        { fields: [FIELDS.funct3], expected: Object.keys(ISA_SYSTEM) });
     }
 
     // Trap instructions - determine mnemonic from funct12
-    let trap = (typeof this.#mne !== 'string');
+    // Instructions with register operands - determine mnemonic from funct7,
+    //   and from rs2 for hypervisor loads
+    let trap = (typeof this.#mne !== 'string') && this.#mne[funct12] !== undefined;
+    let regOprs = (typeof this.#mne !== 'string') && !trap;
     if (trap) {
       this.#mne = this.#mne[funct12];
+      // Check registers
+      if (rd !== '00000' || rs1 !== '00000') {
+        throw new InvalidFieldError("Registers rd and rs1 should be 0 for mne " + this.#mne,
+          { fields: [FIELDS.rs1, FIELDS.rd], expected: ['00000'] });
+      }
+    } else if (regOprs) {
+      this.#mne = this.#mne[funct7];
+      if (typeof this.#mne === 'object') {
+        this.#mne = this.#mne[rs2];
+      }
       if (this.#mne === undefined) {
-        throw "Detected SYSTEM instruction but invalid funct12 field";
+        throw new InvalidFieldError("Detected SYSTEM instruction but invalid funct12 field",
+          { fields: [FIELDS.i_funct12] });
+      }
+      // May-be-operations
+      if (ISA[this.#mne].n !== undefined) {
+        this.#decodeMOP(rs2, rs1, funct3, rd);
+        return;
       }
       // Check registers
-      if (rd !== '00000' || rs1 !== '00000') {
-        throw "Registers rd and rs1 should be 0 for mne " + this.#mne;
+      if (ISA[this.#mne].rs2 === undefined && rd !== '00000') {
+        throw new InvalidFieldError("Register rd should be 0 for mne " + this.#mne,
+          { fields: [FIELDS.rd], expected: ['00000'] });
       }
     }
 
@@ -758,6 +1139,35 @@ export class Decoder {
       this.binFrags.push(f['funct12'], f['rs1'], f['funct3'], f['rd'],
         f['opcode']);
 
+    } else if (regOprs) {
+      // Hypervisor loads and stores access memory at address rs1, loads having
+      // a fixed rs2 field, while other instructions have no destination
+      const hyperMem = funct3 === ISA['hlv.b'].funct3;
+      const load = ISA[this.#mne].rs2 !== undefined;
+
+      // Create remaining fragments
+      f['funct7'] = new Frag(FRAG.OPC, this.#mne, funct7, FIELDS.r_funct7.name);
+      f['rd'] = load
+        ? new Frag(FRAG.RD, decReg(rd), rd, FIELDS.rd.name)
+        : new Frag(FRAG.OPC, this.#mne, rd, FIELDS.rd.name);
+      f['rs1'] = new Frag(FRAG.RS1, decReg(rs1), rs1, FIELDS.rs1.name, hyperMem);
+      f['rs2'] = load
+        ? new Frag(FRAG.OPC, this.#mne, rs2, FIELDS.rs2.name)
+        : new Frag(FRAG.RS2, decReg(rs2), rs2, FIELDS.rs2.name);
+
+      // Assembly fragments in order of instruction
+      if (load) {
+        this.asmFrags.push(f['opcode'], f['rd'], f['rs1']);
+      } else if (hyperMem) {
+        this.asmFrags.push(f['opcode'], f['rs2'], f['rs1']);
+      } else {
+        this.asmFrags.push(f['opcode'], f['rs1'], f['rs2']);
+      }
+
+      // Binary fragments from MSB to LSB
+      this.binFrags.push(f['funct7'], f['rs2'], f['rs1'], f['funct3'], f['rd'],
+        f['opcode']);
+
     } else {
       // Zicsr instructions
 
@@ -810,8 +1220,9 @@ export class Decoder {
     const floatInst = this.#opcode === OPCODE.STORE_FP;
     this.#mne = floatInst ? ISA_STORE_FP[funct3] : ISA_STORE[funct3];
     if (this.#mne === undefined) {
-      throw `Detected STORE${floatInst ? '-FP' : ''} `
-        + 'instruction but invalid funct3 field';
+      throw new InvalidFieldError(`Detected STORE${floatInst ? '-FP' : ''} `
+        + 'instruction but invalid funct3 field',
+        { fields: [FIELDS.funct3], expected: Object.keys(floatInst ? ISA_STORE_FP : ISA_STORE) });
     }
 
     // Convert fields to string representations
@@ -838,6 +1249,234 @@ export class Decoder {
       f['imm_4_0'], f['opcode']);
   }
 
+  /**
+   * Decodes vector LOAD-FP/STORE-FP instructions
+   */
+  #decodeVMEM() {
+    // Get fields
+    const fields = extractVFields(this.#bin);
+    const nf = fields['nf'],
+      mew = fields['mew'],
+      mop = fields['mop'],
+      vm = fields['vm'],
+      umop = fields['vs2'],
+      rs1 = fields['rs1'],
+      width = fields['funct3'],
+      vd = fields['vd'];
+
+    // Find instruction
+    const load = this.#opcode === OPCODE.LOAD_FP;
+    const opcodeName = load ? 'LOAD-FP' : 'STORE-FP';
+    const isaTable = load ? ISA_VLOAD : ISA_VSTORE;
+    this.#mne = isaTable[nf + mop + (mop === '00' ? umop : '') + width];
+    if (this.#mne === undefined) {
+      throw new InvalidFieldError(`Detected vector ${opcodeName} instruction but invalid nf, mop, `
+        + `${load ? 'lumop' : 'sumop'} and width fields`,
+        { fields: [FIELDS.v_nf, FIELDS.v_mop, load ? FIELDS.v_lumop : FIELDS.v_sumop, FIELDS.v_width] });
+    }
+    if (mew !== '0') {
+      throw new ReservedEncodingError(`Detected vector ${opcodeName} instruction but reserved mew field`,
+        { fields: [FIELDS.v_mew], expected: ['0'] });
+    }
+    const inst = ISA[this.#mne];
+    if (inst.vm !== undefined && vm !== inst.vm) {
+      throw new InvalidFieldError(`Instruction ${this.#mne} cannot be masked`,
+        { fields: [FIELDS.v_vm], expected: [inst.vm] });
+    }
+
+    // Create fragments
+    const f = {
+      opcode: new Frag(FRAG.OPC, this.#mne, this.#opcode, FIELDS.opcode.name),
+      width:  new Frag(FRAG.OPC, this.#mne, width, FIELDS.v_width.name),
+      mew:    new Frag(FRAG.OPC, this.#mne, mew, FIELDS.v_mew.name),
+      mop:    new Frag(FRAG.OPC, this.#mne, mop, FIELDS.v_mop.name),
+      nf:     new Frag(FRAG.OPC, this.#mne, nf, FIELDS.v_nf.name),
+      vd:     new Frag(FRAG.RD, decVecReg(vd), vd,
+                load ? FIELDS.v_vd.name : FIELDS.v_vs3.name),
+      rs1:    new Frag(FRAG.RS1, decReg(rs1), rs1, FIELDS.rs1.name, true),
+      vm:     decVm(vm, inst.vm !== undefined, this.#mne),
+    };
+
+    // Last field is stride register, index vector register, or unit-stride mode
+    if (mop === '10') {
+      f['rs2'] = new Frag(FRAG.RS2, decReg(umop), umop, FIELDS.rs2.name);
+    } else if (mop !== '00') {
+      f['rs2'] = new Frag(FRAG.RS2, decVecReg(umop), umop, FIELDS.v_vs2.name);
+    } else {
+      f['umop'] = new Frag(FRAG.OPC, this.#mne, umop,
+        load ? FIELDS.v_lumop.name : FIELDS.v_sumop.name);
+    }
+
+    // Assembly fragments in order of instruction
+    this.asmFrags.push(f['opcode'], f['vd'], f['rs1']);
+    if (f['rs2'] !== undefined) {
+      this.asmFrags.push(f['rs2']);
+    }
+    if (vm === '0') {
+      this.asmFrags.push(f['vm']);
+    }
+
+    // Binary fragments from MSB to LSB
+    this.binFrags.push(f['nf'], f['mew'], f['mop'], f['vm'], f['rs2'] ?? f['umop'],
+      f['rs1'], f['width'], f['vd'], f['opcode']);
+  }
+
+  /**
+   * Decodes OP-V instructions
+   */
+  #decodeOP_V() {
+    // Get fields
+    const fields = extractVFields(this.#bin);
+    const funct6 = fields['funct6'],
+      vm = fields['vm'],
+      vs2 = fields['vs2'],
+      vs1 = fields['rs1'],
+      funct3 = fields['funct3'],
+      vd = fields['vd'];
+
+    // Configuration-setting instructions
+    if (funct3 === V_FUNCT3.OPCFG) {
+      this.#decodeOPCFG();
+      return;
+    }
+
+    // Find instruction, nested by vs1 or vm if sharing encoding
+    this.#mne = ISA_OP_V[funct3 + funct6];
+    if (this.#mne !== undefined && typeof this.#mne !== 'string') {
+      const nested = this.#mne;
+      this.#mne = nested[vs1] ?? nested[vm];
+      if (this.#mne === undefined) {
+        throw new InvalidFieldError('Detected OP-V instruction but invalid vs1 field',
+          { fields: [FIELDS.v_vs1], expected: Object.keys(nested) });
+      }
+    }
+    if (this.#mne === undefined) {
+      throw new InvalidFieldError('Detected OP-V instruction but invalid funct6 and funct3 fields',
+        { fields: [FIELDS.v_funct6, FIELDS.funct3] });
+    }
+    const inst = ISA[this.#mne];
+    if (inst.vm !== undefined && vm !== inst.vm) {
+      throw new InvalidFieldError(`Detected OP-V instruction but invalid vm field for ${this.#mne}`,
+        { fields: [FIELDS.v_vm], expected: [inst.vm] });
+    }
+    if (inst.vs2 !== undefined && vs2 !== inst.vs2) {
+      throw new InvalidFieldError(`Detected OP-V instruction but invalid vs2 field for ${this.#mne}`,
+        { fields: [FIELDS.v_vs2], expected: [inst.vs2] });
+    }
+    if (inst.vs1 !== undefined && vs1 !== inst.vs1) {
+      throw new InvalidFieldError(`Detected OP-V instruction but invalid vs1 field for ${this.#mne}`,
+        { fields: [FIELDS.v_vs1], expected: [inst.vs1] });
+    }
+
+    // Create fragments, fixed fields being part of the opcode
+    const fixedFrag = (bits, field) => new Frag(FRAG.OPC, this.#mne, bits, field);
+    let f = {
+      opcode: fixedFrag(this.#opcode, FIELDS.opcode.name),
+      funct3: fixedFrag(funct3, FIELDS.funct3.name),
+      funct6: fixedFrag(funct6, FIELDS.v_funct6.name),
+      vm:     inst.vm !== undefined ? fixedFrag(vm, FIELDS.v_vm.name) : decVm(vm, false),
+      vs2:    fixedFrag(vs2, FIELDS.v_vs2.name),
+      vs1:    fixedFrag(vs1, FIELDS.v_vs1.name),
+    };
+
+    // Operand fragments, in order of assembly
+    let oprFrags = [];
+    for (const opr of inst.oprs.split(', ')) {
+      let frag;
+      switch (opr) {
+        case 'vd':
+          frag = f['vd'] = new Frag(FRAG.RD, decVecReg(vd), vd, FIELDS.v_vd.name);
+          break;
+        case 'rd':
+        case 'frd':
+          frag = f['vd'] = new Frag(FRAG.RD, decReg(vd, opr === 'frd'), vd, FIELDS.rd.name);
+          break;
+        case 'vs2':
+          frag = f['vs2'] = new Frag(FRAG.RS2, decVecReg(vs2), vs2, FIELDS.v_vs2.name);
+          break;
+        case 'vs1':
+          frag = f['vs1'] = new Frag(FRAG.RS1, decVecReg(vs1), vs1, FIELDS.v_vs1.name);
+          break;
+        case 'rs1':
+        case 'frs1':
+          frag = f['vs1'] = new Frag(FRAG.RS1, decReg(vs1, opr === 'frs1'), vs1, FIELDS.rs1.name);
+          break;
+        case 'imm':
+          frag = f['vs1'] = new Frag(FRAG.IMM, decImm(vs1), vs1, FIELDS.i_imm_4_0.name);
+          break;
+        case 'uimm':
+          frag = f['vs1'] = new Frag(FRAG.IMM, decImm(vs1, false), vs1, FIELDS.v_uimm.name);
+          break;
+        case 'v0':
+          frag = f['vm'] = new Frag(FRAG.VM, 'v0', vm, FIELDS.v_vm.name);
+          break;
+        case 'vm':
+          frag = (vm === '0') ? f['vm'] : undefined;
+          break;
+      }
+      if (frag !== undefined) {
+        oprFrags.push(frag);
+      }
+    }
+
+    // Assembly fragments in order of instruction
+    this.asmFrags.push(f['opcode'], ...oprFrags);
+
+    // Binary fragments from MSB to LSB
+    this.binFrags.push(f['funct6'], f['vm'], f['vs2'], f['vs1'], f['funct3'],
+      f['vd'], f['opcode']);
+  }
+
+  /**
+   * Decodes OP-V configuration-setting instructions
+   */
+  #decodeOPCFG() {
+    // Get fields
+    const fields = extractVFields(this.#bin);
+    const funct3 = fields['funct3'],
+      rs1 = fields['rs1'],
+      rd = fields['vd'];
+
+    // Find instruction from leading bits
+    const vset_31 = getBits(this.#bin, FIELDS.v_vset_31.pos),
+      vset_31_30 = getBits(this.#bin, FIELDS.v_vset_31_30.pos),
+      vset_31_25 = getBits(this.#bin, FIELDS.v_vset_31_25.pos);
+    let f = {
+      rd: new Frag(FRAG.RD, decReg(rd), rd, FIELDS.rd.name),
+    };
+    if (vset_31 === ISA['vsetvli'].vset) {
+      this.#mne = 'vsetvli';
+      const zimm = getBits(this.#bin, FIELDS.v_zimm_10_0.pos);
+      f['vset'] = new Frag(FRAG.OPC, this.#mne, vset_31, FIELDS.v_vset_31.name);
+      f['rs1'] = new Frag(FRAG.RS1, decReg(rs1), rs1, FIELDS.rs1.name);
+      f['vtype'] = new Frag(FRAG.VTYPE, decVtype(zimm), zimm, FIELDS.v_zimm_10_0.name);
+    } else if (vset_31_30 === ISA['vsetivli'].vset) {
+      this.#mne = 'vsetivli';
+      const zimm = getBits(this.#bin, FIELDS.v_zimm_9_0.pos);
+      f['vset'] = new Frag(FRAG.OPC, this.#mne, vset_31_30, FIELDS.v_vset_31_30.name);
+      f['rs1'] = new Frag(FRAG.IMM, decImm(rs1, false), rs1, FIELDS.v_uimm.name);
+      f['vtype'] = new Frag(FRAG.VTYPE, decVtype(zimm), zimm, FIELDS.v_zimm_9_0.name);
+    } else if (vset_31_25 === ISA['vsetvl'].vset) {
+      this.#mne = 'vsetvl';
+      const rs2 = fields['vs2'];
+      f['vset'] = new Frag(FRAG.OPC, this.#mne, vset_31_25, FIELDS.v_vset_31_25.name);
+      f['rs1'] = new Frag(FRAG.RS1, decReg(rs1), rs1, FIELDS.rs1.name);
+      f['vtype'] = new Frag(FRAG.RS2, decReg(rs2), rs2, FIELDS.rs2.name);
+    } else {
+      throw new InvalidFieldError('Detected OP-V configuration instruction but invalid bits 31-25',
+        { fields: [FIELDS.v_vset_31_25] });
+    }
+    f['opcode'] = new Frag(FRAG.OPC, this.#mne, this.#opcode, FIELDS.opcode.name);
+    f['funct3'] = new Frag(FRAG.OPC, this.#mne, funct3, FIELDS.funct3.name);
+
+    // Assembly fragments in order of instruction
+    this.asmFrags.push(f['opcode'], f['rd'], f['rs1'], f['vtype']);
+
+    // Binary fragments from MSB to LSB
+    this.binFrags.push(f['vset'], f['vtype'], f['rs1'], f['funct3'], f['rd'],
+      f['opcode']);
+  }
+
   /**
    * Decodes BRANCH instruction
    */
@@ -858,11 +1497,12 @@ export class Decoder {
     // Find instruction
     this.#mne = ISA_BRANCH[funct3];
     if (this.#mne === undefined) {
-      throw "Detected BRANCH instruction but invalid funct3 field";
+      throw new InvalidFieldError("Detected BRANCH instruction but invalid funct3 field",
+        { fields: [FIELDS.funct3], expected: Object.keys(ISA_BRANCH) });
     }
 
     // Convert fields to string representations
-    const offset = decImm(imm),
+    const offset = this.#pcrelTarget(decImm(imm)),
           src2 = decReg(rs2),
           src1 = decReg(rs1);
 
@@ -901,6 +1541,22 @@ export class Decoder {
     // Determine operation
     this.#mne = (this.#opcode === OPCODE.AUIPC) ? 'auipc' : 'lui';
 
+    // Landing pads replace auipc with rd=x0 when preferred, with an unsigned
+    // label in place of the immediate
+    if (this.#mne === 'auipc' && rd === ISA['lpad'].rd && this.#prefersExtension(['Zicfilp'])) {
+      this.#mne = 'lpad';
+      const label = decImm(imm_31_12, false);
+
+      const f = {
+        opcode:     new Frag(FRAG.OPC, this.#mne, this.#opcode, FIELDS.opcode.name),
+        rd:         new Frag(FRAG.OPC, this.#mne, rd, FIELDS.rd.name),
+        imm_31_12:  new Frag(FRAG.IMM, label, imm_31_12, FIELDS.u_imm_31_12.name),
+      };
+      this.asmFrags.push(f['opcode'], f['imm_31_12']);
+      this.binFrags.push(f['imm_31_12'], f['rd'], f['opcode']);
+      return;
+    }
+
     // Create fragments
     const f = {
       opcode:     new Frag(FRAG.OPC, this.#mne, this.#opcode, FIELDS.opcode.name),
@@ -932,7 +1588,7 @@ export class Decoder {
     this.#mne = 'jal';
 
     // Convert fields to string representations
-    const offset = decImm(imm);
+    const offset = this.#pcrelTarget(decImm(imm));
     const dest = decReg(rd);
 
     // Create fragments
@@ -971,7 +1627,22 @@ export class Decoder {
     // Find instruction
     this.#mne = ISA_AMO[funct5+funct3];
     if (this.#mne === undefined) {
-      throw "Detected AMO instruction but invalid funct5 and funct3 fields";
+      throw new InvalidFieldError("Detected AMO instruction but invalid funct5 and funct3 fields",
+        { fields: [FIELDS.r_funct5, FIELDS.funct3] });
+    }
+
+    const inst = ISA[this.#mne];
+
+    // Append memory ordering suffix from aq and rl bits
+    this.#mne += Object.keys(AMO_ORDERING).find(suffix =>
+      AMO_ORDERING[suffix].aq === aq && AMO_ORDERING[suffix].rl === rl);
+
+    // Register pairs when all xlens allowed by configuration use them (e.g.
+    // amocas.q, or amocas.d on RV32)
+    const xlen = XLEN_MASK[this.#config.ISA.description.toLowerCase().replace(/i$/, '')]
+      ?? inst.xlens ?? XLEN_MASK.all;
+    if ((xlen & ~(inst.regPairs ?? 0)) === 0) {
+      this.#checkEvenRegs({ [FIELDS.rd.name]: rd, [FIELDS.rs2.name]: rs2 });
     }
 
     // Check if 'lr' instruction
@@ -1007,6 +1678,100 @@ export class Decoder {
       f['rs1'], f['funct3'], f['rd'], f['opcode']);
   }
 
+  /**
+   * Decodes may-be-operations, whose number is part of their mnemonic
+   */
+  #decodeMOP(rs2, rs1, funct3, rd) {
+    const inst = ISA[this.#mne];
+    const regRegOp = inst.funct7 !== undefined;
+
+    // Create fragments, with number n scattered over funct12 or funct7
+    const f = {
+      opcode: new Frag(FRAG.OPC, this.#mne, this.#opcode, FIELDS.opcode.name),
+      funct3: new Frag(FRAG.OPC, this.#mne, funct3, FIELDS.funct3.name),
+      rd:     new Frag(FRAG.RD, decReg(rd), rd, FIELDS.rd.name),
+      rs1:    new Frag(FRAG.RS1, decReg(rs1), rs1, FIELDS.rs1.name),
+      rs2:    new Frag(FRAG.RS2, decReg(rs2), rs2, FIELDS.rs2.name),
+    };
+    const nFrags = numberedFrags(this.#mne, inst,
+      regRegOp ? FIELDS.r_funct7.name : FIELDS.i_funct12.name);
+
+    // Assembly fragments in order of instruction
+    this.asmFrags.push(f['opcode'], f['rd'], f['rs1']);
+    if (regRegOp) {
+      this.asmFrags.push(f['rs2']);
+    }
+
+    // Binary fragments from MSB to LSB
+    this.binFrags.push(...nFrags);
+    if (regRegOp) {
+      this.binFrags.push(f['rs2']);
+    }
+    this.binFrags.push(f['rs1'], f['funct3'], f['rd'], f['opcode']);
+  }
+
+  /**
+   * Looks up Zicfiss instruction mnemonics, among SYSTEM instructions
+   */
+  #mneLookupZicfiss(funct3, funct7, rs2, rs1, rd) {
+    if (funct3 !== ISA['sspush'].funct3) {
+      return undefined;
+    }
+    let mne = ISA_SYSTEM_ZICFISS[funct7];
+    if (typeof mne === 'object') {
+      mne = mne[rs2];
+    }
+
+    // Only link registers x1 and x5 are valid, other encodings remaining
+    // may-be-operations
+    switch (mne) {
+      case 'sspush':
+        return (rd === '00000' && rs1 === '00000' && ZICFISS_LINK_REGS.includes(rs2))
+          ? mne : undefined;
+      case 'sspopchk':
+        if (rd === '00000') {
+          return ZICFISS_LINK_REGS.includes(rs1) ? mne : undefined;
+        }
+        return (rs1 === '00000') ? 'ssrdp' : undefined;
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Decodes Zicfiss SYSTEM instructions
+   */
+  #decodeZicfiss(funct12, funct7, rs2, rs1, funct3, rd) {
+    // Create common fragments, with single register operand
+    const f = {
+      opcode: new Frag(FRAG.OPC, this.#mne, this.#opcode, FIELDS.opcode.name),
+      funct3: new Frag(FRAG.OPC, this.#mne, funct3, FIELDS.funct3.name),
+      rd:     new Frag(FRAG.OPC, this.#mne, rd, FIELDS.rd.name),
+      rs1:    new Frag(FRAG.OPC, this.#mne, rs1, FIELDS.rs1.name),
+    };
+
+    if (this.#mne === 'sspush') {
+      f['funct7'] = new Frag(FRAG.OPC, this.#mne, funct7, FIELDS.r_funct7.name);
+      f['rs2'] = new Frag(FRAG.RS2, decReg(rs2), rs2, FIELDS.rs2.name);
+
+      this.asmFrags.push(f['opcode'], f['rs2']);
+      this.binFrags.push(f['funct7'], f['rs2'], f['rs1'], f['funct3'], f['rd'],
+        f['opcode']);
+
+    } else {
+      if (this.#mne === 'sspopchk') {
+        f['rs1'] = new Frag(FRAG.RS1, decReg(rs1), rs1, FIELDS.rs1.name);
+        this.asmFrags.push(f['opcode'], f['rs1']);
+      } else {
+        f['rd'] = new Frag(FRAG.RD, decReg(rd), rd, FIELDS.rd.name);
+        this.asmFrags.push(f['opcode'], f['rd']);
+      }
+      f['funct12'] = new Frag(FRAG.OPC, this.#mne, funct12, FIELDS.i_funct12.name);
+
+      this.binFrags.push(f['funct12'], f['rs1'], f['funct3'], f['rd'], f['opcode']);
+    }
+  }
+
   /**
    * Decodes R4 instructions
    */
@@ -1036,15 +1801,24 @@ export class Decoder {
         break;
     }
     if (this.#mne === undefined) {
-      throw `Detected fused multiply-add instruction but invalid fmt field`;
+      throw new InvalidFieldError(`Detected fused multiply-add instruction but invalid fmt field`,
+        { fields: [FIELDS.r_fp_fmt] });
+    }
+
+    // Floating-point values held in integer registers, double-precision ones
+    // in register pairs on RV32
+    const inx = floatInIntRegs(this.#config);
+    if (fmt === FP_FMT.D) {
+      this.#checkRegPairs({ [FIELDS.rd.name]: rd, [FIELDS.rs1.name]: rs1,
+        [FIELDS.rs2.name]: rs2, rs3: rs3 });
     }
 
     // Convert fields to string representations
-    const src1 = decReg(rs1, true),
-          src2 = decReg(rs2, true),
-          src3 = decReg(rs3, true),
+    const src1 = decReg(rs1, !inx),
+          src2 = decReg(rs2, !inx),
+          src3 = decReg(rs3, !inx),
           frm  = decFrm(funct3),
-          dest = decReg(rd, true);
+          dest = decReg(rd, !inx);
 
     // Create fragments
     const f = {
@@ -1080,9 +1854,17 @@ export class Decoder {
     // C0 Instruction order of lookup
     // - funct3
     // - xlen
+    // - funct6[3:5]
+    // - funct1
     this.#mne = ISA_C0[fields['funct3']];
     if (typeof this.#mne === 'object') {
       this.#mne = this.#mne[this.#xlens] ?? this.#mne[XLEN_MASK.all];
+      if (typeof this.#mne === 'object') {
+        this.#mne = this.#mne[fields['funct6'].substring(3)];
+        if (typeof this.#mne === 'object') {
+          this.#mne = this.#mne[fields['funct1']];
+        }
+      }
     }
 
     // Find and return instruction
@@ -1102,6 +1884,7 @@ export class Decoder {
     // - rdRs1Val
     // - funct2_cb
     // - funct6[3]+funct2
+    // - funct5[2:4]
     this.#mne = ISA_C1[fields['funct3']];
     if (typeof this.#mne === 'object') {
       this.#mne = this.#mne[this.#xlens] ?? this.#mne[XLEN_MASK.all];
@@ -1112,11 +1895,23 @@ export class Decoder {
           this.#mne = this.#mne[fields['funct2_cb']];
           if (typeof this.#mne === 'object') {
             this.#mne = this.#mne[fields['funct6'][3] + fields['funct2']];
+            if (typeof this.#mne === 'object') {
+              this.#mne = this.#mne[fields['funct5'].substring(2)];
+            }
           }
         }
       }
     }
 
+    // Compressed may-be-operations take reserved c.lui encodings, and are
+    // replaced by compressed Zicfiss instructions when preferred
+    if (this.#mne === 'c.lui' && getBits(this.#bin, FIELDS.c_imm_ci_0.pos) === '0'
+        && getBits(this.#bin, FIELDS.c_imm_ci_1.pos) === '00000') {
+      const zicfiss = this.#prefersExtension(['Zicfiss']);
+      this.#mne = (zicfiss ? ISA_C1_ZICFISS[fields['rd_rs1']] : undefined)
+        ?? ISA_C1_MOP[fields['rd_rs1']] ?? this.#mne;
+    }
+
     // Find and return instruction
     return ISA[this.#mne];
   }
@@ -1128,6 +1923,12 @@ export class Decoder {
     // Get fields required for mne lookup
     const fields = extractCLookupFields(this.#bin);
 
+    // Zcmp and Zcmt instructions replace c.fsdsp when preferred
+    const zcm = this.#prefersExtension(['Zcmp', 'Zcmt']);
+    if (zcm && fields['funct3'] === ISA['c.fsdsp'].funct3 && (this.#xlens & XLEN_MASK.rv128) === 0) {
+      return this.#mneLookupZcm(fields);
+    }
+
     // C2 Instruction order of lookup
     // - funct3
     // - xlen
@@ -1154,6 +1955,35 @@ export class Decoder {
     return ISA[this.#mne];
   }
 
+  /**
+   * Looks up Zcmp and Zcmt instruction mnemonics
+   * @param {Object} fields
+   */
+  #mneLookupZcm(fields) {
+    // C2 Zcmp and Zcmt Instruction order of lookup
+    // - funct6
+    // - funct2, of either CMPP-type or CMMV-type
+    this.#mne = ISA_C2_ZCM[fields['funct6']];
+    if (typeof this.#mne === 'object') {
+      // funct2 is placed differently in CMMV-type and CMPP-type
+      const funct2 = (fields['funct6'] === ISA['cm.mvsa01'].funct6)
+        ? fields['funct2']
+        : fields['funct2_cmpp'];
+      this.#mne = this.#mne[funct2];
+    }
+
+    // Table jumps with a high index also link
+    if (this.#mne === 'cm.jt') {
+      const index = parseInt(getBits(this.#bin, FIELDS.c_index.pos), BASE.bin);
+      if (index >= ISA['cm.jalt'].indexMin) {
+        this.#mne = 'cm.jalt';
+      }
+    }
+
+    // Find and return instruction
+    return ISA[this.#mne];
+  }
+
   /**
    * Decodes CR-type instruction
    */
@@ -1170,12 +2000,14 @@ export class Decoder {
 
     // Validate operands
     const destSrc1Val = decImm(rdRs1, false);
-    if (inst.rdRs1Excl?.includes(destSrc1Val)) {
-      throw `Detected ${this.#mne} instruction, but illegal value "${destSrc1}" in rd/rs1 field`;
+    if (inst.rdRs1Excl?.includes(destSrc1Val) && inst.rdRs1Hint !== destSrc1Val) {
+      throw new IllegalEncodingError(`Detected ${this.#mne} instruction, but illegal value "${destSrc1}" in rd/rs1 field`,
+        { fields: [FIELDS.c_rd_rs1] });
     }
     const src2Val = decImm(rs2, false);
     if (inst.rs2Excl?.includes(src2Val)) {
-      throw `Detected ${this.#mne} instruction, but illegal value "${src2}" in rs2 field`;
+      throw new IllegalEncodingError(`Detected ${this.#mne} instruction, but illegal value "${src2}" in rs2 field`,
+        { fields: [FIELDS.c_rs2] });
     }
 
     // Determine name for destSrc1
@@ -1256,12 +2088,12 @@ export class Decoder {
 
     // Perform shift-specific special cases
     if (shiftInst) {
-      if (immVal === 0) {
+      if (immVal === 0 && !this.#shamtHint()) {
         // Determine if shift is a shift64 function
         this.#mne += '64';
         inst = ISA[this.#mne];
         if (inst === undefined) {
-          throw `Internal error when converting shift-immediate instruction into ${this.#mne}`;
+          throw new InternalError(`Internal error when converting shift-immediate instruction into ${this.#mne}`);
         }
         // Overwrite ISA
         this.isa = 'RV128' + inst.isa;
@@ -1274,11 +2106,13 @@ export class Decoder {
 
     // Validate operand values
     const destSrc1Val = decImm(rdRs1, false);
-    if (inst.rdRs1Excl?.includes(destSrc1Val)) {
-      throw `Detected ${this.#mne} instruction, but illegal value "${destSrc1}" in rd/rs1 field`;
+    if (inst.rdRs1Excl?.includes(destSrc1Val) && inst.rdRs1Hint !== destSrc1Val) {
+      throw new IllegalEncodingError(`Detected ${this.#mne} instruction, but illegal value "${destSrc1}" in rd/rs1 field`,
+        { fields: [FIELDS.c_rd_rs1] });
     }
-    if (inst.nzimm && immVal === 0) {
-      throw `Detected ${this.#mne}, but instruction expects non-zero immediate value (encoding reserved)`
+    if (inst.nzimm && immVal === 0 && !inst.immHint) {
+      throw new ReservedEncodingError(`Detected ${this.#mne}, but instruction expects non-zero immediate value (encoding reserved)`,
+        { fields: [FIELDS.c_imm_ci_0, FIELDS.c_imm_ci_1] });
     }
 
     // Determine name for destSrc1
@@ -1327,7 +2161,8 @@ export class Decoder {
 
     // Create and append custom immediate fragments
     const immBitsLabels = inst.immBitsLabels ?? inst.immBits;
-    const dynamicImm = inst.immVal === undefined;
+    // Static immediate shown anyway when encoding a HINT (e.g. 'c.nop 1')
+    const dynamicImm = inst.immVal === undefined || immVal !== inst.immVal;
     if (dynamicImm) {
       f['imm0'] = new Frag(FRAG.IMM, immVal, imm0, immName + immBitsToString(immBitsLabels[0]));
       f['imm1'] = new Frag(FRAG.IMM, immVal, imm1, immName + immBitsToString(immBitsLabels[1]));
@@ -1416,7 +2251,8 @@ export class Decoder {
 
     // Validate operand values
     if (inst.nzimm && immVal === 0) {
-      throw `Detected ${this.#mne}, but instruction expects non-zero immediate value (encoding reserved)`
+      throw new ReservedEncodingError(`Detected ${this.#mne}, but instruction expects non-zero immediate value (encoding reserved)`,
+        { fields: [FIELDS.c_imm_ciw] });
     }
 
     // Create fragments
@@ -1592,15 +2428,16 @@ export class Decoder {
     // Convert fields to string representations
     const destSrc1 = decReg(rdRs1);
     const immVal = decImmBits([imm0, imm1], inst.immBits, inst.uimm);
+    const target = branchInst ? this.#pcrelTarget(immVal) : immVal;
 
     // Perform shift-specific special cases
     if (shiftInst) {
-      if (immVal === 0) {
+      if (immVal === 0 && !this.#shamtHint()) {
         // Determine if shift is a shift64 function
         this.#mne += '64';
         inst = ISA[this.#mne];
         if (inst === undefined) {
-          throw `Internal error when converting shift-immediate instruction into ${this.#mne}`;
+          throw new InternalError(`Internal error when converting shift-immediate instruction into ${this.#mne}`);
         }
         // Overwrite ISA
         this.isa = 'RV128' + inst.isa;
@@ -1612,8 +2449,9 @@ export class Decoder {
     }
 
     // Validate operand values
-    if (inst.nzimm && immVal === 0) {
-      throw `Detected ${this.#mne}, but instruction expects non-zero immediate value (encoding reserved)`
+    if (inst.nzimm && immVal === 0 && !inst.immHint) {
+      throw new ReservedEncodingError(`Detected ${this.#mne}, but instruction expects non-zero immediate value (encoding reserved)`,
+        { fields: [FIELDS.c_shamt_0, FIELDS.c_shamt_1] });
     }
 
     // Determine name for immediate
@@ -1641,8 +2479,8 @@ export class Decoder {
     // Create custom fragments and build fragment arrays
     if (branchInst) {
       // Shift instruction, use shamt and funct2
-      f['imm0'] = new Frag(FRAG.IMM, immVal, imm0, immName + immBitsToString(inst.immBits[0]));
-      f['imm1'] = new Frag(FRAG.IMM, immVal, imm1, immName + immBitsToString(inst.immBits[1]));
+      f['imm0'] = new Frag(FRAG.IMM, target, imm0, immName + immBitsToString(inst.immBits[0]));
+      f['imm1'] = new Frag(FRAG.IMM, target, imm1, immName + immBitsToString(inst.immBits[1]));
 
       // Assembly fragments in order of instruction
       this.asmFrags.push(f['opcode'], f['rd_rs1_prime'], f['imm0']);
@@ -1670,6 +2508,32 @@ export class Decoder {
     }
   }
 
+  /**
+   * Converts branch or jump offset into absolute target address, when a PC is
+   * configured
+   * @param {Number} offset
+   */
+  #pcrelTarget(offset) {
+    const pc = this.#config.PC;
+    if (pc === undefined) {
+      return offset;
+    }
+
+    // Wrap around address space
+    let xlen;
+    switch (this.#config.ISA) {
+      case COPTS_ISA.RV32I:
+        xlen = 32;
+        break;
+      case COPTS_ISA.RV128I:
+        xlen = 128;
+        break;
+      default:
+        xlen = 64;
+    }
+    return '0x' + BigInt.asUintN(xlen, BigInt(pc) + BigInt(offset)).toString(16);
+  }
+
   /**
    * Decodes CJ-type instruction
    */
@@ -1680,7 +2544,7 @@ export class Decoder {
     const opcode = getBits(this.#bin, FIELDS.c_opcode.pos);
 
     // Convert fields to string representations
-    const jumpTarget = decImmBits(imm, inst.immBits);
+    const jumpTarget = this.#pcrelTarget(decImmBits(imm, inst.immBits));
 
     // Create fragments
     const f = {
@@ -1695,6 +2559,258 @@ export class Decoder {
     // Binary fragments from MSB to LSB
     this.binFrags.push(f['funct3'], f['imm'], f['opcode']);
   }
+
+  /**
+   * Decodes CLB-type and CLH-type instruction
+   */
+  #decodeCLB(inst) {
+    // Get fields, halfword loads holding funct1 in place of uimm[0]
+    const immField = (inst.funct1 !== undefined) ? FIELDS.c_imm_clh : FIELDS.c_imm_clb;
+    const funct6   = getBits(this.#bin, FIELDS.c_funct6.pos);
+    const rs1Prime = getBits(this.#bin, FIELDS.c_rs1_prime.pos);
+    const funct1   = getBits(this.#bin, FIELDS.c_funct1.pos);
+    const imm      = getBits(this.#bin, immField.pos);
+    const rdPrime  = getBits(this.#bin, FIELDS.c_rd_prime.pos);
+
+    // Determine name for immediate
+    const immName = (inst.uimm ? 'u' : '') + immField.name;
+
+    // Convert fields to string representations
+    const dest   = decReg('01' + rdPrime);
+    const offset = decImmBits(imm, inst.immBits, inst.uimm);
+    const base   = decReg('01' + rs1Prime);
+
+    // Create fragments
+    const f = {
+      opcode:    new Frag(FRAG.OPC, this.#mne, this.#opcode, FIELDS.c_opcode.name),
+      funct6:    new Frag(FRAG.OPC, this.#mne, funct6, FIELDS.c_funct6.name),
+      funct1:    new Frag(FRAG.OPC, this.#mne, funct1, FIELDS.c_funct1.name),
+      rd_prime:  new Frag(FRAG.RD, dest, rdPrime, FIELDS.c_rd_prime.name),
+      rs1_prime: new Frag(FRAG.RS1, base, rs1Prime, FIELDS.c_rs1_prime.name, true),
+      imm:       new Frag(FRAG.IMM, offset, imm, immName + immBitsToString(inst.immBits)),
+    };
+
+    // Assembly fragments in order of instruction
+    this.asmFrags.push(f['opcode'], f['rd_prime'], f['imm'], f['rs1_prime']);
+
+    // Binary fragments from MSB to LSB
+    this.binFrags.push(f['funct6'], f['rs1_prime'],
+      ...(inst.funct1 !== undefined ? [f['funct1']] : []),
+      f['imm'], f['rd_prime'], f['opcode']);
+  }
+
+  /**
+   * Decodes CSB-type and CSH-type instruction
+   */
+  #decodeCSB(inst) {
+    // Get fields, halfword stores holding funct1 in place of uimm[0]
+    const immField = (inst.funct1 !== undefined) ? FIELDS.c_imm_clh : FIELDS.c_imm_clb;
+    const funct6   = getBits(this.#bin, FIELDS.c_funct6.pos);
+    const rs1Prime = getBits(this.#bin, FIELDS.c_rs1_prime.pos);
+    const funct1   = getBits(this.#bin, FIELDS.c_funct1.pos);
+    const imm      = getBits(this.#bin, immField.pos);
+    const rs2Prime = getBits(this.#bin, FIELDS.c_rs2_prime.pos);
+
+    // Determine name for immediate
+    const immName = (inst.uimm ? 'u' : '') + immField.name;
+
+    // Convert fields to string representations
+    const src    = decReg('01' + rs2Prime);
+    const offset = decImmBits(imm, inst.immBits, inst.uimm);
+    const base   = decReg('01' + rs1Prime);
+
+    // Create fragments
+    const f = {
+      opcode:    new Frag(FRAG.OPC, this.#mne, this.#opcode, FIELDS.c_opcode.name),
+      funct6:    new Frag(FRAG.OPC, this.#mne, funct6, FIELDS.c_funct6.name),
+      funct1:    new Frag(FRAG.OPC, this.#mne, funct1, FIELDS.c_funct1.name),
+      rs2_prime: new Frag(FRAG.RS2, src, rs2Prime, FIELDS.c_rs2_prime.name),
+      rs1_prime: new Frag(FRAG.RS1, base, rs1Prime, FIELDS.c_rs1_prime.name, true),
+      imm:       new Frag(FRAG.IMM, offset, imm, immName + immBitsToString(inst.immBits)),
+    };
+
+    // Assembly fragments in order of instruction
+    this.asmFrags.push(f['opcode'], f['rs2_prime'], f['imm'], f['rs1_prime']);
+
+    // Binary fragments from MSB to LSB
+    this.binFrags.push(f['funct6'], f['rs1_prime'],
+      ...(inst.funct1 !== undefined ? [f['funct1']] : []),
+      f['imm'], f['rs2_prime'], f['opcode']);
+  }
+
+  /**
+   * Decodes CU-type instruction
+   */
+  #decodeCU() {
+    // Get fields
+    const funct6     = getBits(this.#bin, FIELDS.c_funct6.pos);
+    const rdRs1Prime = getBits(this.#bin, FIELDS.c_rd_rs1_prime.pos);
+    const funct5     = getBits(this.#bin, FIELDS.c_funct5_cu.pos);
+
+    // Convert fields to string representations
+    const destSrc = decReg('01' + rdRs1Prime);
+
+    // Create fragments
+    const f = {
+      opcode:       new Frag(FRAG.OPC, this.#mne, this.#opcode, FIELDS.c_opcode.name),
+      funct6:       new Frag(FRAG.OPC, this.#mne, funct6, FIELDS.c_funct6.name),
+      funct5:       new Frag(FRAG.OPC, this.#mne, funct5, FIELDS.c_funct5_cu.name),
+      rd_rs1_prime: new Frag(FRAG.RD, destSrc, rdRs1Prime, FIELDS.c_rd_rs1_prime.name),
+    };
+
+    // Assembly fragments in order of instruction
+    this.asmFrags.push(f['opcode'], f['rd_rs1_prime']);
+
+    // Binary fragments from MSB to LSB
+    this.binFrags.push(f['funct6'], f['rd_rs1_prime'], f['funct5'], f['opcode']);
+  }
+
+  /**
+   * Decodes CMPP-type instruction
+   */
+  #decodeCMPP() {
+    // Get fields
+    const funct6 = getBits(this.#bin, FIELDS.c_funct6.pos);
+    const funct2 = getBits(this.#bin, FIELDS.c_funct2_cmpp.pos);
+    const rlist  = getBits(this.#bin, FIELDS.c_rlist.pos);
+    const spimm  = getBits(this.#bin, FIELDS.c_spimm.pos);
+
+    // Convert fields to string representations
+    const sregs = ZCMP_RLIST_SREGS[parseInt(rlist, BASE.bin)];
+    if (sregs === undefined) {
+      throw new ReservedEncodingError(`Detected ${this.#mne} instruction but reserved register list encoding ${rlist}`,
+        { fields: [FIELDS.c_rlist] });
+    }
+    const regs = decRlist(sregs);
+
+    // Stack adjustment, from the space needed by the registers
+    const push = /^cm\.push/.test(this.#mne);
+    const stackAdj = zcmpStackAdj(sregs, parseInt(spimm, BASE.bin), this.#xlens);
+
+    // Create fragments
+    const f = {
+      opcode: new Frag(FRAG.OPC, this.#mne, this.#opcode, FIELDS.c_opcode.name),
+      funct6: new Frag(FRAG.OPC, this.#mne, funct6, FIELDS.c_funct6.name),
+      funct2: new Frag(FRAG.OPC, this.#mne, funct2, FIELDS.c_funct2_cmpp.name),
+      rlist:  new Frag(push ? FRAG.RS2 : FRAG.RD, regs, rlist, FIELDS.c_rlist.name),
+      spimm:  new Frag(FRAG.IMM, String(push ? -stackAdj : stackAdj), spimm, FIELDS.c_spimm.name),
+    };
+
+    // Assembly fragments in order of instruction
+    this.asmFrags.push(f['opcode'], f['rlist'], f['spimm']);
+
+    // Binary fragments from MSB to LSB
+    this.binFrags.push(f['funct6'], f['funct2'], f['rlist'], f['spimm'], f['opcode']);
+  }
+
+  /**
+   * Decodes CMMV-type instruction
+   */
+  #decodeCMMV() {
+    // Get fields
+    const funct6   = getBits(this.#bin, FIELDS.c_funct6.pos);
+    const r1sPrime = getBits(this.#bin, FIELDS.c_r1s_prime.pos);
+    const funct2   = getBits(this.#bin, FIELDS.c_funct2.pos);
+    const r2sPrime = getBits(this.#bin, FIELDS.c_r2s_prime.pos);
+
+    // Convert fields to string representations
+    const sreg1 = decSreg(r1sPrime);
+    const sreg2 = decSreg(r2sPrime);
+
+    // Create fragments
+    const f = {
+      opcode:    new Frag(FRAG.OPC, this.#mne, this.#opcode, FIELDS.c_opcode.name),
+      funct6:    new Frag(FRAG.OPC, this.#mne, funct6, FIELDS.c_funct6.name),
+      funct2:    new Frag(FRAG.OPC, this.#mne, funct2, FIELDS.c_funct2.name),
+      r1s_prime: new Frag(FRAG.RS1, sreg1, r1sPrime, FIELDS.c_r1s_prime.name),
+      r2s_prime: new Frag(FRAG.RS2, sreg2, r2sPrime, FIELDS.c_r2s_prime.name),
+    };
+
+    // Assembly fragments in order of instruction
+    this.asmFrags.push(f['opcode'], f['r1s_prime'], f['r2s_prime']);
+
+    // Binary fragments from MSB to LSB
+    this.binFrags.push(f['funct6'], f['r1s_prime'], f['funct2'], f['r2s_prime'], f['opcode']);
+  }
+
+  /**
+   * Decodes CMJT-type instruction
+   */
+  #decodeCMJT() {
+    // Get fields
+    const funct6 = getBits(this.#bin, FIELDS.c_funct6.pos);
+    const index  = getBits(this.#bin, FIELDS.c_index.pos);
+
+    // Create fragments
+    const f = {
+      opcode: new Frag(FRAG.OPC, this.#mne, this.#opcode, FIELDS.c_opcode.name),
+      funct6: new Frag(FRAG.OPC, this.#mne, funct6, FIELDS.c_funct6.name),
+      index:  new Frag(FRAG.IMM, decImm(index, false), index, FIELDS.c_index.name),
+    };
+
+    // Assembly fragments in order of instruction
+    this.asmFrags.push(f['opcode'], f['index']);
+
+    // Binary fragments from MSB to LSB
+    this.binFrags.push(f['funct6'], f['index'], f['opcode']);
+  }
+
+  /**
+   * Decodes CMOP-type instruction
+   */
+  #decodeCMOP() {
+    // Get fields
+    const funct3 = getBits(this.#bin, FIELDS.c_funct3.pos);
+    const imm0   = getBits(this.#bin, FIELDS.c_imm_ci_0.pos);
+    const rdRs1  = getBits(this.#bin, FIELDS.c_rd_rs1.pos);
+    const imm1   = getBits(this.#bin, FIELDS.c_imm_ci_1.pos);
+
+    // Create fragments
+    const f = {
+      opcode: new Frag(FRAG.OPC, this.#mne, this.#opcode, FIELDS.c_opcode.name),
+      funct3: new Frag(FRAG.OPC, this.#mne, funct3, FIELDS.c_funct3.name),
+      imm0:   new Frag(FRAG.OPC, this.#mne, imm0, FIELDS.c_imm_ci_0.name),
+      imm1:   new Frag(FRAG.OPC, this.#mne, imm1, FIELDS.c_imm_ci_1.name),
+    };
+
+    // May-be-operations have their number in place of rd, while c.sspush
+    // pushes its register and c.sspopchk checks it
+    const inst = ISA[this.#mne];
+    let rdRs1Frags;
+    if (inst.n !== undefined) {
+      rdRs1Frags = numberedFrags(this.#mne, inst, FIELDS.c_rd_rs1.name);
+      this.asmFrags.push(f['opcode']);
+    } else {
+      const push = this.#mne === 'c.sspush';
+      rdRs1Frags = [new Frag(push ? FRAG.RS2 : FRAG.RS1, decReg(rdRs1), rdRs1, FIELDS.c_rd_rs1.name)];
+      this.asmFrags.push(f['opcode'], rdRs1Frags[0]);
+    }
+
+    // Binary fragments from MSB to LSB
+    this.binFrags.push(f['funct3'], f['imm0'], ...rdRs1Frags, f['imm1'], f['opcode']);
+  }
+}
+
+// Create fragments of field holding the number of a numbered instruction, in
+// runs of fixed bits and of bits of the number (e.g., 'n[3:2]')
+function numberedFrags(mne, inst, fieldName) {
+  const pattern = inst.nPattern;
+  const bits = inst.funct12 ?? inst.funct7 ?? inst.rdRs1;
+  const width = pattern.split('n').length - 1;
+
+  let frags = [];
+  let pos = 0, nIdx = width - 1;
+  for (const run of pattern.match(/n+|[^n]+/g)) {
+    let name = fieldName;
+    if (run[0] === 'n') {
+      const lo = nIdx - run.length + 1;
+      name = (run.length === 1) ? `n[${nIdx}]` : `n[${nIdx}:${lo}]`;
+      nIdx = lo - 1;
+    }
+    frags.push(new Frag(FRAG.OPC, mne, bits.substring(pos, pos + run.length), name));
+    pos += run.length;
+  }
+  return frags;
 }
 
 // Extract R-types fields from instruction
@@ -1722,6 +2838,7 @@ function extractIFields(binary) {
 
     /* Shift instructions */
     'shtyp': getBits(binary, FIELDS.i_shtyp.pos),
+    'funct5': getBits(binary, FIELDS.i_shtyp_11_7.pos),
     'shamt': getBits(binary, FIELDS.i_shamt.pos),
     'shamt_5': getBits(binary, FIELDS.i_shamt_5.pos),
     'shamt_6': getBits(binary, FIELDS.i_shamt_6.pos),
@@ -1758,6 +2875,28 @@ function extractBFields(binary) {
   };
 }
 
+// Extract V-instruction fields from instruction
+function extractVFields(binary) {
+  return {
+    'funct6': getBits(binary, FIELDS.v_funct6.pos),
+    'nf': getBits(binary, FIELDS.v_nf.pos),
+    'mew': getBits(binary, FIELDS.v_mew.pos),
+    'mop': getBits(binary, FIELDS.v_mop.pos),
+    'vm': getBits(binary, FIELDS.v_vm.pos),
+    'vs2': getBits(binary, FIELDS.v_vs2.pos),
+    'rs1': getBits(binary, FIELDS.rs1.pos),
+    'funct3': getBits(binary, FIELDS.funct3.pos),
+    'vd': getBits(binary, FIELDS.v_vd.pos),
+  };
+}
+
+// Check whether instruction is a vector LOAD-FP/STORE-FP one, based on width
+function isVectorMem(binary) {
+  const opcode = getBits(binary, FIELDS.opcode.pos);
+  return (opcode === OPCODE.LOAD_FP || opcode === OPCODE.STORE_FP)
+    && Object.values(V_WIDTH).includes(getBits(binary, FIELDS.v_width.pos));
+}
+
 // Extract C-instruction fields for mnemonic lookup
 function extractCLookupFields(binary) {
   return {
@@ -1766,6 +2905,9 @@ function extractCLookupFields(binary) {
     'funct3': getBits(binary, FIELDS.c_funct3.pos),
     'funct2': getBits(binary, FIELDS.c_funct2.pos),
     'funct2_cb': getBits(binary, FIELDS.c_funct2_cb.pos),
+    'funct2_cmpp': getBits(binary, FIELDS.c_funct2_cmpp.pos),
+    'funct5': getBits(binary, FIELDS.c_funct5_cu.pos),
+    'funct1': getBits(binary, FIELDS.c_funct1.pos),
     'rd_rs1': getBits(binary, FIELDS.c_rd_rs1.pos),
     'rs2': getBits(binary, FIELDS.c_rs2.pos),
   };
@@ -1774,14 +2916,14 @@ function extractCLookupFields(binary) {
 // Get bits out of binary instruction
 function getBits(binary, pos) {
   if (!Array.isArray(pos)) {
-    throw getBits.name + ": position should be an array";
+    throw new InternalError(getBits.name + ": position should be an array");
   }
 
   let end = pos[0] + 1;
   let start = end - pos[1];
 
   if (start > end || binary.length < end) {
-    throw getBits.name + ": position error";
+    throw new InternalError(getBits.name + ": position error");
   }
 
   return binary.substring(binary.length - end, binary.length - start);
@@ -1858,6 +3000,55 @@ function decReg(reg, floatReg=false) {
   return (floatReg ? 'f' : 'x') + parseInt(reg, BASE.bin);
 }
 
+// Convert Zcmp saved register number (s0-s7) from binary to string
+function decSreg(reg) {
+  const num = parseInt(reg, BASE.bin);
+  return 'x' + ((num < 2) ? 8 + num : 16 + num);
+}
+
+// Convert number of saved registers of Zcmp register list into string, always
+// including ra (e.g. '{x1, x8-x9, x18}' for s0-s2)
+function decRlist(sregs) {
+  let regs = ['x1'];
+  if (sregs > 0) {
+    regs.push((sregs === 1) ? 'x8' : 'x8-x9');
+  }
+  if (sregs > 2) {
+    regs.push((sregs === 3) ? 'x18' : `x18-x${15 + sregs}`);
+  }
+  return '{' + regs.join(', ') + '}';
+}
+
+// Convert fli constant index from binary to string
+function decFli(bits) {
+  return String(FLI_CONSTANT[parseInt(bits, BASE.bin)]);
+}
+
+// Convert vector register numbers from binary to string
+function decVecReg(reg) {
+  return 'v' + parseInt(reg, BASE.bin);
+}
+
+// Create fragment of vector mask bit, part of the opcode if mask is fixed
+function decVm(vm, fixed, mne) {
+  return fixed
+    ? new Frag(FRAG.OPC, mne, vm, FIELDS.v_vm.name)
+    : new Frag(FRAG.VM, 'v0.t', vm, FIELDS.v_vm.name);
+}
+
+// Convert vtype immediate into 'e<sew>, m<lmul>, t<a|u>, m<a|u>' settings,
+// or into a plain number if it has reserved or unknown bits set
+function decVtype(zimm) {
+  const vtype = zimm.padStart(11, '0');
+  const sew = Object.keys(VSEW).find(key => VSEW[key] === vtype.substring(5, 8));
+  const lmul = Object.keys(VLMUL).find(key => VLMUL[key] === vtype.substring(8));
+  if (!/^0+$/.test(vtype.substring(0, 3)) || sew === undefined || lmul === undefined) {
+    return parseInt(zimm, BASE.bin);
+  }
+  return [sew, lmul, vtype[4] === '1' ? 'ta' : 'tu', vtype[3] === '1' ? 'ma' : 'mu']
+    .join(', ');
+}
+
 // Convert register numbers from binary to ABI name string
 export function decRegAbi(regDec, floatReg=false) {
   return Object.keys(
@@ -1879,8 +3070,9 @@ function decMem(bits) {
     }
   }
 
+  // No accesses, only valid for HINTs
   if (output === "") {
-    throw `Invalid IO/Mem field`;
+    output = '0';
   }
 
   return output;
@@ -1911,7 +3103,8 @@ function decFrm(binstr) {
   // attempt to search for entry in csr object with matching value
   const entry = Object.entries(FLOAT_ROUNDING_MODE).find(e => e[1] === val);
   if (entry === undefined) {
-    throw `Invalid float rounding mode field`
+    throw new InvalidFieldError(`Invalid float rounding mode field`, { fields: [FIELDS.r_fp_rm],
+      expected: Object.values(FLOAT_ROUNDING_MODE).map(val => val.toString(2).padStart(3, '0')) });
   }
 
   return entry[0];
@@ -1955,13 +3148,64 @@ function regExclToString(excl) {
   return out + '}';
 }
 
+// Find preferred pseudo-instruction alias of decoded instruction, returning
+// alias fragments which still refer to the underlying encoded fields
+function aliasAsmFrags(asmFrags) {
+  const tokenize = (asm) => asm.split(/[ ,()]+/).filter(tok => tok !== '');
+
+  for (const [alias, forms] of Object.entries(PSEUDO)) {
+    for (const form of forms) {
+      // Only single-instruction forms matching this instruction's mnemonic
+      if (form.noAlias || form.expansion.length !== 1) {
+        continue;
+      }
+      const tokens = tokenize(form.expansion[0]);
+      if (tokens[0] !== asmFrags[0].asm || tokens.length !== asmFrags.length) {
+        continue;
+      }
+
+      // Bind operand names to fragments, while fixed operands must match
+      const names = tokenize(form.oprs);
+      let bound = {};
+      const match = tokens.slice(1).every((tok, i) => {
+        const frag = asmFrags[i + 1];
+        if (!names.includes(tok)) {
+          return tok === String(frag.asm);
+        }
+        // Repeated operand names must refer to the same value
+        bound[tok] = bound[tok] ?? frag;
+        return bound[tok].asm === frag.asm;
+      });
+      if (!match) {
+        continue;
+      }
+
+      // Build alias fragments
+      const opc = asmFrags[0];
+      return [new Frag(opc.id, alias, opc.bits, opc.field)].concat(
+        names.map(name => {
+          const frag = bound[name];
+          const mem = form.oprs.includes('(' + name + ')');
+          return new Frag(frag.id, frag.asm, frag.bits, frag.field, mem);
+        }));
+    }
+  }
+
+  return undefined;
+}
+
 // Render assembly instruction
 function renderAsm(asmFrags, abi = false) {
   // Extract assembly tokens and build instruction
   let inst = asmFrags[0].asm;
   for (let i = 1; i < asmFrags.length; i++) {
-    // Conditionally use ABI names for registers
-    let asm = abi ? convertRegToAbi(asmFrags[i].asm) : asmFrags[i].asm;
+    // Conditionally use ABI names for registers and register lists
+    let asm = asmFrags[i].asm;
+    if (abi) {
+      asm = (asmFrags[i].field === FIELDS.c_rlist.name)
+        ? convertRlistToAbi(asm)
+        : convertRegToAbi(asm);
+    }
 
     // Append delimeter
     if (i === 1) {
@@ -0,0 +1,164 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+/*
+ * RISC-V Instruction Encoder/Decoder
+ *
+ * Copyright (c) 2021-2022 LupLab @ UC Davis
+ */
+
+import { Instruction } from './Instruction.js';
+import { DecodeError, ReservedEncodingError } from './Errors.js';
+
+/**
+ * Disassembles a stream of instructions, such as a memory dump or trace log
+ *
+ * The input is either a raw byte buffer (little-endian), an array of words, or
+ * a string of whitespace/comma-separated words. Words are numbers (32 bits),
+ * or hexadecimal/binary strings whose number of digits tells their size (16 or
+ * 32 bits), so that compressed instructions can be given on their own. A word
+ * is only binary when its `0b` prefix is followed by more than 4 digits, as
+ * shorter ones (e.g., `0b10`) are hexadecimal parcels.
+ *
+ * The stream is walked using the instruction-length encoding, so compressed and
+ * 32-bit instructions may be freely mixed, even within a single word.
+ *
+ * When the address of the first instruction is given, each instruction is
+ * decoded with its own address as PC, showing absolute branch/jump targets.
+ *
+ * @param {Uint8Array|ArrayBuffer|Array|String} input
+ * @param {Object} config
+ * @param {Number} [address] Address of the first instruction, 0 if omitted
+ * @returns {Object[]} One record per instruction, each with `address`, raw
+ *   encoding `hex`, `len` in bits, and either `asm`, `fmt`, `isa` and the full
+ *   `inst`, or `error` if the instruction could not be decoded. Invalid words
+ *   get a record with only `address`, `word` and `error`, and take no space
+ *   in the stream as their size is unknown.
+ */
+export function disassemble(input, config = {}, address = undefined) {
+  const { parcels, trailing } = toParcels(input);
+  const pcAware = address !== undefined;
+  address = address ?? 0;
+
+  let records = [];
+  for (let i = 0; i < parcels.length;) {
+    // Invalid word, decoding resuming with the next one
+    if (typeof parcels[i] !== 'number') {
+      records.push({ address: address, word: parcels[i].word, error: parcels[i].error });
+      i++;
+      continue;
+    }
+
+    const len = instructionLength(parcels[i]);
+    const count = Math.max(len, 16) / 16;
+
+    // Raw encoding, most-significant parcel first, up to any invalid word
+    let raw = parcels.slice(i, i + count);
+    const invalid = raw.findIndex(p => typeof p !== 'number');
+    if (invalid !== -1) {
+      raw = raw.slice(0, invalid);
+    }
+    const hex = raw.map(p => p.toString(16).padStart(4, '0')).reverse().join('');
+    let record = { address: address, hex: hex, len: len };
+
+    try {
+      if (len === 0) {
+        throw new ReservedEncodingError(`Reserved instruction-length encoding: 0x${hex}`);
+      } else if (invalid !== -1) {
+        throw new DecodeError(`Truncated ${len}-bit instruction before invalid word: 0x${hex}`);
+      } else if (raw.length < count) {
+        throw new DecodeError(`Truncated ${len}-bit instruction at end of stream: 0x${hex}`);
+      } else if (len > 32) {
+        throw new DecodeError(`Unsupported ${len}-bit instruction: 0x${hex}`);
+      }
+
+      const inst = new Instruction('0x' + hex,
+        pcAware ? Object.assign({}, config, { PC: address }) : config);
+      record.asm = inst.asm;
+      record.fmt = inst.fmt;
+      record.isa = inst.isa;
+      record.inst = inst;
+    } catch (error) {
+      record.error = error;
+    }
+
+    records.push(record);
+    i += raw.length;
+    address += 2 * raw.length;
+  }
+
+  // Odd number of bytes, last one not making up a full parcel
+  if (trailing !== undefined) {
+    const hex = trailing.toString(16).padStart(2, '0');
+    records.push({ address: address, hex: hex, len: 8,
+      error: new DecodeError(`Truncated parcel at end of stream: 0x${hex}`) });
+  }
+
+  return records;
+}
+
+// Convert input into an array of 16-bit `parcels`, in memory order, along with
+// the `trailing` byte of an odd number of raw bytes. Invalid words are kept in
+// place of their parcels as objects with the `word` and its `error`.
+function toParcels(input) {
+  // Raw bytes
+  if (input instanceof ArrayBuffer) {
+    input = new Uint8Array(input);
+  }
+  if (input instanceof Uint8Array) {
+    let parcels = [];
+    for (let i = 0; i + 1 < input.length; i += 2) {
+      parcels.push(input[i] | (input[i + 1] << 8));
+    }
+    const trailing = (input.length % 2 === 1) ? input[input.length - 1] : undefined;
+    return { parcels, trailing };
+  }
+
+  // Words
+  if (typeof input === 'string') {
+    input = input.split(/[\s,]+/).filter(word => word !== '');
+  }
+  let parcels = [];
+  for (const word of input) {
+    let val, bits;
+    if (typeof word === 'number') {
+      val = word;
+      bits = 32;
+    } else if (/^0b[01]{5,32}$/i.test(word)) {
+      // Binary, tested first as 'b' is also a hexadecimal digit, but only
+      // when too long to be a hexadecimal parcel
+      const digits = word.substring(2);
+      val = parseInt(digits, 2);
+      bits = digits.length > 16 ? 32 : 16;
+    } else if (/^(?:0x)?[0-9a-f]{1,8}$/i.test(word)) {
+      const digits = word.replace(/^0x/i, '');
+      val = parseInt(digits, 16);
+      bits = digits.length > 4 ? 32 : 16;
+    } else {
+      parcels.push({ word: word, error: new DecodeError(`Invalid word in instruction stream: '${word}'`) });
+      continue;
+    }
+
+    parcels.push(val & 0xffff);
+    if (bits === 32) {
+      parcels.push((val >>> 16) & 0xffff);
+    }
+  }
+  return { parcels };
+}
+
+// Length in bits of instruction from its first parcel, 0 if reserved
+function instructionLength(parcel) {
+  if ((parcel & 0b11) !== 0b11) {
+    return 16;
+  } else if ((parcel & 0b11100) !== 0b11100) {
+    return 32;
+  } else if ((parcel & 0b111111) === 0b011111) {
+    return 48;
+  } else if ((parcel & 0b1111111) === 0b0111111) {
+    return 64;
+  }
+
+  // Longer instructions encode their length in bits [14:12]
+  const nnn = (parcel >> 12) & 0b111;
+  return (nnn === 0b111) ? 0 : 80 + 16 * nnn;
+}
@@ -6,13 +6,21 @@
  * Copyright (c) 2021-2022 LupLab @ UC Davis
  */
 
-import { BASE, XLEN_MASK, FIELDS, OPCODE, ISA,
-  REGISTER, FLOAT_REGISTER, FLOAT_ROUNDING_MODE, CSR
+import { BASE, XLEN_MASK, FIELDS, OPCODE, C_OPCODE, FP_FMT, ISA, FLI_CONSTANT,
+  REGISTER, FLOAT_REGISTER, VECTOR_REGISTER, FLOAT_ROUNDING_MODE, CSR,
+  VSEW, VLMUL, ZCMP_RLIST_SREGS, ZICFISS_LINK_REGS
 } from './Constants.js'
 
-import { COPTS_ISA } from './Config.js'
+import { COPTS_ISA, baseName, missingExtensions, floatInIntRegs } from './Config.js'
 
-import { convertBase } from './Instruction.js'
+import { ConversionError, InvalidMnemonicError, InvalidOperandError, IsaMismatchError,
+  InternalError } from './Errors.js'
+
+import { convertBase, zcmpStackAdj } from './Instruction.js'
+
+
+import { getConfigIsaTrie, getConfigRegisterTrie, suggestNames, REGISTER_TRIE, FLOAT_REGISTER_TRIE,
+  CSR_TRIE } from './Completion.js'
 
 export class Encoder {
   /**
@@ -29,6 +37,14 @@ export class Encoder {
    */
   xlens;
 
+  /**
+   * ISA of instruction, for passing it to the decoder
+   * - Only matters for C instructions sharing their encoding with others,
+   *   such as Zcmp and Zcmt instructions with c.fsdsp
+   * @type String
+   */
+  isa;
+
   /* Private members */
   #config;
   #inst;
@@ -37,16 +53,33 @@ export class Encoder {
 
   /**
    * Creates an Encoder to convert an assembly instruction to binary
-   * @param {String} asm
+   * @param {String} asm Assembly instruction, with operand expressions
+   *   already evaluated (see `evaluateOperands`)
    */
   constructor(asm, config) {
     this.#config = config;
 
-    // Tokenize assembly instruction
-    const tokens = asm.toLowerCase().split(/[ ,()]+/);
+    // Tokenize assembly instruction, keeping register lists (e.g. '{ra, s0-s1}')
+    // as single tokens
+    const tokens = asm.toLowerCase().split(/[ ,()]+(?![^{]*\})/);
+
+    // Convert assembly instruction to binary, attaching opcode group to errors
+    try {
+      this.#convertAsmToBin(tokens);
+    } catch (error) {
+      if (error instanceof ConversionError) {
+        error.group = error.group ?? this.#opcodeGroup();
+      }
+      throw error;
+    }
+  }
 
-    // Convert assembly instruction to binary
-    this.#convertAsmToBin(tokens);
+  // Name of opcode group ('OP-IMM', 'C1', etc.) of instruction being encoded
+  #opcodeGroup() {
+    const opcode = this.#inst?.opcode;
+    const opcodes = (opcode?.length === 2) ? C_OPCODE : OPCODE;
+    return Object.keys(opcodes).find(name => opcodes[name] === opcode)
+      ?.replaceAll('_', '-');
   }
 
   /**
@@ -62,10 +95,17 @@ export class Encoder {
     // Find instruction based on given mnemonic
     this.#inst = ISA[this.#mne];
     if (this.#inst === undefined) {
-      throw "Invalid mnemonic: " + this.#mne;
+      throw new InvalidMnemonicError("Invalid mnemonic: " + this.#mne,
+        { suggestions: suggestNames(getConfigIsaTrie(this.#config), this.#mne) });
+    }
+    // Use RV64 encoding of instructions encoded differently on RV64
+    if (this.#inst.rv64 !== undefined &&
+        (this.#config.ISA === COPTS_ISA.RV64I || this.#config.ISA === COPTS_ISA.RV128I)) {
+      this.#inst = Object.assign({}, this.#inst, this.#inst.rv64);
     }
     // Detect C instructions
     const cInst = this.#inst.opcode.length === 2;
+    this.isa = this.#inst.isa;
 
     // Determine compatible ISA xlens
     let isa = this.#inst.isa;
@@ -97,18 +137,24 @@ export class Encoder {
           //   Ex. Zicsr, Zifencei
           this.xlens = XLEN_MASK.all;
       }
+      // Some instructions are only valid for a single xlen
+      this.xlens &= this.#inst.xlens ?? XLEN_MASK.all;
     }
 
     // Detect mismatch between ISA and configuration
     if (this.#config.ISA !== COPTS_ISA.AUTO) {
       if (this.#config.ISA === COPTS_ISA.RV32I && (this.xlens & XLEN_MASK.rv32) === 0) {
-        throw `Detected ${isa} instruction incompatible with configuration ISA: RV32I`;
+        throw new IsaMismatchError(`Detected ${isa} instruction incompatible with configuration ISA: ${baseName(this.#config)}`);
       } else if (this.#config.ISA === COPTS_ISA.RV64I && (this.xlens & XLEN_MASK.rv64) === 0) {
-        throw `Detected ${isa} instruction incompatible with configuration ISA: RV64I`;
+        throw new IsaMismatchError(`Detected ${isa} instruction incompatible with configuration ISA: ${baseName(this.#config)}`);
       } else if (this.#config.ISA === COPTS_ISA.RV128I && (this.xlens & XLEN_MASK.rv128) === 0) {
-        throw `Detected ${isa} instruction incompatible with configuration ISA: RV128I`;
+        throw new IsaMismatchError(`Detected ${isa} instruction incompatible with configuration ISA: ${baseName(this.#config)}`);
       }
     }
+    const missing = missingExtensions(this.#config, this.#inst.isa, this.#mne);
+    if (missing.length > 0) {
+      throw new IsaMismatchError(`Detected ${isa} instruction but configuration ISA lacks extension ${missing.join(', ')}`);
+    }
 
     // Encode instruction
     if (cInst) {
@@ -143,8 +189,31 @@ export class Encoder {
         case 'CJ':
           this.#encodeCJ();
           break;
+        case 'CLB':
+        case 'CLH':
+          this.#encodeCLB();
+          break;
+        case 'CSB':
+        case 'CSH':
+          this.#encodeCSB();
+          break;
+        case 'CU':
+          this.#encodeCU();
+          break;
+        case 'CMPP':
+          this.#encodeCMPP();
+          break;
+        case 'CMMV':
+          this.#encodeCMMV();
+          break;
+        case 'CMJT':
+          this.#encodeCMJT();
+          break;
+        case 'CMOP':
+          this.#encodeCMOP();
+          break;
         default:
-          throw `Unsupported C instruction format: ${this.#inst.fmt}`;
+          throw new InternalError(`Unsupported C instruction format: ${this.#inst.fmt}`);
       }
     } else {
       // Standard 32-bit instructions
@@ -159,6 +228,9 @@ export class Encoder {
         case OPCODE.OP_FP:
           this.#encodeOP_FP();
           break;
+        case OPCODE.OP_V:
+          this.#encodeOP_V();
+          break;
         case OPCODE.AMO:
           this.#encodeAMO();
           break;
@@ -169,7 +241,11 @@ export class Encoder {
           break;
         case OPCODE.LOAD:
         case OPCODE.LOAD_FP:
-          this.#encodeLOAD();
+          if (this.#inst.mop !== undefined) {
+            this.#encodeVMEM();
+          } else {
+            this.#encodeLOAD();
+          }
           break;
         case OPCODE.OP_IMM:
         case OPCODE.OP_IMM_32:
@@ -186,7 +262,11 @@ export class Encoder {
           // S-type
         case OPCODE.STORE:
         case OPCODE.STORE_FP:
-          this.#encodeSTORE();
+          if (this.#inst.mop !== undefined) {
+            this.#encodeVMEM();
+          } else {
+            this.#encodeSTORE();
+          }
           break;
 
           // B-type
@@ -215,7 +295,7 @@ export class Encoder {
 
           // Invalid opcode
         default:
-          throw "Unsupported opcode: " + this.#inst.opcode;
+          throw new InternalError("Unsupported opcode: " + this.#inst.opcode);
       }
     }
   }
@@ -228,11 +308,20 @@ export class Encoder {
     const dest = this.#opr[0], src1 = this.#opr[1], src2 = this.#opr[2];
 
     // Convert to binary representation
-    const rd = encReg(dest), rs1 = encReg(src1), rs2 = encReg(src2);
+    const rd = this.#encReg(dest), rs1 = this.#encReg(src1), rs2 = this.#inst.rs2 ?? this.#encReg(src2);
+
+    // Byte select held in upper bits of funct7
+    let funct7 = this.#inst.funct7;
+    if (funct7 === undefined) {
+      const bs = this.#opr[3] ?? 0;
+      if (!(Number.isInteger(parseInteger(bs)) && bs >= 0 && bs <= 3)) {
+        throw new InvalidOperandError(`Invalid byte select "${bs}", ${this.#mne} instruction expects value from 0 to 3`);
+      }
+      funct7 = encImm(bs, FIELDS.r_bs.pos[1]) + this.#inst.funct5;
+    }
 
     // Construct binary instruction
-    this.bin = this.#inst.funct7 + rs2 + rs1 + this.#inst.funct3 + rd +
-      this.#inst.opcode;
+    this.bin = funct7 + rs2 + rs1 + this.#inst.funct3 + rd + this.#inst.opcode;
   }
 
   /**
@@ -248,7 +337,14 @@ export class Encoder {
     // Convert to binary representation
     let floatRd = true;
     let floatRs1 = true;
-    if (this.#inst.funct5[0] === '1') {
+    let floatRs2 = true;
+    if (this.#inst.oprs !== undefined) {
+      // Operands given explicitly
+      const oprs = this.#inst.oprs.split(', ');
+      floatRd = oprs[0] === 'frd';
+      floatRs1 = oprs[1] === 'frs1';
+      floatRs2 = oprs[2] === 'frs2';
+    } else if (this.#inst.funct5[0] === '1') {
       // Conditionally encode rd or rs1 as an int register, based on funct7
       if (this.#inst.funct5[3] === '1') {
         floatRs1 = false;
@@ -256,9 +352,19 @@ export class Encoder {
         floatRd = false;
       }
     }
-    const rd = encReg(dest, floatRd),
-      rs1 = encReg(src1, floatRs1),
-      rs2 = this.#inst.rs2 ?? encReg(src2, true),
+    if (this.#inst.rm !== undefined && frm !== this.#inst.rm) {
+      throw new InvalidOperandError(`Invalid rounding mode "${frm ?? 'dyn'}", ${this.#mne} instruction expects ${this.#inst.rm}`);
+    }
+
+    // Conversions between floating-point formats read rs1 in format from rs2
+    const double = this.#inst.fp_fmt === FP_FMT.D;
+    const doubleRs1 = (this.#inst.funct5 === ISA['fcvt.s.d'].funct5 && this.#inst.rs2?.startsWith('000'))
+      ? this.#inst.rs2.substring(3) === FP_FMT.D : double;
+    const rd = floatRd ? this.#encFloatReg(dest, double, FIELDS.rd.name) : this.#encReg(dest),
+      rs1 = this.#inst.oprs?.endsWith('const') ? encFli(src1, this.#mne)
+        : floatRs1 ? this.#encFloatReg(src1, doubleRs1, FIELDS.rs1.name) : this.#encReg(src1),
+      rs2 = this.#inst.rs2 ??
+        (floatRs2 ? this.#encFloatReg(src2, double, FIELDS.rs2.name) : this.#encReg(src2)),
       funct3 = this.#inst.funct3 ?? encFrm(frm) ?? '111' /* dyn rm */;
 
     // Construct binary instruction
@@ -274,8 +380,8 @@ export class Encoder {
     const dest = this.#opr[0], offset = this.#opr[1], base = this.#opr[2];
 
     // Convert to binary representation
-    const rd = encReg(dest), rs1 = encReg(base),
-      imm = encImm(offset, FIELDS.i_imm_11_0.pos[1]);
+    const rd = this.#encReg(dest), rs1 = this.#encReg(base),
+      imm = encImm(this.#checkImm(offset, FIELDS.i_imm_11_0.pos[1]), FIELDS.i_imm_11_0.pos[1]);
 
     // Construct binary instruction
     this.bin = imm + rs1 + this.#inst.funct3 + rd + this.#inst.opcode;
@@ -290,9 +396,9 @@ export class Encoder {
 
     // Convert to binary representation
     const floatInst = this.#inst.opcode === OPCODE.LOAD_FP;
-    const rd = encReg(dest, floatInst),
-      rs1 = encReg(base),
-      imm = encImm(offset, FIELDS.i_imm_11_0.pos[1]);
+    const rd = this.#encReg(dest, floatInst),
+      rs1 = this.#encReg(base),
+      imm = encImm(this.#checkImm(offset, FIELDS.i_imm_11_0.pos[1]), FIELDS.i_imm_11_0.pos[1]);
 
     // Construct binary instruction
     this.bin = imm + rs1 + this.#inst.funct3 + rd + this.#inst.opcode;
@@ -302,45 +408,88 @@ export class Encoder {
    * Encodes OP_IMM instruction
    */
   #encodeOP_IMM() {
+    // Prefetch hints
+    if (this.#inst.rs2 !== undefined) {
+      this.#encodePREFETCH();
+      return;
+    }
+
     // Get fields
     const dest = this.#opr[0], src = this.#opr[1], immediate = this.#opr[2];
 
     // Convert to binary representation
-    const rd = encReg(dest), rs1 = encReg(src);
+    const rd = this.#encReg(dest), rs1 = this.#encReg(src);
 
     let imm = ''.padStart('0', FIELDS.i_imm_11_0.pos[1]);
 
+    // Unary instruction
+    if (this.#inst.funct12 !== undefined) {
+      imm = this.#inst.funct12;
+
+    // Unary instruction with round number
+    } else if (this.#inst.funct8 !== undefined) {
+      const rnum = immediate ?? 0;
+      if (!(Number.isInteger(parseInteger(rnum)) && rnum >= 0 && rnum <= 0xA)) {
+        throw new InvalidOperandError(`Invalid round number "${rnum}", ${this.#mne} instruction expects value from 0 to 10`);
+      }
+      imm = this.#inst.funct8 + encImm(rnum, FIELDS.i_rnum.pos[1]);
+
     // Shift instruction
-    if (/^s[lr][al]i/.test(this.#mne)) {
+    } else if (this.#inst.shtyp !== undefined || this.#inst.funct5 !== undefined) {
       // Determine shift-amount width based on opcode or config ISA
       //   For encoding, default to the widest shamt possible with the given parameters
       let shamtWidth;
-      if (this.#config.isa === COPTS_ISA.RV32I || this.#inst.opcode === OPCODE.OP_IMM_32) {
+      if (this.#mne === 'slli.uw') {
+        shamtWidth = FIELDS.i_shamt_5_0.pos[1]; // 6bit width (only word-sized exception)
+      } else if (this.#config.ISA === COPTS_ISA.RV32I || this.#inst.opcode === OPCODE.OP_IMM_32) {
         shamtWidth = FIELDS.i_shamt.pos[1];     // 5bit width (RV32I)
-      } else if (this.#config.isa === COPTS_ISA.RV64I || this.#inst.opcode === OPCODE.OP_IMM_64) {
+      } else if (this.#config.ISA === COPTS_ISA.RV64I || this.#inst.opcode === OPCODE.OP_IMM_64) {
         shamtWidth = FIELDS.i_shamt_5_0.pos[1]; // 6bit width (RV64I)
       } else {
         shamtWidth = FIELDS.i_shamt_6_0.pos[1]; // 7bit width (RV128I)
       }
 
       // Construct immediate field from shift type and shift amount
-      if (immediate < 0 || immediate >= (1 << shamtWidth)) {
-        throw 'Invalid shamt field (out of range): "' + immediate + '"';
+      const shamt = parseImm(immediate);
+      if (shamt < 0 || shamt >= (1 << shamtWidth)) {
+        throw new InvalidOperandError('Invalid shamt field (out of range): "' + immediate + '"');
       }
-      const imm_11_7 = '0' + this.#inst.shtyp + '000';
-      const imm_6_0 = encImm(immediate, FIELDS.i_shamt_6_0.pos[1]);
+      const imm_11_7 = this.#inst.funct5 ?? '0' + this.#inst.shtyp + '000';
+      const imm_6_0 = encImm(shamt, FIELDS.i_shamt_6_0.pos[1]);
 
       imm = imm_11_7 + imm_6_0;
 
     } else {
       // Non-shift instructions
-      imm = encImm(immediate, FIELDS.i_imm_11_0.pos[1]);
+      imm = encImm(this.#checkImm(immediate, FIELDS.i_imm_11_0.pos[1]), FIELDS.i_imm_11_0.pos[1]);
     }
 
     // Construct binary instruction
     this.bin = imm + rs1 + this.#inst.funct3 + rd + this.#inst.opcode;
   }
 
+  /**
+   * Encodes prefetch hint, as ori instruction with rd=x0
+   */
+  #encodePREFETCH() {
+    // Get operands
+    const [offset, base] = this.#optionalOffsetOperands();
+
+    // Validate offset, whose 5 lowest bits are occupied by rs2 field
+    const immVal = parseImm(offset);
+    if (!(immVal >= -2048 && immVal <= 2016 && immVal % 32 === 0)) {
+      throw new InvalidOperandError(`Invalid immediate "${offset}", ${this.#mne} instruction expects multiple of 32 from -2048 to 2016`);
+    }
+
+    // Convert to binary representation
+    const rs1 = this.#encReg(base),
+      rd = ''.padStart(FIELDS.rd.pos[1], '0'),
+      imm = encImm(immVal, FIELDS.i_imm_11_0.pos[1]).substring(0, FIELDS.s_imm_11_5.pos[1]);
+
+    // Construct binary instruction
+    this.bin = imm + this.#inst.rs2 + rs1 + this.#inst.funct3 + rd + this.#inst.opcode;
+  }
+
   /**
    * Encodes MISC_MEM instruction
    */
@@ -358,9 +507,9 @@ export class Encoder {
       const dest = this.#opr[0], offset = this.#opr[1], base = this.#opr[2];
 
       // Convert to binary representation
-      rd = encReg(dest);
-      imm = encImm(offset, FIELDS.i_imm_11_0.pos[1]);
-      rs1 = encReg(base);
+      rd = this.#encReg(dest);
+      imm = encImm(this.#checkImm(offset, FIELDS.i_imm_11_0.pos[1]), FIELDS.i_imm_11_0.pos[1]);
+      rs1 = this.#encReg(base);
 
     } else if (this.#mne === 'fence') {
       // Get operands
@@ -370,6 +519,11 @@ export class Encoder {
       const pred = encMem(predecessor), succ = encMem(successor);
 
       imm = '0000' + pred + succ;
+
+    } else if (this.#inst.funct12 !== undefined) {
+      // Cache-block operations, with optional zero offset
+      rs1 = this.#encZeroOffsetBase();
+      imm = this.#inst.funct12;
     }
 
     // Construct binary instruction
@@ -389,14 +543,54 @@ export class Encoder {
       const dest = this.#opr[0], csr = this.#opr[1], src = this.#opr[2];
 
       // Convert to binary representation
-      rd = encReg(dest);
+      rd = this.#encReg(dest);
       imm = encCSR(csr);
 
       // Convert src to register or immediate
       //   based off high bit of funct3 (0:reg, 1:imm)
       rs1 = (this.#inst.funct3[0] === '0')
-        ? encReg(src)
-        : encImm(src, FIELDS.rs1.pos[1]);
+        ? this.#encReg(src)
+        : encImm(this.#checkImm(src, FIELDS.rs1.pos[1], { unsigned: true }), FIELDS.rs1.pos[1]);
+
+    } else if (this.#inst.n !== undefined) {
+      // May-be-operations, with number n in funct12 or funct7 (and rs2)
+      rd = this.#encReg(this.#opr[0]);
+      rs1 = this.#encReg(this.#opr[1]);
+      imm = this.#inst.funct12 ?? this.#inst.funct7 + this.#encReg(this.#opr[2]);
+
+    } else if (this.#inst.isa === 'Zicfiss') {
+      // Shadow-stack instructions, with a single register operand
+      rs1 = ''.padStart(FIELDS.rs1.pos[1], '0');
+      rd = ''.padStart(FIELDS.rd.pos[1], '0');
+      if (this.#mne === 'sspush') {
+        imm = this.#inst.funct7 + encLinkReg(this.#opr[0], FIELDS.rs2.name);
+      } else if (this.#mne === 'sspopchk') {
+        imm = this.#inst.funct12;
+        rs1 = encLinkReg(this.#opr[0], FIELDS.rs1.name);
+      } else {
+        imm = this.#inst.funct12;
+        rd = this.#encReg(this.#opr[0]);
+        if (rd === '00000') {
+          throw new InvalidOperandError(`Illegal value "${this.#opr[0]}" in rd field for instruction ${this.#mne}`);
+        }
+      }
+
+    } else if (this.#inst.funct7 !== undefined) {
+      // Instructions with register operands
+      //   Hypervisor loads have a fixed rs2, other instructions no destination,
+      //   and hypervisor memory accesses an optional zero offset
+      let rs2;
+      if (this.#inst.rs2 !== undefined) {
+        rd = this.#encReg(this.#opr[0]);
+        rs1 = this.#encZeroOffsetBase(1);
+        rs2 = this.#inst.rs2;
+      } else {
+        const hyperMem = this.#inst.funct3 === ISA['hlv.b'].funct3;
+        rd = ''.padStart(FIELDS.rd.pos[1], '0');
+        rs1 = hyperMem ? this.#encZeroOffsetBase(1) : this.#encReg(this.#opr[0]);
+        rs2 = this.#encReg(this.#opr[hyperMem ? 0 : 1]);
+      }
+      imm = this.#inst.funct7 + rs2;
 
     } else {
       // Trap instructions
@@ -422,9 +616,9 @@ export class Encoder {
 
     // Convert to binary representation
     const floatInst = this.#inst.opcode === OPCODE.STORE_FP;
-    const rs2 = encReg(src, floatInst),
-      rs1 = encReg(base),
-      imm = encImm(offset, len_11_5 + len_4_0),
+    const rs2 = this.#encReg(src, floatInst),
+      rs1 = this.#encReg(base),
+      imm = encImm(this.#checkImm(offset, len_11_5 + len_4_0), len_11_5 + len_4_0),
       imm_11_5 = imm.substring(0, len_11_5),
       imm_4_0 = imm.substring(len_11_5, len_11_5 + len_4_0);
 
@@ -433,6 +627,136 @@ export class Encoder {
       this.#inst.opcode;
   }
 
+  /**
+   * Encodes vector LOAD-FP/STORE-FP instruction
+   */
+  #encodeVMEM() {
+    // Get operands
+    const vm = this.#encodeVm();
+    const vdVs3 = this.#opr[0], base = this.#opr[1], strideIndex = this.#opr[2];
+
+    // Convert to binary representation
+    const vd = encVecReg(vdVs3), rs1 = this.#encReg(base);
+    let rs2;
+    if (this.#inst.umop !== undefined) {
+      rs2 = this.#inst.umop;      // Unit-stride mode
+    } else if (this.#inst.mop === '10') {
+      rs2 = this.#encReg(strideIndex);  // Stride register
+    } else {
+      rs2 = encVecReg(strideIndex); // Index vector register
+    }
+
+    // Construct binary instruction
+    this.bin = this.#inst.nf + '0' /* mew */ + this.#inst.mop + vm + rs2 + rs1 +
+      this.#inst.width + vd + this.#inst.opcode;
+  }
+
+  /**
+   * Encodes OP-V instruction
+   */
+  #encodeOP_V() {
+    // Configuration-setting instructions
+    if (this.#inst.funct6 === undefined) {
+      this.#encodeOPCFG();
+      return;
+    }
+
+    // Map operands to their kind, as listed in instruction definition
+    const vm = this.#encodeVm();
+    const kinds = this.#inst.oprs.split(', ').filter(kind => kind !== 'vm');
+    let opr = {};
+    kinds.forEach((kind, i) => opr[kind] = this.#opr[i]);
+
+    // Convert to binary representation
+    if (opr['v0'] !== undefined && opr['v0'] !== 'v0') {
+      throw new InvalidOperandError(`Invalid operand "${opr['v0']}", ${this.#mne} instruction expects v0`);
+    }
+    const vd = (opr['vd'] !== undefined) ? encVecReg(opr['vd'])
+      : this.#encReg(opr['rd'] ?? opr['frd'], kinds.includes('frd'));
+    const vs2 = this.#inst.vs2 ?? encVecReg(opr['vs2']);
+    let vs1 = this.#inst.vs1;
+    if (kinds.includes('vs1')) {
+      vs1 = encVecReg(opr['vs1']);
+    } else if (kinds.includes('rs1') || kinds.includes('frs1')) {
+      vs1 = this.#encReg(opr['rs1'] ?? opr['frs1'], kinds.includes('frs1'));
+    } else if (kinds.includes('imm') || kinds.includes('uimm')) {
+      // Signed or unsigned 5-bit immediate
+      const uimm = kinds.includes('uimm');
+      const immediate = opr['imm'] ?? opr['uimm'] ?? 0;
+      const min = uimm ? 0 : -16, max = uimm ? 31 : 15;
+      if (!(immediate >= min && immediate <= max)) {
+        throw new InvalidOperandError(`Invalid immediate "${immediate}", ${this.#mne} instruction expects value from ${min} to ${max}`);
+      }
+      vs1 = encImm(immediate, FIELDS.v_vs1.pos[1]);
+    }
+
+    // Construct binary instruction
+    this.bin = this.#inst.funct6 + vm + vs2 + vs1 + this.#inst.funct3 + vd +
+      this.#inst.opcode;
+  }
+
+  /**
+   * Encodes OP-V configuration-setting instruction
+   */
+  #encodeOPCFG() {
+    // Get operands
+    const dest = this.#opr[0], src1 = this.#opr[1], vtype = this.#opr.slice(2);
+
+    // Convert to binary representation
+    const rd = this.#encReg(dest);
+    let rs1, zimm;
+    switch (this.#mne) {
+      case 'vsetvli':
+        rs1 = this.#encReg(src1);
+        zimm = encVtype(vtype, FIELDS.v_zimm_10_0.pos[1]);
+        break;
+      case 'vsetivli':
+        if (!(src1 >= 0 && src1 < (1 << FIELDS.v_uimm.pos[1]))) {
+          throw new InvalidOperandError(`Invalid immediate "${src1}", ${this.#mne} instruction expects value from 0 to 31`);
+        }
+        rs1 = encImm(src1, FIELDS.v_uimm.pos[1]);
+        zimm = encVtype(vtype, FIELDS.v_zimm_9_0.pos[1]);
+        break;
+      default:
+        rs1 = this.#encReg(src1);
+        zimm = this.#encReg(vtype[0]); // rs2
+    }
+
+    // Construct binary instruction
+    this.bin = this.#inst.vset + zimm + rs1 + this.#inst.funct3 + rd +
+      this.#inst.opcode;
+  }
+
+  // Get offset and base operands of memory access, starting at operand `start`,
+  // from either 'offset(rs1)' or '(rs1)' with an implicit zero offset
+  #optionalOffsetOperands(start = 0) {
+    const oprs = this.#opr.slice(start).filter(opr => opr !== '');
+    return (oprs.length > 1) ? oprs : [0, oprs[0]];
+  }
+
+  // Encode base register of memory access without offset, starting at operand
+  // `start`, only accepting an explicit offset of zero
+  #encZeroOffsetBase(start = 0) {
+    const [offset, base] = this.#optionalOffsetOperands(start);
+    if (parseImm(offset) !== 0) {
+      throw new InvalidOperandError(`Invalid immediate "${offset}", ${this.#mne} instruction expects value 0`);
+    }
+    return this.#encReg(base);
+  }
+
+  // Remove trailing 'v0.t' operand, if any, and encode vector mask bit
+  #encodeVm() {
+    this.#opr = this.#opr.filter(opr => opr !== '');
+    const masked = this.#opr[this.#opr.length - 1] === 'v0.t';
+    if (masked) {
+      this.#opr.pop();
+      if (this.#inst.vm !== undefined) {
+        throw new InvalidOperandError(`Instruction ${this.#mne} cannot be masked`);
+      }
+    }
+    return this.#inst.vm ?? (masked ? '0' : '1');
+  }
+
   /**
    * Encodes BRANCH instruction
    */
@@ -447,8 +771,9 @@ export class Encoder {
       len_4_1 = FIELDS.b_imm_4_1.pos[1];
 
     // Convert to binary representation
-    const rs1 = encReg(src1), rs2 = encReg(src2),
-      imm = encImm(offset, len_12 + len_11 + len_10_5 + len_4_1 + 1);
+    const immLen = len_12 + len_11 + len_10_5 + len_4_1 + 1;
+    const rs1 = this.#encReg(src1), rs2 = this.#encReg(src2),
+      imm = encImm(this.#pcrelOffset(offset, immLen), immLen);
 
     const imm_12 = imm.substring(0, len_12),
       imm_11 = imm.substring(len_12, len_12 + len_11),
@@ -465,13 +790,24 @@ export class Encoder {
    * Encodes U-type instruction
    */
   #encodeUType() {
+    // Landing pad, with unsigned label in place of immediate
+    if (this.#mne === 'lpad') {
+      const label = this.#opr[0] ?? 0;
+      if (!(label >= 0 && label <= 0xfffff)) {
+        throw new InvalidOperandError(`Invalid immediate "${label}", ${this.#mne} instruction expects value from 0 to ${0xfffff}`);
+      }
+      this.bin = encImm(label, FIELDS.u_imm_31_12.pos[1]) + this.#inst.rd + this.#inst.opcode;
+      return;
+    }
+
     // Get operands
     const dest = this.#opr[0], immediate = this.#opr[1];
 
     // Convert to binary representation
-    const rd = encReg(dest);
+    const rd = this.#encReg(dest);
     // Construct immediate field
-    const imm_31_12 = encImm(immediate, FIELDS.u_imm_31_12.pos[1]);
+    const imm_31_12 = encImm(this.#checkImm(immediate, FIELDS.u_imm_31_12.pos[1]),
+      FIELDS.u_imm_31_12.pos[1]);
 
     // Construct binary instruction
     this.bin = imm_31_12 + rd + this.#inst.opcode;
@@ -492,8 +828,9 @@ export class Encoder {
       len_19_12 = FIELDS.j_imm_19_12.pos[1];
 
     // Convert to binary representation
-    const rd = encReg(dest),
-      imm = encImm(offset, len_20 + len_19_12 + len_11 + len_10_1 + 1);
+    const immLen = len_20 + len_19_12 + len_11 + len_10_1 + 1;
+    const rd = this.#encReg(dest),
+      imm = encImm(this.#pcrelOffset(offset, immLen), immLen);
 
     const imm_20 = imm.substring(0, len_20),
       imm_19_12 = imm.substring(len_20, len_20 + len_19_12),
@@ -525,14 +862,43 @@ export class Encoder {
     }
 
     // Convert to binary representation
-    const rd = encReg(dest), rs1 = encReg(addr), rs2 = encReg(src),
-      aq = '0', rl = '0';
+    //   Register pairs when all xlens allowed by configuration use them
+    const xlen = XLEN_MASK[this.#config.ISA.description.toLowerCase().replace(/i$/, '')] ?? this.xlens;
+    const pairs = (xlen & ~(this.#inst.regPairs ?? 0)) === 0;
+    const rd = pairs ? encPairReg(dest, this.#encReg(dest), FIELDS.rd.name) : this.#encReg(dest),
+      rs1 = this.#encReg(addr),
+      rs2 = pairs ? encPairReg(src, this.#encReg(src), FIELDS.rs2.name) : this.#encReg(src),
+      aq = this.#inst.aq, rl = this.#inst.rl;
 
     // Construct binary instruction
     this.bin = this.#inst.funct5 + aq + rl + rs2 + rs1 +
       this.#inst.funct3 + rd + this.#inst.opcode;
   }
 
+  // Convert floating-point operand to binary, held in an integer register when
+  // configured so, or in an even-odd register pair for double-precision values
+  // on RV32
+  #encFloatReg(reg, double, field) {
+    if (!floatInIntRegs(this.#config)) {
+      return this.#encReg(reg, true);
+    } else if (double && this.#config.ISA === COPTS_ISA.RV32I) {
+      return encPairReg(reg, this.#encReg(reg), field);
+    }
+    return this.#encReg(reg);
+  }
+
+  // Convert register to binary, embedded bases only having integer registers
+  // x0 to x15
+  #encReg(reg, floatReg = false) {
+    const regTrie = getConfigRegisterTrie(this.#config);
+    const encoded = encReg(reg, floatReg, regTrie);
+    if (this.#config.EMBEDDED && !floatReg && encoded[0] === '1') {
+      throw new IsaMismatchError(`Invalid register "${reg}", configuration ISA ${baseName(this.#config)} ` +
+        `only has registers x0 to x15`, { suggestions: suggestNames(regTrie, reg) });
+    }
+    return encoded;
+  }
+
   /**
    * Encodes R4 instruction
    */
@@ -543,9 +909,12 @@ export class Encoder {
       frm = this.#opr[4];
 
     // Convert to binary representation
-    const rd = encReg(dest, true), rs1 = encReg(src1, true),
-      rs2 = encReg(src2, true), rs3 = encReg(src3, true),
-      fmt = this.#inst.fp_fmt, funct3 = encFrm(frm) ?? '111' /* dyn rm */;
+    const fmt = this.#inst.fp_fmt, double = fmt === FP_FMT.D;
+    const rd = this.#encFloatReg(dest, double, FIELDS.rd.name),
+      rs1 = this.#encFloatReg(src1, double, FIELDS.rs1.name),
+      rs2 = this.#encFloatReg(src2, double, FIELDS.rs2.name),
+      rs3 = this.#encFloatReg(src3, double, 'rs3'),
+      funct3 = encFrm(frm) ?? '111' /* dyn rm */;
 
     // Construct binary instruction
     this.bin = rs3 + fmt + rs2 + rs1 + funct3 + rd +
@@ -562,17 +931,17 @@ export class Encoder {
     // Encode registers, but overwite with static values if present
     const rdRs1 = this.#inst.rdRs1Val !== undefined
       ? encImm(this.#inst.rdRs1Val, FIELDS.c_rd_rs1.pos[1])
-      : (destSrc1 === undefined ? '01000' : encReg(destSrc1));
+      : (destSrc1 === undefined ? '01000' : this.#encReg(destSrc1));
     const rs2 = this.#inst.rs2Val !== undefined
       ? encImm(this.#inst.rs2Val, FIELDS.c_rs2.pos[1])
-      : (src2 === undefined ? '01000' : encReg(src2));
+      : (src2 === undefined ? '01000' : this.#encReg(src2));
 
     // Validate operands
     if (this.#inst.rdRs1Excl !== undefined) {
       const val = parseInt(rdRs1, BASE.bin);
       for (const excl of this.#inst.rdRs1Excl) {
-        if (val === excl) {
-          throw `Illegal value "${destSrc1}" in rd/rs1 field for instruction ${this.#mne}`;
+        if (val === excl && val !== this.#inst.rdRs1Hint) {
+          throw new InvalidOperandError(`Illegal value "${destSrc1}" in rd/rs1 field for instruction ${this.#mne}`);
         }
       }
     }
@@ -580,7 +949,7 @@ export class Encoder {
       const val = parseInt(rs2, BASE.bin);
       for (const excl of this.#inst.rs2Excl) {
         if (val === excl) {
-          throw `Illegal value "${src2}" in rs2 field for instruction ${this.#mne}`;
+          throw new InvalidOperandError(`Illegal value "${src2}" in rs2 field for instruction ${this.#mne}`);
         }
       }
     }
@@ -606,15 +975,18 @@ export class Encoder {
     // Encode operands, but overwite with static values if present
     const rdRs1 = skipRdRs1
       ? encImm(this.#inst.rdRs1Val, FIELDS.c_rd_rs1.pos[1])
-      : (destSrc1 === undefined ? '01000' : encReg(destSrc1, floatRdRs1));
-    let immVal = this.#inst.immVal ?? Number(immediate);
+      : (destSrc1 === undefined ? '01000' : this.#encReg(destSrc1, floatRdRs1));
+    // Static immediate, unless given to encode a HINT (e.g. 'c.nop 1')
+    let immVal = (this.#inst.immVal !== undefined && !(this.#inst.immHint && immediate))
+      ? this.#inst.immVal
+      : parseImm(immediate);
 
     // Validate operands
     if (this.#inst.rdRs1Excl !== undefined) {
       const val = parseInt(rdRs1, BASE.bin);
       for (const excl of this.#inst.rdRs1Excl) {
-        if (val === excl) {
-          throw `Illegal value "${destSrc1}" in rd/rs1 field for instruction ${this.#mne}`;
+        if (val === excl && val !== this.#inst.rdRs1Hint) {
+          throw new InvalidOperandError(`Illegal value "${destSrc1}" in rd/rs1 field for instruction ${this.#mne}`);
         }
       }
     }
@@ -622,14 +994,16 @@ export class Encoder {
       // If missing immediate, generate lowest non-zero immediate value
       if (immediate === undefined) {
         immVal = minImmFromBits(this.#inst.immBits);
-      } else {
-        throw `Invalid immediate "${immediate}", ${this.#mne} instruction expects non-zero value`;
+      } else if (!this.#inst.immHint || immVal !== 0) {
+        throw new InvalidOperandError(`Invalid immediate "${immediate}", ${this.#mne} instruction expects non-zero value`);
       }
     }
     if (this.#inst.uimm && immVal < 0) {
-      throw `Invalid immediate "${immediate}", ${this.#mne} instruction expects non-negative value`;
+      throw new InvalidOperandError(`Invalid immediate "${immediate}", ${this.#mne} instruction expects non-negative value`);
     }
 
+    this.#checkImmBits(immVal, immediate);
+
     // Construct immediate fields
     const imm0 = encImmBits(immVal, this.#inst.immBits[0]);
     const imm1 = encImmBits(immVal, this.#inst.immBits[1]);
@@ -649,14 +1023,16 @@ export class Encoder {
     const floatRs2 = /^c\.f/.test(this.#mne);
 
     // Encode operands and parse immediate for validation
-    const rs2 = encReg(src, floatRs2);
-    let immVal = Number(offset);
+    const rs2 = this.#encReg(src, floatRs2);
+    let immVal = parseImm(offset);
 
     // Validate operands
     if (this.#inst.uimm && immVal < 0) {
-      throw `Invalid immediate "${offset}", ${this.#mne} instruction expects non-negative value`;
+      throw new InvalidOperandError(`Invalid immediate "${offset}", ${this.#mne} instruction expects non-negative value`);
     }
 
+    this.#checkImmBits(immVal, offset);
+
     // Construct immediate field
     const imm = encImmBits(immVal, this.#inst.immBits);
 
@@ -673,7 +1049,7 @@ export class Encoder {
 
     // Encode operands and parse immediate for validation
     const rdPrime = encRegPrime(dest);
-    let immVal = Number(immediate);
+    let immVal = parseImm(immediate);
 
     // Validate operands
     if (this.#inst.nzimm && (immVal === 0 || isNaN(immVal))) {
@@ -681,13 +1057,15 @@ export class Encoder {
       if (immediate === undefined) {
         immVal = minImmFromBits(this.#inst.immBits);
       } else {
-        throw `Invalid immediate "${immediate}", ${this.#mne} instruction expects non-zero value`;
+        throw new InvalidOperandError(`Invalid immediate "${immediate}", ${this.#mne} instruction expects non-zero value`);
       }
     }
     if (this.#inst.uimm && immVal < 0) {
-      throw `Invalid immediate "${immediate}", ${this.#mne} instruction expects non-negative value`;
+      throw new InvalidOperandError(`Invalid immediate "${immediate}", ${this.#mne} instruction expects non-negative value`);
     }
 
+    this.#checkImmBits(immVal, immediate);
+
     // Construct immediate field
     const imm = encImmBits(immVal, this.#inst.immBits);
 
@@ -708,13 +1086,15 @@ export class Encoder {
     // Encode operands and parse immediate for validation
     const rdPrime = encRegPrime(dest, floatRd);
     const rs1Prime = encRegPrime(base);
-    let immVal = Number(offset);
+    let immVal = parseImm(offset);
 
     // Validate operands
     if (this.#inst.uimm && immVal < 0) {
-      throw `Invalid immediate "${offset}", ${this.#mne} instruction expects non-negative value`;
+      throw new InvalidOperandError(`Invalid immediate "${offset}", ${this.#mne} instruction expects non-negative value`);
     }
 
+    this.#checkImmBits(immVal, offset);
+
     // Construct immediate fields
     const imm0 = encImmBits(immVal, this.#inst.immBits[0]);
     const imm1 = encImmBits(immVal, this.#inst.immBits[1]);
@@ -736,13 +1116,15 @@ export class Encoder {
     // Encode operands and parse immediate for validation
     const rs2Prime = encRegPrime(src, floatRs2);
     const rs1Prime = encRegPrime(base);
-    let immVal = Number(immediate);
+    let immVal = parseImm(immediate);
 
     // Validate operands
     if (this.#inst.uimm && immVal < 0) {
-      throw `Invalid immediate "${immediate}", ${this.#mne} instruction expects non-negative value`;
+      throw new InvalidOperandError(`Invalid immediate "${immediate}", ${this.#mne} instruction expects non-negative value`);
     }
 
+    this.#checkImmBits(immVal, immediate);
+
     // Construct immediate fields
     const imm0 = encImmBits(immVal, this.#inst.immBits[0]);
     const imm1 = encImmBits(immVal, this.#inst.immBits[1]);
@@ -775,21 +1157,28 @@ export class Encoder {
 
     // Encode operands, but overwite with static values if present
     const rdRs1Prime = encRegPrime(destSrc1);
-    let immVal = this.#inst.immVal ?? Number(immediate);
+    let immVal = this.#inst.immVal ?? parseImm(immediate);
+
+    // Branch targets are PC-relative
+    if (/^c\.b/.test(this.#mne)) {
+      immVal = parseImm(this.#pcrelOffset(immediate, immBitsLen(this.#inst.immBits)));
+    }
 
     // Validate operands
     if (this.#inst.nzimm && (immVal === 0 || isNaN(immVal))) {
       // If missing immediate, generate lowest non-zero immediate value
       if (immediate === undefined) {
         immVal = minImmFromBits(this.#inst.immBits);
-      } else {
-        throw `Invalid immediate "${immediate}", ${this.#mne} instruction expects non-zero value`;
+      } else if (!this.#inst.immHint || immVal !== 0) {
+        throw new InvalidOperandError(`Invalid immediate "${immediate}", ${this.#mne} instruction expects non-zero value`);
       }
     }
     if (this.#inst.uimm && immVal < 0) {
-      throw `Invalid immediate "${immediate}", ${this.#mne} instruction expects non-negative value`;
+      throw new InvalidOperandError(`Invalid immediate "${immediate}", ${this.#mne} instruction expects non-negative value`);
     }
 
+    this.#checkImmBits(immVal, immediate);
+
     // Construct immediate fields
     const imm0 = encImmBits(immVal, this.#inst.immBits[0]);
     const imm1 = encImmBits(immVal, this.#inst.immBits[1]);
@@ -801,6 +1190,70 @@ export class Encoder {
     this.bin = this.#inst.funct3 + imm0 + funct2 + rdRs1Prime + imm1 + this.#inst.opcode;
   }
 
+  /**
+   * Parses immediate, checking that it fits in a `len`-bit field, given as a
+   * signed value or, unless `unsigned`, as the bits of the field (e.g. 0xfff
+   * for -1 in a 12-bit field)
+   * @param {String|Number} immediate
+   * @param {Number} len
+   * @param {Object} [options] Whether the field is `unsigned`, the value being
+   *   a multiple of `align`, and the `text` of the operand if already parsed
+   * @returns {Number}
+   */
+  #checkImm(immediate, len, { unsigned = false, align = 1, text = immediate } = {}) {
+    const val = parseImm(immediate);
+    const min = unsigned ? 0 : -(2 ** (len - 1));
+    const max = (unsigned ? 2 ** len : 2 ** (len - 1)) - align;
+    const bitsMax = 2 ** len - align;
+    if (!(val >= min && val <= (unsigned ? max : bitsMax) && val % align === 0)) {
+      const what = (text === undefined) ? 'Missing immediate' : `Invalid immediate "${text}"`;
+      throw new InvalidOperandError(`${what}, ${this.#mne} instruction expects ` +
+        `${(align > 1) ? `multiple of ${align}` : 'value'} from ${min} to ${max}` +
+        (unsigned ? '' : `, or its ${len}-bit encoding up to 0x${bitsMax.toString(16)}`));
+    }
+    return val;
+  }
+
+  // Check immediate of C instruction against the bits encoding it, as signed
+  // value unless `uimm`, whose lowest bits are implicitly zero
+  #checkImmBits(immVal, immediate) {
+    this.#checkImm(immVal, immBitsLen(this.#inst.immBits), { unsigned: this.#inst.uimm,
+      align: minImmFromBits(this.#inst.immBits), text: immediate });
+  }
+
+  /**
+   * Converts branch or jump target into PC-relative offset. When a PC is
+   * configured, the target is an absolute address, which has to be reachable
+   * with a `len`-bit offset. Otherwise, it is the offset itself.
+   * @param {String} target
+   * @param {Number} len
+   */
+  #pcrelOffset(target, len) {
+    const pc = this.#config.PC;
+    if (pc === undefined) {
+      return this.#checkImm(target, len, { align: 2 });
+    }
+
+    const addr = parseInteger(target);
+    if (target === undefined || isNaN(addr)) {
+      throw new InvalidOperandError(`Invalid target address "${target}" for ${this.#mne} instruction`);
+    }
+
+    // Offsets are signed and in multiples of 2 bytes
+    const offset = addr - pc;
+    const min = -(2 ** (len - 1)), max = 2 ** (len - 1) - 2;
+    if (offset % 2 !== 0) {
+      throw new InvalidOperandError(`Misaligned target address 0x${addr.toString(16)} for ${this.#mne} ` +
+        `instruction at PC 0x${pc.toString(16)}, offset ${offset} must be even`);
+    }
+    if (offset < min || offset > max) {
+      throw new InvalidOperandError(`Target address 0x${addr.toString(16)} out of range for ${this.#mne} ` +
+        `instruction at PC 0x${pc.toString(16)}, offset ${offset} not within [${min}, ${max}]`);
+    }
+
+    return offset;
+  }
+
   /**
    * Encodes CJ-type instruction
    */
@@ -809,16 +1262,202 @@ export class Encoder {
     const immediate = this.#opr[0];
 
     // Construct immediate fields
-    const jumpTarget = encImmBits(immediate, this.#inst.immBits);
+    const offset = this.#pcrelOffset(immediate, immBitsLen(this.#inst.immBits));
+    const jumpTarget = encImmBits(offset, this.#inst.immBits);
 
     // Construct binary instruction
     this.bin = this.#inst.funct3 + jumpTarget + this.#inst.opcode;
   }
+
+  /**
+   * Encodes CLB-type and CLH-type instruction
+   */
+  #encodeCLB() {
+    // Get operands
+    const dest = this.#opr[0], offset = this.#opr[1], base = this.#opr[2];
+
+    // Encode operands and parse immediate for validation
+    const rdPrime = encRegPrime(dest);
+    const rs1Prime = encRegPrime(base);
+    let immVal = parseImm(offset);
+
+    // Validate operands
+    if (this.#inst.uimm && immVal < 0) {
+      throw new InvalidOperandError(`Invalid immediate "${offset}", ${this.#mne} instruction expects non-negative value`);
+    }
+
+    this.#checkImmBits(immVal, offset);
+
+    // Construct immediate field, halfword loads holding funct1 in place of uimm[0]
+    const imm = (this.#inst.funct1 ?? '') + encImmBits(immVal, this.#inst.immBits);
+
+    // Construct binary instruction
+    this.bin = this.#inst.funct6 + rs1Prime + imm + rdPrime + this.#inst.opcode;
+  }
+
+  /**
+   * Encodes CSB-type and CSH-type instruction
+   */
+  #encodeCSB() {
+    // Get operands
+    const src = this.#opr[0], offset = this.#opr[1], base = this.#opr[2];
+
+    // Encode operands and parse immediate for validation
+    const rs2Prime = encRegPrime(src);
+    const rs1Prime = encRegPrime(base);
+    let immVal = parseImm(offset);
+
+    // Validate operands
+    if (this.#inst.uimm && immVal < 0) {
+      throw new InvalidOperandError(`Invalid immediate "${offset}", ${this.#mne} instruction expects non-negative value`);
+    }
+
+    this.#checkImmBits(immVal, offset);
+
+    // Construct immediate field, halfword stores holding funct1 in place of uimm[0]
+    const imm = (this.#inst.funct1 ?? '') + encImmBits(immVal, this.#inst.immBits);
+
+    // Construct binary instruction
+    this.bin = this.#inst.funct6 + rs1Prime + imm + rs2Prime + this.#inst.opcode;
+  }
+
+  /**
+   * Encodes CU-type instruction
+   */
+  #encodeCU() {
+    // Get operands
+    const destSrc = this.#opr[0];
+
+    // Encode operands
+    const rdRs1Prime = encRegPrime(destSrc);
+
+    // Construct binary instruction
+    this.bin = this.#inst.funct6 + rdRs1Prime + this.#inst.funct5 + this.#inst.opcode;
+  }
+
+  /**
+   * Encodes CMPP-type instruction
+   */
+  #encodeCMPP() {
+    // Get operands
+    const list = this.#opr[0], adjustment = this.#opr[1];
+
+    // Encode register list
+    const rlist = encRlist(list, this.#mne);
+    const sregs = ZCMP_RLIST_SREGS[parseInt(rlist, BASE.bin)];
+
+    // Space needed by the registers depends on xlen, passed as such to the decoder
+    this.xlens = (this.#config.ISA === COPTS_ISA.RV64I) ? XLEN_MASK.rv64 : XLEN_MASK.rv32;
+
+    // Stack adjustment is negative when pushing, and can add up to 48 bytes to
+    // the space needed by the registers
+    const sign = /^cm\.push/.test(this.#mne) ? -1 : 1;
+    const stackAdjs = [0, 1, 2, 3].map(spimm => sign * zcmpStackAdj(sregs, spimm, this.xlens));
+    let spimm = 0;
+    if (adjustment !== undefined) {
+      spimm = stackAdjs.indexOf(parseInteger(adjustment));
+      if (spimm === -1) {
+        throw new InvalidOperandError(`Invalid stack adjustment "${adjustment}", ${this.#mne} instruction with ` +
+          `register list ${list} expects one of ${stackAdjs.join(', ')}`);
+      }
+    }
+
+    // Construct binary instruction
+    this.bin = this.#inst.funct6 + this.#inst.funct2 + rlist +
+      encImm(spimm, FIELDS.c_spimm.pos[1]) + this.#inst.opcode;
+  }
+
+  /**
+   * Encodes CMMV-type instruction
+   */
+  #encodeCMMV() {
+    // Get operands
+    const sreg1 = this.#opr[0], sreg2 = this.#opr[1];
+
+    // Encode operands
+    const r1sPrime = encSreg(sreg1);
+    const r2sPrime = encSreg(sreg2);
+
+    // Validate operands, cm.mvsa01 writing both saved registers
+    if (this.#mne === 'cm.mvsa01' && r1sPrime === r2sPrime) {
+      throw new InvalidOperandError(`Invalid registers "${sreg1}" and "${sreg2}", ${this.#mne} instruction expects different registers`);
+    }
+
+    // Construct binary instruction
+    this.bin = this.#inst.funct6 + r1sPrime + this.#inst.funct2 + r2sPrime + this.#inst.opcode;
+  }
+
+  /**
+   * Encodes CMJT-type instruction
+   */
+  #encodeCMJT() {
+    // Get operands
+    const index = this.#opr[0];
+
+    // Parse index, defaulting to the first one
+    const indexVal = (index === undefined) ? this.#inst.indexMin : parseInteger(index);
+
+    // Validate operands
+    if (!Number.isInteger(indexVal) || indexVal < this.#inst.indexMin || indexVal > this.#inst.indexMax) {
+      throw new InvalidOperandError(`Invalid index "${index}", ${this.#mne} instruction expects value from ` +
+        `${this.#inst.indexMin} to ${this.#inst.indexMax}`);
+    }
+
+    // Construct binary instruction
+    this.bin = this.#inst.funct6 + encImm(indexVal, FIELDS.c_index.pos[1]) + this.#inst.opcode;
+  }
+
+  /**
+   * Encodes CMOP-type instruction
+   */
+  #encodeCMOP() {
+    // Get operands
+    const reg = this.#opr[0];
+
+    // Validate operand of c.sspush and c.sspopchk, implied by the instruction
+    const rdRs1 = this.#inst.rdRs1;
+    if (this.#inst.n === undefined && reg !== undefined && reg !== '' && this.#encReg(reg) !== rdRs1) {
+      throw new InvalidOperandError(`Invalid register "${reg}", ${this.#mne} instruction expects x${parseInt(rdRs1, BASE.bin)}`);
+    }
+    // No other operands, c.mop.N taking none at all
+    const extra = this.#opr.slice((this.#inst.n === undefined) ? 1 : 0).find(opr => opr !== '');
+    if (extra !== undefined) {
+      throw new InvalidOperandError(`Invalid operand "${extra}", ${this.#mne} instruction expects ` +
+        ((this.#inst.n === undefined) ? `only x${parseInt(rdRs1, BASE.bin)}` : 'no operands'));
+    }
+
+    // Construct binary instruction, with zero immediate
+    this.bin = this.#inst.funct3 + '0' + rdRs1 + '00000' + this.#inst.opcode;
+  }
+}
+
+// Parse integer operand, either decimal or hexadecimal as left by
+// evaluateOperands, into a Number, or NaN if malformed (e.g. a name or a
+// floating-point literal)
+function parseInteger(opr) {
+  if (typeof opr === 'number') {
+    return opr;
+  }
+  const match = /^([+-]?)(0x[0-9a-f]+|\d+)$/i.exec(opr ?? '');
+  if (match === null) {
+    return NaN;
+  }
+  return (match[1] === '-') ? -Number(match[2]) : Number(match[2]);
+}
+
+// Parse immediate operand, a missing one being NaN for the caller to default
+// or reject
+function parseImm(immediate) {
+  const val = parseInteger(immediate);
+  if (isNaN(val) && immediate !== undefined) {
+    throw new InvalidOperandError(`Invalid immediate "${immediate}", expected integer value`);
+  }
+  return val;
 }
 
 // Parse given immediate to binary
 function encImm(immediate, len) {
-  let bin = (Number(immediate) >>> 0).toString(BASE.bin);
+  let bin = (parseImm(immediate) >>> 0).toString(BASE.bin);
   // Extend or reduce binary representation to `len` bits
   return bin.padStart(len, '0').slice(-len);
 }
@@ -840,6 +1479,12 @@ function encImmBits(immediate, immBits) {
   return bin;
 }
 
+// Get the length of a signed immediate from an immBits configuration, which is
+// one more than its highest bit
+function immBitsLen(immBits) {
+  return Math.max(...immBits.flat(Infinity)) + 1;
+}
+
 // Get the lowest possible non-zero value from an immBits configuration
 function minImmFromBits(immBits) {
   // Local recursive function for finding mininum value from arbitrarily nested arrays
@@ -856,28 +1501,91 @@ function minImmFromBits(immBits) {
   return Number('0b1' + ''.padStart(deepMin(immBits), '0'));
 }
 
-// Convert register numbers to binary
-function encReg(reg, floatReg=false) {
+// Convert register numbers to binary, suggesting integer registers of
+// `regTrie` for invalid ones
+function encReg(reg, floatReg=false, regTrie=REGISTER_TRIE) {
   // Attempt to convert from ABI name to x<num> or f<num>, depending on `floatReg`
   reg = (floatReg ? FLOAT_REGISTER[reg] : REGISTER[reg]) ?? reg;
   // Validate using register file prefix determined from `floatReg` parameter
   let regFile = floatReg ? 'f' : 'x';
+  const suggestions = () => suggestNames(floatReg ? FLOAT_REGISTER_TRIE : regTrie, reg);
   if (reg === undefined || reg.length === 0) {
     // Missing operand, helpfully return 'x0' or 'f0' by default
     return '00000';
   } else if (reg[0] !== regFile || !(/^[fx]\d+/.test(reg))) {
-    throw `Invalid or unknown ${floatReg ? 'float ' : ''}register format: "${reg}"`;
+    throw new InvalidOperandError(`Invalid or unknown ${floatReg ? 'float ' : ''}register format: "${reg}"`,
+      { suggestions: suggestions() });
   }
   // Attempt to parse the decimal register address, set to 0 on failed parse
   let dec = parseInt(reg.substring(1));
   if (isNaN(dec)) {
     dec = 0;
   } else if (dec < 0 || dec > 31) {
-    throw `Register address out of range: "${reg}"`;
+    throw new InvalidOperandError(`Register address out of range: "${reg}"`,
+      { suggestions: suggestions() });
   }
   return convertBase(dec, BASE.dec, BASE.bin, 5);
 }
 
+// Convert fli constant (e.g. '0.5', 'inf' or 'min') to the binary index of
+// its table entry
+function encFli(value, mne) {
+  if (value === undefined || value.length === 0) {
+    // Missing operand, helpfully return '-1' by default
+    return '00000';
+  }
+  const idx = FLI_CONSTANT.findIndex(c => c === value || c === Number(value));
+  if (idx === -1) {
+    throw new InvalidOperandError(`Invalid constant "${value}", ${mne} instruction expects one of ` +
+      FLI_CONSTANT.join(', '));
+  }
+  return encImm(idx, FIELDS.rs1.pos[1]);
+}
+
+// Convert vector register numbers to binary
+function encVecReg(reg) {
+  if (reg === undefined || reg.length === 0) {
+    // Missing operand, helpfully return 'v0' by default
+    return '00000';
+  } else if (VECTOR_REGISTER[reg] === undefined) {
+    throw new InvalidOperandError(`Invalid or unknown vector register format: "${reg}"`);
+  }
+  return convertBase(parseInt(reg.substring(1)), BASE.dec, BASE.bin, 5);
+}
+
+// Convert vtype settings (e.g. ['e32', 'm4', 'ta', 'ma']) to binary, or
+// immediate if given as a single number
+function encVtype(settings, len) {
+  settings = settings.filter(setting => setting !== '');
+  if (settings.length === 1 && !isNaN(parseInteger(settings[0]))) {
+    const val = parseInteger(settings[0]);
+    if (val < 0 || val >= (1 << len)) {
+      throw new InvalidOperandError(`Invalid vtype immediate (out of range): "${settings[0]}"`);
+    }
+    return encImm(val, len);
+  }
+
+  // Element width is required, other settings default to m1, tu, mu
+  let sew, lmul = VLMUL.m1, vta = '0', vma = '0';
+  for (const setting of settings) {
+    if (VSEW[setting] !== undefined) {
+      sew = VSEW[setting];
+    } else if (VLMUL[setting] !== undefined) {
+      lmul = VLMUL[setting];
+    } else if (setting === 'ta' || setting === 'tu') {
+      vta = (setting === 'ta') ? '1' : '0';
+    } else if (setting === 'ma' || setting === 'mu') {
+      vma = (setting === 'ma') ? '1' : '0';
+    } else {
+      throw new InvalidOperandError(`Invalid vtype setting "${setting}"`);
+    }
+  }
+  if (sew === undefined) {
+    throw new InvalidOperandError(`Missing element width in vtype, expected one of ${Object.keys(VSEW).join(', ')}`);
+  }
+  return (vma + vta + sew + lmul).padStart(len, '0');
+}
+
 // Convert compressed register numbers to binary
 function encRegPrime(reg, floatReg=false) {
   // Missing operand, use x8 or f8
@@ -891,16 +1599,93 @@ function encRegPrime(reg, floatReg=false) {
   // - Full 5-bit encoded register should conform to '01xxx', use the 'xxx' in the encoded instruction
   if (encoded.substring(0, 2) !== '01') {
     const regFile = floatReg ? 'f' : 'x';
-    throw `Invalid register "${reg}", rd' field expects compressable register from ${regFile}8 to ${regFile}15`;
+    throw new InvalidOperandError(`Invalid register "${reg}", rd' field expects compressable register from ${regFile}8 to ${regFile}15`);
   }
   return encoded.substring(2);
 }
 
+// Convert Zicfiss link register (x1 or x5) to binary
+function encLinkReg(reg, field) {
+  const encoded = encReg(reg);
+  if (!ZICFISS_LINK_REGS.includes(encoded)) {
+    throw new InvalidOperandError(`Invalid register "${reg}", ${field} field expects link register x1 or x5`);
+  }
+  return encoded;
+}
+
+// Check that binary register is the first of an even-odd register pair
+function encPairReg(reg, encoded, field) {
+  if (encoded.endsWith('1')) {
+    throw new InvalidOperandError(`Invalid register "${reg}", ${field} field expects even-numbered register of a register pair`);
+  }
+  return encoded;
+}
+
+// Convert Zcmp saved register (s0-s7) to binary
+function encSreg(reg) {
+  // Missing operand, use s0
+  if (reg === undefined) {
+    return '000';
+  }
+
+  // Saved registers s0-s1 are x8-x9, and s2-s7 are x18-x23
+  const num = parseInt(encReg(reg), BASE.bin);
+  if (num === 8 || num === 9) {
+    return encImm(num - 8, 3);
+  } else if (num >= 18 && num <= 23) {
+    return encImm(num - 16, 3);
+  }
+  throw new InvalidOperandError(`Invalid register "${reg}", r1s'/r2s' field expects saved register from s0 to s7`);
+}
+
+// Convert Zcmp register list (e.g. '{ra, s0-s2}' or '{x1, x8-x9, x18}') to
+// binary
+function encRlist(list, mne) {
+  // Missing operand, use {ra}
+  if (list === undefined) {
+    return '0100';
+  }
+
+  // Expand register list into indices of registers, in order
+  const error = `Invalid register list "${list}", ${mne} instruction expects {ra}, ` +
+    `{ra, s0} or {ra, s0-sN} with N from 1 to 9, or 11`;
+  const match = /^\{(.*)\}$/.exec(list.replace(/\s+/g, ''));
+  if (match === null) {
+    throw new InvalidOperandError(error);
+  }
+  // - ra, then saved registers s0-s11, whose ranges span x8-x9 and x18-x27
+  const saved = [1, 8, 9, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27];
+  let regs = [];
+  for (const range of match[1].split(',')) {
+    const [first, last] = range.split('-')
+      .map(reg => saved.indexOf(parseInt(encReg(reg), BASE.bin)));
+    if (first === -1 || last === -1) {
+      throw new InvalidOperandError(error);
+    }
+    for (let i = first; i <= (last ?? first); i++) {
+      regs.push(i);
+    }
+  }
+
+  // Find encoding of list holding ra and its first saved registers
+  for (const [rlist, sregs] of Object.entries(ZCMP_RLIST_SREGS)) {
+    if (regs.length === sregs + 1 && regs.every((i, j) => i === j)) {
+      return encImm(rlist, FIELDS.c_rlist.pos[1]);
+    }
+  }
+  throw new InvalidOperandError(error);
+}
+
 // Convert memory ordering to binary
 function encMem(input) {
   // Default input to 'iorw'
   input = input ?? 'iorw';
 
+  // No accesses, only valid for HINTs
+  if (input === '0') {
+    return '0000';
+  }
+
   // I: Device input, O: device output, R: memory reads, W: memory writes
   const access = ['i', 'o', 'r', 'w'];
 
@@ -917,7 +1702,7 @@ function encMem(input) {
   }
 
   if (one_count !== input.length || bits === '0000') {
-    throw `Invalid IO/Mem field '${input}', expected some combination of 'iorw'`
+    throw new InvalidOperandError(`Invalid IO/Mem field '${input}', expected some combination of 'iorw'`);
   }
 
   return bits;
@@ -931,11 +1716,12 @@ function encCSR(csr) {
 
   // If failed, attempt to parse as immediate
   if (csrVal === undefined) {
-    csrVal = Number(csr) >>> 0;
+    csrVal = parseInteger(csr) >>> 0;
 
     // If parse failed, neither number nor valid CSR name
-    if (csrVal === 0 && csr != 0) {
-      throw `Invalid or unknown CSR name: "${csr}"`;
+    if (isNaN(parseInteger(csr))) {
+      throw new InvalidOperandError(`Invalid or unknown CSR name: "${csr}"`,
+        { suggestions: suggestNames(CSR_TRIE, csr) });
     }
   }
 
@@ -950,7 +1736,7 @@ function encFrm(frm) {
   // Lookup name in frm table
   const frmVal = FLOAT_ROUNDING_MODE[frm];
   if (frmVal === undefined) {
-    throw `Invalid float rounding mode field '${frm}'`
+    throw new InvalidOperandError(`Invalid float rounding mode field '${frm}'`);
   }
 
   return encImm(frmVal, FIELDS.r_fp_rm.pos[1]);
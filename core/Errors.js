@@ -0,0 +1,151 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+/*
+ * RISC-V Instruction Encoder/Decoder
+ *
+ * Copyright (c) 2021-2022 LupLab @ UC Davis
+ */
+
+/**
+ * Base class of all errors raised when converting an instruction
+ *
+ * Rendered as its bare message (e.g., in template strings), the same way
+ * errors were previously thrown as strings.
+ * @class
+ */
+export class ConversionError extends Error {
+  /**
+   * Stable error code, unique to each error class: 'INVALID_FIELD',
+   * 'RESERVED', 'ISA_MISMATCH', etc.
+   * @type String
+   */
+  code;
+  /**
+   * Opcode group recognized before failing: 'BRANCH', 'OP-IMM', 'C1', etc.
+   * @type String
+   */
+  group;
+  /**
+   * Offending instruction fields, each with its `name` and `bits` range as
+   * [msb, lsb]
+   * @type {Object[]}
+   */
+  fields;
+  /**
+   * Valid values the offending field could take, if known
+   * @type {String[]}
+   */
+  expected;
+  /**
+   * Close matches of a misspelled name (mnemonic, register or CSR)
+   * @type {String[]}
+   */
+  suggestions;
+  /**
+   * Binary instruction (16 or 32 bits), when failing to decode
+   * @type String
+   */
+  bin;
+
+  static code = 'CONVERSION';
+
+  /**
+   * @param {String} message
+   * @param {Object} [details] Optional `fields` (FIELDS entries),
+   *   `expected` values and `suggestions`
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = this.constructor.code;
+    this.fields = (details.fields ?? []).map(field => ({ name: field.name,
+      bits: [field.pos[0], field.pos[0] - field.pos[1] + 1] }));
+    this.expected = details.expected?.slice().sort();
+    this.suggestions = details.suggestions ?? [];
+  }
+
+  toString() {
+    return this.message;
+  }
+}
+
+/**
+ * Binary instruction that cannot be decoded
+ * @class
+ */
+export class DecodeError extends ConversionError {
+  static code = 'DECODE';
+}
+
+/**
+ * Field value not matching any instruction (e.g., an invalid funct3)
+ * @class
+ */
+export class InvalidFieldError extends DecodeError {
+  static code = 'INVALID_FIELD';
+}
+
+/**
+ * Encoding reserved by the specification (e.g., zero nzimm)
+ * @class
+ */
+export class ReservedEncodingError extends DecodeError {
+  static code = 'RESERVED';
+}
+
+/**
+ * Encoding defined as illegal by the specification (e.g., all-zero
+ * instruction, or excluded register value)
+ * @class
+ */
+export class IllegalEncodingError extends DecodeError {
+  static code = 'ILLEGAL';
+}
+
+/**
+ * Assembly instruction that cannot be encoded
+ * @class
+ */
+export class EncodeError extends ConversionError {
+  static code = 'ENCODE';
+}
+
+/**
+ * Unknown mnemonic
+ * @class
+ */
+export class InvalidMnemonicError extends EncodeError {
+  static code = 'INVALID_MNEMONIC';
+}
+
+/**
+ * Operand not valid for the instruction (register, immediate, etc.)
+ * @class
+ */
+export class InvalidOperandError extends EncodeError {
+  static code = 'INVALID_OPERAND';
+}
+
+/**
+ * Instruction or register not part of the configured ISA
+ * @class
+ */
+export class IsaMismatchError extends ConversionError {
+  static code = 'ISA_MISMATCH';
+}
+
+/**
+ * Invalid configuration option (e.g., malformed ISA string)
+ * @class
+ */
+export class InvalidConfigError extends ConversionError {
+  static code = 'INVALID_CONFIG';
+}
+
+/**
+ * Inconsistency in the encoder/decoder itself
+ * @class
+ */
+export class InternalError extends ConversionError {
+  static code = 'INTERNAL';
+}
@@ -0,0 +1,366 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+/*
+ * RISC-V Instruction Encoder/Decoder
+ *
+ * Copyright (c) 2021-2022 LupLab @ UC Davis
+ */
+
+import { InvalidOperandError } from './Errors.js';
+
+/*
+ * Operand expressions, as accepted by the GNU assembler
+ *
+ * - Literals: decimal, hexadecimal (0x), binary (0b), octal (leading 0 as
+ *   in 017, or 0o) and character ('A', '\n') literals
+ * - Unary operators: + - ~ !
+ * - Binary operators, from highest to lowest precedence as in the GNU
+ *   assembler (unlike C): * / % << >>, then | & ^, then + -
+ * - Relocation operators, splitting a 32-bit value (or PC-relative offset)
+ *   into the upper part loaded by lui (or auipc) and the lower part added by
+ *   addi, loads and stores: %hi, %lo, %pcrel_hi, %pcrel_lo
+ *
+ * Values are evaluated as arbitrary-precision integers, and then range-checked
+ * by the Encoder against the width of the immediate field, like any other
+ * immediate.
+ */
+
+// Binary operators by precedence level, from lowest to highest
+const BINARY_OPERATORS = [
+  { '+':  (a, b) => a + b, '-': (a, b) => a - b },
+  { '|':  (a, b) => a | b, '&': (a, b) => a & b, '^': (a, b) => a ^ b },
+  { '*':  (a, b) => a * b, '/': divide, '%': remainder,
+    '<<': (a, b) => a << b, '>>': (a, b) => a >> b },
+];
+
+// Escape sequences of character literals
+const CHAR_ESCAPES = { n: '\n', t: '\t', r: '\r', 0: '\0', '\\': '\\', '\'': '\'', '"': '"' };
+
+// Characters only found in expressions, never in register or other names
+const EXPRESSION_CHARS = /[%'*/<>~^|&!()]/;
+
+// Plain integer literal, left as is (octal ones being evaluated)
+const INTEGER_LITERAL = /^[+-]?(?:0x[0-9a-f]+|0|[1-9]\d*)$/i;
+
+// Operand starting as a number, which must then be a valid literal
+const NUMERIC = /^[+-]?\d/;
+
+// Numbers left as is: decimal floating-point literals for the constants of
+// fli, and references to numeric local labels of the Assembler (e.g. '1b')
+const NUMERIC_NAME = /^(?:[+-]?\d+\.\d*(?:e[+-]?\d+)?|\d+[bf])$/i;
+
+/**
+ * Evaluates an operand expression
+ * @param {String} expr
+ * @param {Number} [pc] Address of the instruction, which %pcrel_hi is relative
+ *   to, the operand being directly the offset if undefined
+ * @param {Number} [auipc] Address of the auipc instruction which %pcrel_lo is
+ *   relative to, required when `pc` is given as the lower part belongs to
+ *   another instruction, the operand being directly the offset if both are
+ *   undefined
+ * @returns {Object} Evaluated `value` (BigInt), and `notes` explaining how
+ *   relocation operators were evaluated
+ */
+export function evaluateExpression(expr, pc, auipc) {
+  let parser = new ExpressionParser(expr, pc, auipc);
+  const value = parser.parse();
+  return { value, notes: parser.notes };
+}
+
+/**
+ * Replaces the operand expressions of an assembly instruction with their
+ * decimal values, keeping all other operands (registers, names, plain
+ * integers, etc.) as they are for the Encoder to check against the operands
+ * it expects, except malformed numbers (e.g. '0x', '1e3') rejected here
+ * @param {String} asm
+ * @param {Number} [pc] See `evaluateExpression`
+ * @param {Number} [auipc] See `evaluateExpression`
+ * @returns {Object} Assembly instruction `asm` with evaluated operands, and
+ *   `notes` explaining each evaluated expression
+ */
+export function evaluateOperands(asm, pc, auipc) {
+  const match = /^\s*(\S+)\s*(.*)$/s.exec(asm);
+  if (match === null || match[2] === '') {
+    return { asm, notes: [] };
+  }
+
+  let notes = [];
+  let evaluated = false;
+  const oprs = splitOperands(match[2]).map(opr => {
+    // Only evaluate offset of memory operand (e.g. '%lo(sym)' of '%lo(sym)(a0)')
+    const { expr, base } = splitMemOperand(opr);
+    if (expr === '' || INTEGER_LITERAL.test(expr)) {
+      return opr;
+    }
+
+    // Not an expression (e.g. register), unless using an expression operator,
+    // while malformed numbers (e.g. '0x', '1e3') are never names
+    let result;
+    try {
+      result = evaluateExpression(expr, pc, auipc);
+    } catch (error) {
+      if (EXPRESSION_CHARS.test(expr)) {
+        throw error;
+      }
+      if (NUMERIC.test(expr) && !NUMERIC_NAME.test(expr)) {
+        throw new InvalidOperandError(`Invalid number "${expr}"`);
+      }
+      return opr;
+    }
+
+    evaluated = true;
+    notes.push(...result.notes);
+    if (result.notes.length === 0) {
+      notes.push(`${expr} = ${result.value}`);
+    }
+    return result.value.toString() + base;
+  });
+
+  if (!evaluated) {
+    return { asm, notes };
+  }
+  return { asm: match[1] + ' ' + oprs.join(', '), notes };
+}
+
+/**
+ * Splits operands at commas, except within parentheses, register lists and
+ * character literals
+ * @param {String} str
+ * @returns {String[]}
+ */
+export function splitOperands(str) {
+  let oprs = [];
+  let depth = 0, start = 0;
+  for (let i = 0; i < str.length; i++) {
+    const c = str[i];
+    if (c === '\'') {
+      // Skip character literal, with possible escaped character
+      i += (str[i + 1] === '\\') ? 3 : 2;
+    } else if (c === '(' || c === '{') {
+      depth++;
+    } else if (c === ')' || c === '}') {
+      depth--;
+    } else if (c === ',' && depth === 0) {
+      oprs.push(str.substring(start, i).trim());
+      start = i + 1;
+    }
+  }
+  oprs.push(str.substring(start).trim());
+  return oprs;
+}
+
+// Split memory operand into offset expression and base register (e.g. '(a0)'),
+// the base being empty for any other operand
+function splitMemOperand(opr) {
+  if (!opr.endsWith(')')) {
+    return { expr: opr, base: '' };
+  }
+  // Find parenthesis opening the last group
+  let depth = 0, i = opr.length - 1;
+  for (; i >= 0; i--) {
+    depth += (opr[i] === ')') ? 1 : (opr[i] === '(') ? -1 : 0;
+    if (depth === 0) {
+      break;
+    }
+  }
+  const expr = opr.substring(0, i).trim(), base = opr.substring(i);
+  // Group must hold a register, and not be the argument of a relocation operator
+  if (!/^\(\s*[a-z][\w.]*\s*\)$/i.test(base) || /%\w+$/.test(expr)) {
+    return { expr: opr, base: '' };
+  }
+  return { expr, base };
+}
+
+// Division truncating towards zero, as in C
+function divide(a, b) {
+  if (b === 0n) {
+    throw new RangeError('division by zero');
+  }
+  return a / b;
+}
+
+// Remainder taking the sign of the dividend, as in C
+function remainder(a, b) {
+  if (b === 0n) {
+    throw new RangeError('division by zero');
+  }
+  return a % b;
+}
+
+// Format value as hexadecimal, keeping its sign
+function hex(value) {
+  return (value < 0n ? '-0x' : '0x') + (value < 0n ? -value : value).toString(16);
+}
+
+// Recursive descent parser of operand expressions
+class ExpressionParser {
+  /**
+   * Notes explaining how relocation operators were evaluated
+   * @type {String[]}
+   */
+  notes = [];
+
+  /* Private members */
+  #expr;
+  #pc;
+  #auipc;
+  #pos = 0;
+
+  constructor(expr, pc, auipc) {
+    this.#expr = expr;
+    this.#pc = pc;
+    this.#auipc = auipc;
+  }
+
+  /**
+   * Parses the whole expression
+   * @returns {BigInt}
+   */
+  parse() {
+    try {
+      const value = this.#parseBinary(0);
+      this.#skipSpaces();
+      if (this.#pos < this.#expr.length) {
+        throw new SyntaxError(`unexpected "${this.#expr.substring(this.#pos)}"`);
+      }
+      return value;
+    } catch (error) {
+      if (error instanceof InvalidOperandError) {
+        throw error;
+      }
+      throw new InvalidOperandError(`Invalid expression "${this.#expr}": ${error.message}`);
+    }
+  }
+
+  #skipSpaces() {
+    while (/\s/.test(this.#expr[this.#pos])) {
+      this.#pos++;
+    }
+  }
+
+  // Consume given token if next, telling if it was
+  #accept(token) {
+    this.#skipSpaces();
+    if (this.#expr.startsWith(token, this.#pos)) {
+      this.#pos += token.length;
+      return true;
+    }
+    return false;
+  }
+
+  #expect(token) {
+    if (!this.#accept(token)) {
+      throw new SyntaxError(`expected "${token}"`);
+    }
+  }
+
+  // Binary operation of given precedence level, left-associative
+  #parseBinary(level) {
+    if (level === BINARY_OPERATORS.length) {
+      return this.#parseUnary();
+    }
+    let value = this.#parseBinary(level + 1);
+    for (;;) {
+      const op = Object.keys(BINARY_OPERATORS[level]).find(op => this.#accept(op));
+      if (op === undefined) {
+        return value;
+      }
+      value = BINARY_OPERATORS[level][op](value, this.#parseBinary(level + 1));
+    }
+  }
+
+  #parseUnary() {
+    if (this.#accept('-')) {
+      return -this.#parseUnary();
+    } else if (this.#accept('+')) {
+      return this.#parseUnary();
+    } else if (this.#accept('~')) {
+      return ~this.#parseUnary();
+    } else if (this.#accept('!')) {
+      return (this.#parseUnary() === 0n) ? 1n : 0n;
+    }
+    return this.#parsePrimary();
+  }
+
+  #parsePrimary() {
+    this.#skipSpaces();
+    const rest = this.#expr.substring(this.#pos);
+
+    // Parenthesized expression
+    if (this.#accept('(')) {
+      const value = this.#parseBinary(0);
+      this.#expect(')');
+      return value;
+    }
+
+    // Relocation operator
+    const reloc = /^%(hi|lo|pcrel_hi|pcrel_lo)\s*\(/i.exec(rest);
+    if (reloc !== null) {
+      this.#pos += reloc[0].length;
+      const start = this.#pos;
+      const value = this.#parseBinary(0);
+      const arg = this.#expr.substring(start, this.#pos).trim();
+      this.#expect(')');
+      return this.#relocate(reloc[1].toLowerCase(), arg, value);
+    }
+
+    // Character literal
+    const char = /^'(\\.|[^\\'])'/.exec(rest);
+    if (char !== null) {
+      this.#pos += char[0].length;
+      const c = (char[1].length === 2) ? CHAR_ESCAPES[char[1][1]] : char[1];
+      if (c === undefined) {
+        throw new SyntaxError(`unknown escape sequence ${char[1]}`);
+      }
+      return BigInt(c.charCodeAt(0));
+    }
+
+    // Integer literal, octal if starting with 0
+    const int = /^(?:0x[0-9a-f]+|0b[01]+|0o[0-7]+|\d+)(?![\w.])/i.exec(rest);
+    if (int !== null) {
+      this.#pos += int[0].length;
+      if (/^0\d/.test(int[0])) {
+        if (/[89]/.test(int[0])) {
+          throw new SyntaxError(`invalid octal literal ${int[0]}`);
+        }
+        return BigInt('0o' + int[0].substring(1));
+      }
+      return BigInt(int[0].toLowerCase());
+    }
+
+    throw new SyntaxError((rest === '') ? 'unexpected end of expression' : `unexpected "${rest}"`);
+  }
+
+  // Evaluate relocation operator, explaining the rounding of upper parts
+  #relocate(op, arg, value) {
+    const pcrel = op.startsWith('pcrel');
+    if (op === 'pcrel_lo' && this.#pc !== undefined && this.#auipc === undefined) {
+      throw new InvalidOperandError(`Missing address of auipc instruction which %${op}(${arg}) ` +
+        'is relative to');
+    }
+    const pc = BigInt(((op === 'pcrel_lo') ? this.#auipc : this.#pc) ?? 0);
+    const offset = pcrel ? value - pc : value;
+    const what = pcrel ? `${hex(value)} - ${hex(pc)}` : hex(value);
+    // Absolute values are 32-bit, either signed or unsigned, while offsets
+    // reach from the PC by a signed 32-bit upper part plus the lower part
+    const [min, max] = pcrel ? [-0x80000800n, 0x7ffff7ffn] : [-0x80000000n, 0xffffffffn];
+    if (offset < min || offset > max) {
+      throw new InvalidOperandError(`Value of %${op}(${arg}) out of range: ${hex(offset)}`);
+    }
+
+    const hi = ((offset + 0x800n) >> 12n) & 0xfffffn;
+    const lo = BigInt.asIntN(12, offset);
+    const pair = op.endsWith('hi') ? op.replace(/hi$/, 'lo') : op.replace(/lo$/, 'hi');
+    if (op.endsWith('hi')) {
+      // Adding 0x800 rounds up when bit 11 is set, i.e. when the lower part
+      // is negative once sign-extended
+      this.notes.push(`%${op}(${arg}) = (${what} + 0x800) >> 12 = ${hex(hi)}, ` +
+        `the 0x800 ${(lo < 0n) ? 'rounding up' : 'not rounding up'} the upper part ` +
+        `as %${pair}(${arg}) = ${lo} is sign-extended`);
+      return hi;
+    }
+    this.notes.push(`%${op}(${arg}) = ${lo}, the sign-extended lower 12 bits of ${what}, ` +
+      `%${pair}(${arg}) adding 0x800 to compensate when negative`);
+    return lo;
+  }
+}
@@ -6,11 +6,14 @@
  * Copyright (c) 2021-2022 LupLab @ UC Davis
  */
 
-import { BASE, ISA } from './Constants.js';
-import { configDefault } from './Config.js';
+import { BASE, ISA, FRAG, XLEN_MASK } from './Constants.js';
+import { resolveConfig } from './Config.js';
+import { ConversionError } from './Errors.js';
 
 import { Decoder, decRegAbi } from './Decoder.js';
 import { Encoder } from './Encoder.js';
+import { PSEUDO, expandPseudo } from './Pseudo.js';
+import { evaluateOperands } from './Expression.js';
 
 /**
  * Represents an instruction
@@ -57,10 +60,29 @@ export class Instruction {
    * @type Array
    */
   binFrags;
+  /**
+   * Standard HINT name ('pause', 'ntl.all', 'c.ntl.p1', etc.) or 'HINT' if
+   * instruction is encoded in a HINT space, undefined otherwise
+   * @type String
+   */
+  hint;
+  /**
+   * Pseudo-instruction this instruction was expanded from, if any
+   * @type String
+   */
+  pseudo;
+  /**
+   * Base instructions of pseudo-instruction expansion, in order. This
+   * instruction represents the first one.
+   * @type Instruction[]
+   */
+  expansion;
 
   /* Private members */
   #config;
+  #encIsa;
   #xlens;
+  #notes = [];
 
   /**
    * Creates an instruction represented in multiple formats
@@ -68,7 +90,7 @@ export class Instruction {
    * @param {Object} configuration
    */
   constructor(instruction, config={}) {
-    this.#config = Object.assign({}, configDefault, config);
+    this.#config = resolveConfig(config);
     this.#convertInstruction(instruction.trim());
   }
 
@@ -83,7 +105,8 @@ export class Instruction {
     const asmRegEx = /^[a-zA-Z]$/;
 
     // Test for valid mnemonic input before interpreting as value
-    const validMne = instruction.trimStart().split(' ')[0] in ISA;
+    const mne = instruction.trimStart().split(' ')[0].toLowerCase();
+    const validMne = mne in ISA || mne in PSEUDO;
     if (validMne) {
       // Shortcircuit to assembly instruction when valid mnemonic detected
       this.#encodeBin(instruction);
@@ -99,7 +122,7 @@ export class Instruction {
     }
 
     else {
-      throw 'Invalid instruction (not in binary, hexadecimal, nor assembly)';
+      throw new ConversionError('Invalid instruction (not in binary, hexadecimal, nor assembly)');
     }
 
     // Decode binary instruction into assembly
@@ -108,7 +131,7 @@ export class Instruction {
     // Determine hex string length (default to 8)
     let hexLength = 8;
     // Compressed instructions - represent them with 4 hex digits
-    if (this.asm.startsWith('c.')) {
+    if (/^cm?\./.test(this.asm)) {
       hexLength = 4;
     }
 
@@ -119,7 +142,7 @@ export class Instruction {
   // Decode instruction from binary to assembly
   #decodeAsm() {
     // Create a Decoder for the instruction
-    let decoder = new Decoder(this.bin, this.#config, this.#xlens);
+    let decoder = new Decoder(this.bin, this.#config, this.#xlens, this.#encIsa);
 
     // Get assembly representation
     this.asm = decoder.asm;
@@ -131,18 +154,45 @@ export class Instruction {
     // Get instruction characteristics
     this.fmt = decoder.fmt;
     this.isa = decoder.isa;
+    this.hint = decoder.hint;
+
+    // Explain evaluated operand expressions in immediate fragments
+    if (this.#notes.length > 0) {
+      this.asmFrags.concat(this.binFrags)
+        .filter(frag => frag.id === FRAG.IMM || frag.id === FRAG.CSR)
+        .forEach(frag => frag.note = this.#notes.join('\n'));
+    }
   }
 
   // Encode instruction from assembly to binary
   #encodeBin(instruction) {
+    // Evaluate operand expressions (e.g. '4*8' or '%hi(0x12345678)')
+    const evaluated = evaluateOperands(instruction, this.#config.PC, this.#config.AUIPC);
+    this.#notes = evaluated.notes;
+    let asm = evaluated.asm;
+
+    // Expand pseudo-instruction, this instruction being the first of expansion
+    const expansion = expandPseudo(asm, this.#config);
+    if (expansion !== undefined) {
+      this.pseudo = instruction;
+      this.expansion = expansion.map((inst, i) => {
+        // Each base instruction follows the previous one
+        const pc = this.#config.PC;
+        return new Instruction(inst, Object.assign({}, this.#config,
+          { PC: (pc === undefined) ? undefined : pc + 4 * i }));
+      });
+      asm = expansion[0];
+    }
+
     // Create an Encoder for the instruction
-    let encoder = new Encoder(instruction, this.#config);
+    let encoder = new Encoder(asm, this.#config);
 
     // Get binary representation
     this.bin = encoder.bin;
 
-    // Get instruction xlen
+    // Get instruction xlen and ISA
     this.#xlens = encoder.xlens;
+    this.#encIsa = encoder.isa;
   }
 
 }
@@ -163,6 +213,24 @@ export function convertRegToAbi(reg) {
   return reg;
 }
 
+// Convert Zcmp register list to ABI names (e.g. '{x1, x8-x9, x18}' into
+// '{ra, s0-s2}')
+export function convertRlistToAbi(rlist) {
+  const sregs = [...rlist.matchAll(/x(\d+)(?:-x(\d+))?/g)]
+    .reduce((n, [, first, last]) => n + Number(last ?? first) - Number(first) + 1, 0) - 1;
+  if (sregs === 0) {
+    return '{ra}';
+  }
+  return '{ra, ' + ((sregs === 1) ? 's0' : `s0-s${sregs - 1}`) + '}';
+}
+
+// Size in bytes of Zcmp stack adjustment, covering the registers (ra and
+// `sregs` saved registers) aligned to 16 bytes, and `spimm` additional 16 bytes
+export function zcmpStackAdj(sregs, spimm, xlens) {
+  const regBytes = (xlens & XLEN_MASK.rv32) ? 4 : 8;
+  return Math.ceil((sregs + 1) * regBytes / 16) * 16 + spimm * 16;
+}
+
 /**
  * Represents a fragment of the instruction
  * @class
@@ -189,5 +257,10 @@ export class Frag {
      * @type {Boolean}
      */
     this.mem = mem;
+    /** Explanation of how an evaluated operand expression gave the value of
+     * the fragment (e.g. rounding of '%hi(0x12345fff)'), if any
+     * @type {String}
+     */
+    this.note = undefined;
   }
 }
@@ -0,0 +1,274 @@
+// SPDX-License-Identifier: AGPL-3.0-or-later
+
+/*
+ * RISC-V Instruction Encoder/Decoder
+ *
+ * Copyright (c) 2021-2022 LupLab @ UC Davis
+ */
+
+import { ISA } from './Constants.js';
+import { COPTS_ISA } from './Config.js';
+import { InvalidOperandError } from './Errors.js';
+
+/*
+ * Pseudo-instructions, as listed in the RISC-V assembly programmer's manual
+ *
+ * Each mnemonic maps to one or more forms, told apart by their operands:
+ * - oprs: operand names, in order (also used as canonical operands)
+ * - expansion: base instructions, with operand names substituted in
+ * - pcrel: operand split into `hi` and `lo` parts of a PC-relative offset
+ * - expand: function overriding `expansion` when expansion is value-dependent
+ * - noAlias: never used when rendering base instructions as aliases
+ * - hint: names a standard HINT encoding
+ */
+export const PSEUDO = {
+  'nop':       [{ oprs: '',                  expansion: ['addi x0, x0, 0'] }],
+  'li':        [{ oprs: 'rd, imm',           expansion: ['addi rd, x0, imm'], expand: expandLi }],
+  'mv':        [{ oprs: 'rd, rs',            expansion: ['addi rd, rs, 0'] }],
+  'not':       [{ oprs: 'rd, rs',            expansion: ['xori rd, rs, -1'] }],
+  'neg':       [{ oprs: 'rd, rs',            expansion: ['sub rd, x0, rs'] }],
+  'negw':      [{ oprs: 'rd, rs',            expansion: ['subw rd, x0, rs'] }],
+  'sext.w':    [{ oprs: 'rd, rs',            expansion: ['addiw rd, rs, 0'] }],
+  'zext.b':    [{ oprs: 'rd, rs',            expansion: ['andi rd, rs, 255'] }],
+  'zext.w':    [{ oprs: 'rd, rs',            expansion: ['add.uw rd, rs, x0'] }],
+  'seqz':      [{ oprs: 'rd, rs',            expansion: ['sltiu rd, rs, 1'] }],
+  'snez':      [{ oprs: 'rd, rs',            expansion: ['sltu rd, x0, rs'] }],
+  'sltz':      [{ oprs: 'rd, rs',            expansion: ['slt rd, rs, x0'] }],
+  'sgtz':      [{ oprs: 'rd, rs',            expansion: ['slt rd, x0, rs'] }],
+
+  'fmv.s':     [{ oprs: 'frd, frs',          expansion: ['fsgnj.s frd, frs, frs'] }],
+  'fabs.s':    [{ oprs: 'frd, frs',          expansion: ['fsgnjx.s frd, frs, frs'] }],
+  'fneg.s':    [{ oprs: 'frd, frs',          expansion: ['fsgnjn.s frd, frs, frs'] }],
+  'fmv.d':     [{ oprs: 'frd, frs',          expansion: ['fsgnj.d frd, frs, frs'] }],
+  'fabs.d':    [{ oprs: 'frd, frs',          expansion: ['fsgnjx.d frd, frs, frs'] }],
+  'fneg.d':    [{ oprs: 'frd, frs',          expansion: ['fsgnjn.d frd, frs, frs'] }],
+  'fmv.q':     [{ oprs: 'frd, frs',          expansion: ['fsgnj.q frd, frs, frs'] }],
+  'fabs.q':    [{ oprs: 'frd, frs',          expansion: ['fsgnjx.q frd, frs, frs'] }],
+  'fneg.q':    [{ oprs: 'frd, frs',          expansion: ['fsgnjn.q frd, frs, frs'] }],
+  'fmv.h':     [{ oprs: 'frd, frs',          expansion: ['fsgnj.h frd, frs, frs'] }],
+  'fabs.h':    [{ oprs: 'frd, frs',          expansion: ['fsgnjx.h frd, frs, frs'] }],
+  'fneg.h':    [{ oprs: 'frd, frs',          expansion: ['fsgnjn.h frd, frs, frs'] }],
+
+  'beqz':      [{ oprs: 'rs, offset',        expansion: ['beq rs, x0, offset'] }],
+  'bnez':      [{ oprs: 'rs, offset',        expansion: ['bne rs, x0, offset'] }],
+  'blez':      [{ oprs: 'rs, offset',        expansion: ['bge x0, rs, offset'] }],
+  'bgez':      [{ oprs: 'rs, offset',        expansion: ['bge rs, x0, offset'] }],
+  'bltz':      [{ oprs: 'rs, offset',        expansion: ['blt rs, x0, offset'] }],
+  'bgtz':      [{ oprs: 'rs, offset',        expansion: ['blt x0, rs, offset'] }],
+  'bgt':       [{ oprs: 'rs, rt, offset',    expansion: ['blt rt, rs, offset'], noAlias: true }],
+  'ble':       [{ oprs: 'rs, rt, offset',    expansion: ['bge rt, rs, offset'], noAlias: true }],
+  'bgtu':      [{ oprs: 'rs, rt, offset',    expansion: ['bltu rt, rs, offset'], noAlias: true }],
+  'bleu':      [{ oprs: 'rs, rt, offset',    expansion: ['bgeu rt, rs, offset'], noAlias: true }],
+
+  'j':         [{ oprs: 'offset',            expansion: ['jal x0, offset'] }],
+  'jal':       [{ oprs: 'offset',            expansion: ['jal x1, offset'] }],
+  'ret':       [{ oprs: '',                  expansion: ['jalr x0, 0(x1)'] }],
+  'jr':        [{ oprs: 'rs',                expansion: ['jalr x0, 0(rs)'] }],
+  'jalr':      [{ oprs: 'rs',                expansion: ['jalr x1, 0(rs)'] }],
+  'call':      [{ oprs: 'offset',            expansion: ['auipc x1, hi', 'jalr x1, lo(x1)'], pcrel: 'offset' }],
+  'tail':      [{ oprs: 'offset',            expansion: ['auipc x6, hi', 'jalr x0, lo(x6)'], pcrel: 'offset' }],
+
+  'la':        [{ oprs: 'rd, symbol',        expansion: ['auipc rd, hi', 'addi rd, rd, lo'], pcrel: 'symbol' }],
+  'lla':       [{ oprs: 'rd, symbol',        expansion: ['auipc rd, hi', 'addi rd, rd, lo'], pcrel: 'symbol' }],
+  'lb':        [{ oprs: 'rd, symbol',        expansion: ['auipc rd, hi', 'lb rd, lo(rd)'], pcrel: 'symbol' }],
+  'lh':        [{ oprs: 'rd, symbol',        expansion: ['auipc rd, hi', 'lh rd, lo(rd)'], pcrel: 'symbol' }],
+  'lw':        [{ oprs: 'rd, symbol',        expansion: ['auipc rd, hi', 'lw rd, lo(rd)'], pcrel: 'symbol' }],
+  'ld':        [{ oprs: 'rd, symbol',        expansion: ['auipc rd, hi', 'ld rd, lo(rd)'], pcrel: 'symbol' }],
+  'sb':        [{ oprs: 'rd, symbol, rt',    expansion: ['auipc rt, hi', 'sb rd, lo(rt)'], pcrel: 'symbol' }],
+  'sh':        [{ oprs: 'rd, symbol, rt',    expansion: ['auipc rt, hi', 'sh rd, lo(rt)'], pcrel: 'symbol' }],
+  'sw':        [{ oprs: 'rd, symbol, rt',    expansion: ['auipc rt, hi', 'sw rd, lo(rt)'], pcrel: 'symbol' }],
+  'sd':        [{ oprs: 'rd, symbol, rt',    expansion: ['auipc rt, hi', 'sd rd, lo(rt)'], pcrel: 'symbol' }],
+  'flw':       [{ oprs: 'frd, symbol, rt',   expansion: ['auipc rt, hi', 'flw frd, lo(rt)'], pcrel: 'symbol' }],
+  'fld':       [{ oprs: 'frd, symbol, rt',   expansion: ['auipc rt, hi', 'fld frd, lo(rt)'], pcrel: 'symbol' }],
+  'fsw':       [{ oprs: 'frd, symbol, rt',   expansion: ['auipc rt, hi', 'fsw frd, lo(rt)'], pcrel: 'symbol' }],
+  'fsd':       [{ oprs: 'frd, symbol, rt',   expansion: ['auipc rt, hi', 'fsd frd, lo(rt)'], pcrel: 'symbol' }],
+
+  'rdinstret': [{ oprs: 'rd',                expansion: ['csrrs rd, instret, x0'] }],
+  'rdinstreth':[{ oprs: 'rd',                expansion: ['csrrs rd, instreth, x0'] }],
+  'rdcycle':   [{ oprs: 'rd',                expansion: ['csrrs rd, cycle, x0'] }],
+  'rdcycleh':  [{ oprs: 'rd',                expansion: ['csrrs rd, cycleh, x0'] }],
+  'rdtime':    [{ oprs: 'rd',                expansion: ['csrrs rd, time, x0'] }],
+  'rdtimeh':   [{ oprs: 'rd',                expansion: ['csrrs rd, timeh, x0'] }],
+  'frcsr':     [{ oprs: 'rd',                expansion: ['csrrs rd, fcsr, x0'] }],
+  'fscsr':     [{ oprs: 'rs',                expansion: ['csrrw x0, fcsr, rs'] },
+                { oprs: 'rd, rs',            expansion: ['csrrw rd, fcsr, rs'] }],
+  'frrm':      [{ oprs: 'rd',                expansion: ['csrrs rd, frm, x0'] }],
+  'fsrm':      [{ oprs: 'rs',                expansion: ['csrrw x0, frm, rs'] },
+                { oprs: 'rd, rs',            expansion: ['csrrw rd, frm, rs'] }],
+  'fsrmi':     [{ oprs: 'imm',               expansion: ['csrrwi x0, frm, imm'] },
+                { oprs: 'rd, imm',           expansion: ['csrrwi rd, frm, imm'] }],
+  'frflags':   [{ oprs: 'rd',                expansion: ['csrrs rd, fflags, x0'] }],
+  'fsflags':   [{ oprs: 'rs',                expansion: ['csrrw x0, fflags, rs'] },
+                { oprs: 'rd, rs',            expansion: ['csrrw rd, fflags, rs'] }],
+  'fsflagsi':  [{ oprs: 'imm',               expansion: ['csrrwi x0, fflags, imm'] },
+                { oprs: 'rd, imm',           expansion: ['csrrwi rd, fflags, imm'] }],
+  'csrr':      [{ oprs: 'rd, csr',           expansion: ['csrrs rd, csr, x0'] }],
+  'csrw':      [{ oprs: 'csr, rs',           expansion: ['csrrw x0, csr, rs'] }],
+  'csrs':      [{ oprs: 'csr, rs',           expansion: ['csrrs x0, csr, rs'] }],
+  'csrc':      [{ oprs: 'csr, rs',           expansion: ['csrrc x0, csr, rs'] }],
+  'csrwi':     [{ oprs: 'csr, imm',          expansion: ['csrrwi x0, csr, imm'] }],
+  'csrsi':     [{ oprs: 'csr, imm',          expansion: ['csrrsi x0, csr, imm'] }],
+  'csrci':     [{ oprs: 'csr, imm',          expansion: ['csrrci x0, csr, imm'] }],
+
+  'pause':     [{ oprs: '',                  expansion: ['fence w, 0'], hint: true }],
+  'ntl.p1':    [{ oprs: '',                  expansion: ['add x0, x0, x2'], hint: true }],
+  'ntl.pall':  [{ oprs: '',                  expansion: ['add x0, x0, x3'], hint: true }],
+  'ntl.s1':    [{ oprs: '',                  expansion: ['add x0, x0, x4'], hint: true }],
+  'ntl.all':   [{ oprs: '',                  expansion: ['add x0, x0, x5'], hint: true }],
+  'c.ntl.p1':  [{ oprs: '',                  expansion: ['c.add x0, x2'], hint: true }],
+  'c.ntl.pall':[{ oprs: '',                  expansion: ['c.add x0, x3'], hint: true }],
+  'c.ntl.s1':  [{ oprs: '',                  expansion: ['c.add x0, x4'], hint: true }],
+  'c.ntl.all': [{ oprs: '',                  expansion: ['c.add x0, x5'], hint: true }],
+}
+
+/**
+ * Finds the pseudo-instruction form matching an assembly instruction
+ * @param {String} asm
+ * @returns {Object|undefined} Form of PSEUDO entry, or undefined if not a
+ *   pseudo-instruction
+ */
+export function findPseudoForm(asm) {
+  // Tokenize assembly instruction, same as the Encoder
+  const tokens = tokenize(asm.toLowerCase());
+  const mne = tokens[0], opr = tokens.slice(1);
+
+  // Not a pseudo-instruction
+  const forms = PSEUDO[mne];
+  if (forms === undefined) {
+    return undefined;
+  }
+
+  // Find form matching the number and style of given operands
+  const mem = asm.includes('(');
+  const form = forms.find(f =>
+    tokenize(f.oprs).length === opr.length && f.oprs.includes('(') === mem);
+  if (form === undefined) {
+    // Base instruction sharing its mnemonic with the pseudo-instruction
+    if (mne in ISA) {
+      return undefined;
+    }
+    const expected = forms.map(f => `'${(mne + ' ' + f.oprs).trim()}'`);
+    throw new InvalidOperandError(`Invalid operands for pseudo-instruction '${mne}', expected ` +
+      expected.join(' or '));
+  }
+
+  return form;
+}
+
+/**
+ * Expands a pseudo-instruction into its base instructions
+ * @param {String} asm
+ * @param {Object} config
+ * @returns {String[]|undefined} Base instructions, or undefined if not a
+ *   pseudo-instruction
+ */
+export function expandPseudo(asm, config) {
+  const form = findPseudoForm(asm);
+  if (form === undefined) {
+    return undefined;
+  }
+  const opr = tokenize(asm.toLowerCase()).slice(1);
+
+  // Map operand names to given operands
+  let vals = {};
+  tokenize(form.oprs).forEach((name, i) => vals[name] = opr[i]);
+
+  // Value-dependent expansion
+  if (form.expand !== undefined) {
+    return form.expand(vals, config);
+  }
+
+  // Split PC-relative offset into upper and lower parts
+  if (form.pcrel !== undefined) {
+    Object.assign(vals, splitPcrel(vals[form.pcrel], config?.PC));
+  }
+
+  // Substitute operands into expansion
+  return form.expansion.map(inst =>
+    inst.replace(/[\w.]+/g, tok => Object.hasOwn(vals, tok) ? vals[tok] : tok));
+}
+
+// Split assembly into mnemonic and operand tokens
+function tokenize(asm) {
+  return asm.split(/[ ,()]+/).filter(tok => tok !== '');
+}
+
+// Split a PC-relative offset into auipc (upper) and sign-extended lower parts,
+// where the offset is instead an absolute address when a PC is given
+function splitPcrel(offset, pc) {
+  const off = Number(offset) - (pc ?? 0);
+  if (!Number.isInteger(off)) {
+    throw new InvalidOperandError(`Invalid offset: ${offset}`);
+  }
+  if (off < -0x80000800 || off > 0x7ffff7ff) {
+    throw new InvalidOperandError(`Offset out of range for auipc-based sequence: ${offset}`);
+  }
+
+  // Round upper part, as lower part is sign-extended
+  const hi = Math.floor((off + 0x800) / 0x1000);
+  return { hi: String(hi & 0xfffff), lo: String(off - hi * 0x1000) };
+}
+
+// Expand load immediate into the shortest lui/addi(w)/slli sequence
+function expandLi({ rd, imm }, config) {
+  let xlen;
+  switch (config?.ISA) {
+    case COPTS_ISA.RV32I:
+      xlen = 32;
+      break;
+    case COPTS_ISA.RV128I:
+      xlen = 128;
+      break;
+    default:
+      xlen = 64;
+  }
+
+  // Parse immediate, accepting both signed and unsigned values of XLEN bits
+  let val;
+  try {
+    val = imm.startsWith('-') ? -BigInt(imm.substring(1)) : BigInt(imm);
+  } catch {
+    throw new InvalidOperandError(`Invalid immediate: ${imm}`);
+  }
+  if (val < -(1n << BigInt(xlen - 1)) || val >= (1n << BigInt(xlen))) {
+    throw new InvalidOperandError(`Immediate out of range for RV${xlen}: ${imm}`);
+  }
+
+  return liSequence(BigInt.asIntN(xlen, val), rd, xlen);
+}
+
+// Recursively generate load immediate sequence for signed value
+function liSequence(val, rd, xlen) {
+  const lo12 = BigInt.asIntN(12, val);
+
+  // 32-bit values: lui followed by addi
+  if (val === BigInt.asIntN(32, val)) {
+    const hi20 = ((val - lo12) >> 12n) & 0xfffffn;
+    let seq = [];
+    let src = 'x0';
+    if (hi20 !== 0n) {
+      seq.push(`lui ${rd}, ${hi20}`);
+      src = rd;
+    }
+    if (lo12 !== 0n || hi20 === 0n) {
+      // Upper part rounding past 32 bits has to wrap around with addiw
+      const addi = (xlen > 32 && val - lo12 > 0x7fffffffn) ? 'addiw' : 'addi';
+      seq.push(`${addi} ${rd}, ${src}, ${lo12}`);
+    }
+    return seq;
+  }
+
+  // Wider values: build upper part, shift it into place, then add lower part
+  let hi = (val - lo12) >> 12n;
+  let shamt = 12n;
+  while ((hi & 1n) === 0n) {
+    hi >>= 1n;
+    shamt++;
+  }
+  let seq = liSequence(hi, rd, xlen);
+  seq.push(`slli ${rd}, ${rd}, ${shamt}`);
+  if (lo12 !== 0n) {
+    seq.push(`addi ${rd}, ${rd}, ${lo12}`);
+  }
+  return seq;
+}
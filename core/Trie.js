@@ -109,6 +109,35 @@ class TrieNode {
     // Success
     return str[i] + suffix;
   }
+
+  /**
+   * Lookup Nearest
+   * - `row` and `prevRow` are the last two rows of the edit distance matrix
+   *   between `str` and `word`, the string leading to this node
+   */
+  lookupNearest(str, maxDistance, word, row, prevRow, results) {
+    for (const [ord, child] of Object.entries(this.children)) {
+      const char = String.fromCharCode(ord);
+      // Compute next row from insertions, deletions, substitutions and
+      // transpositions of adjacent characters
+      let nextRow = [row[0] + 1];
+      for (let j = 1; j <= str.length; j++) {
+        const cost = (str[j-1] === char) ? 0 : 1;
+        nextRow[j] = Math.min(row[j] + 1, nextRow[j-1] + 1, row[j-1] + cost);
+        if (j > 1 && str[j-1] === word.at(-1) && str[j-2] === char) {
+          nextRow[j] = Math.min(nextRow[j], prevRow[j-2] + 1);
+        }
+      }
+      // Collect word if close enough
+      if (child.endOfWord && nextRow[str.length] <= maxDistance) {
+        results.push({ str: word + char, distance: nextRow[str.length] });
+      }
+      // Descend child only if some of its words may be close enough
+      if (Math.min(...nextRow) <= maxDistance) {
+        child.lookupNearest(str, maxDistance, word + char, nextRow, row, results);
+      }
+    }
+  }
 }
 
 class TrieIterator {
@@ -350,6 +379,20 @@ export class Trie {
     // return this.#root.lookupLowerBound(str, 0);
   }
 
+  /**
+   * Lookup of the strings within an edit distance of `str`, as objects with
+   * the found `str` and its `distance`
+   */
+  lookupNearest(str, maxDistance) {
+    const results = [];
+    const row = Array.from({ length: str.length + 1 }, (_, j) => j);
+    if (this.#root.endOfWord && str.length <= maxDistance) {
+      results.push({ str: '', distance: str.length });
+    }
+    this.#root.lookupNearest(str.toLowerCase(), maxDistance, '', row, row, results);
+    return results;
+  }
+
   contains(str) {
     const node = this.#root.lookupNode(str, 0);
     return node !== undefined && node.endOfWord;
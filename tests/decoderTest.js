@@ -1,6 +1,8 @@
 import { batchTests, assertEq } from './test.js';
 import { Instruction } from '../core/Instruction.js';
 import { COPTS_ISA } from '../core/Config.js';
+import { disassemble } from '../core/Disassembler.js';
+import { DecodeError, InvalidFieldError, ReservedEncodingError, IsaMismatchError } from '../core/Errors.js';
 
 /*
  * RV32I
@@ -165,6 +167,164 @@ function dec_rv128i_opimm64_sraid() {
     assertEq(inst.isa, 'RV128I');
 }
 
+/*
+ * RV32E, RV64E
+ */
+function dec_rv32e_op_add() {
+    let inst = new Instruction('00f58533', { ISA:COPTS_ISA.RV32E });
+    let instAbi = new Instruction('00f58533', { ISA:COPTS_ISA.RV32E, ABI:true });
+    assertEq(inst.asm, 'add x10, x11, x15');
+    assertEq(instAbi.asm, 'add a0, a1, a5');
+}
+
+function dec_rv32e_op_add_reg() {
+    let error;
+    try {
+        new Instruction('01050533', { ISA:COPTS_ISA.RV32E });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Detected register x16 but configuration ISA set to RV32E');
+    assertEq(error.fields[0].name, 'rs2');
+    assertEq(error.fields[0].bits.join(), '24,20');
+    try {
+        new Instruction('8542', { ISA:'rv32ec' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Detected register x16 but configuration ISA set to RV32E');
+    assertEq(error.fields[0].bits.join(), '6,2');
+}
+
+function dec_rv64e_load_ld() {
+    let inst = new Instruction('0005b503', { ISA:'rv64emc' });
+    assertEq(inst.asm, 'ld x10, 0(x11)');
+    assertEq(inst.isa, 'RV64I');
+}
+
+function dec_rv32e_load_ld() {
+    let error;
+    try {
+        new Instruction('0005b503', { ISA:'rv32e' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Detected RV64I instruction but configuration ISA set to RV32E');
+}
+
+/*
+ * HINT
+ */
+// OP-IMM
+function dec_hint_opimm_addi() {
+    let inst = new Instruction('00300013');
+    let nop = new Instruction('00000013');
+    assertEq(inst.asm, 'addi x0, x0, 3');
+    assertEq(inst.hint, 'HINT');
+    assertEq(nop.hint, undefined);
+}
+
+// OP
+function dec_hint_op_ntl() {
+    let inst = new Instruction('00500033');
+    let instAlias = new Instruction('00500033', { ALIAS:true });
+    assertEq(inst.asm, 'add x0, x0, x5');
+    assertEq(inst.hint, 'ntl.all');
+    assertEq(instAlias.asm, 'ntl.all');
+}
+
+// MISC-MEM
+function dec_hint_miscmem_pause() {
+    let inst = new Instruction('0100000f');
+    let instAlias = new Instruction('0100000f', { ALIAS:true });
+    assertEq(inst.asm, 'fence w, 0');
+    assertEq(inst.hint, 'pause');
+    assertEq(instAlias.asm, 'pause');
+}
+
+function dec_hint_miscmem_fence() {
+    let inst = new Instruction('0030000f');
+    assertEq(inst.asm, 'fence 0, rw');
+    assertEq(inst.hint, 'HINT');
+}
+
+// C1
+function dec_hint_c1_nop() {
+    let inst = new Instruction('0005');
+    assertEq(inst.asm, 'c.nop 1');
+    assertEq(inst.hint, 'HINT');
+    inst = new Instruction('107d');
+    assertEq(inst.asm, 'c.nop -1');
+}
+
+function dec_hint_c1_li() {
+    let inst = new Instruction('4005');
+    assertEq(inst.asm, 'c.li x0, 1');
+    assertEq(inst.hint, 'HINT');
+}
+
+function dec_hint_c1_shamt() {
+    let inst = new Instruction('8081', { ISA:'rv32ic' });
+    assertEq(inst.asm, 'c.srli x9, 0');
+    assertEq(inst.isa, 'RV32C');
+    assertEq(inst.hint, 'HINT');
+    inst = new Instruction('8481', { ISA:'rv64ic' });
+    assertEq(inst.asm, 'c.srai x9, 0');
+    assertEq(inst.hint, 'HINT');
+    inst = new Instruction('8481', { ISA:'rv128ic' });
+    assertEq(inst.asm, 'c.srai64 x9');
+    assertEq(inst.hint, undefined);
+}
+
+function dec_hint_c1_lui_reserved() {
+    let error;
+    try {
+        new Instruction('6001');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Detected c.lui, but instruction expects non-zero immediate value (encoding reserved)');
+}
+
+// C2
+function dec_hint_c2_ntl() {
+    let inst = new Instruction('9016');
+    let instAlias = new Instruction('9016', { ALIAS:true });
+    assertEq(inst.asm, 'c.add x0, x5');
+    assertEq(inst.hint, 'c.ntl.all');
+    assertEq(instAlias.asm, 'c.ntl.all');
+}
+
+function dec_hint_c2_slli() {
+    let inst = new Instruction('0006');
+    assertEq(inst.asm, 'c.slli x0, 1');
+    assertEq(inst.hint, 'HINT');
+}
+
+function dec_hint_c2_slli_shamt() {
+    let inst = new Instruction('0282', { ISA:'rv32ic' });
+    assertEq(inst.asm, 'c.slli x5, 0');
+    assertEq(inst.isa, 'RV32C');
+    assertEq(inst.hint, 'HINT');
+    inst = new Instruction('0282', { ISA:'rv64ic' });
+    assertEq(inst.asm, 'c.slli x5, 0');
+    assertEq(inst.hint, 'HINT');
+    inst = new Instruction('0282');
+    assertEq(inst.asm, 'c.slli64 x5');
+    assertEq(inst.hint, undefined);
+}
+
+// C0
+function dec_hint_c0_illegal() {
+    let error;
+    try {
+        new Instruction('0000');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Detected illegal instruction (all-zero encoding)');
+}
+
 /*
  * Zifencei
  */
@@ -192,6 +352,211 @@ function dec_zicsr_system_csrrwi() {
     assertEq(instAbi.asm, 'csrrwi ra, mhartid, 23');
 }
 
+/*
+ * Zicbom, Zicboz, Zicbop
+ */
+// MISC-MEM
+function dec_zicbom_miscmem_cboclean() {
+    let inst = new Instruction('0015200f');
+    let instAbi = new Instruction('0015200f', { ABI:true });
+    assertEq(inst.asm, 'cbo.clean (x10)');
+    assertEq(instAbi.asm, 'cbo.clean (a0)');
+    assertEq(inst.isa, 'Zicbom');
+}
+
+function dec_zicboz_miscmem_cbozero() {
+    let inst = new Instruction('0045a00f');
+    assertEq(inst.asm, 'cbo.zero (x11)');
+    assertEq(inst.isa, 'Zicboz');
+}
+
+function dec_rv128i_miscmem_lq_cbo() {
+    let inst = new Instruction('0015200f', { ISA:COPTS_ISA.RV128I });
+    assertEq(inst.asm, 'lq x0, 1(x10)');
+    assertEq(inst.isa, 'RV128I');
+}
+
+// OP-IMM
+function dec_zicbop_opimm_prefetchr() {
+    let inst = new Instruction('fe156013');
+    let instAbi = new Instruction('fe156013', { ABI:true });
+    assertEq(inst.asm, 'prefetch.r -32(x10)');
+    assertEq(instAbi.asm, 'prefetch.r -32(a0)');
+    assertEq(inst.isa, 'Zicbop');
+}
+
+function dec_zicbop_opimm_ori() {
+    let inst = new Instruction('02056013', { ISA:'rv64gc' });
+    assertEq(inst.asm, 'ori x0, x10, 32');
+    assertEq(inst.isa, 'RV32I');
+}
+
+/*
+ * Zicfilp, Zicfiss
+ */
+// AUIPC
+function dec_zicfilp_auipc_lpad() {
+    let inst = new Instruction('12345017', { ISA:'rv64gc_zicfilp' });
+    assertEq(inst.asm, 'lpad 74565');
+    assertEq(inst.isa, 'Zicfilp');
+}
+
+function dec_zicfilp_auipc_auipc() {
+    let inst = new Instruction('12345017');
+    assertEq(inst.asm, 'auipc x0, 74565');
+    assertEq(inst.isa, 'RV32I');
+}
+
+// SYSTEM
+function dec_zicfiss_system_sspush() {
+    let inst = new Instruction('ce104073', { ISA:'rv64gc_zicfiss' });
+    let instAbi = new Instruction('ce104073', { ISA:'rv64gc_zicfiss', ABI:true });
+    assertEq(inst.asm, 'sspush x1');
+    assertEq(instAbi.asm, 'sspush ra');
+}
+
+function dec_zicfiss_system_sspopchk() {
+    let inst = new Instruction('cdc2c073', { ISA:'rv64gc_zicfiss' });
+    let instAbi = new Instruction('cdc2c073', { ISA:'rv64gc_zicfiss', ABI:true });
+    assertEq(inst.asm, 'sspopchk x5');
+    assertEq(instAbi.asm, 'sspopchk t0');
+}
+
+function dec_zicfiss_system_ssrdp() {
+    let inst = new Instruction('cdc04573', { ISA:'rv64gc_zicfiss' });
+    assertEq(inst.asm, 'ssrdp x10');
+    assertEq(inst.isa, 'Zicfiss');
+}
+
+// AMO
+function dec_zicfiss_amo_ssamoswapd() {
+    let inst = new Instruction('4cb6352f');
+    assertEq(inst.asm, 'ssamoswap.d.aq x10, x11, (x12)');
+    assertEq(inst.isa, 'RV64Zicfiss');
+}
+
+// C1
+function dec_zicfiss_c1_csspopchk() {
+    let inst = new Instruction('6281', { ISA:'rv64gc_zicfiss' });
+    let instAbi = new Instruction('6281', { ISA:'rv64gc_zicfiss', ABI:true });
+    assertEq(inst.asm, 'c.sspopchk x5');
+    assertEq(instAbi.asm, 'c.sspopchk t0');
+    assertEq(inst.fmt, 'CMOP-type');
+}
+
+/*
+ * Zimop, Zcmop, Zicond
+ */
+// SYSTEM
+function dec_zimop_system_mopr() {
+    let inst = new Instruction('cdc5c573');
+    let instAbi = new Instruction('cdc5c573', { ABI:true });
+    assertEq(inst.asm, 'mop.r.28 x10, x11');
+    assertEq(instAbi.asm, 'mop.r.28 a0, a1');
+    assertEq(inst.isa, 'Zimop');
+}
+
+function dec_zimop_system_moprr() {
+    let inst = new Instruction('8a7342f3');
+    assertEq(inst.asm, 'mop.rr.2 x5, x6, x7');
+    assertEq(inst.fmt, 'R-type');
+}
+
+function dec_zimop_system_moprr_zicfiss() {
+    let inst = new Instruction('ce104073', { ISA:'rv64gc_zimop' });
+    assertEq(inst.asm, 'mop.rr.7 x0, x0, x1');
+    assertEq(inst.isa, 'Zimop');
+}
+
+// C1
+function dec_zcmop_c1_cmop() {
+    let inst = new Instruction('6781');
+    assertEq(inst.asm, 'c.mop.15');
+    assertEq(inst.fmt, 'CMOP-type');
+}
+
+// OP
+function dec_zicond_op_czeroeqz() {
+    let inst = new Instruction('0ec5d533');
+    let instAbi = new Instruction('0ec5d533', { ABI:true });
+    assertEq(inst.asm, 'czero.eqz x10, x11, x12');
+    assertEq(instAbi.asm, 'czero.eqz a0, a1, a2');
+    assertEq(inst.isa, 'Zicond');
+}
+
+/*
+ * Privileged instructions
+ */
+function dec_priv_system_sfencevma() {
+    let inst = new Instruction('12b50073');
+    let instAbi = new Instruction('12b50073', { ABI:true });
+    assertEq(inst.asm, 'sfence.vma x10, x11');
+    assertEq(instAbi.asm, 'sfence.vma a0, a1');
+    assertEq(inst.isa, 'Priv');
+}
+
+function dec_priv_system_sfencewinval() {
+    let inst = new Instruction('18000073');
+    assertEq(inst.asm, 'sfence.w.inval');
+    assertEq(inst.isa, 'Svinval');
+}
+
+function dec_priv_system_mnret() {
+    let inst = new Instruction('70200073');
+    assertEq(inst.asm, 'mnret');
+    assertEq(inst.isa, 'Smrnmi');
+}
+
+function dec_priv_system_hfencegvma() {
+    let inst = new Instruction('62c00073');
+    let instAbi = new Instruction('62c00073', { ABI:true });
+    assertEq(inst.asm, 'hfence.gvma x0, x12');
+    assertEq(instAbi.asm, 'hfence.gvma zero, a2');
+    assertEq(inst.isa, 'H');
+}
+
+function dec_priv_system_hlvxhu() {
+    let inst = new Instruction('6435c573');
+    let instAbi = new Instruction('6435c573', { ABI:true });
+    assertEq(inst.asm, 'hlvx.hu x10, (x11)');
+    assertEq(instAbi.asm, 'hlvx.hu a0, (a1)');
+}
+
+function dec_priv_system_hsvd() {
+    let inst = new Instruction('6ec6c073');
+    assertEq(inst.asm, 'hsv.d x12, (x13)');
+    assertEq(inst.isa, 'RV64H');
+}
+
+function dec_priv_system_hsvw_rd() {
+    let error;
+    try {
+        new Instruction('6aa5c0f3');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Register rd should be 0 for mne hsv.w');
+}
+
+function dec_priv_system_hlvd_isa() {
+    let error;
+    try {
+        new Instruction('6c05c573', { ISA:'rv32gc_h' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Detected RV64H instruction but configuration ISA set to RV32I');
+}
+
+/*
+ * Zawrs
+ */
+function dec_zawrs_system_wrssto() {
+    let inst = new Instruction('01d00073');
+    assertEq(inst.asm, 'wrs.sto');
+    assertEq(inst.isa, 'Zawrs');
+}
+
 /*
  * M extension
  */
@@ -229,8 +594,8 @@ function dec_rv32a_amo_amomaxuw() {
 function dec_rv64a_amo_lrd() {
     let inst = new Instruction('00010110000001010011001100101111');
     let instAbi = new Instruction('00010110000001010011001100101111', { ABI:true });
-    assertEq(inst.asm, 'lr.d x6, (x10)');
-    assertEq(instAbi.asm, 'lr.d t1, (a0)');
+    assertEq(inst.asm, 'lr.d.aqrl x6, (x10)');
+    assertEq(instAbi.asm, 'lr.d.aqrl t1, (a0)');
 }
 
 function dec_rv128a_amo_amoorq() {
@@ -240,6 +605,82 @@ function dec_rv128a_amo_amoorq() {
     assertEq(instAbi.asm, 'amoor.q t4, t3, (a0)');
 }
 
+function dec_rv32a_amo_amoswapwaqrl() {
+    let inst = new Instruction('00001110011000111010001010101111');
+    let instAbi = new Instruction('00001110011000111010001010101111', { ABI:true });
+    assertEq(inst.asm, 'amoswap.w.aqrl x5, x6, (x7)');
+    assertEq(instAbi.asm, 'amoswap.w.aqrl t0, t1, (t2)');
+}
+
+function dec_rv64a_amo_lrdaq() {
+    let inst = new Instruction('00010100000001010011001100101111');
+    let instAbi = new Instruction('00010100000001010011001100101111', { ABI:true });
+    assertEq(inst.asm, 'lr.d.aq x6, (x10)');
+    assertEq(instAbi.asm, 'lr.d.aq t1, (a0)');
+}
+
+/*
+ * Zacas, Zabha
+ */
+function dec_zacas_amo_amocasdaqrl() {
+    let inst = new Instruction('2ec5b52f');
+    let instAbi = new Instruction('2ec5b52f', { ABI:true });
+    assertEq(inst.asm, 'amocas.d.aqrl x10, x12, (x11)');
+    assertEq(instAbi.asm, 'amocas.d.aqrl a0, a2, (a1)');
+    assertEq(inst.isa, 'Zacas');
+}
+
+function dec_zacas_amo_amocasq_rv32() {
+    let error;
+    try {
+        new Instruction('2ac5c52f', { ISA:'rv32ia_zacas' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Detected RV64Zacas instruction but configuration ISA set to RV32I');
+}
+
+function dec_zacas_amo_regpairs() {
+    let inst = new Instruction('28c5c52f');
+    assertEq(inst.asm, 'amocas.q x10, x12, (x11)');
+    let error;
+    try {
+        // amocas.q with odd rd
+        new Instruction('283bc4af');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error instanceof ReservedEncodingError, true);
+    assertEq(error.message, 'Detected amocas.q instruction but odd register x9 in rd field, '
+        + 'expected even-numbered register of a register pair');
+    assertEq(error.fields[0].name, 'rd');
+    try {
+        // amocas.d on RV32 with odd rs2
+        new Instruction('28d5b52f', { ISA:'rv32ia_zacas' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Detected amocas.d instruction but odd register x13 in rs2 field, '
+        + 'expected even-numbered register of a register pair');
+    // amocas.d on RV64 uses single registers
+    inst = new Instruction('28d5b52f', { ISA:'rv64ia_zacas' });
+    assertEq(inst.asm, 'amocas.d x10, x13, (x11)');
+}
+
+function dec_zabha_amo_amoaddbaq() {
+    let inst = new Instruction('04b6052f');
+    let instAbi = new Instruction('04b6052f', { ABI:true });
+    assertEq(inst.asm, 'amoadd.b.aq x10, x11, (x12)');
+    assertEq(instAbi.asm, 'amoadd.b.aq a0, a1, (a2)');
+    assertEq(inst.isa, 'Zabha');
+}
+
+function dec_zabha_amo_amocash() {
+    let inst = new Instruction('28b6152f');
+    assertEq(inst.asm, 'amocas.h x10, x11, (x12)');
+    assertEq(inst.isa, 'Zabha_Zacas');
+}
+
 /*
  * F extension
  */
@@ -440,6 +881,152 @@ function dec_rv128q_opfp_fmvxq() {
     assertEq(inst.isa, 'RV128Q');
 }
 
+/*
+ * Zfh extension
+ */
+function dec_rv32zfh_loadfp_flh() {
+    let inst = new Instruction('00251007', { ABI:true });
+    assertEq(inst.asm, 'flh ft0, 2(a0)');
+    assertEq(inst.isa, 'RV32Zfhmin');
+}
+
+function dec_rv32zfh_nmsub_fnmsubh() {
+    let inst = new Instruction('6cc5854b');
+    assertEq(inst.asm, 'fnmsub.h f10, f11, f12, f13, rne');
+}
+
+function dec_rv32zfh_opfp_fleh() {
+    let inst = new Instruction('a4b50553');
+    assertEq(inst.asm, 'fle.h x10, f10, f11');
+    assertEq(inst.isa, 'RV32Zfh');
+}
+
+function dec_rv32zfh_opfp_fcvthd() {
+    let inst = new Instruction('4415f553');
+    assertEq(inst.asm, 'fcvt.h.d f10, f11');
+    assertEq(inst.isa, 'RV32D_Zfhmin');
+}
+
+function dec_rv32zfh_opfp_fmvhx() {
+    let inst = new Instruction('f4058553');
+    assertEq(inst.asm, 'fmv.h.x f10, x11');
+}
+
+function dec_rv32zfh_isa() {
+    let error;
+    try {
+        new Instruction('4025f553', { ISA:'rv64gc' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Detected RV32Zfhmin instruction but configuration ISA lacks extension Zfhmin');
+}
+
+/*
+ * Zfa extension
+ */
+function dec_rv32zfa_opfp_flis() {
+    let inst = new Instruction('f0160553');
+    assertEq(inst.asm, 'fli.s f10, 0.5');
+    assertEq(inst.isa, 'RV32Zfa');
+    inst = new Instruction('f6108553');
+    assertEq(inst.asm, 'fli.q f10, min');
+    inst = new Instruction('f21f8553');
+    assertEq(inst.asm, 'fli.d f10, nan');
+}
+
+function dec_rv32zfa_opfp_fmaxmh() {
+    let inst = new Instruction('2cc5b553');
+    assertEq(inst.asm, 'fmaxm.h f10, f11, f12');
+    assertEq(inst.isa, 'RV32Zfh_Zfa');
+}
+
+function dec_rv32zfa_opfp_frounds() {
+    let inst = new Instruction('404974d3');
+    assertEq(inst.asm, 'fround.s f9, f18');
+}
+
+function dec_rv32zfa_opfp_fcvtmodwd() {
+    let inst = new Instruction('c28095d3');
+    assertEq(inst.asm, 'fcvtmod.w.d x11, f1, rtz');
+    let error;
+    try {
+        new Instruction('c28085d3');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Detected fcvtmod.w.d instruction but invalid rounding mode rne, expected rtz');
+}
+
+function dec_rv32zfa_opfp_fmvhxd() {
+    let inst = new Instruction('e21485d3', { ISA:'rv32gc_zfa' });
+    assertEq(inst.asm, 'fmvh.x.d x11, f9');
+    let error;
+    try {
+        new Instruction('e21485d3', { ISA:'rv64gc_zfa' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Detected RV32D_Zfa instruction but configuration ISA set to RV64I');
+}
+
+function dec_rv32zfa_opfp_fmvpdx() {
+    let inst = new Instruction('b2c584d3');
+    assertEq(inst.asm, 'fmvp.d.x f9, x11, x12');
+}
+
+function dec_rv32zfa_opfp_fltqs() {
+    let inst = new Instruction('a020d5d3');
+    assertEq(inst.asm, 'fltq.s x11, f1, f2');
+}
+
+/*
+ * Zfinx, Zdinx, Zhinx
+ */
+function dec_zfinx_opfp_fadds() {
+    let inst = new Instruction('00f6f5d3', { ISA:'rv64i_zfinx' });
+    let instAbi = new Instruction('00f6f5d3', { ISA:'rv64i_zfinx', ABI:true });
+    assertEq(inst.asm, 'fadd.s x11, x13, x15');
+    assertEq(instAbi.asm, 'fadd.s a1, a3, a5');
+}
+
+function dec_zdinx_opfp_fcvtsd_rv32() {
+    let inst = new Instruction('401675d3', { ISA:'rv32i_zdinx' });
+    assertEq(inst.asm, 'fcvt.s.d x11, x12');
+    assertEq(inst.isa, 'RV32D');
+}
+
+function dec_zdinx_opfp_faddd_rv32_pair() {
+    let error;
+    try {
+        new Instruction('02c5f553', { ISA:'rv32i_zdinx' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Detected fadd.d instruction but odd register x11 in rs1 field, '
+        + 'expected even-numbered register of a register pair');
+}
+
+function dec_zdinx_madd_fmaddd() {
+    let inst = new Instruction('82e60543', { ISA:'rv32i_zdinx' });
+    assertEq(inst.asm, 'fmadd.d x10, x12, x14, x16, rne');
+}
+
+function dec_zhinx_opfp_faddh() {
+    let inst = new Instruction('04f6f5d3', { ISA:'rv64i_zhinx' });
+    assertEq(inst.asm, 'fadd.h x11, x13, x15');
+}
+
+function dec_zfinx_load_flw() {
+    let error;
+    try {
+        new Instruction('0005a507', { ISA:'rv32i_zfinx' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Detected RV32F instruction but configuration ISA lacks extension F');
+}
+
 /*
  * C0 quadrant
  */
@@ -599,6 +1186,574 @@ function dec_rv32c_c2cr_cadd() {
     assertEq(instAbi.asm, 'c.add a7, s2');
 }
 
+/*
+ * Zc extensions
+ */
+function dec_rv32zcb_c0clb_clbu() {
+    let inst = new Instruction('833c');
+    let instAbi = new Instruction('833c', { ABI:true });
+    assertEq(inst.asm, 'c.lbu x15, 2(x14)');
+    assertEq(instAbi.asm, 'c.lbu a5, 2(a4)');
+    assertEq(inst.isa, 'RV32Zcb');
+}
+
+function dec_rv32zcb_c0clh_clh() {
+    let inst = new Instruction('877c');
+    assertEq(inst.asm, 'c.lh x15, 2(x14)');
+    assertEq(inst.fmt, 'CLH-type');
+}
+
+function dec_rv32zcb_c0csh_csh() {
+    let inst = new Instruction('8f3c');
+    assertEq(inst.asm, 'c.sh x15, 2(x14)');
+}
+
+function dec_rv32zcb_c1cu_cnot() {
+    let inst = new Instruction('9c75', { ABI:true });
+    assertEq(inst.asm, 'c.not s0');
+    assertEq(inst.fmt, 'CU-type');
+}
+
+function dec_rv32zcb_c1ca_cmul() {
+    let inst = new Instruction('9c45');
+    assertEq(inst.asm, 'c.mul x8, x9');
+    assertEq(inst.isa, 'RV32M_Zcb');
+}
+
+function dec_rv32zcmp_c2cmpp_cmpush() {
+    let inst = new Instruction('b8fe', { ISA:'rv32imac_zcmp' });
+    let instAbi = new Instruction('b8fe', { ISA:'rv32imac_zcmp', ABI:true });
+    let inst64 = new Instruction('b8fe', { ISA:'rv64imac_zcmp', ABI:true });
+    assertEq(inst.asm, 'cm.push {x1, x8-x9, x18-x27}, -112');
+    assertEq(instAbi.asm, 'cm.push {ra, s0-s11}, -112');
+    assertEq(inst64.asm, 'cm.push {ra, s0-s11}, -160');
+    assertEq(inst.isa, 'RV32Zcmp');
+}
+
+function dec_rv32zcmp_c2cmpp_cmpopret() {
+    let inst = new Instruction('be66', { ISA:'rv32imac_zcmp', ABI:true });
+    assertEq(inst.asm, 'cm.popret {ra, s0-s1}, 32');
+}
+
+function dec_rv32dc_c2css_cfsdsp() {
+    // Zcmp shares its encoding with c.fsdsp, only decoded when enabled
+    let inst = new Instruction('b8fe');
+    assertEq(inst.asm, 'c.fsdsp f31, 112');
+}
+
+function dec_rv32zcmp_c2cmmv_cmmvsa01() {
+    let inst = new Instruction('aca2', { ISA:'rv32imac_zcmp', ABI:true });
+    assertEq(inst.asm, 'cm.mvsa01 s1, s0');
+}
+
+function dec_rv32zcmt_c2cmjt_cmjalt() {
+    let inst = new Instruction('a082', { ISA:'rv32imac_zcmt' });
+    let instJt = new Instruction('a006', { ISA:'rv32imac_zcmt' });
+    assertEq(inst.asm, 'cm.jalt 32');
+    assertEq(instJt.asm, 'cm.jt 1');
+}
+
+/*
+ * B extension
+ */
+// OP
+function dec_rv32zba_op_sh3add() {
+    let inst = new Instruction('20c5e533');
+    assertEq(inst.asm, 'sh3add x10, x11, x12');
+    assertEq(inst.isa, 'RV32Zba');
+}
+
+function dec_rv32zbb_op_minu() {
+    let inst = new Instruction('0ac5d533', { ABI:true });
+    assertEq(inst.asm, 'minu a0, a1, a2');
+}
+
+function dec_rv32zbb_op_zexth() {
+    let inst = new Instruction('0805c533');
+    let inst64 = new Instruction('0805c53b');
+    assertEq(inst.asm, 'zext.h x10, x11');
+    assertEq(inst.isa, 'RV32Zbb');
+    assertEq(inst64.asm, 'zext.h x10, x11');
+    assertEq(inst64.isa, 'RV64Zbb');
+}
+
+// OP-IMM
+function dec_rv32zbb_opimm_sextb() {
+    let inst = new Instruction('60459513');
+    assertEq(inst.asm, 'sext.b x10, x11');
+}
+
+function dec_rv64zbb_opimm_rev8() {
+    let inst = new Instruction('6b85d513');
+    assertEq(inst.asm, 'rev8 x10, x11');
+    assertEq(inst.isa, 'RV64Zbb/Zbkb');
+}
+
+function dec_rv32zbb_opimm_rori() {
+    let inst = new Instruction('6035d513');
+    assertEq(inst.asm, 'rori x10, x11, 3');
+    assertEq(inst.isa, 'RV32Zbb/Zbkb');
+}
+
+function dec_rv64zbs_opimm_bexti() {
+    let inst = new Instruction('4a85d513');
+    assertEq(inst.asm, 'bexti x10, x11, 40');
+    assertEq(inst.isa, 'RV64Zbs');
+}
+
+function dec_rv32zbb_opimm_invalid() {
+    let error;
+    try {
+        new Instruction('60659513');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Detected OP-IMM instruction but invalid immediate field for funct3 001');
+}
+
+// OP-IMM-32
+function dec_rv64zba_opimm32_slliuw() {
+    let inst = new Instruction('0a85951b');
+    assertEq(inst.asm, 'slli.uw x10, x11, 40');
+}
+
+function dec_rv64zbb_opimm32_roriw() {
+    let inst = new Instruction('6035d51b');
+    assertEq(inst.asm, 'roriw x10, x11, 3');
+}
+
+/*
+ * K extension
+ */
+function dec_rv32zkne_op_aes32esmi() {
+    let inst = new Instruction('e6c58533', { ABI:true });
+    assertEq(inst.asm, 'aes32esmi a0, a1, a2, 3');
+    assertEq(inst.isa, 'RV32Zkne');
+    assertEq(inst.binFrags[0].field, 'bs');
+    assertEq(inst.binFrags[1].field, 'funct5');
+}
+
+function dec_rv64zknd_opimm_aes64ks1i() {
+    let inst = new Instruction('31a59513', { ABI:true });
+    assertEq(inst.asm, 'aes64ks1i a0, a1, 10');
+    assertEq(inst.isa, 'RV64Zknd/Zkne');
+    assertEq(inst.binFrags[1].field, 'rnum');
+}
+
+function dec_rv64zknd_opimm_rnum_invalid() {
+    let error;
+    try {
+        new Instruction('31b59513');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Detected OP-IMM instruction but invalid immediate field for funct3 001');
+}
+
+function dec_rv64zknh_opimm_sha512sig0() {
+    let inst = new Instruction('10659513', { ABI:true });
+    assertEq(inst.asm, 'sha512sig0 a0, a1');
+    assertEq(inst.isa, 'RV64Zknh');
+}
+
+function dec_rv32zksed_op_sm4ks() {
+    let inst = new Instruction('b4c58533', { ABI:true });
+    assertEq(inst.asm, 'sm4ks a0, a1, a2, 2');
+}
+
+function dec_rv32zksh_opimm_sm3p1() {
+    let inst = new Instruction('10959513', { ABI:true });
+    assertEq(inst.asm, 'sm3p1 a0, a1');
+}
+
+function dec_rv32zbkb_op_pack() {
+    let inst = new Instruction('08c5c533', { ABI:true });
+    assertEq(inst.asm, 'pack a0, a1, a2');
+    assertEq(inst.isa, 'RV32Zbkb');
+    // Shared with zext.h, decoded as pack unless Zbb is enabled
+    let instZero = new Instruction('0805c533', { ABI:true, ISA:'rv32i_zbkb' });
+    assertEq(instZero.asm, 'pack a0, a1, zero');
+    instZero = new Instruction('0805c53b', { ABI:true, ISA:'rv64i_zbkb' });
+    assertEq(instZero.asm, 'packw a0, a1, zero');
+    instZero = new Instruction('0805c533', { ABI:true, ISA:'rv32i_zbb_zbkb' });
+    assertEq(instZero.asm, 'zext.h a0, a1');
+}
+
+function dec_rv32zbkb_opimm_unzip() {
+    let inst = new Instruction('08f5d513', { ABI:true, ISA:'rv32i_zbkb' });
+    assertEq(inst.asm, 'unzip a0, a1');
+    let error;
+    try {
+        new Instruction('08f5d513', { ISA:'rv64i_zbkb' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Detected RV32Zbkb instruction but configuration ISA set to RV64I');
+}
+
+function dec_rv32zbkc_op_clmulh() {
+    let inst = new Instruction('0ac5b533', { ABI:true });
+    assertEq(inst.asm, 'clmulh a0, a1, a2');
+}
+
+function dec_rv32zbkx_op_xperm4() {
+    let inst = new Instruction('28c5a533', { ABI:true });
+    assertEq(inst.asm, 'xperm4 a0, a1, a2');
+}
+
+/*
+ * V extension
+ */
+// OP-V
+function dec_v_vsetvli() {
+    let inst = new Instruction('0d25f557', { ABI:true });
+    assertEq(inst.asm, 'vsetvli a0, a1, e32, m4, ta, ma');
+    assertEq(inst.fmt, 'VSETVLI-type');
+    assertEq(inst.isa, 'V');
+}
+
+function dec_v_vsetvli_reserved() {
+    // Reserved vlmul and bits above vma keep vtype as a number
+    let inst = new Instruction('0245f557');
+    let instHigh = new Instruction('4025f557');
+    assertEq(inst.asm, 'vsetvli x10, x11, 36');
+    assertEq(instHigh.asm, 'vsetvli x10, x11, 1026');
+}
+
+function dec_v_vsetivli() {
+    let inst = new Instruction('c1057557');
+    assertEq(inst.asm, 'vsetivli x10, 10, e32, m1, tu, mu');
+}
+
+function dec_v_vsetvl() {
+    let inst = new Instruction('80c5f557');
+    assertEq(inst.asm, 'vsetvl x10, x11, x12');
+}
+
+function dec_v_opivv() {
+    let inst = new Instruction('00460457');
+    assertEq(inst.asm, 'vadd.vv v8, v4, v12, v0.t');
+    assertEq(inst.fmt, 'OPIVV-type');
+}
+
+function dec_v_opivx() {
+    let inst = new Instruction('6a2540d7', { ABI:true });
+    assertEq(inst.asm, 'vmsltu.vx v1, v2, a0');
+}
+
+function dec_v_opmvv_macc() {
+    let inst = new Instruction('b62520d7');
+    assertEq(inst.asm, 'vmacc.vv v1, v10, v2');
+}
+
+function dec_v_opfvf() {
+    let inst = new Instruction('fa2550d7', { ABI:true });
+    assertEq(inst.asm, 'vfwmsac.vf v1, fa0, v2');
+}
+
+function dec_v_narrow() {
+    let inst = new Instruction('b221b0d7');
+    assertEq(inst.asm, 'vnsrl.wi v1, v2, 3');
+}
+
+function dec_v_merge() {
+    let inst = new Instruction('5c5030d7');
+    let instMv = new Instruction('5e0fb0d7');
+    assertEq(inst.asm, 'vmerge.vim v1, v5, 0, v0');
+    assertEq(instMv.asm, 'vmv.v.i v1, -1');
+}
+
+function dec_v_unary() {
+    let instFmv = new Instruction('42201557');
+    let instExt = new Instruction('4a2320d7');
+    let instMvr = new Instruction('9e81b257');
+    assertEq(instFmv.asm, 'vfmv.f.s f10, v2');
+    assertEq(instExt.asm, 'vzext.vf2 v1, v2');
+    assertEq(instMvr.asm, 'vmv4r.v v4, v8');
+}
+
+function dec_v_arith_errors() {
+    let error;
+    try {
+        // vmv.v.v with non-zero vs2
+        new Instruction('5e2080d7');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Detected OP-V instruction but invalid vs2 field for vmv.v.v');
+    try {
+        // Unassigned funct6
+        new Instruction('062080d7');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Detected OP-V instruction but invalid funct6 and funct3 fields');
+    try {
+        // vfmv.f.s with non-zero vs1
+        new Instruction('42f99957');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Detected OP-V instruction but invalid vs1 field for vfmv.f.s');
+    assertEq(error.fields[0].name, 'vs1');
+    try {
+        // vmv.x.s with non-zero vs1, shared with vcpop.m and vfirst.m
+        new Instruction('4220a557');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Detected OP-V instruction but invalid vs1 field');
+    assertEq(error.fields[0].name, 'vs1');
+}
+
+// LOAD-FP
+function dec_v_vle() {
+    let inst = new Instruction('02056087', { ABI:true });
+    let instMasked = new Instruction('00056087', { ABI:true });
+    assertEq(inst.asm, 'vle32.v v1, (a0)');
+    assertEq(instMasked.asm, 'vle32.v v1, (a0), v0.t');
+}
+
+function dec_v_vlse() {
+    let inst = new Instruction('0ab56087');
+    assertEq(inst.asm, 'vlse32.v v1, (x10), x11');
+    assertEq(inst.fmt, 'VLS-type');
+}
+
+function dec_v_vloxei() {
+    let inst = new Instruction('0c850007');
+    assertEq(inst.asm, 'vloxei8.v v0, (x10), v8, v0.t');
+}
+
+function dec_v_vlseg() {
+    let inst = new Instruction('e2055007');
+    assertEq(inst.asm, 'vlseg8e16.v v0, (x10)');
+}
+
+function dec_v_vlre() {
+    let inst = new Instruction('22856407');
+    assertEq(inst.asm, 'vl2re32.v v8, (x10)');
+}
+
+function dec_v_errors() {
+    let error;
+    try {
+        // Reserved mew
+        new Instruction('12056087');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Detected vector LOAD-FP instruction but reserved mew field');
+    try {
+        // Masked whole register load
+        new Instruction('20856407');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Instruction vl2re32.v cannot be masked');
+}
+
+// STORE-FP
+function dec_v_vsuxei() {
+    let inst = new Instruction('06c5f427');
+    assertEq(inst.asm, 'vsuxei64.v v8, (x11), v12');
+    assertEq(inst.fmt, 'VSX-type');
+}
+
+function dec_v_vsm() {
+    let inst = new Instruction('02b500a7');
+    assertEq(inst.asm, 'vsm.v v1, (x10)');
+}
+
+/*
+ * Pseudo-instruction aliases
+ */
+function dec_alias_nop() {
+    let inst = new Instruction('00000013', { ALIAS:true });
+    let instBase = new Instruction('00000013');
+    assertEq(inst.asm, 'nop');
+    assertEq(instBase.asm, 'addi x0, x0, 0');
+}
+
+function dec_alias_ret() {
+    let inst = new Instruction('00008067', { ALIAS:true });
+    assertEq(inst.asm, 'ret');
+}
+
+function dec_alias_rdcycle() {
+    let inst = new Instruction('c0002573', { ALIAS:true });
+    let instAbi = new Instruction('c0002573', { ABI:true, ALIAS:true });
+    assertEq(inst.asm, 'rdcycle x10');
+    assertEq(instAbi.asm, 'rdcycle a0');
+}
+
+function dec_alias_neg() {
+    let inst = new Instruction('40b00533', { ABI:true, ALIAS:true });
+    assertEq(inst.asm, 'neg a0, a1');
+    assertEq(inst.asmFrags[2].field, 'rs2');
+    assertEq(inst.asmFrags[2].bits, '01011');
+}
+
+function dec_alias_fmvd() {
+    let inst = new Instruction('222100d3', { ALIAS:true });
+    let instNoAlias = new Instruction('223100d3', { ALIAS:true });
+    assertEq(inst.asm, 'fmv.d f1, f2');
+    assertEq(instNoAlias.asm, 'fsgnj.d f1, f2, f3');
+}
+
+/*
+ * ISA naming strings
+ */
+function dec_isa_string() {
+    let inst = new Instruction('023100b3', { ISA:'rv64imac_zicsr' });
+    assertEq(inst.asm, 'mul x1, x2, x3');
+    let errors = [];
+    for (const [bin, isa] of [['023100b3', 'rv64i'], ['0001', 'rv32g']]) {
+        try {
+            new Instruction(bin, { ISA:isa });
+        } catch (e) {
+            errors.push(e);
+        }
+    }
+    assertEq(errors.join('; '), 'Detected RV32M instruction but configuration ISA lacks extension M; '
+        + 'Detected RV32C instruction but configuration ISA lacks extension C');
+}
+
+/*
+ * PC-relative targets
+ */
+function dec_pc_branch() {
+    let inst = new Instruction('00b51a63', { PC:0x10182, ABI:true });
+    assertEq(inst.asm, 'bne a0, a1, 0x10196');
+    inst = new Instruction('fe0008e3', { PC:0x10 });
+    assertEq(inst.asm, 'beq x0, x0, 0x0');
+}
+
+function dec_pc_cj() {
+    let inst = new Instruction('bffd', { PC:0x1002 });
+    assertEq(inst.asm, 'c.j 0x1000');
+}
+
+function dec_pc_invalid() {
+    let errors = [];
+    for (const pc of [4096.5, -4, '0x1000']) {
+        try {
+            new Instruction('00b51a63', { PC:pc });
+        } catch (e) {
+            errors.push(e);
+        }
+    }
+    assertEq(errors.map(e => e.code).join(), 'INVALID_CONFIG,INVALID_CONFIG,INVALID_CONFIG');
+    assertEq(errors[0].message, 'Invalid PC "4096.5", expected non-negative integer address');
+}
+
+/*
+ * Instruction streams
+ */
+function dec_stream_pc() {
+    let records = disassemble('00050463 bffd', {}, 0x2000);
+    assertEq(records.map(r => r.asm).join('; '), 'beq x10, x0, 0x2008; c.j 0x2002');
+}
+
+function dec_stream_words() {
+    let records = disassemble('00b50533 45014505 8082', { ABI:true }, 0x1000);
+    assertEq(records.map(r => r.address.toString(16)).join(' '), '1000 1004 1006 1008');
+    assertEq(records.map(r => r.hex).join(' '), '00b50533 4505 4501 8082');
+    assertEq(records.map(r => r.asm).join('; '),
+        'add a0, a0, a1; c.li a0, 1; c.li a0, 0; c.jr ra');
+    assertEq(records[0].isa, 'RV32I');
+}
+
+function dec_stream_bytes() {
+    let records = disassemble(new Uint8Array([0x33, 0x05, 0xb5, 0x00, 0x01, 0x45]));
+    assertEq(records.map(r => r.asm).join('; '), 'add x10, x10, x11; c.li x10, 0');
+    assertEq(records[1].address, 4);
+
+    // Odd trailing byte
+    records = disassemble(new Uint8Array([0x01, 0x45, 0x01]));
+    assertEq(records.length, 2);
+    assertEq(records[0].asm, 'c.li x10, 0');
+    assertEq(records[1].asm, undefined);
+    assertEq(records[1].error.message, 'Truncated parcel at end of stream: 0x01');
+    assertEq(records[1].address, 2);
+}
+
+function dec_stream_binary() {
+    let records = disassemble('0b0100010100000101 0x8082');
+    assertEq(records.map(r => r.asm).join('; '), 'c.li x10, 1; c.jr x1');
+
+    // Short enough to be a hexadecimal parcel
+    records = disassemble('0b10');
+    assertEq(records[0].hex, '0b10');
+}
+
+function dec_stream_errors() {
+    let records = disassemble(['0000', '0x8082', '001f']);
+    assertEq(records.length, 3);
+    assertEq(records[0].asm, undefined);
+    assertEq(records[0].error !== undefined, true);
+    assertEq(records[1].asm, 'c.jr x1');
+    assertEq(records[2].error.message, 'Truncated 48-bit instruction at end of stream: 0x001f');
+    assertEq(records[2].error.code, 'DECODE');
+
+    // Invalid word, decoding resuming after it
+    records = disassemble(['00000013', 'zz', '00000013', '0003', 'zz', '8082']);
+    assertEq(records.length, 6);
+    assertEq(records[1].word, 'zz');
+    assertEq(records[1].error.message, "Invalid word in instruction stream: 'zz'");
+    assertEq(records[1].error.code, 'DECODE');
+    assertEq(records[2].asm, 'addi x0, x0, 0');
+    assertEq(records[2].address, 4);
+    assertEq(records[3].error.message, 'Truncated 32-bit instruction before invalid word: 0x0003');
+    assertEq(records[5].asm, 'c.jr x1');
+    assertEq(records[5].address, 10);
+}
+
+/*
+ * Errors
+ */
+function dec_error_invalid_field() {
+    let error;
+    try {
+        new Instruction('00002063');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error instanceof InvalidFieldError, true);
+    assertEq(error instanceof DecodeError, true);
+    assertEq(error.code, 'INVALID_FIELD');
+    assertEq(error.group, 'BRANCH');
+    assertEq(JSON.stringify(error.fields), '[{"name":"funct3","bits":[14,12]}]');
+    assertEq(error.expected.join(', '), '000, 001, 100, 101, 110, 111');
+    assertEq(error.bin, '00000000000000000010000001100011');
+}
+
+function dec_error_reserved() {
+    let error;
+    try {
+        new Instruction('6001');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error instanceof ReservedEncodingError, true);
+    assertEq(error.code, 'RESERVED');
+    assertEq(error.group, 'C1');
+    assertEq(error.fields.map(field => field.bits.join(':')).join(', '), '12:12, 6:2');
+    assertEq(error.bin, '0110000000000001');
+}
+
+function dec_error_isa() {
+    let error;
+    try {
+        new Instruction('02b50533', { ISA:'rv32i' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error instanceof IsaMismatchError, true);
+    assertEq(error.code, 'ISA_MISMATCH');
+    assertEq(`${error}`, 'Detected RV32M instruction but configuration ISA lacks extension M');
+}
+
 /*
  * Execute tests
  */
@@ -624,15 +1779,64 @@ batchTests('Decoder Tests', [
     ['Dec - RV128I   - OP-IMM    - srli - [shamt=101]', dec_rv128i_opimm_srli_shamt101],
     ['Dec - RV128I   - OP-IMM-64 - addid', dec_rv128i_opimm64_addid],
     ['Dec - RV128I   - OP-IMM-64 - sraid', dec_rv128i_opimm64_sraid],
+    ['Dec - RV32E    - OP        - add', dec_rv32e_op_add],
+    ['Dec - RV32E    - OP        - add - [x16]', dec_rv32e_op_add_reg],
+    ['Dec - RV64E    - LOAD      - ld', dec_rv64e_load_ld],
+    ['Dec - RV32E    - LOAD      - ld - [RV64I]', dec_rv32e_load_ld],
+    ['Dec - HINT     - OP-IMM    - addi', dec_hint_opimm_addi],
+    ['Dec - HINT     - OP        - ntl.all', dec_hint_op_ntl],
+    ['Dec - HINT     - MISC-MEM  - pause', dec_hint_miscmem_pause],
+    ['Dec - HINT     - MISC-MEM  - fence', dec_hint_miscmem_fence],
+    ['Dec - HINT     - C1        - c.nop', dec_hint_c1_nop],
+    ['Dec - HINT     - C1        - c.li', dec_hint_c1_li],
+    ['Dec - HINT     - C1        - c.srli/c.srai - shamt 0', dec_hint_c1_shamt],
+    ['Dec - HINT     - C1        - c.lui - [reserved]', dec_hint_c1_lui_reserved],
+    ['Dec - HINT     - C2        - c.ntl.all', dec_hint_c2_ntl],
+    ['Dec - HINT     - C2        - c.slli', dec_hint_c2_slli],
+    ['Dec - HINT     - C2        - c.slli - shamt 0', dec_hint_c2_slli_shamt],
+    ['Dec - HINT     - C0        - [illegal]', dec_hint_c0_illegal],
     ['Dec - Zifencei - MISC-MEM  - fence.i', dec_zifencei_miscmem_fencei],
     ['Dec - Zicsr    - SYSTEM    - csrrs', dec_zicsr_system_csrrs],
     ['Dec - Zicsr    - SYSTEM    - csrrwi', dec_zicsr_system_csrrwi],
+    ['Dec - Zicbom   - MISC-MEM  - cbo.clean', dec_zicbom_miscmem_cboclean],
+    ['Dec - Zicboz   - MISC-MEM  - cbo.zero', dec_zicboz_miscmem_cbozero],
+    ['Dec - RV128I   - MISC-MEM  - lq - [rd=x0]', dec_rv128i_miscmem_lq_cbo],
+    ['Dec - Zicbop   - OP-IMM    - prefetch.r', dec_zicbop_opimm_prefetchr],
+    ['Dec - Zicbop   - OP-IMM    - ori - [without Zicbop]', dec_zicbop_opimm_ori],
+    ['Dec - Zicfilp  - AUIPC     - lpad', dec_zicfilp_auipc_lpad],
+    ['Dec - Zicfilp  - AUIPC     - auipc - [without Zicfilp]', dec_zicfilp_auipc_auipc],
+    ['Dec - Zicfiss  - SYSTEM    - sspush', dec_zicfiss_system_sspush],
+    ['Dec - Zicfiss  - SYSTEM    - sspopchk', dec_zicfiss_system_sspopchk],
+    ['Dec - Zicfiss  - SYSTEM    - ssrdp', dec_zicfiss_system_ssrdp],
+    ['Dec - Zicfiss  - AMO       - ssamoswap.d.aq', dec_zicfiss_amo_ssamoswapd],
+    ['Dec - Zicfiss  - C1        - c.sspopchk', dec_zicfiss_c1_csspopchk],
+    ['Dec - Zimop    - SYSTEM    - mop.r.28', dec_zimop_system_mopr],
+    ['Dec - Zimop    - SYSTEM    - mop.rr.2', dec_zimop_system_moprr],
+    ['Dec - Zimop    - SYSTEM    - mop.rr.7 - [no Zicfiss]', dec_zimop_system_moprr_zicfiss],
+    ['Dec - Zcmop    - C1        - c.mop.15', dec_zcmop_c1_cmop],
+    ['Dec - Zicond   - OP        - czero.eqz', dec_zicond_op_czeroeqz],
+    ['Dec - Priv     - SYSTEM    - sfence.vma', dec_priv_system_sfencevma],
+    ['Dec - Svinval  - SYSTEM    - sfence.w.inval', dec_priv_system_sfencewinval],
+    ['Dec - Smrnmi   - SYSTEM    - mnret', dec_priv_system_mnret],
+    ['Dec - H        - SYSTEM    - hfence.gvma', dec_priv_system_hfencegvma],
+    ['Dec - H        - SYSTEM    - hlvx.hu', dec_priv_system_hlvxhu],
+    ['Dec - RV64H    - SYSTEM    - hsv.d', dec_priv_system_hsvd],
+    ['Dec - H        - SYSTEM    - hsv.w - [invalid rd]', dec_priv_system_hsvw_rd],
+    ['Dec - RV64H    - SYSTEM    - hlv.d - [rv32]', dec_priv_system_hlvd_isa],
+    ['Dec - Zawrs    - SYSTEM    - wrs.sto', dec_zawrs_system_wrssto],
     ['Dec - RV32M    - OP        - divu', dec_rv32m_op_divu],
     ['Dec - RV64M    - OP-32     - mulw', dec_rv64m_op32_mulw],
     ['Dec - RV128M   - OP-64     - remd', dec_rv128m_op64_remd],
     ['Dec - RV32A    - AMO       - amomaxu.w', dec_rv32a_amo_amomaxuw],
     ['Dec - RV64A    - AMO       - lr.d', dec_rv64a_amo_lrd],
     ['Dec - RV128A   - AMO       - amoor.q', dec_rv128a_amo_amoorq],
+    ['Dec - RV32A    - AMO       - amoswap.w.aqrl', dec_rv32a_amo_amoswapwaqrl],
+    ['Dec - RV64A    - AMO       - lr.d.aq', dec_rv64a_amo_lrdaq],
+    ['Dec - Zacas    - AMO       - amocas.d.aqrl', dec_zacas_amo_amocasdaqrl],
+    ['Dec - Zacas    - AMO       - amocas.q - [RV32]', dec_zacas_amo_amocasq_rv32],
+    ['Dec - Zacas    - AMO       - register pairs', dec_zacas_amo_regpairs],
+    ['Dec - Zabha    - AMO       - amoadd.b.aq', dec_zabha_amo_amoaddbaq],
+    ['Dec - Zabha    - AMO       - amocas.h', dec_zabha_amo_amocash],
     ['Dec - RV32F    - LOAD-FP   - flw', dec_rv32f_loadfp_flw],
     ['Dec - RV32F    - STORE-FP  - fsw', dec_rv32f_storefp_fsw],
     ['Dec - RV32F    - MADD      - fmadd.s', dec_rv32f_madd_fmadds],
@@ -661,6 +1865,25 @@ batchTests('Decoder Tests', [
     ['Dec - RV32Q    - OP-FP     - fcvt.q.d', dec_rv32q_opfp_fcvtqd],
     ['Dec - RV32Q    - OP-FP     - fcvt.s.q', dec_rv32q_opfp_fcvtsq],
     ['Dec - RV128Q   - OP-FP     - fmv.x.q', dec_rv128q_opfp_fmvxq],
+    ['Dec - RV32Zfh  - LOAD-FP   - flh', dec_rv32zfh_loadfp_flh],
+    ['Dec - RV32Zfh  - NMSUB     - fnmsub.h', dec_rv32zfh_nmsub_fnmsubh],
+    ['Dec - RV32Zfh  - OP-FP     - fle.h', dec_rv32zfh_opfp_fleh],
+    ['Dec - RV32Zfh  - OP-FP     - fcvt.h.d', dec_rv32zfh_opfp_fcvthd],
+    ['Dec - RV32Zfh  - OP-FP     - fmv.h.x', dec_rv32zfh_opfp_fmvhx],
+    ['Dec - RV32Zfh  - ISA       - missing extension', dec_rv32zfh_isa],
+    ['Dec - RV32Zfa  - OP-FP     - fli.s', dec_rv32zfa_opfp_flis],
+    ['Dec - RV32Zfa  - OP-FP     - fmaxm.h', dec_rv32zfa_opfp_fmaxmh],
+    ['Dec - RV32Zfa  - OP-FP     - fround.s', dec_rv32zfa_opfp_frounds],
+    ['Dec - RV32Zfa  - OP-FP     - fcvtmod.w.d', dec_rv32zfa_opfp_fcvtmodwd],
+    ['Dec - RV32Zfa  - OP-FP     - fmvh.x.d', dec_rv32zfa_opfp_fmvhxd],
+    ['Dec - RV32Zfa  - OP-FP     - fmvp.d.x', dec_rv32zfa_opfp_fmvpdx],
+    ['Dec - RV32Zfa  - OP-FP     - fltq.s', dec_rv32zfa_opfp_fltqs],
+    ['Dec - Zfinx    - OP-FP     - fadd.s', dec_zfinx_opfp_fadds],
+    ['Dec - Zdinx    - OP-FP     - fcvt.s.d - [RV32]', dec_zdinx_opfp_fcvtsd_rv32],
+    ['Dec - Zdinx    - OP-FP     - fadd.d - [RV32, odd register]', dec_zdinx_opfp_faddd_rv32_pair],
+    ['Dec - Zdinx    - MADD      - fmadd.d', dec_zdinx_madd_fmaddd],
+    ['Dec - Zhinx    - OP-FP     - fadd.h', dec_zhinx_opfp_faddh],
+    ['Dec - Zfinx    - LOAD-FP   - flw - [unavailable]', dec_zfinx_load_flw],
     ['Dec - RV32C    - C0-CIW    - c.addi4spn', dec_rv32c_c0ciw_caddi4spn],
     ['Dec - RV32FC   - C0-CL     - c.flw', dec_rv32fc_c0cl_cflw],
     ['Dec - RV64C    - C0-CL     - c.lq', dec_rv128c_c0cl_clq],
@@ -684,6 +1907,73 @@ batchTests('Decoder Tests', [
     ['Dec - RV32C    - C2-CR     - c.mv', dec_rv32c_c2cr_cmv],
     ['Dec - RV32C    - C2-CR     - c.ebreak', dec_rv32c_c2cr_cebreak],
     ['Dec - RV32C    - C2-CR     - c.add', dec_rv32c_c2cr_cadd],
+    ['Dec - RV32Zcb  - C0-CLB    - c.lbu', dec_rv32zcb_c0clb_clbu],
+    ['Dec - RV32Zcb  - C0-CLH    - c.lh', dec_rv32zcb_c0clh_clh],
+    ['Dec - RV32Zcb  - C0-CSH    - c.sh', dec_rv32zcb_c0csh_csh],
+    ['Dec - RV32Zcb  - C1-CU     - c.not', dec_rv32zcb_c1cu_cnot],
+    ['Dec - RV32Zcb  - C1-CA     - c.mul', dec_rv32zcb_c1ca_cmul],
+    ['Dec - RV32Zcmp - C2-CMPP   - cm.push', dec_rv32zcmp_c2cmpp_cmpush],
+    ['Dec - RV32Zcmp - C2-CMPP   - cm.popret', dec_rv32zcmp_c2cmpp_cmpopret],
+    ['Dec - RV32DC   - C2-CSS    - c.fsdsp', dec_rv32dc_c2css_cfsdsp],
+    ['Dec - RV32Zcmp - C2-CMMV   - cm.mvsa01', dec_rv32zcmp_c2cmmv_cmmvsa01],
+    ['Dec - RV32Zcmt - C2-CMJT   - cm.jalt', dec_rv32zcmt_c2cmjt_cmjalt],
+    ['Dec - RV32Zba  - OP        - sh3add', dec_rv32zba_op_sh3add],
+    ['Dec - RV32Zbb  - OP        - minu', dec_rv32zbb_op_minu],
+    ['Dec - RV32Zbb  - OP        - zext.h', dec_rv32zbb_op_zexth],
+    ['Dec - RV32Zbb  - OP-IMM    - sext.b', dec_rv32zbb_opimm_sextb],
+    ['Dec - RV64Zbb  - OP-IMM    - rev8', dec_rv64zbb_opimm_rev8],
+    ['Dec - RV32Zbb  - OP-IMM    - rori', dec_rv32zbb_opimm_rori],
+    ['Dec - RV64Zbs  - OP-IMM    - bexti', dec_rv64zbs_opimm_bexti],
+    ['Dec - RV32Zbb  - OP-IMM    - invalid', dec_rv32zbb_opimm_invalid],
+    ['Dec - RV64Zba  - OP-IMM-32 - slli.uw', dec_rv64zba_opimm32_slliuw],
+    ['Dec - RV64Zbb  - OP-IMM-32 - roriw', dec_rv64zbb_opimm32_roriw],
+    ['Dec - RV32Zkne - OP        - aes32esmi', dec_rv32zkne_op_aes32esmi],
+    ['Dec - RV64Zknd - OP-IMM    - aes64ks1i', dec_rv64zknd_opimm_aes64ks1i],
+    ['Dec - RV64Zknd - OP-IMM    - invalid rnum', dec_rv64zknd_opimm_rnum_invalid],
+    ['Dec - RV64Zknh - OP-IMM    - sha512sig0', dec_rv64zknh_opimm_sha512sig0],
+    ['Dec - RV32Zksed - OP       - sm4ks', dec_rv32zksed_op_sm4ks],
+    ['Dec - RV32Zksh - OP-IMM    - sm3p1', dec_rv32zksh_opimm_sm3p1],
+    ['Dec - RV32Zbkb - OP        - pack', dec_rv32zbkb_op_pack],
+    ['Dec - RV32Zbkb - OP-IMM    - unzip', dec_rv32zbkb_opimm_unzip],
+    ['Dec - RV32Zbkc - OP        - clmulh', dec_rv32zbkc_op_clmulh],
+    ['Dec - RV32Zbkx - OP        - xperm4', dec_rv32zbkx_op_xperm4],
+    ['Dec - V        - OP-V      - vsetvli', dec_v_vsetvli],
+    ['Dec - V        - OP-V      - vsetvli reserved', dec_v_vsetvli_reserved],
+    ['Dec - V        - OP-V      - vsetivli', dec_v_vsetivli],
+    ['Dec - V        - OP-V      - vsetvl', dec_v_vsetvl],
+    ['Dec - V        - OP-V      - vadd.vv', dec_v_opivv],
+    ['Dec - V        - OP-V      - vmsltu.vx', dec_v_opivx],
+    ['Dec - V        - OP-V      - vmacc.vv', dec_v_opmvv_macc],
+    ['Dec - V        - OP-V      - vfwmsac.vf', dec_v_opfvf],
+    ['Dec - V        - OP-V      - vnsrl.wi', dec_v_narrow],
+    ['Dec - V        - OP-V      - vmerge.vim', dec_v_merge],
+    ['Dec - V        - OP-V      - unary', dec_v_unary],
+    ['Dec - V        - OP-V      - errors', dec_v_arith_errors],
+    ['Dec - V        - LOAD-FP   - vle32.v', dec_v_vle],
+    ['Dec - V        - LOAD-FP   - vlse32.v', dec_v_vlse],
+    ['Dec - V        - LOAD-FP   - vloxei8.v', dec_v_vloxei],
+    ['Dec - V        - LOAD-FP   - vlseg8e16.v', dec_v_vlseg],
+    ['Dec - V        - LOAD-FP   - vl2re32.v', dec_v_vlre],
+    ['Dec - V        - LOAD-FP   - errors', dec_v_errors],
+    ['Dec - V        - STORE-FP  - vsuxei64.v', dec_v_vsuxei],
+    ['Dec - V        - STORE-FP  - vsm.v', dec_v_vsm],
+    ['Dec - Alias    - nop', dec_alias_nop],
+    ['Dec - Alias    - ret', dec_alias_ret],
+    ['Dec - Alias    - rdcycle', dec_alias_rdcycle],
+    ['Dec - Alias    - neg', dec_alias_neg],
+    ['Dec - Alias    - fmv.d', dec_alias_fmvd],
+    ['Dec - ISA      - string', dec_isa_string],
+    ['Dec - PC       - branch', dec_pc_branch],
+    ['Dec - PC       - c.j', dec_pc_cj],
+    ['Dec - PC       - [invalid]', dec_pc_invalid],
+    ['Dec - Stream   - words', dec_stream_words],
+    ['Dec - Stream   - bytes', dec_stream_bytes],
+    ['Dec - Stream   - binary words', dec_stream_binary],
+    ['Dec - Stream   - errors', dec_stream_errors],
+    ['Dec - Stream   - PC', dec_stream_pc],
+    ['Dec - Errors   - invalid field', dec_error_invalid_field],
+    ['Dec - Errors   - reserved', dec_error_reserved],
+    ['Dec - Errors   - ISA mismatch', dec_error_isa],
 ]);
 
 // Newline
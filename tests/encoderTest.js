@@ -1,5 +1,7 @@
 import { batchTests, assertEq } from './test.js';
 import { Instruction } from '../core/Instruction.js';
+import { assemble, renderListing } from '../core/Assembler.js';
+import { EncodeError, InvalidOperandError, InvalidMnemonicError } from '../core/Errors.js';
 
 /*
  * RV32I
@@ -39,7 +41,7 @@ function enc_rv32i_jalr_jalr() {
 // BRANCH
 function enc_rv32i_branch_bne() {
     let inst = new Instruction('bne x19, x11, -3308');
-    let abiInst = new Instruction('bne s3, a1, 0xf314');
+    let abiInst = new Instruction('bne s3, a1, 0x1314');
     assertEq(inst.bin, '10110000101110011001101001100011');
     assertEq(abiInst.bin, inst.bin);
 }
@@ -75,6 +77,19 @@ function enc_rv32i_opimm_srai () {
     assertEq(abiInst.bin, inst.bin);
 }
 
+function enc_rv32i_opimm_shamt_range() {
+    let errors = [];
+    for (const asm of ['slli x7, x1, 32', 'rori x7, x1, 32']) {
+        try {
+            new Instruction(asm, { ISA:'rv32i_zbb' });
+        } catch (e) {
+            errors.push(e);
+        }
+    }
+    assertEq(errors.join('; '), 'Invalid shamt field (out of range): "32"; Invalid shamt field (out of range): "32"');
+    assertEq(new Instruction('rori x7, x1, 31', { ISA:'rv32i_zbb' }).hex, '61f0d393');
+}
+
 // OP
 function enc_rv32i_op_add() {
     let inst = new Instruction('add x5, x6, x7');
@@ -167,6 +182,118 @@ function enc_rv128i_opimm64_sraid() {
     assertEq(inst.isa, 'RV128I');
 }
 
+/*
+ * RV32E, RV64E
+ */
+function enc_rv32e_op_add() {
+    let inst = new Instruction('add x10, x11, x15', { ISA:'rv32e' });
+    let abiInst = new Instruction('add a0, a1, a5', { ISA:'rv32e' });
+    assertEq(inst.bin, '00000000111101011000010100110011');
+    assertEq(abiInst.bin, inst.bin);
+}
+
+function enc_rv32e_op_add_reg() {
+    let errors = [];
+    for (const asm of ['add x10, x11, x16', 'add a0, a1, a6', 'c.mv s2, a0']) {
+        try {
+            new Instruction(asm, { ISA:'rv32ec' });
+        } catch (e) {
+            errors.push(e);
+        }
+    }
+    assertEq(errors.join('; '), 'Invalid register "x16", configuration ISA RV32E only has registers x0 to x15; '
+        + 'Invalid register "a6", configuration ISA RV32E only has registers x0 to x15; '
+        + 'Invalid register "s2", configuration ISA RV32E only has registers x0 to x15');
+}
+
+function enc_rv64e_opimm32_addiw() {
+    let inst = new Instruction('addiw a5, ra, -50', { ISA:'rv64e' });
+    assertEq(inst.hex, 'fce0879b');
+}
+
+function enc_rv32e_cmpush_rlist() {
+    let error;
+    try {
+        new Instruction('cm.push {ra, s0-s2}, -32', { ISA:'rv32ec_zcmp' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Detected register x18 but configuration ISA set to RV32E');
+}
+
+/*
+ * HINT
+ */
+// OP
+function enc_hint_op_ntl() {
+    let inst = new Instruction('ntl.p1');
+    assertEq(inst.bin, '00000000001000000000000000110011');
+    assertEq(inst.hint, 'ntl.p1');
+}
+
+// MISC-MEM
+function enc_hint_miscmem_pause() {
+    let inst = new Instruction('pause');
+    assertEq(inst.bin, '00000001000000000000000000001111');
+    assertEq(inst.hint, 'pause');
+}
+
+function enc_hint_miscmem_fence() {
+    let inst = new Instruction('fence 0, rw');
+    assertEq(inst.bin, '00000000001100000000000000001111');
+    assertEq(inst.hint, 'HINT');
+}
+
+// C1
+function enc_hint_c1_li() {
+    let inst = new Instruction('c.li x0, 1');
+    assertEq(inst.hex, '4005');
+    assertEq(inst.hint, 'HINT');
+}
+
+function enc_hint_c1_nop() {
+    let inst = new Instruction('c.nop 1');
+    assertEq(inst.hex, '0005');
+    assertEq(inst.hint, 'HINT');
+    inst = new Instruction('c.nop -1');
+    assertEq(inst.hex, '107d');
+    inst = new Instruction('c.nop');
+    assertEq(inst.hex, '0001');
+    assertEq(inst.hint, undefined);
+}
+
+function enc_hint_c1_addi() {
+    let inst = new Instruction('c.addi x2, 0');
+    assertEq(inst.hex, '0101');
+    assertEq(inst.hint, 'HINT');
+}
+
+function enc_hint_c1_srli() {
+    let inst = new Instruction('c.srli x9, 0', { ISA:'rv32ic' });
+    assertEq(inst.hex, '8081');
+    assertEq(inst.hint, 'HINT');
+    inst = new Instruction('c.srli x9, 0', { ISA:'rv128ic' });
+    assertEq(inst.asm, 'c.srli64 x9');
+}
+
+// C2
+function enc_hint_c2_ntl() {
+    let inst = new Instruction('c.ntl.p1');
+    assertEq(inst.hex, '900a');
+    assertEq(inst.asm, 'c.add x0, x2');
+    assertEq(inst.hint, 'c.ntl.p1');
+}
+
+function enc_hint_c2_jr_illegal() {
+    let error;
+    try {
+        new Instruction('c.jr x0');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Illegal value "x0" in rd/rs1 field for instruction c.jr');
+}
+
 /*
  * Zifencei
  */
@@ -192,6 +319,232 @@ function enc_zicsr_system_csrrci() {
     assertEq(abiInst.bin, inst.bin);
 }
 
+/*
+ * Zicbom, Zicboz, Zicbop
+ */
+// MISC-MEM
+function enc_zicbom_miscmem_cboflush() {
+    let inst = new Instruction('cbo.flush (x11)');
+    let abiInst = new Instruction('cbo.flush 0(a1)');
+    assertEq(inst.bin, '00000000001001011010000000001111');
+    assertEq(abiInst.bin, inst.bin);
+}
+
+function enc_zicboz_miscmem_cbozero_offset() {
+    let error;
+    try {
+        new Instruction('cbo.zero 4(sp)');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Invalid immediate "4", cbo.zero instruction expects value 0');
+}
+
+// OP-IMM
+function enc_zicbop_opimm_prefetchw() {
+    let inst = new Instruction('prefetch.w 2016(x2)');
+    let abiInst = new Instruction('prefetch.w 2016(sp)');
+    assertEq(inst.bin, '01111110001100010110000000010011');
+    assertEq(abiInst.bin, inst.bin);
+    assertEq(inst.asm, 'prefetch.w 2016(x2)');
+}
+
+function enc_zicbop_opimm_prefetchi_misaligned() {
+    let error;
+    try {
+        new Instruction('prefetch.i 48(a0)');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Invalid immediate "48", prefetch.i instruction expects multiple of 32 from -2048 to 2016');
+}
+
+function enc_rv32i_opimm_ori_rdx0() {
+    let inst = new Instruction('ori x0, x10, 32');
+    assertEq(inst.hex, '02056013');
+    assertEq(inst.asm, 'ori x0, x10, 32');
+}
+
+/*
+ * Zicfilp, Zicfiss
+ */
+// AUIPC
+function enc_zicfilp_auipc_lpad() {
+    let inst = new Instruction('lpad 0x12345');
+    assertEq(inst.bin, '00010010001101000101000000010111');
+    assertEq(inst.asm, 'lpad 74565');
+}
+
+// SYSTEM
+function enc_zicfiss_system_sspush() {
+    let inst = new Instruction('sspush x5');
+    let abiInst = new Instruction('sspush t0');
+    assertEq(inst.bin, '11001110010100000100000001110011');
+    assertEq(abiInst.bin, inst.bin);
+}
+
+function enc_zicfiss_system_sspopchk_reg() {
+    let error;
+    try {
+        new Instruction('sspopchk a0');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Invalid register "a0", rs1 field expects link register x1 or x5');
+}
+
+function enc_zicfiss_system_ssrdp() {
+    let inst = new Instruction('ssrdp x10');
+    let abiInst = new Instruction('ssrdp a0');
+    assertEq(inst.bin, '11001101110000000100010101110011');
+    assertEq(abiInst.bin, inst.bin);
+}
+
+// AMO
+function enc_zicfiss_amo_ssamoswapw() {
+    let inst = new Instruction('ssamoswap.w x10, x11, (x12)');
+    let abiInst = new Instruction('ssamoswap.w a0, a1, (a2)');
+    assertEq(inst.bin, '01001000101101100010010100101111');
+    assertEq(abiInst.bin, inst.bin);
+}
+
+// C1
+function enc_zicfiss_c1_csspush() {
+    let inst = new Instruction('c.sspush x1');
+    let abiInst = new Instruction('c.sspush ra');
+    assertEq(inst.bin, '0110000010000001');
+    assertEq(abiInst.bin, inst.bin);
+}
+
+function enc_zicfiss_c1_csspush_reg() {
+    let error;
+    try {
+        new Instruction('c.sspush t0');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Invalid register "t0", c.sspush instruction expects x1');
+}
+
+/*
+ * Zimop, Zcmop, Zicond
+ */
+// SYSTEM
+function enc_zimop_system_mopr() {
+    let inst = new Instruction('mop.r.28 x10, x11');
+    let abiInst = new Instruction('mop.r.28 a0, a1');
+    assertEq(inst.bin, '11001101110001011100010101110011');
+    assertEq(abiInst.bin, inst.bin);
+}
+
+function enc_zimop_system_moprr() {
+    let inst = new Instruction('mop.rr.2 x5, x6, x7');
+    let abiInst = new Instruction('mop.rr.2 t0, t1, t2');
+    assertEq(inst.bin, '10001010011100110100001011110011');
+    assertEq(abiInst.bin, inst.bin);
+}
+
+// C1
+function enc_zcmop_c1_cmop() {
+    let inst = new Instruction('c.mop.15');
+    assertEq(inst.bin, '0110011110000001');
+    assertEq(inst.asm, 'c.mop.15');
+}
+
+function enc_zcmop_c1_cmop_operand() {
+    let errors = [];
+    for (const asm of ['c.mop.3 x3', 'c.sspush x1, x2']) {
+        try {
+            new Instruction(asm);
+        } catch (e) {
+            errors.push(e);
+        }
+    }
+    assertEq(errors.join('; '), 'Invalid operand "x3", c.mop.3 instruction expects no operands; '
+        + 'Invalid operand "x2", c.sspush instruction expects only x1');
+}
+
+// OP
+function enc_zicond_op_czeronez() {
+    let inst = new Instruction('czero.nez x10, x11, x12');
+    let abiInst = new Instruction('czero.nez a0, a1, a2');
+    assertEq(inst.bin, '00001110110001011111010100110011');
+    assertEq(abiInst.bin, inst.bin);
+}
+
+/*
+ * Privileged instructions
+ */
+function enc_priv_system_sfencevma() {
+    let inst = new Instruction('sfence.vma x10, x11');
+    let abiInst = new Instruction('sfence.vma a0, a1');
+    assertEq(inst.bin, '00010010101101010000000001110011');
+    assertEq(abiInst.bin, inst.bin);
+}
+
+function enc_priv_system_sfencevma_nooprs() {
+    let inst = new Instruction('sfence.vma');
+    assertEq(inst.hex, '12000073');
+    assertEq(inst.asm, 'sfence.vma x0, x0');
+}
+
+function enc_priv_system_sinvalvma() {
+    let inst = new Instruction('sinval.vma x0, x7');
+    assertEq(inst.bin, '00010110011100000000000001110011');
+    assertEq(inst.isa, 'Svinval');
+}
+
+function enc_priv_system_dret() {
+    let inst = new Instruction('dret');
+    assertEq(inst.bin, '01111011001000000000000001110011');
+    assertEq(inst.isa, 'Sdext');
+}
+
+function enc_priv_system_hinvalvvma() {
+    let inst = new Instruction('hinval.vvma x10, x11');
+    let abiInst = new Instruction('hinval.vvma a0, a1');
+    assertEq(inst.bin, '00100110101101010000000001110011');
+    assertEq(abiInst.bin, inst.bin);
+    assertEq(inst.isa, 'H_Svinval');
+}
+
+function enc_priv_system_hlvbu() {
+    let inst = new Instruction('hlv.bu x10, (x11)');
+    let abiInst = new Instruction('hlv.bu a0, (a1)');
+    assertEq(inst.bin, '01100000000101011100010101110011');
+    assertEq(abiInst.bin, inst.bin);
+}
+
+function enc_priv_system_hsvw() {
+    let inst = new Instruction('hsv.w x10, (x11)');
+    let abiInst = new Instruction('hsv.w a0, (a1)');
+    assertEq(inst.bin, '01101010101001011100000001110011');
+    assertEq(abiInst.bin, inst.bin);
+}
+
+function enc_priv_system_hlvb_offset() {
+    let inst = new Instruction('hlv.b a0, 0(a1)');
+    let instStore = new Instruction('hsv.w a0, 0(a1)');
+    assertEq(inst.hex, '6005c573');
+    assertEq(instStore.hex, '6aa5c073');
+    let error;
+    try {
+        new Instruction('hlv.b a0, 4(a1)');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Invalid immediate "4", hlv.b instruction expects value 0');
+}
+
+/*
+ * Zawrs
+ */
+function enc_zawrs_system_wrsnto() {
+    let inst = new Instruction('wrs.nto');
+    assertEq(inst.bin, '00000000110100000000000001110011');
+    assertEq(inst.isa, 'Zawrs');
+}
+
 /*
  * M extension
  */
@@ -243,6 +596,69 @@ function enc_rv128a_amo_amoorq() {
     assertEq(abiInst.bin, inst.bin);
 }
 
+function enc_rv32a_amo_scwrl() {
+    let inst = new Instruction('sc.w.rl x1, x2, (x3)');
+    let abiInst = new Instruction('sc.w.rl ra, sp, (gp)');
+    assertEq(inst.bin, '00011010001000011010000010101111');
+    assertEq(abiInst.bin, inst.bin);
+}
+
+function enc_rv32a_amo_amoswapwaqrl() {
+    let inst = new Instruction('amoswap.w.aqrl x5, x6, (x7)');
+    let abiInst = new Instruction('amoswap.w.aqrl t0, t1, (t2)');
+    assertEq(inst.bin, '00001110011000111010001010101111');
+    assertEq(abiInst.bin, inst.bin);
+}
+
+/*
+ * Zacas, Zabha
+ */
+function enc_zacas_amo_amocasw() {
+    let inst = new Instruction('amocas.w.rl x11, x13, (x15)');
+    let abiInst = new Instruction('amocas.w.rl a1, a3, (a5)');
+    assertEq(inst.bin, '00101010110101111010010110101111');
+    assertEq(abiInst.bin, inst.bin);
+}
+
+function enc_zacas_amo_amocasd_rv32() {
+    let inst = new Instruction('amocas.d x10, x12, (x11)', { ISA:'rv32ia_zacas' });
+    let abiInst = new Instruction('amocas.d a0, a2, (a1)', { ISA:'rv32ia_zacas' });
+    assertEq(inst.bin, '00101000110001011011010100101111');
+    assertEq(abiInst.bin, inst.bin);
+}
+
+function enc_zacas_amo_amocasd_rv32_reg() {
+    let error;
+    try {
+        new Instruction('amocas.d a1, a2, (a0)', { ISA:'rv32ia_zacas' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Invalid register "a1", rd field expects even-numbered register of a register pair');
+}
+
+function enc_zacas_amo_amocasd_rv64() {
+    let inst = new Instruction('amocas.d x11, x13, (x11)', { ISA:'rv64ia_zacas' });
+    assertEq(inst.bin, '00101000110101011011010110101111');
+}
+
+function enc_zacas_amo_amocasq_reg() {
+    let error;
+    try {
+        new Instruction('amocas.q.aq a0, a3, (a1)');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Invalid register "a3", rs2 field expects even-numbered register of a register pair');
+}
+
+function enc_zabha_amo_amoswaphaqrl() {
+    let inst = new Instruction('amoswap.h.aqrl x5, x6, (x7)');
+    let abiInst = new Instruction('amoswap.h.aqrl t0, t1, (t2)');
+    assertEq(inst.bin, '00001110011000111001001010101111');
+    assertEq(abiInst.bin, inst.bin);
+}
+
 /*
  * F extension
  */
@@ -424,6 +840,179 @@ function enc_rv128q_opfp_fmvxq() {
     assertEq(instAbi.bin, inst.bin);
 }
 
+/*
+ * Zfh extension
+ */
+function enc_rv32zfh_loadfp_flh() {
+    let inst = new Instruction('flh f0, 2(x10)');
+    let instAbi = new Instruction('flh ft0, 2(a0)');
+    assertEq(inst.hex, '00251007');
+    assertEq(instAbi.bin, inst.bin);
+}
+
+function enc_rv32zfh_storefp_fsh() {
+    let inst = new Instruction('fsh f0, -2(x10)');
+    assertEq(inst.hex, 'fe051f27');
+}
+
+function enc_rv32zfh_madd_fmaddh() {
+    let inst = new Instruction('fmadd.h fa0, fa1, fa2, fa3');
+    assertEq(inst.hex, '6cc5f543');
+}
+
+function enc_rv32zfh_opfp_faddh() {
+    let inst = new Instruction('fadd.h fa0, fa1, fa2');
+    assertEq(inst.hex, '04c5f553');
+}
+
+function enc_rv32zfh_opfp_fcvtsh() {
+    let inst = new Instruction('fcvt.s.h fa0, fa1', { ISA:'rv32if_zfhmin' });
+    assertEq(inst.hex, '4025f553');
+}
+
+function enc_rv32zfh_opfp_fmvxh() {
+    let inst = new Instruction('fmv.x.h a0, fa1');
+    assertEq(inst.hex, 'e4058553');
+}
+
+function enc_rv64zfh_opfp_fcvtlh() {
+    let inst = new Instruction('fcvt.l.h a0, fa0');
+    assertEq(inst.hex, 'c4257553');
+}
+
+function enc_zfh_isa_errors() {
+    let error;
+    try {
+        new Instruction('fadd.h fa0, fa1, fa2', { ISA:'rv64gc_zfhmin' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Detected RV32Zfh instruction but configuration ISA lacks extension Zfh');
+    try {
+        new Instruction('fcvt.d.h fa0, fa1', { ISA:'rv32if_zfhmin' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Detected RV32D_Zfhmin instruction but configuration ISA lacks extension D');
+}
+
+/*
+ * Zfa extension
+ */
+function enc_rv32zfa_opfp_flis() {
+    let inst = new Instruction('fli.s ft1, -1.0');
+    assertEq(inst.hex, 'f01000d3');
+    inst = new Instruction('fli.d fa0, 0.5');
+    assertEq(inst.hex, 'f2160553');
+    inst = new Instruction('fli.h fa0, inf');
+    assertEq(inst.hex, 'f41f0553');
+}
+
+function enc_rv32zfa_opfp_fli_invalid() {
+    let error;
+    try {
+        new Instruction('fli.s fa0, 0.1');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message.startsWith('Invalid constant "0.1", fli.s instruction expects one of -1, min,'), true);
+}
+
+function enc_rv32zfa_opfp_fminms() {
+    let inst = new Instruction('fminm.s fa0, fa1, fa2');
+    assertEq(inst.hex, '28c5a553');
+}
+
+function enc_rv32zfa_opfp_froundnxd() {
+    let inst = new Instruction('froundnx.d fs1, fs2, rne');
+    assertEq(inst.hex, '425904d3');
+}
+
+function enc_rv32zfa_opfp_fcvtmodwd() {
+    let inst = new Instruction('fcvtmod.w.d a1, ft1, rtz');
+    assertEq(inst.hex, 'c28095d3');
+    let error;
+    try {
+        new Instruction('fcvtmod.w.d a1, ft1, rne');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Invalid rounding mode "rne", fcvtmod.w.d instruction expects rtz');
+}
+
+function enc_rv32zfa_opfp_fmvpdx() {
+    let inst = new Instruction('fmvp.d.x fs1, a1, a2', { ISA:'rv32gc_zfa' });
+    assertEq(inst.hex, 'b2c584d3');
+    let error;
+    try {
+        new Instruction('fmvp.d.x fs1, a1, a2', { ISA:'rv64gc_zfa' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Detected RV32D_Zfa instruction incompatible with configuration ISA: RV64I');
+}
+
+function enc_rv32zfa_opfp_fleqs() {
+    let inst = new Instruction('fleq.s a1, ft1, ft2');
+    assertEq(inst.hex, 'a020c5d3');
+}
+
+/*
+ * Zfinx, Zdinx, Zhinx
+ */
+function enc_zfinx_opfp_fadds() {
+    let inst = new Instruction('fadd.s x11, x13, x15', { ISA:'rv64i_zfinx' });
+    let abiInst = new Instruction('fadd.s a1, a3, a5', { ISA:'rv64i_zfinx' });
+    assertEq(inst.bin, '00000000111101101111010111010011');
+    assertEq(abiInst.bin, inst.bin);
+}
+
+function enc_zfinx_opfp_fadds_freg() {
+    let error;
+    try {
+        new Instruction('fadd.s fa1, fa3, fa5', { ISA:'rv64i_zfinx' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Invalid or unknown register format: "fa1"');
+}
+
+function enc_zdinx_opfp_fcvtds_rv32_pair() {
+    let error;
+    try {
+        new Instruction('fcvt.d.s a1, a2', { ISA:'rv32i_zdinx' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Invalid register "a1", rd field expects even-numbered register of a register pair');
+}
+
+function enc_zdinx_opfp_faddd_rv64() {
+    let inst = new Instruction('fadd.d a1, a3, a5', { ISA:'rv64i_zdinx' });
+    assertEq(inst.hex, '02f6f5d3');
+}
+
+function enc_zdinx_madd_fmaddd_rv32_pair() {
+    let error;
+    try {
+        new Instruction('fmadd.d a0, a2, a4, a7', { ISA:'rv32i_zdinx' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Invalid register "a7", rs3 field expects even-numbered register of a register pair');
+}
+
+function enc_zfinx_isa_string_incompatible() {
+    let error;
+    try {
+        new Instruction('fadd.s a1, a3, a5', { ISA:'rv64gc_zfinx' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, "Invalid ISA string 'rv64gc_zfinx': extension 'Zfinx' incompatible with F");
+    assertEq(error.code, 'INVALID_CONFIG');
+}
+
 /*
  * C0 quadrant
  */
@@ -584,6 +1173,930 @@ function enc_rv32c_c2cr_cadd() {
     assertEq(instAbi.bin, inst.bin);
 }
 
+/*
+ * Zc extensions
+ */
+function enc_rv32zcb_c0clb_clbu() {
+    let inst = new Instruction('c.lbu x15, 2(x14)');
+    let instAbi = new Instruction('c.lbu a5, 2(a4)');
+    assertEq(inst.hex, '833c');
+    assertEq(instAbi.bin, inst.bin);
+}
+
+function enc_rv32zcb_c0csh_csh() {
+    let inst = new Instruction('c.sh a5, 2(a4)');
+    assertEq(inst.hex, '8f3c');
+}
+
+function enc_rv64zcb_c1cu_czextw() {
+    let inst = new Instruction('c.zext.w s0', { ISA:'rv64ic_zba_zcb' });
+    assertEq(inst.hex, '9c71');
+    assertEq(inst.isa, 'RV64Zba_Zcb');
+}
+
+function enc_rv32zcb_c1ca_cmul() {
+    let inst = new Instruction('c.mul s0, s1', { ISA:'rv32imc_zcb' });
+    assertEq(inst.hex, '9c45');
+}
+
+function enc_rv32zcmp_c2cmpp_cmpush() {
+    let inst = new Instruction('cm.push {ra, s0-s11}, -112', { ISA:'rv32imac_zcmp' });
+    let instNum = new Instruction('cm.push {x1, x8-x9, x18-x27}, -112', { ISA:'rv32imac_zcmp' });
+    let inst64 = new Instruction('cm.push {ra, s0-s11}, -160', { ISA:'rv64imac_zcmp' });
+    assertEq(inst.hex, 'b8fe');
+    assertEq(instNum.bin, inst.bin);
+    assertEq(inst64.bin, inst.bin);
+}
+
+function enc_rv32zcmp_c2cmpp_cmpop() {
+    let inst = new Instruction('cm.pop {ra, s0}, 16', { ISA:'rv32imac_zcmp' });
+    assertEq(inst.hex, 'ba52');
+    assertEq(inst.asm, 'cm.pop {x1, x8}, 16');
+}
+
+function enc_rv32zcmp_c2cmpp_stackadj_invalid() {
+    let error;
+    try {
+        new Instruction('cm.push {ra}, -24', { ISA:'rv32imac_zcmp' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Invalid stack adjustment "-24", cm.push instruction with register list {ra} expects one of -16, -32, -48, -64');
+}
+
+function enc_rv32zcmp_c2cmpp_rlist_invalid() {
+    let error;
+    try {
+        new Instruction('cm.pop {ra, s0-s10}, 64', { ISA:'rv32imac_zcmp' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Invalid register list "{ra, s0-s10}", cm.pop instruction expects {ra}, {ra, s0} or {ra, s0-sN} with N from 1 to 9, or 11');
+}
+
+function enc_rv32zcmp_c2cmmv_cmmva01s() {
+    let inst = new Instruction('cm.mva01s s1, s0', { ISA:'rv32imac_zcmp' });
+    assertEq(inst.hex, 'ace2');
+    let error;
+    try {
+        new Instruction('cm.mvsa01 s0, s0', { ISA:'rv32imac_zcmp' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Invalid registers "s0" and "s0", cm.mvsa01 instruction expects different registers');
+}
+
+function enc_rv32zcmt_c2cmjt_cmjt() {
+    let inst = new Instruction('cm.jt 1', { ISA:'rv32imac_zcmt' });
+    assertEq(inst.hex, 'a006');
+    let error;
+    try {
+        new Instruction('cm.jalt 31', { ISA:'rv32imac_zcmt' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Invalid index "31", cm.jalt instruction expects value from 32 to 255');
+}
+
+function enc_rv32zcmp_isa_incompatible() {
+    let error;
+    try {
+        new Instruction('cm.push {ra}, -16', { ISA:'rv32gc_zcmp' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, "Invalid ISA string 'rv32gc_zcmp': extension 'Zcmp' incompatible with C and D");
+}
+
+/*
+ * B extension
+ */
+// OP
+function enc_rv32zba_op_sh1add() {
+    let inst = new Instruction('sh1add x10, x11, x12');
+    let abiInst = new Instruction('sh1add a0, a1, a2');
+    assertEq(inst.hex, '20c5a533');
+    assertEq(abiInst.bin, inst.bin);
+}
+
+function enc_rv32zbb_op_andn() {
+    let inst = new Instruction('andn x10, x11, x12');
+    assertEq(inst.hex, '40c5f533');
+}
+
+function enc_rv32zbs_op_bclr() {
+    let inst = new Instruction('bclr x10, x11, x12');
+    assertEq(inst.hex, '48c59533');
+}
+
+// OP-32
+function enc_rv64zba_op32_adduw() {
+    let inst = new Instruction('add.uw x10, x11, x12');
+    assertEq(inst.hex, '08c5853b');
+}
+
+// OP-IMM
+function enc_rv32zbb_opimm_clz() {
+    let inst = new Instruction('clz a0, a1');
+    assertEq(inst.hex, '60059513');
+    assertEq(inst.asm, 'clz x10, x11');
+}
+
+function enc_rv32zbb_opimm_orcb() {
+    let inst = new Instruction('orc.b a0, a1');
+    assertEq(inst.hex, '2875d513');
+}
+
+function enc_rv64zbb_opimm_rori() {
+    let inst = new Instruction('rori a0, a1, 40');
+    assertEq(inst.hex, '6285d513');
+}
+
+function enc_rv64zbs_opimm_bseti() {
+    let inst = new Instruction('bseti a0, a1, 63');
+    assertEq(inst.hex, '2bf59513');
+}
+
+// OP-IMM-32
+function enc_rv64zba_opimm32_slliuw() {
+    let inst = new Instruction('slli.uw a0, a1, 40');
+    assertEq(inst.hex, '0a85951b');
+}
+
+function enc_rv64zbb_opimm32_cpopw() {
+    let inst = new Instruction('cpopw a0, a1');
+    assertEq(inst.hex, '6025951b');
+}
+
+// Encoded differently on RV64
+function enc_rv32zbb_rev8() {
+    let inst = new Instruction('rev8 a0, a1', { ISA:'rv32i_zbb' });
+    let inst64 = new Instruction('rev8 a0, a1', { ISA:'rv64i_zbb' });
+    assertEq(inst.hex, '6985d513');
+    assertEq(inst64.hex, '6b85d513');
+    assertEq(inst64.isa, 'RV64Zbb/Zbkb');
+}
+
+function enc_rv32zbb_zexth() {
+    let inst = new Instruction('zext.h a0, a1', { ISA:'rv32i_zbb' });
+    let inst64 = new Instruction('zext.h a0, a1', { ISA:'rv64i_zbb' });
+    assertEq(inst.hex, '0805c533');
+    assertEq(inst64.hex, '0805c53b');
+}
+
+/*
+ * K extension
+ */
+function enc_rv32zkne_op_aes32esmi() {
+    let inst = new Instruction('aes32esmi a0, a1, a2, 3', { ISA:'rv32i_zkne' });
+    assertEq(inst.hex, 'e6c58533');
+    assertEq(inst.binFrags[0].field, 'bs');
+}
+
+function enc_rv32zkne_op_bs_invalid() {
+    let error;
+    try {
+        new Instruction('aes32esi a0, a1, a2, 4', { ISA:'rv32i_zkne' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Invalid byte select "4", aes32esi instruction expects value from 0 to 3');
+    try {
+        new Instruction('sm4ed a0, a1, a2, 1.5', { ISA:'rv32i_zksed' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Invalid byte select "1.5", sm4ed instruction expects value from 0 to 3');
+}
+
+function enc_rv64zkne_opimm_aes64ks1i() {
+    let inst = new Instruction('aes64ks1i a0, a1, 10', { ISA:'rv64i_zknd' });
+    assertEq(inst.hex, '31a59513');
+    let error;
+    try {
+        new Instruction('aes64ks1i a0, a1, 11', { ISA:'rv64i_zknd' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Invalid round number "11", aes64ks1i instruction expects value from 0 to 10');
+    try {
+        new Instruction('aes64ks1i a0, a1, 2.5', { ISA:'rv64i_zknd' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Invalid round number "2.5", aes64ks1i instruction expects value from 0 to 10');
+}
+
+function enc_rv32zknh_opimm_sha256sig0() {
+    let inst = new Instruction('sha256sig0 a0, a1');
+    assertEq(inst.hex, '10259513');
+}
+
+function enc_rv32zknh_op_sha512sum1r() {
+    let inst = new Instruction('sha512sum1r a0, a1, a2', { ISA:'rv32i_zknh' });
+    assertEq(inst.hex, '52c58533');
+    let error;
+    try {
+        new Instruction('sha512sum1r a0, a1, a2', { ISA:'rv64i_zknh' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Detected RV32Zknh instruction incompatible with configuration ISA: RV64I');
+}
+
+function enc_rv32zksed_op_sm4ed() {
+    let inst = new Instruction('sm4ed a0, a1, a2, 1');
+    assertEq(inst.hex, '70c58533');
+}
+
+function enc_rv32zksh_opimm_sm3p0() {
+    let inst = new Instruction('sm3p0 a0, a1');
+    assertEq(inst.hex, '10859513');
+}
+
+function enc_rv32zbkx_op_xperm8() {
+    let inst = new Instruction('xperm8 a0, a1, a2');
+    assertEq(inst.hex, '28c5c533');
+}
+
+function enc_rv32zbkb_op_pack() {
+    let instZero = new Instruction('pack a0, a1, x0', { ISA:'rv32i_zbkb' });
+    assertEq(instZero.asm, 'pack x10, x11, x0');
+    let inst = new Instruction('pack a0, a1, a2');
+    let instW = new Instruction('packw a0, a1, a2');
+    assertEq(inst.hex, '08c5c533');
+    assertEq(instW.hex, '08c5c53b');
+}
+
+function enc_rv32zbkb_opimm_brev8() {
+    let inst = new Instruction('brev8 a0, a1');
+    assertEq(inst.hex, '6875d513');
+}
+
+function enc_rv32zbkb_opimm_zip() {
+    let inst = new Instruction('zip a0, a1', { ISA:'rv32i_zbkb' });
+    let instUnzip = new Instruction('unzip a0, a1', { ISA:'rv32i_zbkb' });
+    assertEq(inst.hex, '08f59513');
+    assertEq(instUnzip.hex, '08f5d513');
+}
+
+// Shared with Zbb
+function enc_rv32zbkb_op_andn() {
+    let inst = new Instruction('andn a0, a1, a2', { ISA:'rv32i_zbkb' });
+    let instRol = new Instruction('rol a0, a1, a2', { ISA:'rv32i_zbkb' });
+    assertEq(inst.hex, '40c5f533');
+    assertEq(inst.isa, 'RV32Zbb/Zbkb');
+    assertEq(instRol.hex, '60c59533');
+    let error;
+    try {
+        new Instruction('clz a0, a1', { ISA:'rv32i_zbkb' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Detected RV32Zbb instruction but configuration ISA lacks extension Zbb');
+}
+
+function enc_rv32zbkc_op_clmul() {
+    let inst = new Instruction('clmul a0, a1, a2');
+    assertEq(inst.hex, '0ac59533');
+}
+
+function enc_zk_isa() {
+    let inst = new Instruction('aes64ks2 a0, a1, a2', { ISA:'rv64i_zkne' });
+    assertEq(inst.hex, '7ec58533');
+    inst = new Instruction('aes64ks2 a0, a1, a2', { ISA:'rv64i_zkn' });
+    assertEq(inst.hex, '7ec58533');
+    let error;
+    try {
+        new Instruction('aes64ks2 a0, a1, a2', { ISA:'rv64i_zknh' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Detected RV64Zknd/Zkne instruction but configuration ISA lacks extension Zknd/Zkne');
+}
+
+/*
+ * V extension
+ */
+// OP-V
+function enc_v_vsetvli() {
+    let inst = new Instruction('vsetvli a0, a1, e32, m4, ta, ma');
+    let instImm = new Instruction('vsetvli a0, a1, 0xd2');
+    let instDefault = new Instruction('vsetvli x0, x0, e8');
+    assertEq(inst.hex, '0d25f557');
+    assertEq(instImm.bin, inst.bin);
+    assertEq(instDefault.hex, '00007057');
+}
+
+function enc_v_vsetivli() {
+    let inst = new Instruction('vsetivli t0, 31, e8, mf8');
+    assertEq(inst.hex, 'c05ff2d7');
+}
+
+function enc_v_vsetvl() {
+    let inst = new Instruction('vsetvl a0, a1, a2');
+    assertEq(inst.hex, '80c5f557');
+}
+
+function enc_v_vtype_errors() {
+    let error;
+    try {
+        new Instruction('vsetvli a0, a1, m2, ta');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Missing element width in vtype, expected one of e8, e16, e32, e64');
+    try {
+        new Instruction('vsetvli a0, a1, e16, tx');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Invalid vtype setting "tx"');
+    try {
+        new Instruction('vsetivli a0, 32, e16');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Invalid immediate "32", vsetivli instruction expects value from 0 to 31');
+}
+
+// OP-V
+function enc_v_opivv() {
+    let inst = new Instruction('vadd.vv v8, v4, v12');
+    let instMasked = new Instruction('vadd.vv v8, v4, v12, v0.t');
+    assertEq(inst.hex, '02460457');
+    assertEq(instMasked.hex, '00460457');
+}
+
+function enc_v_opivi() {
+    let inst = new Instruction('vadd.vi v8, v4, -16');
+    let instUimm = new Instruction('vsll.vi v8, v4, 31');
+    assertEq(inst.hex, '02483457');
+    assertEq(instUimm.hex, '964fb457');
+}
+
+function enc_v_opmvx_macc() {
+    let inst = new Instruction('vmacc.vx v1, a0, v2');
+    assertEq(inst.hex, 'b62560d7');
+}
+
+function enc_v_opfvf() {
+    let inst = new Instruction('vfadd.vf v1, v2, ft0');
+    assertEq(inst.hex, '022050d7');
+}
+
+function enc_v_merge() {
+    let inst = new Instruction('vmerge.vim v1, v5, 0, v0');
+    let instMv = new Instruction('vmv.v.i v1, -1');
+    assertEq(inst.hex, '5c5030d7');
+    assertEq(instMv.hex, '5e0fb0d7');
+}
+
+function enc_v_unary() {
+    let instMvxs = new Instruction('vmv.x.s a0, v10');
+    let instId = new Instruction('vid.v v3');
+    let instCvt = new Instruction('vfncvt.rod.f.f.w v1, v2');
+    assertEq(instMvxs.hex, '42a02557');
+    assertEq(instId.hex, '5208a1d7');
+    assertEq(instCvt.hex, '4a2a90d7');
+}
+
+function enc_v_mask() {
+    let inst = new Instruction('vmand.mm v1, v2, v3');
+    let instCpop = new Instruction('vcpop.m a0, v2, v0.t');
+    assertEq(inst.hex, '6621a0d7');
+    assertEq(instCpop.hex, '40282557');
+}
+
+function enc_v_arith_errors() {
+    let error;
+    try {
+        new Instruction('vadd.vi v8, v4, 16');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Invalid immediate "16", vadd.vi instruction expects value from -16 to 15');
+    try {
+        new Instruction('vmerge.vvm v1, v2, v3, v4');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Invalid operand "v4", vmerge.vvm instruction expects v0');
+    try {
+        new Instruction('vmand.mm v1, v2, v3, v0.t');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Instruction vmand.mm cannot be masked');
+}
+
+// LOAD-FP
+function enc_v_vle() {
+    let inst = new Instruction('vle32.v v1, (a0)');
+    let instMasked = new Instruction('vle32.v v1, (a0), v0.t');
+    assertEq(inst.hex, '02056087');
+    assertEq(instMasked.hex, '00056087');
+}
+
+function enc_v_vlse() {
+    let inst = new Instruction('vlse32.v v1, (a0), a1');
+    assertEq(inst.hex, '0ab56087');
+}
+
+function enc_v_vluxei() {
+    let inst = new Instruction('vluxei16.v v4, (a0), v8, v0.t');
+    assertEq(inst.hex, '04855207');
+}
+
+function enc_v_vlseg() {
+    let inst = new Instruction('vlseg2e64.v v1, (a0)');
+    assertEq(inst.hex, '22057087');
+}
+
+function enc_v_vleff() {
+    let inst = new Instruction('vle64ff.v v31, (t6), v0.t');
+    assertEq(inst.hex, '010fff87');
+}
+
+function enc_v_vlre() {
+    let inst = new Instruction('vl8re32.v v8, (a0)');
+    assertEq(inst.hex, 'e2856407');
+}
+
+function enc_v_vlm_masked() {
+    let error;
+    try {
+        new Instruction('vlm.v v0, (a0), v0.t');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Instruction vlm.v cannot be masked');
+}
+
+// STORE-FP
+function enc_v_vsoxseg() {
+    let inst = new Instruction('vsoxseg3ei64.v v4, (sp), v12');
+    assertEq(inst.hex, '4ec17227');
+}
+
+function enc_v_vsr() {
+    let inst = new Instruction('vs2r.v v2, (a0)');
+    assertEq(inst.hex, '22850127');
+}
+
+function enc_v_missing_ext() {
+    let error;
+    try {
+        new Instruction('vle8.v v1, (a0)', { ISA:'rv64gc' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Detected V instruction but configuration ISA lacks extension V');
+}
+
+/*
+ * Pseudo-instructions
+ */
+function enc_pseudo_mv() {
+    let inst = new Instruction('mv a0, a1');
+    assertEq(inst.asm, 'addi x10, x11, 0');
+    assertEq(inst.hex, '00058513');
+    assertEq(inst.pseudo, 'mv a0, a1');
+    assertEq(inst.expansion.length, 1);
+}
+
+function enc_pseudo_ret() {
+    let inst = new Instruction('ret');
+    assertEq(inst.asm, 'jalr x0, 0(x1)');
+    assertEq(inst.hex, '00008067');
+}
+
+function enc_pseudo_bgt() {
+    let inst = new Instruction('bgt a0, a1, 8');
+    assertEq(inst.asm, 'blt x11, x10, 8');
+}
+
+function enc_pseudo_csrr() {
+    let inst = new Instruction('csrr a0, mstatus');
+    assertEq(inst.asm, 'csrrs x10, mstatus, x0');
+}
+
+function enc_pseudo_jalr() {
+    let inst = new Instruction('jalr t0');
+    let baseInst = new Instruction('jalr x5, 0(x6)');
+    assertEq(inst.asm, 'jalr x1, 0(x5)');
+    assertEq(baseInst.asm, 'jalr x5, 0(x6)');
+    assertEq(baseInst.expansion, undefined);
+}
+
+function enc_pseudo_li() {
+    let inst = new Instruction('li a0, 0x12345');
+    assertEq(inst.expansion.map(i => i.asm).join('; '),
+        'lui x10, 18; addi x10, x10, 837');
+    assertEq(inst.hex, '00012537');
+}
+
+function enc_pseudo_li64() {
+    let inst = new Instruction('li t0, 0x8000000000000000');
+    assertEq(inst.expansion.map(i => i.asm).join('; '),
+        'addi x5, x0, -1; slli x5, x5, 63');
+}
+
+function enc_pseudo_call() {
+    let inst = new Instruction('call 0x12345');
+    assertEq(inst.expansion.map(i => i.asm).join('; '),
+        'auipc x1, 18; jalr x1, 837(x1)');
+}
+
+/*
+ * ISA string
+ */
+function enc_isa_string() {
+    let inst = new Instruction('mul x1, x2, x3', { ISA:'rv64gc' });
+    assertEq(inst.hex, '023100b3');
+    inst = new Instruction('frcsr a0', { ISA:'rv32if' });
+    assertEq(inst.hex, '00302573');
+}
+
+function enc_isa_string_errors() {
+    let errors = [];
+    for (const [asm, isa] of [['mul x1, x2, x3', 'rv64i_zicsr'], ['c.fld f8, 8(x9)', 'rv32ifc'],
+            ['addi x1, x1, 1', 'rv64iam'], ['addi x1, x1, 1', 'rv64i_zicsr_zfoo']]) {
+        try {
+            new Instruction(asm, { ISA:isa });
+        } catch (e) {
+            errors.push(e);
+        }
+    }
+    assertEq(errors.join('; '), 'Detected RV32M instruction but configuration ISA lacks extension M; '
+        + 'Detected RV32DC instruction but configuration ISA lacks extension D; '
+        + "Invalid ISA string 'rv64iam': extension 'M' out of canonical order (MAFDQLCBKJTPVH); "
+        + "Invalid ISA string 'rv64i_zicsr_zfoo': unknown extension 'Zfoo'");
+    assertEq(new Instruction('addi x1, x1, 1', { ISA:'rv64i_zicntr_zkt_svpbmt' }).hex, '00108093');
+}
+
+/*
+ * PC-relative targets
+ */
+function enc_pc_branch() {
+    let inst = new Instruction('bne a0, a1, 0x10196', { PC:0x10182 });
+    assertEq(inst.hex, '00b51a63');
+    assertEq(inst.asm, 'bne x10, x11, 0x10196');
+}
+
+function enc_pc_cj() {
+    let inst = new Instruction('c.j 0x1000', { PC:0x1002 });
+    assertEq(inst.hex, 'bffd');
+}
+
+function enc_pc_errors() {
+    let error;
+    try {
+        new Instruction('bne a0, a1, 0x10197', { PC:0x10182 });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Misaligned target address 0x10197 for bne instruction at PC 0x10182, offset 21 must be even');
+    try {
+        new Instruction('jal ra, 0x200000', { PC:0 });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.message, 'Target address 0x200000 out of range for jal instruction at PC 0x0, offset 2097152 not within [-1048576, 1048574]');
+}
+
+/*
+ * Expressions
+ */
+function enc_expr_arith() {
+    let inst = new Instruction('addi a0, a0, 4*8');
+    assertEq(inst.asm, 'addi x10, x10, 32');
+    inst = new Instruction('andi a0, a0, (1 << 4) | 3');
+    assertEq(inst.asm, 'andi x10, x10, 19');
+    inst = new Instruction('sw a0, -7/2*4(sp)');
+    assertEq(inst.asm, 'sw x10, -12(x2)');
+    assertEq(inst.asmFrags[2].note, '-7/2*4 = -12');
+
+    // Precedence of the GNU assembler, not that of C
+    inst = new Instruction('addi a0, a0, 1 + 2 << 3');
+    assertEq(inst.asm, 'addi x10, x10, 17');
+    inst = new Instruction('addi a0, a0, 1 | 2 + 3');
+    assertEq(inst.asm, 'addi x10, x10, 6');
+    inst = new Instruction('addi a0, a0, 6 & 3 ^ 1');
+    assertEq(inst.asm, 'addi x10, x10, 3');
+}
+
+function enc_expr_literals() {
+    let inst = new Instruction("li a0, 'A'");
+    assertEq(inst.hex, '04100513');
+    inst = new Instruction("addi a0, a0, ','");
+    assertEq(inst.asm, 'addi x10, x10, 44');
+    inst = new Instruction('addi a0, a0, -0b101');
+    assertEq(inst.asm, 'addi x10, x10, -5');
+    inst = new Instruction('addi a0, a0, 0o17');
+    assertEq(inst.asm, 'addi x10, x10, 15');
+    inst = new Instruction('addi a0, a0, -017');
+    assertEq(inst.asm, 'addi x10, x10, -15');
+    inst = new Instruction('addi a0, a0, 010 + 0');
+    assertEq(inst.asm, 'addi x10, x10, 8');
+}
+
+function enc_expr_hi_lo() {
+    let inst = new Instruction('lui a0, %hi(0x12345678)');
+    assertEq(inst.hex, '12345537');
+    inst = new Instruction('addi a0, a0, %lo(0x12345678)');
+    assertEq(inst.hex, '67850513');
+    // Upper part rounded up, as lower part is negative
+    inst = new Instruction('lui a0, %hi(0x12345fff)');
+    assertEq(inst.hex, '12346537');
+    assertEq(inst.asmFrags[2].note, '%hi(0x12345fff) = (0x12345fff + 0x800) >> 12 = 0x12346, '
+        + 'the 0x800 rounding up the upper part as %lo(0x12345fff) = -1 is sign-extended');
+    inst = new Instruction('lw a0, %lo(0x12345fff)(a0)');
+    assertEq(inst.asm, 'lw x10, -1(x10)');
+}
+
+function enc_expr_pcrel() {
+    let inst = new Instruction('auipc a0, %pcrel_hi(0x12345fff)', { PC:0x1000 });
+    assertEq(inst.hex, '12345517');
+    inst = new Instruction('addi a0, a0, %pcrel_lo(0x12345fff)', { PC:0x1004, AUIPC:0x1000 });
+    assertEq(inst.hex, 'fff50513');
+    inst = new Instruction('addi a0, a0, %pcrel_lo(0x12345fff)', { AUIPC:0x1000 });
+    assertEq(inst.hex, 'fff50513');
+
+    // Lower part is not relative to its own instruction
+    let error;
+    try {
+        new Instruction('addi a0, a0, %pcrel_lo(0x2000)', { PC:0x1004 });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error instanceof InvalidOperandError, true);
+    assertEq(error.message, 'Missing address of auipc instruction which %pcrel_lo(0x2000) is relative to');
+}
+
+function enc_expr_errors() {
+    let errors = [];
+    for (const asm of ['addi a0, a0, 1/0', 'addi a0, a0, 4*', 'lui a0, %hi(0x100000000)']) {
+        try {
+            new Instruction(asm);
+        } catch (e) {
+            errors.push(e.message);
+        }
+    }
+    assertEq(errors.join('; '), 'Invalid expression "1/0": division by zero; '
+        + 'Invalid expression "4*": unexpected end of expression; '
+        + 'Value of %hi(0x100000000) out of range: 0x100000000');
+}
+
+function enc_expr_range() {
+    let errors = [];
+    for (const asm of ['addi a0, a0, 1 << 40', "c.li a0, 'a'", 'addi a0, a0, %hi(0x12345678)',
+        'c.lwsp a0, 6(sp)', 'addi a0, a0']) {
+        try {
+            new Instruction(asm);
+        } catch (e) {
+            assertEq(e instanceof InvalidOperandError, true);
+            errors.push(e.message);
+        }
+    }
+    assertEq(errors.join('; '),
+        'Invalid immediate "1099511627776", addi instruction expects value from -2048 to 2047, '
+        + 'or its 12-bit encoding up to 0xfff; '
+        + 'Invalid immediate "97", c.li instruction expects value from -32 to 31, '
+        + 'or its 6-bit encoding up to 0x3f; '
+        + 'Invalid immediate "74565", addi instruction expects value from -2048 to 2047, '
+        + 'or its 12-bit encoding up to 0xfff; '
+        + 'Invalid immediate "6", c.lwsp instruction expects multiple of 4 from 0 to 252; '
+        + 'Missing immediate, addi instruction expects value from -2048 to 2047, '
+        + 'or its 12-bit encoding up to 0xfff');
+
+    // Field encoding of a negative value
+    assertEq(new Instruction('addi a0, a0, 0xfff').asm, 'addi x10, x10, -1');
+}
+
+function enc_expr_malformed() {
+    let errors = [];
+    for (const asm of ['addi a0, a0, 0x', 'addi a0, a0, 08', 'lw a0, 1_000(a1)', 'addi a0, a0, 1e3',
+        'addi a0, a0, foo', 'slli a0, a0, 1.5', 'c.li a0, foo', 'beq a0, a1, foo']) {
+        try {
+            new Instruction(asm);
+        } catch (e) {
+            assertEq(e instanceof InvalidOperandError, true);
+            errors.push(e.message);
+        }
+    }
+    assertEq(errors.join('; '), 'Invalid number "0x"; Invalid number "08"; Invalid number "1_000"; '
+        + 'Invalid number "1e3"; Invalid immediate "foo", expected integer value; '
+        + 'Invalid immediate "1.5", expected integer value; '
+        + 'Invalid immediate "foo", expected integer value; '
+        + 'Invalid immediate "foo", expected integer value');
+
+    // Names and decimal constants remain accepted where expected
+    assertEq(new Instruction('fli.s fa0, 0.5').asm, 'fli.s f10, 0.5');
+    assertEq(new Instruction('addi a0, a0, -0x10').asm, 'addi x10, x10, -16');
+}
+
+/*
+ * Errors
+ */
+function enc_error_operand() {
+    let error;
+    try {
+        new Instruction('c.lwsp x0, 4(sp)');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error instanceof InvalidOperandError, true);
+    assertEq(error instanceof EncodeError, true);
+    assertEq(error.code, 'INVALID_OPERAND');
+    assertEq(error.group, 'C2');
+    assertEq(`${error}`, 'Illegal value "x0" in rd/rs1 field for instruction c.lwsp');
+}
+
+function enc_error_mnemonic() {
+    let error;
+    try {
+        new Instruction('foo x1');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error instanceof InvalidMnemonicError, true);
+    assertEq(error.code, 'INVALID_MNEMONIC');
+    assertEq(error.group, undefined);
+    assertEq(error.suggestions.length, 0);
+}
+
+function enc_error_suggest_mnemonic() {
+    let error;
+    try {
+        new Instruction('amoadd x1, x2, (x3)', { ISA:'rv32ia_zabha' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.code, 'INVALID_MNEMONIC');
+    assertEq(error.suggestions.join(), 'amoadd.b,amoadd.h,amoadd.w');
+
+    try {
+        new Instruction('fadd f1, f2, f3');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.suggestions.join(), 'fadd.d,fadd.h,fadd.q,fadd.s');
+
+    try {
+        new Instruction('fadd f1, f2, f3', { ISA:'rv32if' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.suggestions[0], 'fadd.s');
+    assertEq(error.suggestions.includes('fadd.d'), false);
+
+    try {
+        new Instruction('fadd f1, f2, f3', { ISA:'rv32i' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.suggestions.some(s => s.startsWith('fadd.')), false);
+
+    // Pseudo-instruction with value-dependent expansion
+    try {
+        new Instruction('lii a0, 1', { ISA:'rv32i' });
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.suggestions.join(), 'li,lui');
+}
+
+function enc_error_suggest_register() {
+    let error;
+    try {
+        new Instruction('add x32, x1, x2');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.code, 'INVALID_OPERAND');
+    assertEq(error.suggestions.join(), 'x30,x31,x3,x12');
+
+    try {
+        new Instruction('fadd.s fa8, f1, f2');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.suggestions.join(), 'fa0,fa1,fa2,fa3');
+}
+
+function enc_error_suggest_register_embedded() {
+    let errors = [];
+    for (const asm of ['addi x32, x0, 1', 'add a0, a1, a6']) {
+        try {
+            new Instruction(asm, { ISA:'rv32e' });
+        } catch (e) {
+            errors.push(e);
+        }
+    }
+    assertEq(errors[0].suggestions.join(), 'x3,x12,x2');
+    assertEq(errors[1].suggestions.join(), 'a0,a1,a2,a3');
+}
+
+function enc_error_suggest_csr() {
+    let error;
+    try {
+        new Instruction('csrr x1, mstatsu');
+    } catch (e) {
+        error = e;
+    }
+    assertEq(error.code, 'INVALID_OPERAND');
+    assertEq(error.suggestions[0], 'mstatus');
+}
+
+/*
+ * Assembler
+ */
+function enc_asm_loop() {
+    let records = assemble(`
+sum:                    # sum of 1..n
+    li   t0, 0
+loop:
+    beqz a0, done
+    add  t0, t0, a0
+    addi a0, a0, -1
+    j    loop
+done:
+    mv   a0, t0
+`, { ABI:true }, 0x1000);
+    assertEq(records.map(r => r.address.toString(16)).join(' '),
+        '1000 1004 1008 100c 1010 1014');
+    assertEq(records[1].labels.join(), 'loop');
+    assertEq(records[1].asm, 'beq a0, zero, 0x1014');
+    assertEq(records[4].asm, 'jal zero, 0x1004');
+    assertEq(records[4].line, 8);
+}
+
+function enc_asm_compressed() {
+    let records = assemble([
+        '1:  c.beqz x8, 1f',
+        '    c.j 1b',
+        '1:  call 1b // far call',
+    ].join('\n'));
+    assertEq(renderListing(records), [
+        '1:',
+        '  00000000:  c011      c.beqz x8, 0x4',
+        '  00000002:  bffd      c.j 0x0',
+        '1:',
+        '  00000004:  00000097  auipc x1, 0',
+        '  00000008:  000080e7  jalr x1, 0(x1)',
+    ].join('\n'));
+}
+
+function enc_asm_expressions() {
+    let records = assemble([
+        '    li   a0, (1 << 4) + 1',
+        '    lui  a1, %hi(0x12345fff)',
+        '    addi a1, a1, %lo(0x12345fff)',
+    ].join('\n'));
+    assertEq(records.map(r => r.asm).join('; '),
+        'addi x10, x0, 17; lui x11, 74566; addi x11, x11, -1');
+}
+
+function enc_asm_pcrel() {
+    let records = assemble([
+        '    auipc a0, %pcrel_hi(0x1ffc)',
+        '    addi  a0, a0, %pcrel_lo(0x1ffc)',
+        '1:  auipc a1, %pcrel_hi(0x1ffc)',
+        '    nop',
+        '    lw    a1, %pcrel_lo(1b)(a1)',
+    ].join('\n'));
+    assertEq(records.map(r => r.asm).join('; '),
+        'auipc x10, 2; addi x10, x10, -4; auipc x11, 2; addi x0, x0, 0; lw x11, -12(x11)');
+
+    records = assemble('addi a0, a0, %pcrel_lo(0x1ffc)\nnop\naddi a0, a0, %pcrel_lo(1b)');
+    assertEq(records.map(r => r.error).join('; '),
+        'No %pcrel_hi(0x1ffc) preceding %pcrel_lo(0x1ffc); ; ' +
+        "Undefined label: '1b'");
+}
+
+function enc_asm_reloc_labels() {
+    let records = assemble([
+        '1:  auipc a0, %pcrel_hi(data)',
+        '    addi  a0, a0, %pcrel_lo(1b)',
+        '    lui   a1, %hi(data + 0x800)',
+        '    lw    a1, %lo(data + 0x800)(a1)',
+        'data:',
+        '    nop',
+    ].join('\n'), {}, 0x1ff0);
+    assertEq(records.map(r => r.asm).join('; '), 'auipc x10, 0; addi x10, x10, 16; ' +
+        'lui x11, 3; lw x11, -2048(x11); addi x0, x0, 0');
+}
+
+function enc_asm_errors() {
+    let records = assemble('bne a0, a1, nowhere\nfoo a0\n.word 1\nret');
+    assertEq(records.map(r => r.error).join('; '),
+        "Undefined label: 'nowhere'; Invalid mnemonic: foo; Unsupported directive: '.word'; ");
+    assertEq(records.slice(0, 3).map(r => r.error.code).join('; '),
+        'INVALID_OPERAND; INVALID_MNEMONIC; ENCODE');
+    assertEq(records[3].address, 8);
+}
+
 batchTests('Encoder Tests', [
     ['Enc - RV32I    - LUI       - lui', enc_rv32i_lui_lui],
     ['Enc - RV32I    - AUIPC     - auipc', enc_rv32i_auipc_auipc],
@@ -594,6 +2107,7 @@ batchTests('Encoder Tests', [
     ['Enc - RV32I    - STORE     - sb', enc_rv32i_store_sb],
     ['Enc - RV32I    - OP-IMM    - addi', enc_rv23i_opimm_addi],
     ['Enc - RV32I    - OP-IMM    - srai', enc_rv32i_opimm_srai],
+    ['Enc - RV32I    - OP-IMM    - shamt - [out of range]', enc_rv32i_opimm_shamt_range],
     ['Enc - RV32I    - OP        - add', enc_rv32i_op_add],
     ['Enc - RV32I    - MISC-MEM  - fence', enc_rv32i_miscmem_fence],
     ['Enc - RV32I    - SYSTEM    - ecall', enc_rv32i_system_ecall],
@@ -606,15 +2120,62 @@ batchTests('Encoder Tests', [
     ['Enc - RV128I   - OP-IMM    - srli - [shamt=101]', enc_rv128i_opimm_srli_shamt101],
     ['Enc - RV128I   - OP-IMM-64 - addid', enc_rv128i_opimm64_addid],
     ['Enc - RV128I   - OP-IMM-64 - sraid', enc_rv128i_opimm64_sraid],
+    ['Enc - RV32E    - OP        - add', enc_rv32e_op_add],
+    ['Enc - RV32E    - OP        - add - [x16-x31]', enc_rv32e_op_add_reg],
+    ['Enc - RV64E    - OP-IMM-32 - addiw', enc_rv64e_opimm32_addiw],
+    ['Enc - RV32E    - CMPP      - cm.push - [s2]', enc_rv32e_cmpush_rlist],
+    ['Enc - HINT     - OP        - ntl.p1', enc_hint_op_ntl],
+    ['Enc - HINT     - MISC-MEM  - pause', enc_hint_miscmem_pause],
+    ['Enc - HINT     - MISC-MEM  - fence', enc_hint_miscmem_fence],
+    ['Enc - HINT     - C1        - c.li', enc_hint_c1_li],
+    ['Enc - HINT     - C1        - c.nop', enc_hint_c1_nop],
+    ['Enc - HINT     - C1        - c.addi', enc_hint_c1_addi],
+    ['Enc - HINT     - C1        - c.srli', enc_hint_c1_srli],
+    ['Enc - HINT     - C2        - c.ntl.p1', enc_hint_c2_ntl],
+    ['Enc - HINT     - C2        - c.jr - [x0]', enc_hint_c2_jr_illegal],
     ['Enc - Zifencei - MISC-MEM  - fence.i', enc_zifencei_miscmem_fencei],
     ['Enc - Zicsr    - SYSTEM    - csrrw', enc_zicsr_system_csrrw],
     ['Enc - Zicsr    - SYSTEM    - csrrci', enc_zicsr_system_csrrci],
+    ['Enc - Zicbom   - MISC-MEM  - cbo.flush', enc_zicbom_miscmem_cboflush],
+    ['Enc - Zicboz   - MISC-MEM  - cbo.zero - [offset]', enc_zicboz_miscmem_cbozero_offset],
+    ['Enc - Zicbop   - OP-IMM    - prefetch.w', enc_zicbop_opimm_prefetchw],
+    ['Enc - Zicbop   - OP-IMM    - prefetch.i - [misaligned]', enc_zicbop_opimm_prefetchi_misaligned],
+    ['Enc - RV32I    - OP-IMM    - ori - [rd=x0]', enc_rv32i_opimm_ori_rdx0],
+    ['Enc - Zicfilp  - AUIPC     - lpad', enc_zicfilp_auipc_lpad],
+    ['Enc - Zicfiss  - SYSTEM    - sspush', enc_zicfiss_system_sspush],
+    ['Enc - Zicfiss  - SYSTEM    - sspopchk - [invalid register]', enc_zicfiss_system_sspopchk_reg],
+    ['Enc - Zicfiss  - SYSTEM    - ssrdp', enc_zicfiss_system_ssrdp],
+    ['Enc - Zicfiss  - AMO       - ssamoswap.w', enc_zicfiss_amo_ssamoswapw],
+    ['Enc - Zicfiss  - C1        - c.sspush', enc_zicfiss_c1_csspush],
+    ['Enc - Zicfiss  - C1        - c.sspush - [invalid register]', enc_zicfiss_c1_csspush_reg],
+    ['Enc - Zimop    - SYSTEM    - mop.r.28', enc_zimop_system_mopr],
+    ['Enc - Zimop    - SYSTEM    - mop.rr.2', enc_zimop_system_moprr],
+    ['Enc - Zcmop    - C1        - c.mop.15', enc_zcmop_c1_cmop],
+    ['Enc - Zcmop    - C1        - c.mop.3 - [operand]', enc_zcmop_c1_cmop_operand],
+    ['Enc - Zicond   - OP        - czero.nez', enc_zicond_op_czeronez],
+    ['Enc - Priv     - SYSTEM    - sfence.vma', enc_priv_system_sfencevma],
+    ['Enc - Priv     - SYSTEM    - sfence.vma - [no operands]', enc_priv_system_sfencevma_nooprs],
+    ['Enc - Svinval  - SYSTEM    - sinval.vma', enc_priv_system_sinvalvma],
+    ['Enc - Sdext    - SYSTEM    - dret', enc_priv_system_dret],
+    ['Enc - H        - SYSTEM    - hinval.vvma', enc_priv_system_hinvalvvma],
+    ['Enc - H        - SYSTEM    - hlv.bu', enc_priv_system_hlvbu],
+    ['Enc - H        - SYSTEM    - hsv.w', enc_priv_system_hsvw],
+    ['Enc - H        - SYSTEM    - hlv.b - [zero offset]', enc_priv_system_hlvb_offset],
+    ['Enc - Zawrs    - SYSTEM    - wrs.nto', enc_zawrs_system_wrsnto],
     ['Enc - RV32M    - OP        - mulhsu', enc_rv32m_op_mulhsu],
     ['Enc - RV64M    - OP-32     - remw', enc_rv64m_op32_remw],
     ['Enc - RV128M   - OP-64     - divud', enc_rv128m_op64_divud],
     ['Enc - RV32A    - AMO       - lr.w', enc_rv32a_amo_lrw],
     ['Enc - RV64A    - AMO       - amoswap.d', enc_rv64a_amo_amoswapd],
     ['Enc - RV128A   - AMO       - amoor.q', enc_rv128a_amo_amoorq],
+    ['Enc - RV32A    - AMO       - sc.w.rl', enc_rv32a_amo_scwrl],
+    ['Enc - RV32A    - AMO       - amoswap.w.aqrl', enc_rv32a_amo_amoswapwaqrl],
+    ['Enc - Zacas    - AMO       - amocas.w.rl', enc_zacas_amo_amocasw],
+    ['Enc - Zacas    - AMO       - amocas.d - [RV32]', enc_zacas_amo_amocasd_rv32],
+    ['Enc - Zacas    - AMO       - amocas.d - [RV32, odd register]', enc_zacas_amo_amocasd_rv32_reg],
+    ['Enc - Zacas    - AMO       - amocas.d - [RV64]', enc_zacas_amo_amocasd_rv64],
+    ['Enc - Zacas    - AMO       - amocas.q - [odd register]', enc_zacas_amo_amocasq_reg],
+    ['Enc - Zabha    - AMO       - amoswap.h.aqrl', enc_zabha_amo_amoswaphaqrl],
     ['Enc - RV32F    - LOAD-FP   - flw', enc_rv32f_loadfp_flw],
     ['Enc - RV32F    - STORE-FP  - fsw', enc_rv32f_storefp_fsw],
     ['Enc - RV32F    - MADD      - fmadd.s', enc_rv32f_madd_fmadds],
@@ -643,6 +2204,27 @@ batchTests('Encoder Tests', [
     ['Enc - RV32Q    - OP-FP     - fcvt.q.d', enc_rv32q_opfp_fcvtqd],
     ['Enc - RV32Q    - OP-FP     - fcvt.s.q', enc_rv32q_opfp_fcvtsq],
     ['Enc - RV128Q   - OP-FP     - fmv.x.q', enc_rv128q_opfp_fmvxq],
+    ['Enc - RV32Zfh  - LOAD-FP   - flh', enc_rv32zfh_loadfp_flh],
+    ['Enc - RV32Zfh  - STORE-FP  - fsh', enc_rv32zfh_storefp_fsh],
+    ['Enc - RV32Zfh  - MADD      - fmadd.h', enc_rv32zfh_madd_fmaddh],
+    ['Enc - RV32Zfh  - OP-FP     - fadd.h', enc_rv32zfh_opfp_faddh],
+    ['Enc - RV32Zfh  - OP-FP     - fcvt.s.h', enc_rv32zfh_opfp_fcvtsh],
+    ['Enc - RV32Zfh  - OP-FP     - fmv.x.h', enc_rv32zfh_opfp_fmvxh],
+    ['Enc - RV64Zfh  - OP-FP     - fcvt.l.h', enc_rv64zfh_opfp_fcvtlh],
+    ['Enc - Zfh      - ISA       - errors', enc_zfh_isa_errors],
+    ['Enc - RV32Zfa  - OP-FP     - fli.s', enc_rv32zfa_opfp_flis],
+    ['Enc - RV32Zfa  - OP-FP     - fli invalid constant', enc_rv32zfa_opfp_fli_invalid],
+    ['Enc - RV32Zfa  - OP-FP     - fminm.s', enc_rv32zfa_opfp_fminms],
+    ['Enc - RV32Zfa  - OP-FP     - froundnx.d', enc_rv32zfa_opfp_froundnxd],
+    ['Enc - RV32Zfa  - OP-FP     - fcvtmod.w.d', enc_rv32zfa_opfp_fcvtmodwd],
+    ['Enc - RV32Zfa  - OP-FP     - fmvp.d.x', enc_rv32zfa_opfp_fmvpdx],
+    ['Enc - RV32Zfa  - OP-FP     - fleq.s', enc_rv32zfa_opfp_fleqs],
+    ['Enc - Zfinx    - OP-FP     - fadd.s', enc_zfinx_opfp_fadds],
+    ['Enc - Zfinx    - OP-FP     - fadd.s - [float register]', enc_zfinx_opfp_fadds_freg],
+    ['Enc - Zdinx    - OP-FP     - fcvt.d.s - [RV32, odd register]', enc_zdinx_opfp_fcvtds_rv32_pair],
+    ['Enc - Zdinx    - OP-FP     - fadd.d - [RV64]', enc_zdinx_opfp_faddd_rv64],
+    ['Enc - Zdinx    - MADD      - fmadd.d - [RV32, odd register]', enc_zdinx_madd_fmaddd_rv32_pair],
+    ['Enc - Zfinx    - ISA string - incompatible with F', enc_zfinx_isa_string_incompatible],
     ['Enc - RV32C    - C0-CIW    - c.addi4spn', enc_rv32c_c0ciw_caddi4spn],
     ['Enc - RV32FC   - C0-CL     - c.flw', enc_rv32fc_c0cl_cflw],
     ['Enc - RV128C   - C0-CL     - c.lq', enc_rv128c_c0cl_clq],
@@ -666,6 +2248,97 @@ batchTests('Encoder Tests', [
     ['Enc - RV32C    - C2-CR     - c.mv', enc_rv32c_c2cr_cmv],
     ['Enc - RV32C    - C2-CR     - c.ebreak', enc_rv32c_c2cr_cebreak],
     ['Enc - RV32C    - C2-CR     - c.add', enc_rv32c_c2cr_cadd],
+    ['Enc - RV32Zcb  - C0-CLB    - c.lbu', enc_rv32zcb_c0clb_clbu],
+    ['Enc - RV32Zcb  - C0-CSH    - c.sh', enc_rv32zcb_c0csh_csh],
+    ['Enc - RV64Zcb  - C1-CU     - c.zext.w', enc_rv64zcb_c1cu_czextw],
+    ['Enc - RV32Zcb  - C1-CA     - c.mul', enc_rv32zcb_c1ca_cmul],
+    ['Enc - RV32Zcmp - C2-CMPP   - cm.push', enc_rv32zcmp_c2cmpp_cmpush],
+    ['Enc - RV32Zcmp - C2-CMPP   - cm.pop', enc_rv32zcmp_c2cmpp_cmpop],
+    ['Enc - RV32Zcmp - C2-CMPP   - invalid stack adjustment', enc_rv32zcmp_c2cmpp_stackadj_invalid],
+    ['Enc - RV32Zcmp - C2-CMPP   - invalid register list', enc_rv32zcmp_c2cmpp_rlist_invalid],
+    ['Enc - RV32Zcmp - C2-CMMV   - cm.mva01s', enc_rv32zcmp_c2cmmv_cmmva01s],
+    ['Enc - RV32Zcmt - C2-CMJT   - cm.jt', enc_rv32zcmt_c2cmjt_cmjt],
+    ['Enc - RV32Zcmp - ISA string - incompatible with D', enc_rv32zcmp_isa_incompatible],
+    ['Enc - RV32Zba  - OP        - sh1add', enc_rv32zba_op_sh1add],
+    ['Enc - RV32Zbb  - OP        - andn', enc_rv32zbb_op_andn],
+    ['Enc - RV32Zbs  - OP        - bclr', enc_rv32zbs_op_bclr],
+    ['Enc - RV64Zba  - OP-32     - add.uw', enc_rv64zba_op32_adduw],
+    ['Enc - RV32Zbb  - OP-IMM    - clz', enc_rv32zbb_opimm_clz],
+    ['Enc - RV32Zbb  - OP-IMM    - orc.b', enc_rv32zbb_opimm_orcb],
+    ['Enc - RV64Zbb  - OP-IMM    - rori', enc_rv64zbb_opimm_rori],
+    ['Enc - RV64Zbs  - OP-IMM    - bseti', enc_rv64zbs_opimm_bseti],
+    ['Enc - RV64Zba  - OP-IMM-32 - slli.uw', enc_rv64zba_opimm32_slliuw],
+    ['Enc - RV64Zbb  - OP-IMM-32 - cpopw', enc_rv64zbb_opimm32_cpopw],
+    ['Enc - RV32Zbb  - OP-IMM    - rev8', enc_rv32zbb_rev8],
+    ['Enc - RV32Zbb  - OP        - zext.h', enc_rv32zbb_zexth],
+    ['Enc - RV32Zkne - OP        - aes32esmi', enc_rv32zkne_op_aes32esmi],
+    ['Enc - RV32Zkne - OP        - invalid bs', enc_rv32zkne_op_bs_invalid],
+    ['Enc - RV64Zkne - OP-IMM    - aes64ks1i', enc_rv64zkne_opimm_aes64ks1i],
+    ['Enc - RV32Zknh - OP-IMM    - sha256sig0', enc_rv32zknh_opimm_sha256sig0],
+    ['Enc - RV32Zknh - OP        - sha512sum1r', enc_rv32zknh_op_sha512sum1r],
+    ['Enc - RV32Zksed - OP       - sm4ed', enc_rv32zksed_op_sm4ed],
+    ['Enc - RV32Zksh - OP-IMM    - sm3p0', enc_rv32zksh_opimm_sm3p0],
+    ['Enc - RV32Zbkx - OP        - xperm8', enc_rv32zbkx_op_xperm8],
+    ['Enc - RV32Zbkb - OP        - pack', enc_rv32zbkb_op_pack],
+    ['Enc - RV32Zbkb - OP-IMM    - brev8', enc_rv32zbkb_opimm_brev8],
+    ['Enc - RV32Zbkb - OP-IMM    - zip', enc_rv32zbkb_opimm_zip],
+    ['Enc - RV32Zbkb - OP        - andn/rol - [without Zbb]', enc_rv32zbkb_op_andn],
+    ['Enc - RV32Zbkc - OP        - clmul', enc_rv32zbkc_op_clmul],
+    ['Enc - Zk       - ISA       - either extension', enc_zk_isa],
+    ['Enc - V        - OP-V      - vsetvli', enc_v_vsetvli],
+    ['Enc - V        - OP-V      - vsetivli', enc_v_vsetivli],
+    ['Enc - V        - OP-V      - vsetvl', enc_v_vsetvl],
+    ['Enc - V        - OP-V      - vtype errors', enc_v_vtype_errors],
+    ['Enc - V        - OP-V      - vadd.vv', enc_v_opivv],
+    ['Enc - V        - OP-V      - vadd.vi', enc_v_opivi],
+    ['Enc - V        - OP-V      - vmacc.vx', enc_v_opmvx_macc],
+    ['Enc - V        - OP-V      - vfadd.vf', enc_v_opfvf],
+    ['Enc - V        - OP-V      - vmerge.vim', enc_v_merge],
+    ['Enc - V        - OP-V      - unary', enc_v_unary],
+    ['Enc - V        - OP-V      - mask', enc_v_mask],
+    ['Enc - V        - OP-V      - errors', enc_v_arith_errors],
+    ['Enc - V        - LOAD-FP   - vle32.v', enc_v_vle],
+    ['Enc - V        - LOAD-FP   - vlse32.v', enc_v_vlse],
+    ['Enc - V        - LOAD-FP   - vluxei16.v', enc_v_vluxei],
+    ['Enc - V        - LOAD-FP   - vlseg2e64.v', enc_v_vlseg],
+    ['Enc - V        - LOAD-FP   - vle64ff.v', enc_v_vleff],
+    ['Enc - V        - LOAD-FP   - vl8re32.v', enc_v_vlre],
+    ['Enc - V        - LOAD-FP   - vlm.v masked', enc_v_vlm_masked],
+    ['Enc - V        - STORE-FP  - vsoxseg3ei64.v', enc_v_vsoxseg],
+    ['Enc - V        - STORE-FP  - vs2r.v', enc_v_vsr],
+    ['Enc - V        - ISA       - missing extension', enc_v_missing_ext],
+    ['Enc - Pseudo   - mv', enc_pseudo_mv],
+    ['Enc - Pseudo   - ret', enc_pseudo_ret],
+    ['Enc - Pseudo   - bgt', enc_pseudo_bgt],
+    ['Enc - Pseudo   - csrr', enc_pseudo_csrr],
+    ['Enc - Pseudo   - jalr', enc_pseudo_jalr],
+    ['Enc - Pseudo   - li', enc_pseudo_li],
+    ['Enc - Pseudo   - li (64-bit)', enc_pseudo_li64],
+    ['Enc - Pseudo   - call', enc_pseudo_call],
+    ['Enc - ISA      - string', enc_isa_string],
+    ['Enc - ISA      - string errors', enc_isa_string_errors],
+    ['Enc - PC       - branch', enc_pc_branch],
+    ['Enc - PC       - c.j', enc_pc_cj],
+    ['Enc - PC       - errors', enc_pc_errors],
+    ['Enc - Expr     - arithmetic', enc_expr_arith],
+    ['Enc - Expr     - literals', enc_expr_literals],
+    ['Enc - Expr     - %hi/%lo', enc_expr_hi_lo],
+    ['Enc - Expr     - %pcrel_hi/%pcrel_lo', enc_expr_pcrel],
+    ['Enc - Expr     - errors', enc_expr_errors],
+    ['Enc - Expr     - range', enc_expr_range],
+    ['Enc - Expr     - malformed', enc_expr_malformed],
+    ['Enc - Errors   - invalid operand', enc_error_operand],
+    ['Enc - Errors   - invalid mnemonic', enc_error_mnemonic],
+    ['Enc - Errors   - suggest mnemonic', enc_error_suggest_mnemonic],
+    ['Enc - Errors   - suggest register', enc_error_suggest_register],
+    ['Enc - Errors   - suggest register - [RV32E]', enc_error_suggest_register_embedded],
+    ['Enc - Errors   - suggest CSR', enc_error_suggest_csr],
+    ['Enc - Asm      - loop', enc_asm_loop],
+    ['Enc - Asm      - compressed', enc_asm_compressed],
+    ['Enc - Asm      - expressions', enc_asm_expressions],
+    ['Enc - Asm      - %pcrel_lo', enc_asm_pcrel],
+    ['Enc - Asm      - relocation labels', enc_asm_reloc_labels],
+    ['Enc - Asm      - errors', enc_asm_errors],
 ]);
 
 // Newline
@@ -6,9 +6,9 @@
  * Copyright (c) 2021-2022 LupLab @ UC Davis
  */
 
-import { COPTS_ISA } from "../core/Config.js";
+import { COPTS_ISA, COPTS_EXTENSIONS, COPTS_EXTENSIONS_INX, isaString } from "../core/Config.js";
 import { ISA } from "../core/Constants.js";
-import { ISA_TRIE, ISA_TRIE_RV32, ISA_TRIE_RV64, ISA_TRIE_RV128, CANONICAL_OPERANDS } from "../core/Completion.js";
+import { getIsaTrie, CANONICAL_OPERANDS } from "../core/Completion.js";
 
 const input = document.getElementById('search-input');
 const inputPlaceholder = document.getElementById('search-placeholder');
@@ -58,6 +58,21 @@ export function getSelectedMnemonic() {
   return searchIterator?.get() ?? completeMne;
 }
 
+/**
+ * Get ISA configuration from the settings: the selected ISA, or an ISA naming
+ * string when the extensions differ from the default ones
+ */
+export function getIsaConfig() {
+  const base = COPTS_ISA[isaParameter.value];
+  const extensions = COPTS_EXTENSIONS.filter(ext =>
+    document.getElementById('ext-' + ext).checked);
+  const defaults = COPTS_EXTENSIONS.filter(ext => !COPTS_EXTENSIONS_INX.includes(ext));
+  if (base === COPTS_ISA.AUTO || extensions.join() === defaults.join()) {
+    return base;
+  }
+  return isaString(base, extensions);
+}
+
 /**
  * Generate search list iterator
  */
@@ -74,20 +89,7 @@ export function generateSearchIterator() {
 
   } else {
     // Lookup potential mnemonic in the Trie for the appropriate ISA
-    let isaTrie;
-    switch (COPTS_ISA[isaParameter.value]) {
-      case COPTS_ISA.RV32I:
-        isaTrie = ISA_TRIE_RV32;
-        break;
-      case COPTS_ISA.RV64I:
-        isaTrie = ISA_TRIE_RV64;
-        break;
-      case COPTS_ISA.RV128I:
-        isaTrie = ISA_TRIE_RV128;
-        break;
-      default:
-        isaTrie = ISA_TRIE;
-    }
+    const isaTrie = getIsaTrie(getIsaConfig());
 
     if (inputSplit.length > 1) {
       // If space present after mnemonic, use completeMne
@@ -6,10 +6,11 @@
  * Copyright (c) 2021-2022 LupLab @ UC Davis
  */
 
-import { Instruction, convertRegToAbi } from "../core/Instruction.js";
-import { FRAG } from "../core/Constants.js";
-import { configDefault, COPTS_ISA } from "../core/Config.js";
-import { buildSearchResults, clearSearchResults, renderSearchResults, iterateSearchResults, getSelectedMnemonic, buildPlaceholder, getPlaceholderString } from "./completion.js";
+import { Instruction, convertRegToAbi, convertRlistToAbi } from "../core/Instruction.js";
+import { FRAG, FIELDS } from "../core/Constants.js";
+import { configDefault, COPTS_ISA, COPTS_EXTENSIONS, COPTS_EXTENSIONS_INX, parseIsaString } from "../core/Config.js";
+import { InvalidConfigError } from "../core/Errors.js";
+import { buildSearchResults, clearSearchResults, renderSearchResults, iterateSearchResults, getSelectedMnemonic, buildPlaceholder, getPlaceholderString, getIsaConfig } from "./completion.js";
 
 /* Define colors per frag ID */
 const fragColorMap = {
@@ -24,13 +25,17 @@ const fragColorMap = {
   [FRAG.RS3]: '--color-blue',
   [FRAG.SUCC]: '--color-magenta',
   [FRAG.FRM]: '--color-cyan',
+  [FRAG.VTYPE]: '--color-violet',
+  [FRAG.VM]: '--color-orange',
 }
 
 /* Fast access to selected document elements */
 const input = document.getElementById('search-input');
 const inputPlaceholder = document.getElementById('search-placeholder');
 const abiParameter = document.getElementById('abi');
+const aliasParameter = document.getElementById('alias');
 const isaParameter = document.getElementById('isa');
+const pcParameter = document.getElementById('pc');
 const searchResults = document.getElementById('search-result-list');
 
 /**
@@ -54,8 +59,12 @@ function hashChange(hash) {
     input.value = "";
     // Set ABI parameter
     abiParameter.checked = configDefault.ABI;
+    // Set alias parameter
+    aliasParameter.checked = configDefault.ALIAS;
     // Set ISA parameter
-    isaParameter.value = configDefault.ISA.description;
+    setIsaParameter(configDefault.ISA);
+    // Set PC parameter
+    pcParameter.value = "";
 
   } else {
     // Hash params present
@@ -73,8 +82,12 @@ function hashChange(hash) {
     input.value = params.q;
     // Set ABI parameter
     abiParameter.checked = (params.abi === "true");
+    // Set alias parameter
+    aliasParameter.checked = (params.alias === "true");
     // Set ISA parameter
-    isaParameter.value = params.isa || configDefault.ISA.description;
+    setIsaParameter(params.isa || configDefault.ISA);
+    // Set PC parameter
+    pcParameter.value = params.pc || "";
   }
 
   // Close search results and config popup, then execute the input
@@ -165,6 +178,8 @@ function runResult(addToHistory = true) {
   // Get the instruction from input box
   let q = input.value.trim();
   const emptyQuery = q === "";
+  // Get the ISA configuration from settings
+  const isa = getIsaConfig();
 
   // Push history state and set hash
   if (addToHistory) {
@@ -172,7 +187,9 @@ function runResult(addToHistory = true) {
     const hash = emptyQuery ? ' ' : '#'
                                   + 'q='    + q.replace(/\s/g, '+')
                                   + '&abi=' + abiParameter.checked
-                                  + '&isa=' + isaParameter.value;
+                                  + '&alias=' + aliasParameter.checked
+                                  + '&isa=' + (isa.description ?? isa)
+                                  + '&pc=' + pcParameter.value.trim();
     // Only push state if hash has changed
     if (hash.trimStart() !== window.location.hash) {
       history.pushState(null, null, hash);
@@ -190,10 +207,16 @@ function runResult(addToHistory = true) {
 
   // Convert instruction
   try {
+    const pc = pcParameter.value.trim();
+    if (pc !== "" && isNaN(Number(pc))) {
+      throw new InvalidConfigError(`Invalid PC: '${pc}'`);
+    }
     const inst = new Instruction(q,
       {
         ABI: abiParameter.checked,
-        ISA: COPTS_ISA[isaParameter.value]
+        ALIAS: aliasParameter.checked,
+        ISA: isa,
+        PC: (pc === "") ? undefined : Number(pc)
       });
     renderConversion(inst, abiParameter.checked);
   } catch (error) {
@@ -218,16 +241,39 @@ function renderConversion(inst, abi=false) {
   document.getElementById('fmt-data').innerText = inst.fmt;
   document.getElementById('isa-data').innerText = inst.isa;
 
+  // Display HINT name, if encoded in a HINT space
+  for (const row of document.getElementsByClassName('hint-row')) {
+    row.style.display = (inst.hint !== undefined) ? '' : 'none';
+  }
+  document.getElementById('hint-data').innerText = inst.hint ?? '';
+
+  // Display base instructions of pseudo-instruction, if any
+  for (const row of document.getElementsByClassName('expansion-row')) {
+    row.style.display = (inst.expansion !== undefined) ? '' : 'none';
+  }
+  document.getElementById('expansion-data').innerText = inst.expansion
+    ?.map(baseInst => '0x' + baseInst.hex + '  ' + baseInst.asm)
+    .join('\n') ?? '';
+
   // Display assembly instruction
   let asmInst;
   let asmTokens = inst.asmFrags.map(frag => {
-    let asm = abi ? convertRegToAbi(frag.asm) : frag.asm;
+    let asm = frag.asm;
+    if (abi) {
+      asm = (frag.field === FIELDS.c_rlist.name)
+        ? convertRlistToAbi(asm)
+        : convertRegToAbi(asm);
+    }
     let color = fragColorMap[frag.id];
 
     if (frag.mem) {
       asm = '(' + asm + ')';
     }
-    return `<span class='${"fragId-" + frag.id}' style='color:var(${color})'>${asm}</span>`;
+
+    // Explain evaluated operand expression (e.g. '%hi(0x12345fff)') in tooltip
+    const title = (frag.note !== undefined)
+      ? ` title='${frag.note.replaceAll('&', '&amp;').replaceAll("'", '&#39;')}'` : '';
+    return `<span class='${"fragId-" + frag.id}' style='color:var(${color})'${title}>${asm}</span>`;
   });
 
   asmInst = asmTokens[0];
@@ -358,8 +404,9 @@ function renderConversion(inst, abi=false) {
 
     let asmDiv = null;
     let binDivList = {...fragList};
-    if (id !== "fragId-" + FRAG.UNSD) {
-      // ASM div is the first div in fragList
+    // ASM div is the first div in fragList, unless the field isn't part of the
+    // assembly (e.g., fixed operands of pseudo-instruction aliases)
+    if (id !== "fragId-" + FRAG.UNSD && fragList[0].parentElement.id === 'asm-data') {
       asmDiv = fragList[0];
       // The rest is BIN fragments, so remove the first element (which is ASM)
       delete binDivList[0];
@@ -429,7 +476,7 @@ function renderConversion(inst, abi=false) {
 
 /**
  * Render conversion error
- * @param {String} error
+ * @param {ConversionError|String} error
  */
 function renderError(error) {
   // log them to the console - this provides an quick way to get a traceback in the browser
@@ -452,9 +499,39 @@ function renderError(error) {
   errorData.style.color = 'var(--color-red)';
   errorData.textContent = error;
 
+  // Suggest close matches of a misspelled mnemonic, register or CSR
+  if (error.suggestions?.length > 0) {
+    errorData.textContent += ` (did you mean ${error.suggestions.join(', ')}?)`;
+  }
+
   // Display row
   resultsContainerElm.append(errorTitle);
   resultsContainerElm.append(errorData);
+
+  // Display binary instruction which failed decoding, offending bits in red
+  if (error.bin !== undefined) {
+    let binaryTitle = document.createElement('div');
+    binaryTitle.classList.add('result-row', 'result-row-title');
+    binaryTitle.textContent = 'Binary = ';
+
+    let binaryData = document.createElement('div');
+    binaryData.id = 'error-binary-row';
+    binaryData.classList.add('result-row', 'result-row-data');
+    [...error.bin].forEach((bit, idx) => {
+      const pos = error.bin.length - 1 - idx;
+      const invalid = error.fields.some(field => pos <= field.bits[0] && pos >= field.bits[1]);
+      const color = invalid ? '--color-red' : '--color-fg';
+      binaryData.innerHTML += `<span class='binary-bit' style='color: var(${color})'>${bit}</span>`;
+
+      // Separate between every 4 bits
+      if (pos % 4 === 0) {
+        binaryData.innerHTML += ' ';
+      }
+    });
+
+    resultsContainerElm.append(binaryTitle);
+    resultsContainerElm.append(binaryData);
+  }
 }
 
 /**
@@ -486,6 +563,62 @@ for (let option in COPTS_ISA) {
   isaMenu.add(isaOption);
 }
 
+// Add extension checkboxes based on Config.js provides
+const extensionsDiv = document.getElementById('extensions');
+for (const ext of COPTS_EXTENSIONS) {
+  let extLabel = document.createElement("label");
+  extLabel.className = "extension";
+  let extCheckbox = document.createElement("input");
+  extCheckbox.type = "checkbox";
+  extCheckbox.id = "ext-" + ext;
+  extLabel.append(extCheckbox, ext);
+  extensionsDiv.append(extLabel);
+}
+
+// Floating-point values are held in either floating-point or integer registers,
+// so enabling extensions of one kind disables those of the other kind
+const FLOAT_REG_EXTENSIONS = ['F', 'D', 'Q', 'V', 'Zfh', 'Zfhmin', 'Zfa'];
+for (const [exts, others] of [[FLOAT_REG_EXTENSIONS, COPTS_EXTENSIONS_INX],
+                              [COPTS_EXTENSIONS_INX, FLOAT_REG_EXTENSIONS]]) {
+  for (const ext of exts) {
+    document.getElementById('ext-' + ext).addEventListener("change", (event) => {
+      if (event.target.checked) {
+        others.forEach(other => document.getElementById('ext-' + other).checked = false);
+      }
+    });
+  }
+}
+
+// Extensions can only be chosen for a given ISA
+function updateExtensionParameters() {
+  const auto = COPTS_ISA[isaParameter.value] === COPTS_ISA.AUTO;
+  for (const ext of COPTS_EXTENSIONS) {
+    document.getElementById('ext-' + ext).disabled = auto;
+  }
+}
+isaMenu.addEventListener("change", updateExtensionParameters);
+
+// Set ISA and extension parameters from an ISA option or an ISA naming string
+function setIsaParameter(isa) {
+  let base = (typeof isa === 'symbol') ? isa : COPTS_ISA[isa];
+  let extensions = COPTS_EXTENSIONS.filter(ext => !COPTS_EXTENSIONS_INX.includes(ext));
+  if (base === undefined) {
+    try {
+      const parsed = parseIsaString(isa);
+      base = parsed.base;
+      extensions = COPTS_EXTENSIONS.filter(ext => parsed.extensions.has(ext));
+    } catch {
+      base = configDefault.ISA;
+    }
+  }
+
+  isaParameter.value = base.description;
+  for (const ext of COPTS_EXTENSIONS) {
+    document.getElementById('ext-' + ext).checked = extensions.includes(ext);
+  }
+  updateExtensionParameters();
+}
+
 // When user clicks the button, display the modal div
 parameterBtn.addEventListener("click", () => {
     modalDiv.style.display = "block";